@@ -0,0 +1,497 @@
+/**
+ * Acknowledgements Module
+ * Read and sign for controlled procedures: each user confirms they have read
+ * sections of the current released version. Signatures are kept with the
+ * version history; a new release that changes a section's text marks them
+ * stale, and the report lists who still has to read or re-read.
+ */
+
+import { stateManager } from './state-manager.js';
+import {
+    getAnnotations,
+    getLatestReleasedVersion,
+    getVersionHistory,
+    getDocumentAtVersion,
+    getCurrentBranch,
+    isSectionTextChanged,
+    exportVersionHistory
+} from './version-control.js';
+import { getCurrentUserInfo, getUserColor } from './user-manager.js';
+import { findNodeById, findNodeByUid, describeSection } from './tree-renderer.js';
+import { saveVersionHistoryToStorage } from './storage-manager.js';
+import { renderReferenceTokens } from './inline-references.js';
+import { can } from './permissions.js';
+import { createId } from './shared-document.js';
+import { showError, showSuccess, createDialog, appendButtons } from './message-center.js';
+
+export const ACKNOWLEDGEMENT_STATUS = {
+    current: 'current',
+    stale: 'stale',
+    unsigned: 'unsigned'
+};
+
+// Sections of the version being signed, rebuilt when the history changes
+let requiredCache = null;
+
+/**
+ * Wires the Read and Sign menu item and the stale markers in the index
+ */
+export function initializeAcknowledgements() {
+    const signOffButton = document.getElementById('signoff-btn');
+    if (signOffButton) {
+        signOffButton.addEventListener('click', () => showAcknowledgementReport());
+    }
+
+    // The index is rebuilt on every render, so mark new items
+    const container = document.getElementById('document-structure-container');
+    if (container) {
+        new MutationObserver(() => addStaleMarkers()).observe(container, { childList: true, subtree: true });
+    }
+
+    window.addEventListener('dlms:refreshRevisions', refreshStaleMarkers);
+    stateManager.subscribe('currentUserChanged', refreshStaleMarkers);
+    refreshStaleMarkers();
+}
+
+/**
+ * The version users sign: the latest release, or the latest commit in
+ * documents that do not use reviews
+ * @returns {number|null} Version number, or null if nothing has been committed
+ */
+export function getSignVersion() {
+    const released = getLatestReleasedVersion();
+    if (released !== null) {
+        return released;
+    }
+    const history = getVersionHistory();
+    return history.length > 0 ? history[history.length - 1].version : null;
+}
+
+/**
+ * Every section of the version being signed, in document order
+ * @returns {{version: number|null, sections: Object[]}} Sections as they are in that version
+ */
+export function getRequiredSections() {
+    const version = getSignVersion();
+    const history = getVersionHistory();
+    if (requiredCache && requiredCache.version === version && requiredCache.history === history &&
+        requiredCache.length === history.length) {
+        return requiredCache.result;
+    }
+
+    const sections = [];
+    if (version !== null) {
+        const visit = nodes => (nodes || []).forEach(node => {
+            if (node.uid) {
+                sections.push(node);
+            }
+            visit(node.children);
+        });
+        visit(getDocumentAtVersion(version));
+    }
+
+    const result = { version, sections };
+    requiredCache = { version, history, length: history.length, result };
+    return result;
+}
+
+/**
+ * Whether a user's signature on a section is current
+ * @param {string} nodeUid - Section uid
+ * @param {string} userId - User id
+ * @returns {{status: string, acknowledgement: Object|null}} An ACKNOWLEDGEMENT_STATUS and the latest signature
+ */
+export function getAcknowledgementStatus(nodeUid, userId) {
+    const acknowledgement = getAnnotations('acknowledgements')
+        .filter(entry => entry.nodeUid === nodeUid && entry.userInfo?.id === userId)
+        .reduce((latest, entry) => (!latest || entry.acknowledgedAt > latest.acknowledgedAt ? entry : latest), null);
+
+    if (!acknowledgement) {
+        return { status: ACKNOWLEDGEMENT_STATUS.unsigned, acknowledgement: null };
+    }
+    return {
+        status: acknowledgement.stale ? ACKNOWLEDGEMENT_STATUS.stale : ACKNOWLEDGEMENT_STATUS.current,
+        acknowledgement
+    };
+}
+
+/**
+ * Sections a user still has to read: never signed, or changed since they signed
+ * @param {string} userId - User id
+ * @returns {Array<{node: Object, status: string, acknowledgement: Object|null}>} Outstanding sections
+ */
+export function getOutstandingSections(userId) {
+    return getRequiredSections().sections
+        .map(node => ({ node, ...getAcknowledgementStatus(node.uid, userId) }))
+        .filter(entry => entry.status !== ACKNOWLEDGEMENT_STATUS.current);
+}
+
+/**
+ * Records the current user's signature on sections of a version. A section
+ * whose text the version being signed (the latest release) reads differently
+ * is signed but stale at once, since the text signed is no longer current.
+ * @param {string[]} nodeUids - Sections read
+ * @param {number} version - Version they were read at
+ * @returns {Object[]} The new signatures
+ */
+export function signSections(nodeUids, version) {
+    const user = getCurrentUserInfo();
+    if (!user) {
+        showError('Choose a user before signing.');
+        return [];
+    }
+
+    try {
+        const signedNodes = getDocumentAtVersion(version);
+        const latestVersion = getSignVersion();
+        const latestNodes = latestVersion !== null && latestVersion > version ? getDocumentAtVersion(latestVersion) : null;
+        const latestCommit = latestNodes && getVersionHistory().find(commit => commit.version === latestVersion);
+
+        const acknowledgedAt = new Date().toISOString();
+        const created = nodeUids.map(nodeUid => {
+            const node = findNodeByUid(signedNodes, nodeUid);
+            if (!node) {
+                throw new Error(`Section is not part of version ${version}`);
+            }
+
+            let stale = null;
+            const latest = latestNodes && findNodeByUid(latestNodes, nodeUid);
+            if (latest && isSectionTextChanged(node, latest)) {
+                stale = {
+                    version: latestVersion,
+                    author: latestCommit?.author || null,
+                    timestamp: latestCommit?.timestamp || acknowledgedAt
+                };
+            }
+
+            return {
+                id: createId('ack'),
+                nodeUid,
+                nodeId: node.id,
+                nodeName: node.name || '',
+                version,
+                branch: getCurrentBranch(),
+                user: user.name,
+                userInfo: user,
+                acknowledgedAt,
+                stale
+            };
+        });
+
+        getAnnotations('acknowledgements').push(...created);
+        saveVersionHistoryToStorage(exportVersionHistory());
+        refreshStaleMarkers();
+        return created;
+
+    } catch (error) {
+        console.error('Error signing sections:', error);
+        showError(`Failed to sign: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Shows sections of the signed version for the current user to read and sign:
+ * a section and its subsections, or everything the user has outstanding
+ * @param {string|null} nodeId - Section to read, or null for all outstanding sections
+ */
+export function openReadAndSign(nodeId = null) {
+    const { version, sections } = getRequiredSections();
+    if (version === null) {
+        showError('Nothing has been committed yet, so there is nothing to sign.');
+        return;
+    }
+    const user = getCurrentUserInfo();
+    if (!user) {
+        showError('Choose a user before signing.');
+        return;
+    }
+
+    let toRead;
+    if (nodeId) {
+        const node = findNodeById(stateManager.getDocumentStructure() || [], nodeId);
+        const signedNode = node && sections.find(section => section.uid === node.uid);
+        if (!signedNode) {
+            showError(`Section ${nodeId.replace(/-/g, '.')} is not in version ${version}; it can be signed once it is ${getLatestReleasedVersion() === null ? 'committed' : 'released'}.`);
+            return;
+        }
+        toRead = [];
+        const visit = current => {
+            toRead.push(current);
+            (current.children || []).forEach(visit);
+        };
+        visit(signedNode);
+    } else {
+        toRead = getOutstandingSections(user.id).map(entry => entry.node);
+        if (toRead.length === 0) {
+            showSuccess(`You have read and signed every section of version ${version}`);
+            return;
+        }
+    }
+
+    showReadDialog(version, toRead, user);
+}
+
+/**
+ * Lists, per user, the sections still to read or re-read. Users without the
+ * signOffReport permission only see their own.
+ */
+export function showAcknowledgementReport() {
+    const { version, sections } = getRequiredSections();
+    const { overlay, modal, close } = createDialog('signoff-dialog');
+
+    const title = document.createElement('h3');
+    title.textContent = 'Read and Sign';
+    modal.appendChild(title);
+
+    if (version === null) {
+        const empty = document.createElement('p');
+        empty.className = 'signoff-note';
+        empty.textContent = 'Nothing has been committed yet, so there is nothing to sign.';
+        modal.appendChild(empty);
+        appendButtons(modal, [{ label: 'Close', onClick: close, primary: true }]);
+        document.body.appendChild(overlay);
+        return;
+    }
+
+    const note = document.createElement('p');
+    note.className = 'signoff-note';
+    note.textContent = `${describeVersion(version)} · ${sections.length} section${sections.length === 1 ? '' : 's'}`;
+    modal.appendChild(note);
+
+    const currentUser = getCurrentUserInfo();
+    const users = can('signOffReport')
+        ? [...(stateManager.getUsers() || [])].sort((a, b) => a.name.localeCompare(b.name))
+        : [currentUser].filter(Boolean);
+
+    const list = document.createElement('div');
+    list.className = 'signoff-report';
+    users.forEach(user => {
+        const outstanding = getOutstandingSections(user.id);
+        const entry = document.createElement('div');
+        entry.className = 'signoff-user';
+
+        const header = document.createElement('div');
+        header.className = 'signoff-user-header';
+        const name = document.createElement('span');
+        name.className = 'signoff-user-name';
+        name.textContent = user.name;
+        const color = getUserColor(user);
+        if (color) {
+            name.style.setProperty('--signoff-user-color', color);
+        }
+        header.appendChild(name);
+
+        const count = document.createElement('span');
+        count.className = outstanding.length === 0 ? 'signoff-count signoff-complete' : 'signoff-count';
+        count.textContent = `${sections.length - outstanding.length} of ${sections.length} signed`;
+        header.appendChild(count);
+
+        if (currentUser && user.id === currentUser.id && outstanding.length > 0) {
+            const readButton = document.createElement('button');
+            readButton.type = 'button';
+            readButton.className = 'btn';
+            readButton.textContent = 'Read and Sign';
+            readButton.addEventListener('click', () => {
+                close();
+                openReadAndSign(null);
+            });
+            header.appendChild(readButton);
+        }
+        entry.appendChild(header);
+
+        const stale = outstanding.filter(item => item.status === ACKNOWLEDGEMENT_STATUS.stale);
+        const unsigned = outstanding.filter(item => item.status === ACKNOWLEDGEMENT_STATUS.unsigned);
+        if (stale.length > 0) {
+            entry.appendChild(createOutstandingList('Needs to re-read', stale));
+        }
+        if (unsigned.length > 0) {
+            entry.appendChild(createOutstandingList('Not yet signed', unsigned));
+        }
+        list.appendChild(entry);
+    });
+    modal.appendChild(list);
+
+    appendButtons(modal, [{ label: 'Close', onClick: close, primary: true }]);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Shows the sections to read with the current user's status, and signs them on confirmation
+ * @private
+ * @param {number} version - Version being read
+ * @param {Object[]} sections - Sections as they are in that version
+ * @param {Object} user - Current user
+ */
+function showReadDialog(version, sections, user) {
+    const { overlay, modal, close } = createDialog('signoff-dialog signoff-read-dialog');
+    const signedNodes = getDocumentAtVersion(version);
+
+    const title = document.createElement('h3');
+    title.textContent = `Read and Sign: ${describeVersion(version)}`;
+    modal.appendChild(title);
+
+    const reading = document.createElement('div');
+    reading.className = 'signoff-reading';
+    const toSign = [];
+    sections.forEach(node => {
+        const { status, acknowledgement } = getAcknowledgementStatus(node.uid, user.id);
+        if (status !== ACKNOWLEDGEMENT_STATUS.current) {
+            toSign.push(node.uid);
+        }
+
+        const section = document.createElement('section');
+        section.className = 'signoff-section';
+
+        const heading = document.createElement('h4');
+        heading.textContent = describeSection(node);
+        const badge = document.createElement('span');
+        badge.className = `signoff-status signoff-${status}`;
+        badge.textContent = describeStatus(status, acknowledgement);
+        heading.appendChild(badge);
+        section.appendChild(heading);
+
+        (node.content || []).forEach((text, index) => {
+            const paragraph = document.createElement('p');
+            const label = document.createElement('span');
+            label.className = 'signoff-paragraph-label';
+            label.textContent = `${node.id.replace(/-/g, '.')}${String.fromCharCode(97 + index)}`;
+            paragraph.appendChild(label);
+            paragraph.appendChild(renderReferenceTokens(text, signedNodes));
+            section.appendChild(paragraph);
+        });
+        reading.appendChild(section);
+    });
+    modal.appendChild(reading);
+
+    const confirmLabel = document.createElement('label');
+    confirmLabel.className = 'signoff-confirm';
+    const confirmBox = document.createElement('input');
+    confirmBox.type = 'checkbox';
+    confirmLabel.appendChild(confirmBox);
+    confirmLabel.appendChild(document.createTextNode(` I, ${user.name}, have read and understood the sections above`));
+    modal.appendChild(confirmLabel);
+
+    const buttons = appendButtons(modal, [
+        { label: 'Cancel', onClick: close },
+        {
+            label: toSign.length > 0 ? `Sign ${toSign.length} Section${toSign.length === 1 ? '' : 's'}` : 'Already Signed',
+            primary: true,
+            onClick: () => {
+                const created = signSections(toSign, version);
+                if (created.length > 0) {
+                    close();
+                    const staleCount = created.filter(acknowledgement => acknowledgement.stale).length;
+                    showSuccess(staleCount > 0
+                        ? `Signed ${created.length} section${created.length === 1 ? '' : 's'}; ${staleCount} already changed in a later version awaiting release`
+                        : `Signed ${created.length} section${created.length === 1 ? '' : 's'} of version ${version}`);
+                }
+            }
+        }
+    ]);
+    const signButton = buttons[1];
+    signButton.disabled = true;
+    confirmBox.addEventListener('change', () => {
+        signButton.disabled = !confirmBox.checked || toSign.length === 0;
+    });
+    confirmBox.disabled = toSign.length === 0;
+
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Builds a titled list of outstanding sections for the report
+ * @private
+ */
+function createOutstandingList(heading, entries) {
+    const container = document.createElement('div');
+    container.className = 'signoff-outstanding';
+
+    const label = document.createElement('div');
+    label.className = 'signoff-outstanding-label';
+    label.textContent = `${heading} (${entries.length})`;
+    container.appendChild(label);
+
+    const list = document.createElement('ul');
+    entries.forEach(({ node, status, acknowledgement }) => {
+        const item = document.createElement('li');
+        item.textContent = describeSection(node);
+        if (status === ACKNOWLEDGEMENT_STATUS.stale) {
+            item.textContent += ` - ${describeStatus(status, acknowledgement)}`;
+        }
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+    return container;
+}
+
+/**
+ * Drops and re-adds the index markers, after signatures or the history changed
+ * @private
+ */
+function refreshStaleMarkers() {
+    document.querySelectorAll('.signoff-marker').forEach(marker => marker.remove());
+    addStaleMarkers();
+}
+
+/**
+ * Marks index sections whose text changed since the current user signed them
+ * @private
+ */
+function addStaleMarkers() {
+    const user = stateManager.getCurrentUser();
+    if (!user || !getAnnotations('acknowledgements').some(entry => entry.stale && entry.userInfo?.id === user.id)) {
+        return;
+    }
+
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    document.querySelectorAll('#document-structure-container .section-link').forEach(link => {
+        if (link.querySelector(':scope > .signoff-marker')) {
+            return;
+        }
+        const node = findNodeById(documentStructure, link.id.substring(2));
+        if (!node) {
+            return;
+        }
+        const { status, acknowledgement } = getAcknowledgementStatus(node.uid, user.id);
+        if (status !== ACKNOWLEDGEMENT_STATUS.stale) {
+            return;
+        }
+
+        const marker = document.createElement('span');
+        marker.className = 'signoff-marker';
+        marker.textContent = '✍';
+        marker.title = `${describeStatus(status, acknowledgement)} - click to read and sign again`;
+        marker.addEventListener('click', (event) => {
+            event.stopPropagation();
+            openReadAndSign(node.id);
+        });
+        link.insertBefore(marker, link.querySelector('.node-actions'));
+    });
+}
+
+/**
+ * Describes a signature's status for a badge or list entry
+ * @private
+ */
+function describeStatus(status, acknowledgement) {
+    if (status === ACKNOWLEDGEMENT_STATUS.unsigned) {
+        return 'Not signed';
+    }
+    const signed = `Signed v${acknowledgement.version} on ${new Date(acknowledgement.acknowledgedAt).toLocaleDateString()}`;
+    if (status === ACKNOWLEDGEMENT_STATUS.stale) {
+        const by = acknowledgement.stale.author ? ` by ${acknowledgement.stale.author}` : '';
+        return `${signed}, changed in v${acknowledgement.stale.version}${by}`;
+    }
+    return signed;
+}
+
+/**
+ * "Version 4 (released)" or "Version 4 (latest commit)"
+ * @private
+ */
+function describeVersion(version) {
+    return getLatestReleasedVersion() === version
+        ? `Version ${version} (released)`
+        : `Version ${version} (latest commit, nothing released yet)`;
+}
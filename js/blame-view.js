@@ -0,0 +1,180 @@
+/**
+ * Blame View Module
+ * Annotates the index and the editor panes with the commit, author and date
+ * that last changed each section and paragraph
+ */
+
+import { stateManager } from './state-manager.js';
+import { getBlame, getBlameKey } from './version-control.js';
+import { findNodeById } from './tree-renderer.js';
+import { getUserColor } from './user-manager.js';
+import { showError } from './message-center.js';
+
+// Annotated elements: index sections, editor headings and paragraphs
+const SECTION_SELECTOR = '#document-structure-container .section-link';
+const HEADING_SELECTOR = '#editor-panels #contentID, #editor-panels .content-id';
+const PARAGRAPH_SELECTOR = '#editor-panels .content-list-item';
+
+let blameViewActive = false;
+let currentBlame = null;
+
+/**
+ * Wires the index "Blame" button and keeps the annotations current while blame view is on
+ */
+export function initializeBlameView() {
+    const blameButton = document.getElementById('blame-btn');
+    if (blameButton) {
+        blameButton.addEventListener('click', () => toggleBlameView());
+    }
+
+    // The index and the content lists are rebuilt on every render, so annotate new items
+    const observer = new MutationObserver(() => {
+        if (blameViewActive) {
+            annotateAll();
+        }
+    });
+    ['document-structure-container', 'editor-panels'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            observer.observe(element, { childList: true, subtree: true });
+        }
+    });
+
+    const refresh = () => {
+        if (blameViewActive) {
+            refreshBlameView();
+        }
+    };
+    stateManager.subscribe('documentStructureChanged', refresh);
+    stateManager.subscribe('editingItemChanged', refresh);
+    stateManager.subscribe('usersChanged', refresh);
+    document.addEventListener('dlms:contentChanged', refresh);
+    window.addEventListener('dlms:committed', refresh);
+    window.addEventListener('dlms:refreshRevisions', refresh);
+}
+
+/**
+ * Turns blame view on or off
+ * @param {boolean} enabled - Desired state (toggles when omitted)
+ */
+export function toggleBlameView(enabled = !blameViewActive) {
+    blameViewActive = enabled;
+    document.body.classList.toggle('blame-view', enabled);
+
+    const blameButton = document.getElementById('blame-btn');
+    if (blameButton) {
+        blameButton.classList.toggle('active', enabled);
+    }
+
+    refreshBlameView();
+}
+
+/**
+ * Whether blame view is on
+ * @returns {boolean} True if sections and paragraphs are annotated
+ */
+export function isBlameViewActive() {
+    return blameViewActive;
+}
+
+/**
+ * Recomputes the blame and replaces every annotation
+ */
+export function refreshBlameView() {
+    document.querySelectorAll('.blame-tag').forEach(tag => tag.remove());
+    currentBlame = null;
+
+    if (!blameViewActive) {
+        return;
+    }
+
+    try {
+        currentBlame = getBlame(stateManager.getDocumentStructure() || []);
+    } catch (error) {
+        console.error('Error computing blame:', error);
+        showError(`Failed to compute blame: ${error.message}`);
+        toggleBlameView(false);
+        return;
+    }
+
+    annotateAll();
+}
+
+/**
+ * Adds annotations to sections and paragraphs that lack one
+ * @private
+ */
+function annotateAll() {
+    if (!currentBlame) {
+        return;
+    }
+
+    const documentStructure = stateManager.getDocumentStructure() || [];
+
+    document.querySelectorAll(SECTION_SELECTOR).forEach(link => {
+        if (link.querySelector(':scope > .blame-tag')) {
+            return;
+        }
+        const node = findNodeById(documentStructure, link.id.substring(2));
+        const entry = node && currentBlame.sections.get(getBlameKey(node));
+        if (entry) {
+            link.insertBefore(createBlameTag(entry), link.querySelector('.node-actions'));
+        }
+    });
+
+    document.querySelectorAll(HEADING_SELECTOR).forEach(heading => {
+        if (heading.nextElementSibling?.classList.contains('blame-tag')) {
+            return;
+        }
+        const node = findNodeById(documentStructure, heading.textContent.trim());
+        const entry = node && currentBlame.sections.get(getBlameKey(node));
+        if (entry) {
+            heading.after(createBlameTag(entry));
+        }
+    });
+
+    document.querySelectorAll(PARAGRAPH_SELECTOR).forEach(item => {
+        if (item.querySelector(':scope > .blame-tag')) {
+            return;
+        }
+        // Item IDs are c<nodeId>_<index>
+        const match = /^c(.+)_(\d+)$/.exec(item.id);
+        const node = match && findNodeById(documentStructure, match[1]);
+        const paragraphs = node && currentBlame.paragraphs.get(getBlameKey(node));
+        const entry = paragraphs && paragraphs[parseInt(match[2], 10)];
+        if (entry) {
+            item.insertBefore(createBlameTag(entry), item.querySelector('.content-delete-btn'));
+        }
+    });
+}
+
+/**
+ * Builds the annotation for one blame entry
+ * @private
+ * @param {Object} entry - Entry from getBlame()
+ * @returns {HTMLElement} Tag showing version, author and date in the author's colour
+ */
+function createBlameTag(entry) {
+    const tag = document.createElement('span');
+    tag.className = 'blame-tag';
+
+    const when = entry.timestamp ? new Date(entry.timestamp) : null;
+    const date = when ? when.toLocaleDateString() : '';
+
+    if (entry.version === null) {
+        tag.classList.add('blame-uncommitted');
+        tag.textContent = `Uncommitted · ${date}`;
+        tag.title = `Changed since the last commit${when ? ` (${when.toLocaleString()})` : ''}`;
+        return tag;
+    }
+
+    tag.textContent = `v${entry.version} · ${entry.author} · ${date}`;
+    tag.title = `Version ${entry.version} by ${entry.author}${when ? ` on ${when.toLocaleString()}` : ''}` +
+        (entry.message ? `\n${entry.message}` : '');
+
+    const color = getUserColor(entry.userInfo);
+    if (color) {
+        tag.style.setProperty('--blame-color', color);
+    }
+    return tag;
+}
@@ -0,0 +1,993 @@
+/**
+ * Collaboration Module
+ * Real-time editing of one document by several people. Local changes to the
+ * tree are recorded in a SharedDocument and sent over a sync transport; changes
+ * from the other collaborators are merged into it and applied to the tree.
+ * The pending list and section locks are shared with the tree. Changes from
+ * users without the edit permission, or to sections another user has checked
+ * out, are ignored.
+ * Each collaborator's presence is shown in their user colour: avatars above
+ * the index, markers on the sections they are in, and their cursor in the
+ * editor panes. Edits made while the connection is down are merged when it
+ * comes back.
+ */
+
+import { stateManager } from './state-manager.js';
+import { SharedDocument, createId } from './shared-document.js';
+import { createTransport } from './sync-transport.js';
+import { findNodeById, findNodeByUid } from './tree-renderer.js';
+import { loadContentForEditing } from './content-editor.js';
+import { replaceDocumentState } from './data-operations.js';
+import { getActiveDocumentId, scheduleAutoSave } from './storage-manager.js';
+import { getSetting, setSetting } from './idb-storage.js';
+import { getCurrentUserInfo, getUserColor } from './user-manager.js';
+import { getAnnotations } from './version-control.js';
+import { replaceSectionLocks } from './section-locks.js';
+import { DEFAULT_ROLE, roleHasPermission } from './permissions.js';
+import { showError, showNotification, showSuccess } from './message-center.js';
+
+const DEFAULT_RELAY = 'ws://localhost:8787';
+const LAST_SESSION_KEY = 'dlms_collaboration_session';
+
+// How long a new member waits for the room's copy before sharing its own
+const JOIN_WAIT = 1500;
+// Presence is repeated so that collaborators who vanish without leaving time out
+const HEARTBEAT_INTERVAL = 15 * 1000;
+const PRESENCE_TIMEOUT = 45 * 1000;
+const CURSOR_THROTTLE = 150;
+const TITLE_INPUT_DELAY = 300;
+const PERSIST_DELAY = 1000;
+
+const siteId = createId('site');
+
+let session = null;
+let transport = null;
+let sharedDocument = null;
+let connectionStatus = 'offline';
+
+// False until this copy has either taken the room's document or shared its own
+let seeded = false;
+let joinTimer = null;
+
+let applyingRemoteChanges = false;
+let remoteChangesWaiting = false;
+
+// site -> { user, cursor, seenAt }
+const collaborators = new Map();
+let localCursor = null;
+let cursorTimer = null;
+let persistTimer = null;
+let presenceFrame = null;
+let presenceObserver = null;
+
+/**
+ * Wires the Collaborate menu item and the listeners that share changes and presence
+ */
+export function initializeCollaboration() {
+    const button = document.getElementById('collaborate-btn');
+    if (button) {
+        button.addEventListener('click', () => {
+            if (session) {
+                leaveSession();
+            } else {
+                showJoinDialog();
+            }
+        });
+    }
+
+    const shareChanges = () => shareLocalChanges();
+    stateManager.subscribe('documentStructureChanged', shareChanges);
+    stateManager.subscribe('pendingItemsChanged', shareChanges);
+    document.addEventListener('dlms:contentChanged', shareChanges);
+    window.addEventListener('dlms:autosaved', shareChanges);
+    window.addEventListener('dlms:sectionLocksChanged', shareChanges);
+
+    const editorPanels = document.getElementById('editor-panels');
+    if (editorPanels) {
+        // Titles change the node as they are typed, without a state event
+        let titleTimer = null;
+        editorPanels.addEventListener('input', (event) => {
+            if (event.target.matches('#contentTitle, .content-title')) {
+                clearTimeout(titleTimer);
+                titleTimer = setTimeout(shareChanges, TITLE_INPUT_DELAY);
+            }
+        });
+        // Remote changes wait while a paragraph is being edited in place
+        editorPanels.addEventListener('focusout', () => {
+            setTimeout(() => {
+                if (remoteChangesWaiting) {
+                    applyRemoteChanges();
+                }
+                trackCursor();
+            }, 0);
+        });
+    }
+
+    document.addEventListener('selectionchange', () => trackCursor());
+    document.addEventListener('focusin', () => trackCursor());
+    stateManager.subscribe('editingItemChanged', () => trackCursor());
+    stateManager.subscribe('currentUserChanged', () => sendPresence());
+    stateManager.subscribe('usersChanged', () => schedulePresenceDraw());
+
+    // Markers are lost when the index or a content list is rebuilt
+    presenceObserver = new MutationObserver(() => {
+        if (session) {
+            schedulePresenceDraw();
+        }
+    });
+    ['document-structure-container', 'editor-panels'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            presenceObserver.observe(element, { childList: true, subtree: true });
+        }
+    });
+
+    setInterval(() => {
+        if (!session) {
+            return;
+        }
+        sendPresence();
+        const now = Date.now();
+        collaborators.forEach((collaborator, site) => {
+            if (now - collaborator.seenAt > PRESENCE_TIMEOUT) {
+                collaborators.delete(site);
+            }
+        });
+        schedulePresenceDraw();
+    }, HEARTBEAT_INTERVAL);
+
+    window.addEventListener('beforeunload', () => {
+        if (session) {
+            transport.send({ type: 'bye', site: siteId });
+            persistSharedDocument();
+        }
+    });
+
+    drawPresence();
+}
+
+/**
+ * Whether this tab is in a collaboration session
+ * @returns {boolean} True while joined to a room
+ */
+export function isCollaborating() {
+    return Boolean(session);
+}
+
+/**
+ * Joins a room. If others are already editing there, this document is
+ * replaced by the room's copy the first time this document joins that room.
+ * @param {string} address - Transport address, e.g. ws://localhost:8787 or local:
+ * @param {string} room - Room name shared by the collaborators
+ * @returns {Promise<boolean>} True if the session was started
+ */
+export async function joinSession(address, room) {
+    if (session) {
+        leaveSession();
+    }
+
+    try {
+        const documentId = getActiveDocumentId();
+        const newTransport = createTransport(address);
+        const saved = await getSetting(getSettingKey(documentId, room));
+
+        sharedDocument = saved ? SharedDocument.fromJSON(saved, siteId) : new SharedDocument(siteId);
+        session = { address, room, documentId };
+        transport = newTransport;
+        seeded = !sharedDocument.isEmpty();
+
+        // Changes made since this document was last in the room are sent when the transport opens
+        if (seeded) {
+            sharedDocument.commitLocal(captureStructure(), captureSharedState());
+        }
+
+        transport.onMessage(handleMessage);
+        transport.onStatusChange(handleStatusChange);
+        transport.connect(room);
+
+        localStorage.setItem(LAST_SESSION_KEY, JSON.stringify({ address, room }));
+        updateCollaborateButton();
+        drawPresence();
+        return true;
+    } catch (error) {
+        console.error('Error joining collaboration session:', error);
+        showError(`Failed to join the collaboration session: ${error.message}`);
+        session = null;
+        transport = null;
+        sharedDocument = null;
+        return false;
+    }
+}
+
+/**
+ * Leaves the current room. The shared copy is kept so that a later join
+ * merges the edits made in between.
+ */
+export function leaveSession() {
+    if (!session) {
+        return;
+    }
+
+    clearTimeout(joinTimer);
+    transport.send({ type: 'bye', site: siteId });
+    transport.disconnect();
+    persistSharedDocument();
+
+    session = null;
+    transport = null;
+    sharedDocument = null;
+    seeded = false;
+    remoteChangesWaiting = false;
+    collaborators.clear();
+    connectionStatus = 'offline';
+
+    updateCollaborateButton();
+    drawPresence();
+}
+
+/**
+ * Asks for the relay address and room, then joins
+ * @private
+ */
+function showJoinDialog() {
+    const last = JSON.parse(localStorage.getItem(LAST_SESSION_KEY) || 'null');
+    const titleInput = document.getElementById('document-name');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-dialog collaboration-dialog';
+
+    const title = document.createElement('h3');
+    title.textContent = 'Collaborate';
+    modal.appendChild(title);
+
+    const intro = document.createElement('p');
+    intro.textContent = 'Everyone who joins the same room edits this document together. ' +
+        'If others are already in the room, your copy is replaced by theirs the first time you join.';
+    modal.appendChild(intro);
+
+    const addField = (labelText, value, placeholder) => {
+        const label = document.createElement('label');
+        label.className = 'collaboration-label';
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'modal-input';
+        input.value = value;
+        input.placeholder = placeholder;
+        label.appendChild(input);
+        modal.appendChild(label);
+        return input;
+    };
+    const addressInput = addField('Relay', last?.address || DEFAULT_RELAY, 'ws://host:port, or local: for tabs of this browser');
+    const roomInput = addField('Room', last?.room || titleInput?.value || '', 'Room name');
+
+    const buttonContainer = document.createElement('div');
+    buttonContainer.className = 'modal-buttons';
+
+    const close = () => {
+        if (overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+    };
+
+    const cancelBtn = document.createElement('button');
+    cancelBtn.className = 'modal-btn modal-btn-cancel';
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.onclick = close;
+
+    const joinBtn = document.createElement('button');
+    joinBtn.className = 'modal-btn modal-btn-confirm';
+    joinBtn.textContent = 'Join';
+    joinBtn.onclick = async () => {
+        const address = addressInput.value.trim();
+        const room = roomInput.value.trim();
+        if (!address || !room) {
+            showError('Enter a relay address and a room name');
+            return;
+        }
+        close();
+        await joinSession(address, room);
+    };
+
+    [addressInput, roomInput].forEach(input => input.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            joinBtn.click();
+        } else if (event.key === 'Escape') {
+            close();
+        }
+    }));
+
+    buttonContainer.appendChild(cancelBtn);
+    buttonContainer.appendChild(joinBtn);
+    modal.appendChild(buttonContainer);
+    overlay.appendChild(modal);
+    document.body.appendChild(overlay);
+
+    roomInput.focus();
+}
+
+/**
+ * Reacts to the transport opening or dropping
+ * @private
+ * @param {string} status - 'connecting', 'open' or 'offline'
+ */
+function handleStatusChange(status) {
+    const previous = connectionStatus;
+    connectionStatus = status;
+
+    if (status === 'open') {
+        // Members reply with what this copy lacks, and learn what they lack from the versions
+        transport.send({ type: 'hello', site: siteId, versions: sharedDocument.versions, ...presencePayload() });
+        if (!seeded) {
+            clearTimeout(joinTimer);
+            joinTimer = setTimeout(shareOwnCopy, JOIN_WAIT);
+        } else if (previous === 'offline' && session.wasOpen) {
+            showNotification('Reconnected - edits made offline are being merged');
+        }
+        session.wasOpen = true;
+    } else if (status === 'offline' && previous === 'open') {
+        collaborators.clear();
+        showNotification('Collaboration connection lost - keep editing, your changes are merged when it is back');
+    }
+
+    drawPresence();
+}
+
+/**
+ * Handles a message from another collaborator
+ * @private
+ * @param {Object} message - { type, site, ... }
+ */
+function handleMessage(message) {
+    if (!session || !message || message.site === siteId) {
+        return;
+    }
+
+    try {
+        switch (message.type) {
+            case 'hello':
+                updateCollaborator(message);
+                if (seeded) {
+                    transport.send({
+                        type: 'delta',
+                        site: siteId,
+                        to: message.site,
+                        registers: sharedDocument.getDelta(message.versions),
+                        versions: sharedDocument.versions
+                    });
+                }
+                sendPresence();
+                break;
+
+            case 'delta': {
+                const addressedHere = message.to === siteId;
+                receiveRegisters(message.registers || [], addressedHere ? message.versions : null);
+                // The sender may lack edits this copy has, such as ones made offline
+                if (addressedHere && seeded) {
+                    const missing = sharedDocument.getDelta(message.versions);
+                    if (missing.length > 0) {
+                        transport.send({ type: 'delta', site: siteId, to: message.site, registers: missing, versions: sharedDocument.versions });
+                    }
+                }
+                break;
+            }
+
+            case 'ops':
+                receiveRegisters(message.registers || [], null);
+                break;
+
+            case 'presence':
+                updateCollaborator(message);
+                break;
+
+            case 'bye':
+                collaborators.delete(message.site);
+                schedulePresenceDraw();
+                break;
+        }
+    } catch (error) {
+        console.error('Error applying collaboration message:', error);
+    }
+}
+
+/**
+ * Merges registers from another collaborator and applies the result
+ * @private
+ * @param {Object[]} registers - Registers received
+ * @param {Object|null} versions - The sender's versions, if the registers are a complete delta for this copy
+ */
+function receiveRegisters(registers, versions) {
+    const rejected = [];
+    const accept = createRegisterFilter();
+    const changed = sharedDocument.merge(registers, versions, register => {
+        if (accept(register)) {
+            return true;
+        }
+        rejected.push(register);
+        return false;
+    });
+    if (rejected.length > 0) {
+        console.warn('Ignored collaboration changes that were not allowed:', rejected);
+        showNotification(`Ignored ${rejected.length} change${rejected.length !== 1 ? 's' : ''} from collaborators ` +
+            'who may not edit the document or the sections involved');
+    }
+
+    if (!seeded) {
+        if (registers.length > 0) {
+            takeRoomCopy();
+        }
+        return;
+    }
+
+    if (changed) {
+        schedulePersist();
+        applyRemoteChanges();
+    }
+}
+
+/**
+ * Replaces this document with the room's copy on first joining
+ * @private
+ */
+function takeRoomCopy() {
+    clearTimeout(joinTimer);
+    seeded = true;
+    applySharedState();
+    schedulePersist();
+    showSuccess(`Joined "${session.room}" - showing the room's copy of the document`);
+}
+
+/**
+ * Shares this document with the room when nobody answered with a copy of their own
+ * @private
+ */
+function shareOwnCopy() {
+    if (!session || seeded) {
+        return;
+    }
+    seeded = true;
+    shareLocalChanges();
+    showSuccess(`Joined "${session.room}" - others who join will see this document`);
+}
+
+/**
+ * Records and sends the changes made here since the last call
+ * @private
+ */
+function shareLocalChanges() {
+    if (!session || !seeded || applyingRemoteChanges) {
+        return;
+    }
+
+    if (getActiveDocumentId() !== session.documentId) {
+        leaveSession();
+        showNotification('Left the collaboration session because another document was opened');
+        return;
+    }
+
+    const registers = sharedDocument.commitLocal(captureStructure(), captureSharedState());
+    if (registers.length > 0) {
+        transport.send({ type: 'ops', site: siteId, registers });
+        schedulePersist();
+    }
+
+    if (remoteChangesWaiting) {
+        applyRemoteChanges();
+    }
+}
+
+/**
+ * Applies the merged document to the tree, unless a paragraph is being edited
+ * in place: its edit is tied to the paragraph's position, so it finishes first
+ * @private
+ */
+function applyRemoteChanges() {
+    if (isEditingParagraph()) {
+        remoteChangesWaiting = true;
+        return;
+    }
+    remoteChangesWaiting = false;
+
+    // Local changes not yet shared must be recorded before the tree is replaced
+    const registers = sharedDocument.commitLocal(captureStructure(), captureSharedState());
+    if (registers.length > 0) {
+        transport.send({ type: 'ops', site: siteId, registers });
+    }
+
+    applySharedState();
+}
+
+/**
+ * Replaces the tree, pending list and section locks with the merged ones where they differ
+ * @private
+ */
+function applySharedState() {
+    const structure = sharedDocument.checkout();
+    const pendingItems = sharedDocument.checkoutPending();
+    const locks = sharedDocument.getLocks();
+
+    const strip = nodes => (nodes || []).map(node =>
+        [node.uid, node.name, node.content || [], node.references || [], node.questions || [], node.flashcards || [], strip(node.children)]);
+    const treeChanged = JSON.stringify(strip(structure)) !== JSON.stringify(strip(captureStructure()));
+    const pendingChanged = pendingItems !== null &&
+        JSON.stringify(pendingItems) !== JSON.stringify(stateManager.getPendingItems() || []);
+
+    applyingRemoteChanges = true;
+    try {
+        if (treeChanged || pendingChanged) {
+            // Without pendingItems the pending list is left as it is
+            replaceDocumentState(pendingChanged ? { structure, pendingItems } : { structure });
+            scheduleAutoSave();
+        }
+        replaceSectionLocks(locks);
+    } finally {
+        applyingRemoteChanges = false;
+    }
+    schedulePresenceDraw();
+}
+
+/**
+ * Whether a paragraph is being edited in place
+ * @private
+ * @returns {boolean} True while a content item is editable and focused
+ */
+function isEditingParagraph() {
+    return Boolean(document.activeElement?.matches?.('#editor-panels .content-text.editing'));
+}
+
+/**
+ * Copies the tree as plain data
+ * @private
+ * @returns {Object[]} Plain tree
+ */
+function captureStructure() {
+    return JSON.parse(JSON.stringify(stateManager.getDocumentStructure() || []));
+}
+
+/**
+ * What is shared along with the tree, and who is changing it
+ * @private
+ * @returns {Object} { pendingItems, locks, user } for SharedDocument.commitLocal()
+ */
+function captureSharedState() {
+    return {
+        pendingItems: JSON.parse(JSON.stringify(stateManager.getPendingItems() || [])),
+        locks: JSON.parse(JSON.stringify(getAnnotations('locks', {}))),
+        user: getCurrentUserInfo()?.id || null
+    };
+}
+
+/**
+ * Builds the check applied to each remote register before it is merged: its
+ * user needs the edit permission, and may not change a section another user
+ * has checked out - nor move or delete one containing such a section. Locks
+ * are taken from the shared copy, so a lock merged earlier in the same batch counts.
+ * @private
+ * @returns {Function} Called with a register; true to merge it
+ */
+function createRegisterFilter() {
+    const sections = sharedDocument.getSections();
+
+    const roleOf = register => {
+        const user = (stateManager.getUsers() || []).find(candidate => candidate.id === register.user);
+        return user?.role || collaborators.get(register.site)?.user.role || DEFAULT_ROLE;
+    };
+    const blockingLock = (uid, userId) => {
+        const lock = sections.get(uid)?.lock;
+        const active = lock && !(lock.expiresAt && Date.parse(lock.expiresAt) <= Date.now());
+        return active && lock.ownerInfo?.id !== userId ? lock : null;
+    };
+    const lockedAbove = (uid, userId) => {
+        const seen = new Set();
+        for (let current = uid; current && !seen.has(current); current = sections.get(current)?.parent) {
+            seen.add(current);
+            if (blockingLock(current, userId)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    const isBelow = (candidate, ancestor) => {
+        const seen = new Set();
+        for (let current = sections.get(candidate)?.parent; current && !seen.has(current); current = sections.get(current)?.parent) {
+            if (current === ancestor) {
+                return true;
+            }
+            seen.add(current);
+        }
+        return false;
+    };
+    const lockedBelow = (uid, userId) => [...sections.keys()].some(candidate =>
+        candidate !== uid && blockingLock(candidate, userId) && isBelow(candidate, uid));
+
+    return register => {
+        const role = roleOf(register);
+        if (!roleHasPermission(role, 'edit')) {
+            return false;
+        }
+
+        const [scope, uid, field] = register.key.split('|');
+        if (scope === 'd') {
+            return true;
+        }
+
+        if (scope === 'n' && field === 'lock') {
+            // Locks are taken by their owner and released by them or an Admin
+            const current = blockingLock(uid, register.user);
+            const allowed = register.value
+                ? register.value.ownerInfo?.id === register.user && !current
+                : !current || roleHasPermission(role, 'forceUnlock');
+            if (allowed) {
+                sections.set(uid, { ...(sections.get(uid) || { parent: null }), lock: register.value });
+            }
+            return allowed;
+        }
+
+        if (lockedAbove(uid, register.user)) {
+            return false;
+        }
+        if (scope === 'n' && field === 'place') {
+            const parent = register.value?.parent || null;
+            if ((parent && lockedAbove(parent, register.user)) || lockedBelow(uid, register.user)) {
+                return false;
+            }
+            sections.set(uid, { ...(sections.get(uid) || { lock: null }), parent });
+        }
+        if (scope === 'n' && field === 'deleted' && register.value && lockedBelow(uid, register.user)) {
+            return false;
+        }
+        return true;
+    };
+}
+
+/**
+ * Records where the local user's cursor is and shares it
+ * @private
+ */
+function trackCursor() {
+    if (!session || !sharedDocument) {
+        return;
+    }
+
+    const cursor = readLocalCursor();
+    if (JSON.stringify(cursor) === JSON.stringify(localCursor)) {
+        return;
+    }
+    localCursor = cursor;
+
+    if (!cursorTimer) {
+        cursorTimer = setTimeout(() => {
+            cursorTimer = null;
+            sendPresence();
+        }, CURSOR_THROTTLE);
+    }
+}
+
+/**
+ * Works out the section, field and offset the local user is at
+ * @private
+ * @returns {Object|null} { uid, field, paragraph, offset }; field is 'title', 'text' or null
+ */
+function readLocalCursor() {
+    const active = document.activeElement;
+    const pane = active?.closest?.('#editor-panels .editor-pane');
+    const uid = pane ? getPaneUid(pane) : null;
+
+    if (uid && active.matches('#contentTitle, .content-title')) {
+        return { uid, field: 'title', paragraph: null, offset: active.selectionStart || 0 };
+    }
+    if (uid && active.matches('.content-text.editing')) {
+        const index = Array.from(pane.querySelectorAll('.content-list-item')).indexOf(active.closest('.content-list-item'));
+        return { uid, field: 'text', paragraph: sharedDocument.getParagraphId(uid, index), offset: getCaretOffset(active) };
+    }
+
+    const editingUid = stateManager.getCurrentEditingItem()?.uid;
+    return editingUid ? { uid: editingUid, field: null, paragraph: null, offset: 0 } : null;
+}
+
+/**
+ * Character offset of the selection end within an element
+ * @private
+ * @param {HTMLElement} element - Editable element
+ * @returns {number} Offset from the start of its text
+ */
+function getCaretOffset(element) {
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0 || !element.contains(selection.focusNode)) {
+        return 0;
+    }
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    range.setEnd(selection.focusNode, selection.focusOffset);
+    return range.toString().length;
+}
+
+/**
+ * The uid of the section an editor pane shows
+ * @private
+ * @param {HTMLElement} pane - Editor pane
+ * @returns {string|null} Section uid
+ */
+function getPaneUid(pane) {
+    const heading = pane.querySelector('#contentID, .content-id');
+    const node = heading ? findNodeById(stateManager.getDocumentStructure() || [], heading.textContent.trim()) : null;
+    return node?.uid || null;
+}
+
+/**
+ * The user and cursor sent with presence messages
+ * @private
+ * @returns {Object} { user, cursor }
+ */
+function presencePayload() {
+    const userInfo = getCurrentUserInfo();
+    return {
+        user: userInfo
+            ? { id: userInfo.id, name: userInfo.name, color: userInfo.color, role: userInfo.role }
+            : { id: siteId, name: 'Guest' },
+        cursor: localCursor
+    };
+}
+
+/**
+ * Tells the other collaborators who this is and where their cursor is
+ * @private
+ */
+function sendPresence() {
+    if (session && connectionStatus === 'open') {
+        transport.send({ type: 'presence', site: siteId, ...presencePayload() });
+    }
+}
+
+/**
+ * Records a collaborator's presence
+ * @private
+ * @param {Object} message - hello or presence message
+ */
+function updateCollaborator(message) {
+    if (!message.user) {
+        return;
+    }
+    collaborators.set(message.site, { user: message.user, cursor: message.cursor || null, seenAt: Date.now() });
+    schedulePresenceDraw();
+}
+
+/**
+ * Redraws the presence indicators on the next frame
+ * @private
+ */
+function schedulePresenceDraw() {
+    if (presenceFrame === null) {
+        presenceFrame = requestAnimationFrame(() => {
+            presenceFrame = null;
+            drawPresence();
+        });
+    }
+}
+
+/**
+ * Replaces the avatars, index markers and remote cursors
+ * @private
+ */
+function drawPresence() {
+    document.querySelectorAll('.presence-marker, .presence-flag, .remote-cursor').forEach(element => element.remove());
+    document.querySelectorAll('.remote-editing').forEach(element => {
+        element.classList.remove('remote-editing');
+        element.style.removeProperty('--presence-color');
+    });
+
+    drawPresenceBar();
+
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    collaborators.forEach(collaborator => {
+        const cursor = collaborator.cursor;
+        const node = cursor ? findNodeByUid(documentStructure, cursor.uid) : null;
+        if (!node) {
+            return;
+        }
+        const color = getUserColor(collaborator.user) || 'var(--primary-color)';
+        drawIndexMarker(cursor.uid, collaborator, color);
+        document.querySelectorAll('#editor-panels .editor-pane').forEach(pane => {
+            if (getPaneUid(pane) === cursor.uid) {
+                drawPaneCursor(pane, collaborator, color);
+            }
+        });
+    });
+
+    // The observer would otherwise answer these changes with another redraw
+    presenceObserver?.takeRecords();
+}
+
+/**
+ * Shows the connection state and an avatar for each collaborator above the index
+ * @private
+ */
+function drawPresenceBar() {
+    const bar = document.getElementById('presence-bar');
+    if (!bar) {
+        return;
+    }
+    bar.innerHTML = '';
+    bar.hidden = !session;
+    if (!session) {
+        return;
+    }
+
+    const status = document.createElement('span');
+    status.className = `presence-status presence-${connectionStatus}`;
+    status.textContent = session.room;
+    status.title = {
+        open: `Connected to "${session.room}" via ${session.address}`,
+        connecting: `Connecting to ${session.address}...`,
+        offline: 'Offline - edits are merged when the connection is back'
+    }[connectionStatus] || connectionStatus;
+    bar.appendChild(status);
+
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    collaborators.forEach(collaborator => {
+        const avatar = document.createElement('button');
+        avatar.type = 'button';
+        avatar.className = 'presence-avatar';
+        avatar.textContent = (collaborator.user.name || '?').charAt(0).toUpperCase();
+        avatar.style.setProperty('--presence-color', getUserColor(collaborator.user) || 'var(--primary-color)');
+
+        const node = collaborator.cursor ? findNodeByUid(documentStructure, collaborator.cursor.uid) : null;
+        avatar.title = node ? `${collaborator.user.name} - in ${node.id} ${node.name}` : collaborator.user.name;
+        if (node) {
+            avatar.addEventListener('click', () => loadContentForEditing(node));
+        }
+        bar.appendChild(avatar);
+    });
+}
+
+/**
+ * Marks the index section a collaborator is in
+ * @private
+ */
+function drawIndexMarker(uid, collaborator, color) {
+    const link = document.querySelector(`#document-structure-container li[data-node-uid="${CSS.escape(uid)}"] > .section-link`);
+    if (!link) {
+        return;
+    }
+    const marker = document.createElement('span');
+    marker.className = 'presence-marker';
+    marker.textContent = (collaborator.user.name || '?').charAt(0).toUpperCase();
+    marker.title = `${collaborator.user.name} is here`;
+    marker.style.setProperty('--presence-color', color);
+    link.insertBefore(marker, link.querySelector('.node-actions'));
+}
+
+/**
+ * Shows a collaborator in a pane showing their section: a flag in the header,
+ * and their cursor in the title or paragraph they are editing
+ * @private
+ */
+function drawPaneCursor(pane, collaborator, color) {
+    const { cursor, user } = collaborator;
+
+    const flag = document.createElement('span');
+    flag.className = 'presence-flag';
+    flag.textContent = user.name;
+    flag.style.setProperty('--presence-color', color);
+    pane.querySelector('.pane-close-btn')?.before(flag);
+
+    if (cursor.field === 'title') {
+        const title = pane.querySelector('#contentTitle, .content-title');
+        if (title) {
+            title.classList.add('remote-editing');
+            title.style.setProperty('--presence-color', color);
+            flag.textContent = `${user.name} - title`;
+        }
+        return;
+    }
+
+    if (cursor.field !== 'text' || !cursor.paragraph) {
+        return;
+    }
+    const index = sharedDocument ? sharedDocument.getParagraphIndex(cursor.uid, cursor.paragraph) : -1;
+    const item = index >= 0 ? pane.querySelectorAll('.content-list-item')[index] : null;
+    const text = item?.querySelector('.content-text');
+    if (!text) {
+        return;
+    }
+
+    item.classList.add('remote-editing');
+    item.style.setProperty('--presence-color', color);
+
+    const caretRect = getTextRect(text, cursor.offset);
+    const itemRect = item.getBoundingClientRect();
+    const caret = document.createElement('span');
+    caret.className = 'remote-cursor';
+    caret.style.setProperty('--presence-color', color);
+    caret.style.left = `${caretRect.left - itemRect.left}px`;
+    caret.style.top = `${caretRect.top - itemRect.top}px`;
+    caret.style.height = `${caretRect.height || 16}px`;
+
+    const label = document.createElement('span');
+    label.className = 'remote-cursor-label';
+    label.textContent = user.name;
+    caret.appendChild(label);
+    item.appendChild(caret);
+}
+
+/**
+ * Screen position of a character offset in an element's text. The shown text
+ * has rendered references, so the offset is clamped to what is shown.
+ * @private
+ * @param {HTMLElement} element - Text element
+ * @param {number} offset - Character offset
+ * @returns {DOMRect} Position of the caret
+ */
+function getTextRect(element, offset) {
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let remaining = Math.max(0, offset || 0);
+    let textNode = walker.nextNode();
+    let last = null;
+
+    while (textNode) {
+        if (remaining <= textNode.length) {
+            break;
+        }
+        remaining -= textNode.length;
+        last = textNode;
+        textNode = walker.nextNode();
+    }
+    if (!textNode) {
+        textNode = last;
+        remaining = last ? last.length : 0;
+    }
+    if (!textNode) {
+        return element.getBoundingClientRect();
+    }
+
+    const range = document.createRange();
+    range.setStart(textNode, remaining);
+    range.collapse(true);
+    return range.getClientRects()[0] || range.getBoundingClientRect();
+}
+
+/**
+ * Shows Collaborate or Leave Session on the menu item
+ * @private
+ */
+function updateCollaborateButton() {
+    const button = document.getElementById('collaborate-btn');
+    const label = button?.querySelector('span:last-child');
+    if (label) {
+        label.textContent = session ? 'Leave Session' : 'Collaborate';
+    }
+}
+
+/**
+ * Setting under which a document's shared copy for a room is kept
+ * @private
+ */
+function getSettingKey(documentId, room) {
+    return `collaboration:${documentId}:${room}`;
+}
+
+/**
+ * Saves the shared copy shortly after the last change
+ * @private
+ */
+function schedulePersist() {
+    clearTimeout(persistTimer);
+    persistTimer = setTimeout(persistSharedDocument, PERSIST_DELAY);
+}
+
+/**
+ * Saves the shared copy so that edits made before the next join can be merged
+ * @private
+ */
+function persistSharedDocument() {
+    clearTimeout(persistTimer);
+    if (!session || !sharedDocument || !seeded) {
+        return;
+    }
+    setSetting(getSettingKey(session.documentId, session.room), sharedDocument.toJSON()).catch(error => {
+        console.warn('Could not save the shared document:', error);
+    });
+}
@@ -0,0 +1,712 @@
+/**
+ * Comment Manager Module
+ * Comment threads anchored to sections and paragraphs, the comments sidebar,
+ * and the comment markers in the index and the editor panes
+ */
+
+import { stateManager } from './state-manager.js';
+import { getAnnotations, exportVersionHistory } from './version-control.js';
+import { getCurrentUserInfo, getUserColor } from './user-manager.js';
+import { findNodeById, findNodeByUid } from './tree-renderer.js';
+import { saveVersionHistoryToStorage } from './storage-manager.js';
+import { createId } from './shared-document.js';
+import { showPrompt, showError, showSuccess, truncate } from './message-center.js';
+
+export const THREAD_STATUS = {
+    open: 'open',
+    resolved: 'resolved'
+};
+
+// Sidebar filters. sectionUid limits the list to one section while "This section only" is ticked.
+const filters = {
+    status: THREAD_STATUS.open,
+    author: '',
+    sectionUid: null,
+    search: ''
+};
+
+// Open thread counts per node uid: { section: number, paragraphs: Map<index, number> }
+let openCounts = new Map();
+
+/**
+ * Wires the sidebar, its filters and the comment markers
+ */
+export function initializeComments() {
+    const commentsButton = document.getElementById('comments-btn');
+    if (commentsButton) {
+        commentsButton.addEventListener('click', () => toggleCommentsPanel());
+    }
+
+    const closeButton = document.getElementById('close-comments-btn');
+    if (closeButton) {
+        closeButton.addEventListener('click', () => toggleCommentsPanel(false));
+    }
+
+    bindFilter('comments-status-filter', 'change', value => { filters.status = value; });
+    bindFilter('comments-author-filter', 'change', value => { filters.author = value; });
+    bindFilter('comments-search', 'input', value => { filters.search = value; });
+
+    const sectionFilter = document.getElementById('comments-section-filter');
+    if (sectionFilter) {
+        sectionFilter.addEventListener('change', () => {
+            filters.sectionUid = sectionFilter.checked
+                ? stateManager.getCurrentEditingItem()?.uid || null
+                : null;
+            sectionFilter.checked = filters.sectionUid !== null;
+            renderCommentsPanel();
+        });
+    }
+
+    // The index and the content lists are rebuilt on every render, so mark new items
+    const observer = new MutationObserver(() => addCommentMarkers());
+    ['document-structure-container', 'editor-panels'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            observer.observe(element, { childList: true, subtree: true });
+        }
+    });
+
+    // Sections and paragraphs move; keep each thread's anchor on the same text
+    const handleDocumentChange = () => {
+        if (reanchorCommentThreads(stateManager.getDocumentStructure() || [])) {
+            saveCommentThreads();
+        } else {
+            refreshCommentsUI();
+        }
+    };
+    stateManager.subscribe('documentStructureChanged', handleDocumentChange);
+    document.addEventListener('dlms:contentChanged', handleDocumentChange);
+    window.addEventListener('dlms:refreshRevisions', handleDocumentChange);
+    stateManager.subscribe('usersChanged', () => renderCommentsPanel());
+
+    stateManager.subscribe('editingItemChanged', (item) => {
+        if (filters.sectionUid !== null && item?.uid) {
+            filters.sectionUid = item.uid;
+        }
+        renderCommentsPanel();
+    });
+
+    refreshCommentsUI();
+}
+
+/**
+ * Starts a comment thread on a section or one of its paragraphs
+ * @param {string} nodeId - ID of the section
+ * @param {number|null} paragraphIndex - Index of the content item, or null for the whole section
+ * @returns {Promise<Object|null>} The new thread, or null if cancelled
+ */
+export async function addCommentThread(nodeId, paragraphIndex = null) {
+    try {
+        const node = findNodeById(stateManager.getDocumentStructure() || [], nodeId);
+        if (!node) {
+            showError(`Section ${nodeId} not found.`);
+            return null;
+        }
+
+        const content = Array.isArray(node.content) ? node.content : [];
+        if (paragraphIndex !== null && (paragraphIndex < 0 || paragraphIndex >= content.length)) {
+            showError(`Section ${nodeId} has no paragraph ${paragraphIndex + 1}.`);
+            return null;
+        }
+
+        const anchor = {
+            uid: node.uid,
+            id: node.id,
+            name: node.name || '',
+            paragraph: paragraphIndex,
+            paragraphText: paragraphIndex === null ? null : content[paragraphIndex],
+            paragraphRemoved: false
+        };
+
+        const text = await showPrompt(`Comment on ${describeAnchor(anchor)}:`, '', 'Write a comment');
+        if (!text || text.trim() === '') {
+            return null;
+        }
+
+        const thread = {
+            id: createId('thread'),
+            anchor,
+            status: THREAD_STATUS.open,
+            created: new Date().toISOString(),
+            resolvedBy: null,
+            resolvedAt: null,
+            comments: [createComment(text)]
+        };
+
+        getAnnotations('comments').push(thread);
+        saveCommentThreads();
+        toggleCommentsPanel(true);
+        showSuccess('Comment added');
+        return thread;
+
+    } catch (error) {
+        console.error('Error adding comment:', error);
+        showError(`Failed to add comment: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Adds a reply to an open thread
+ * @param {string} threadId - Thread to reply to
+ * @param {string} text - Reply text
+ * @returns {boolean} True if the reply was added
+ */
+export function replyToThread(threadId, text) {
+    try {
+        const thread = findThread(threadId);
+        if (!thread) {
+            showError('Comment thread not found.');
+            return false;
+        }
+        if (thread.status !== THREAD_STATUS.open) {
+            showError('Reopen the thread to reply.');
+            return false;
+        }
+        if (!text || text.trim() === '') {
+            return false;
+        }
+
+        thread.comments.push(createComment(text));
+        saveCommentThreads();
+        return true;
+
+    } catch (error) {
+        console.error('Error replying to comment:', error);
+        showError(`Failed to reply: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Resolves or reopens a thread
+ * @param {string} threadId - Thread to change
+ * @param {boolean} resolved - True to resolve, false to reopen
+ * @returns {boolean} True if the thread was changed
+ */
+export function setThreadResolved(threadId, resolved) {
+    try {
+        const thread = findThread(threadId);
+        if (!thread) {
+            showError('Comment thread not found.');
+            return false;
+        }
+
+        const user = getCurrentUserInfo();
+        thread.status = resolved ? THREAD_STATUS.resolved : THREAD_STATUS.open;
+        thread.resolvedBy = resolved ? (user ? user.name : 'User') : null;
+        thread.resolvedAt = resolved ? new Date().toISOString() : null;
+
+        saveCommentThreads();
+        return true;
+
+    } catch (error) {
+        console.error('Error updating comment thread:', error);
+        showError(`Failed to update comment thread: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Updates thread anchors after the document changed: follows renumbered and
+ * renamed sections, and paragraphs that moved or were edited in place
+ * @param {Object[]} documentStructure - Current document tree
+ * @returns {boolean} True if any anchor changed
+ */
+export function reanchorCommentThreads(documentStructure) {
+    let changed = false;
+
+    getAnnotations('comments').forEach(thread => {
+        const anchor = thread.anchor;
+        const node = findNodeByUid(documentStructure, anchor.uid);
+        if (!node) {
+            // In pending or deleted; keep the last known position
+            return;
+        }
+
+        if (anchor.id !== node.id || anchor.name !== (node.name || '')) {
+            anchor.id = node.id;
+            anchor.name = node.name || '';
+            changed = true;
+        }
+
+        if (!Number.isInteger(anchor.paragraph)) {
+            return;
+        }
+
+        const content = Array.isArray(node.content) ? node.content : [];
+        if (content[anchor.paragraph] === anchor.paragraphText) {
+            return;
+        }
+
+        const movedTo = content.indexOf(anchor.paragraphText);
+        if (movedTo !== -1) {
+            anchor.paragraph = movedTo;
+        } else if (anchor.paragraph < content.length) {
+            // Same position, different text: the paragraph was edited
+            anchor.paragraphText = content[anchor.paragraph];
+        } else {
+            anchor.paragraph = null;
+            anchor.paragraphRemoved = true;
+        }
+        changed = true;
+    });
+
+    return changed;
+}
+
+/**
+ * Keeps paragraph anchors in place when a content item is dragged to a new position
+ * @param {string} nodeUid - uid of the section
+ * @param {number} fromIndex - Old index of the moved paragraph
+ * @param {number} toIndex - New index of the moved paragraph
+ */
+export function moveParagraphComments(nodeUid, fromIndex, toIndex) {
+    let changed = false;
+
+    getAnnotations('comments').forEach(({ anchor }) => {
+        if (anchor.uid !== nodeUid || !Number.isInteger(anchor.paragraph)) {
+            return;
+        }
+        const before = anchor.paragraph;
+        if (before === fromIndex) {
+            anchor.paragraph = toIndex;
+        } else if (fromIndex < before && before <= toIndex) {
+            anchor.paragraph--;
+        } else if (toIndex <= before && before < fromIndex) {
+            anchor.paragraph++;
+        }
+        changed = changed || anchor.paragraph !== before;
+    });
+
+    if (changed) {
+        saveCommentThreads();
+    }
+}
+
+/**
+ * Moves threads on a deleted paragraph to its section and shifts the paragraphs after it
+ * @param {string} nodeUid - uid of the section
+ * @param {number} index - Index of the deleted paragraph
+ */
+export function removeParagraphComments(nodeUid, index) {
+    let changed = false;
+
+    getAnnotations('comments').forEach(({ anchor }) => {
+        if (anchor.uid !== nodeUid || !Number.isInteger(anchor.paragraph) || anchor.paragraph < index) {
+            return;
+        }
+        if (anchor.paragraph === index) {
+            anchor.paragraph = null;
+            anchor.paragraphRemoved = true;
+        } else {
+            anchor.paragraph--;
+        }
+        changed = true;
+    });
+
+    if (changed) {
+        saveCommentThreads();
+    }
+}
+
+/**
+ * Opens or closes the comments sidebar
+ * @param {boolean} open - Desired state (toggles when omitted)
+ */
+export function toggleCommentsPanel(open = null) {
+    const panel = document.getElementById('comments-panel');
+    if (!panel) {
+        return;
+    }
+
+    panel.classList.toggle('open', open === null ? !panel.classList.contains('open') : open);
+    if (panel.classList.contains('open')) {
+        renderCommentsPanel();
+    }
+}
+
+/**
+ * Rebuilds the thread list in the sidebar from the current filters
+ */
+export function renderCommentsPanel() {
+    const list = document.getElementById('comments-list');
+    if (!list) {
+        return;
+    }
+
+    const threads = getAnnotations('comments');
+    updateAuthorFilter(threads);
+    updateCommentsSummary(threads);
+
+    const sectionFilter = document.getElementById('comments-section-filter');
+    if (sectionFilter) {
+        sectionFilter.checked = filters.sectionUid !== null;
+    }
+
+    list.innerHTML = '';
+    const visible = threads
+        .filter(matchesFilters)
+        .sort((a, b) => getLastActivity(b).localeCompare(getLastActivity(a)));
+
+    if (visible.length === 0) {
+        list.innerHTML = '<div class="empty-message">No comments</div>';
+        return;
+    }
+
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    visible.forEach(thread => list.appendChild(createThreadElement(thread, documentStructure)));
+}
+
+/**
+ * Stores the threads with the version history and refreshes the sidebar and markers
+ * @private
+ */
+function saveCommentThreads() {
+    saveVersionHistoryToStorage(exportVersionHistory());
+    refreshCommentsUI();
+}
+
+/**
+ * Recounts open threads and redraws the sidebar and the markers
+ * @private
+ */
+function refreshCommentsUI() {
+    openCounts = new Map();
+    getAnnotations('comments')
+        .filter(thread => thread.status === THREAD_STATUS.open)
+        .forEach(({ anchor }) => {
+            if (!openCounts.has(anchor.uid)) {
+                openCounts.set(anchor.uid, { section: 0, paragraphs: new Map() });
+            }
+            const counts = openCounts.get(anchor.uid);
+            counts.section++;
+            if (Number.isInteger(anchor.paragraph)) {
+                counts.paragraphs.set(anchor.paragraph, (counts.paragraphs.get(anchor.paragraph) || 0) + 1);
+            }
+        });
+
+    document.querySelectorAll('.comment-marker').forEach(marker => marker.remove());
+    addCommentMarkers();
+    renderCommentsPanel();
+}
+
+/**
+ * Adds open-comment markers to index sections and paragraphs that lack one
+ * @private
+ */
+function addCommentMarkers() {
+    if (openCounts.size === 0) {
+        return;
+    }
+
+    const documentStructure = stateManager.getDocumentStructure() || [];
+
+    document.querySelectorAll('#document-structure-container .section-link').forEach(link => {
+        if (link.querySelector(':scope > .comment-marker')) {
+            return;
+        }
+        const node = findNodeById(documentStructure, link.id.substring(2));
+        const count = node && openCounts.get(node.uid)?.section;
+        if (count) {
+            link.insertBefore(createMarker(node.uid, count), link.querySelector('.node-actions'));
+        }
+    });
+
+    document.querySelectorAll('#editor-panels .content-list-item').forEach(item => {
+        if (item.querySelector(':scope > .comment-marker')) {
+            return;
+        }
+        // Item IDs are c<nodeId>_<index>
+        const match = /^c(.+)_(\d+)$/.exec(item.id);
+        const node = match && findNodeById(documentStructure, match[1]);
+        const count = node && openCounts.get(node.uid)?.paragraphs.get(parseInt(match[2], 10));
+        if (count) {
+            item.insertBefore(createMarker(node.uid, count), item.querySelector('.content-delete-btn'));
+        }
+    });
+}
+
+/**
+ * Builds a marker that opens the sidebar on a section's threads
+ * @private
+ * @param {string} nodeUid - uid of the section
+ * @param {number} count - Number of open threads
+ * @returns {HTMLElement} The marker
+ */
+function createMarker(nodeUid, count) {
+    const marker = document.createElement('span');
+    marker.className = 'comment-marker';
+    marker.textContent = `💬 ${count}`;
+    marker.title = count === 1 ? '1 open comment thread' : `${count} open comment threads`;
+    marker.addEventListener('click', () => {
+        filters.sectionUid = nodeUid;
+        toggleCommentsPanel(true);
+    });
+    return marker;
+}
+
+/**
+ * Builds the sidebar entry for a thread
+ * @private
+ * @param {Object} thread - Comment thread
+ * @param {Object[]} documentStructure - Current document tree
+ * @returns {HTMLElement} Thread element
+ */
+function createThreadElement(thread, documentStructure) {
+    const resolved = thread.status === THREAD_STATUS.resolved;
+    const node = findNodeByUid(documentStructure, thread.anchor.uid);
+
+    const element = document.createElement('div');
+    element.className = 'comment-thread';
+    element.classList.toggle('comment-thread-resolved', resolved);
+
+    const anchorButton = document.createElement('button');
+    anchorButton.className = 'comment-thread-anchor';
+    anchorButton.textContent = describeAnchor(thread.anchor) + (node ? '' : ' (not in document)');
+    if (node) {
+        anchorButton.title = 'Show in editor';
+        anchorButton.addEventListener('click', () => showThreadAnchor(thread));
+    } else {
+        anchorButton.disabled = true;
+    }
+    element.appendChild(anchorButton);
+
+    if (thread.anchor.paragraphText) {
+        const quote = document.createElement('blockquote');
+        quote.className = 'comment-thread-quote';
+        quote.textContent = truncate(thread.anchor.paragraphText, 140);
+        element.appendChild(quote);
+    }
+
+    const comments = document.createElement('ul');
+    comments.className = 'comment-thread-comments';
+    thread.comments.forEach(comment => {
+        const item = document.createElement('li');
+        item.className = 'comment';
+
+        const header = document.createElement('div');
+        header.className = 'comment-header';
+
+        const author = document.createElement('span');
+        author.className = 'comment-author';
+        author.textContent = comment.author;
+        const color = getUserColor(comment.authorInfo);
+        if (color) {
+            author.style.setProperty('--comment-author-color', color);
+        }
+
+        const date = document.createElement('span');
+        date.className = 'comment-date';
+        date.textContent = new Date(comment.created).toLocaleString();
+
+        const text = document.createElement('div');
+        text.className = 'comment-text';
+        text.textContent = comment.text;
+
+        header.appendChild(author);
+        header.appendChild(date);
+        item.appendChild(header);
+        item.appendChild(text);
+        comments.appendChild(item);
+    });
+    element.appendChild(comments);
+
+    if (resolved) {
+        const status = document.createElement('div');
+        status.className = 'comment-thread-status';
+        status.textContent = `Resolved by ${thread.resolvedBy || 'Unknown'} on ${new Date(thread.resolvedAt).toLocaleDateString()}`;
+        element.appendChild(status);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'comment-thread-actions';
+
+    if (!resolved) {
+        const replyInput = document.createElement('textarea');
+        replyInput.className = 'comment-reply-input';
+        replyInput.rows = 2;
+        replyInput.placeholder = 'Reply…';
+        actions.appendChild(replyInput);
+
+        const replyButton = document.createElement('button');
+        replyButton.className = 'btn';
+        replyButton.textContent = 'Reply';
+        replyButton.addEventListener('click', () => replyToThread(thread.id, replyInput.value));
+        actions.appendChild(replyButton);
+    }
+
+    const statusButton = document.createElement('button');
+    statusButton.className = 'btn';
+    statusButton.textContent = resolved ? 'Reopen' : 'Resolve';
+    statusButton.addEventListener('click', () => setThreadResolved(thread.id, !resolved));
+    actions.appendChild(statusButton);
+
+    element.appendChild(actions);
+    return element;
+}
+
+/**
+ * Opens a thread's section in the editor and highlights its paragraph
+ * @private
+ * @param {Object} thread - Comment thread
+ */
+async function showThreadAnchor(thread) {
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], thread.anchor.uid);
+    if (!node) {
+        return;
+    }
+
+    // Dynamic import: event-handlers loads the content editor, which imports this module
+    const { handleTreeElementClick } = await import('./event-handlers.js');
+    handleTreeElementClick(node.id);
+    document.getElementById(`T-${node.id}`)?.scrollIntoView({ block: 'nearest' });
+
+    if (Number.isInteger(thread.anchor.paragraph)) {
+        const item = document.getElementById(`c${node.id}_${thread.anchor.paragraph}`);
+        if (item) {
+            item.scrollIntoView({ block: 'nearest' });
+            item.classList.add('comment-target');
+            setTimeout(() => item.classList.remove('comment-target'), 2000);
+        }
+    }
+}
+
+/**
+ * Whether a thread passes the sidebar filters
+ * @private
+ * @param {Object} thread - Comment thread
+ * @returns {boolean} True if it should be listed
+ */
+function matchesFilters(thread) {
+    if (filters.status !== 'all' && thread.status !== filters.status) {
+        return false;
+    }
+    if (filters.author && !thread.comments.some(comment => comment.author === filters.author)) {
+        return false;
+    }
+    if (filters.sectionUid !== null && thread.anchor.uid !== filters.sectionUid) {
+        return false;
+    }
+
+    const search = filters.search.trim().toLowerCase();
+    if (search) {
+        const haystack = [
+            thread.anchor.name,
+            thread.anchor.paragraphText || '',
+            ...thread.comments.map(comment => `${comment.author} ${comment.text}`)
+        ].join(' ').toLowerCase();
+        if (!haystack.includes(search)) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Lists everyone who has commented in the author filter, keeping the selection
+ * @private
+ * @param {Object[]} threads - All threads
+ */
+function updateAuthorFilter(threads) {
+    const select = document.getElementById('comments-author-filter');
+    if (!select) {
+        return;
+    }
+
+    const authors = [...new Set(threads.flatMap(thread => thread.comments.map(comment => comment.author)))].sort();
+    if (filters.author && !authors.includes(filters.author)) {
+        filters.author = '';
+    }
+
+    select.innerHTML = '';
+    select.appendChild(new Option('All authors', ''));
+    authors.forEach(author => select.appendChild(new Option(author, author)));
+    select.value = filters.author;
+}
+
+/**
+ * Shows how many threads are open in the sidebar header
+ * @private
+ * @param {Object[]} threads - All threads
+ */
+function updateCommentsSummary(threads) {
+    const summary = document.getElementById('comments-summary');
+    if (summary) {
+        const open = threads.filter(thread => thread.status === THREAD_STATUS.open).length;
+        summary.textContent = `${open} open, ${threads.length - open} resolved`;
+    }
+}
+
+/**
+ * Calls a setter with a filter control's value and re-renders the list
+ * @private
+ * @param {string} elementId - Filter control
+ * @param {string} eventName - Event that changes its value
+ * @param {Function} setter - Stores the new value
+ */
+function bindFilter(elementId, eventName, setter) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        element.addEventListener(eventName, () => {
+            setter(element.value);
+            renderCommentsPanel();
+        });
+    }
+}
+
+/**
+ * Describes where a thread is anchored, e.g. "2.1 Scope, paragraph b"
+ * @private
+ * @param {Object} anchor - Thread anchor
+ * @returns {string} Description
+ */
+function describeAnchor(anchor) {
+    let label = `${anchor.id.replace(/-/g, '.')} ${anchor.name || 'Untitled'}`;
+    if (Number.isInteger(anchor.paragraph)) {
+        label += `, paragraph ${String.fromCharCode(97 + anchor.paragraph)}`;
+    } else if (anchor.paragraphRemoved) {
+        label += ' (paragraph removed)';
+    }
+    return label;
+}
+
+/**
+ * Creates a comment by the current user
+ * @private
+ * @param {string} text - Comment text
+ * @returns {Object} Comment
+ */
+function createComment(text) {
+    const user = getCurrentUserInfo();
+    return {
+        id: createId('comment'),
+        author: user ? user.name : 'User',
+        authorInfo: user,
+        text: text.trim(),
+        created: new Date().toISOString()
+    };
+}
+
+
+/**
+ * Finds a thread by id
+ * @private
+ * @param {string} threadId - Thread id
+ * @returns {Object|undefined} The thread
+ */
+function findThread(threadId) {
+    return getAnnotations('comments').find(thread => thread.id === threadId);
+}
+
+/**
+ * Time of the latest comment or status change in a thread
+ * @private
+ * @param {Object} thread - Comment thread
+ * @returns {string} ISO timestamp
+ */
+function getLastActivity(thread) {
+    const last = thread.comments[thread.comments.length - 1];
+    return [thread.resolvedAt || '', last ? last.created : thread.created].sort().pop();
+}
@@ -9,6 +9,12 @@ import { stateManager } from './state-manager.js';
 import { showError, showConfirm } from './message-center.js';
 import { updateNodeDisplay } from './tree-renderer.js';
 import { scheduleAutoSave } from './storage-manager.js';
+import { can, requirePermission, applyPermissionsToUI } from './permissions.js';
+import { renderReferenceTokens, normalizeReferenceTokens, refreshInlineReferences } from './inline-references.js';
+import { moveParagraphComments, removeParagraphComments } from './comment-manager.js';
+import { moveParagraphQuestions, removeParagraphQuestions } from './quiz-manager.js';
+import { moveParagraphFlashcards, removeParagraphFlashcards } from './flashcards.js';
+import { isLockedByOther, requireUnlocked } from './section-locks.js';
 
 // Store active event listeners for cleanup
 const activeListeners = new Map();
@@ -123,10 +129,12 @@ function createContentListItem(contentText, nodeId, index) {
     letterDesignator.textContent = String.fromCharCode(97 + index) + '.'; // 97 is 'a'
     letterDesignator.title = `Item ${String.fromCharCode(97 + index)}`;
     
-    // Create content text span (editable)
+    // Create content text span (editable). The stored text lives in data-raw;
+    // the span shows it with [[ref:…]] tokens rendered as section links.
     const contentSpan = document.createElement('span');
     contentSpan.className = 'content-text';
-    contentSpan.textContent = contentText || '';
+    contentSpan.dataset.raw = contentText || '';
+    renderContentText(contentSpan);
     contentSpan.contentEditable = false; // Will be set to true on click
     
     // Create delete button
@@ -168,6 +176,16 @@ function createContentListItem(contentText, nodeId, index) {
     return listItem;
 }
 
+/**
+ * Shows a content span's stored text with reference tokens rendered as links
+ * @private
+ * @param {HTMLElement} contentSpan - The .content-text span
+ */
+function renderContentText(contentSpan) {
+    contentSpan.textContent = '';
+    contentSpan.appendChild(renderReferenceTokens(contentSpan.dataset.raw || ''));
+}
+
 /**
  * Adds a new item to the content list
  * @param {string} text - Optional text to add (if not provided, reads from textarea)
@@ -179,8 +197,12 @@ export function addListItem(text = null, paneRoot = getPrimaryPaneRoot()) {
         throw new Error('Required content editor elements not found');
     }
 
+    if (!requirePermission('edit') || !requireUnlocked(stateManager.getCurrentEditingItem()?.id)) {
+        return;
+    }
+
     try {
-        const newText = text ?? contentTextarea.value.trim();
+        const newText = normalizeReferenceTokens(text ?? contentTextarea.value.trim(), stateManager.getDocumentStructure() || []);
 
         if (newText === '') {
             return;
@@ -224,9 +246,18 @@ function editContentInPlace(contentSpan, nodeId, index) {
     if (!contentSpan || contentSpan.contentEditable === 'true') {
         return; // Already editing
     }
+    
+    // Clicking text is also how links in it are followed, so say nothing for read-only
+    // roles or sections checked out by someone else
+    if (!can('edit') || isLockedByOther(nodeId)) {
+        return;
+    }
 
     try {
-        const originalText = contentSpan.textContent;
+        const originalText = contentSpan.dataset.raw ?? contentSpan.textContent;
+        
+        // Edit the stored text, with reference tokens visible as typed
+        contentSpan.textContent = originalText;
         
         // Enable editing
         contentSpan.contentEditable = true;
@@ -255,13 +286,15 @@ function editContentInPlace(contentSpan, nodeId, index) {
                 .replace(/×/g, '')  // Remove multiplication sign (delete button)
                 .trim();
             
+            // [[ref:4.2.1]] typed with a section number is stored with the target's uid
+            newText = normalizeReferenceTokens(newText, stateManager.getDocumentStructure() || []);
+            
             if (newText !== originalText) {
                 // Update the source data
                 updateContentInNode(nodeId, index, newText);
-            } else {
-                // Restore original text if it was modified but equals after cleaning
-                contentSpan.textContent = originalText;
+                contentSpan.dataset.raw = newText;
             }
+            renderContentText(contentSpan);
             
             contentSpan.removeEventListener('blur', blurHandler);
             contentSpan.removeEventListener('keydown', keyHandler);
@@ -334,7 +367,8 @@ function saveContentChanges(event) {
         }
 
         const newValue = editArea.value.trim();
-        contentSpan.textContent = newValue;
+        contentSpan.dataset.raw = newValue;
+        renderContentText(contentSpan);
 
         // TODO: Update source data
         updateSourceContent();
@@ -350,6 +384,10 @@ function saveContentChanges(event) {
  * @param {number} index - The index of content to delete
  */
 async function deleteContentItem(nodeId, index) {
+    if (!requirePermission('edit') || !requireUnlocked(nodeId)) {
+        return;
+    }
+
     try {
         const confirmed = await showConfirm('Delete this content item?', 'Delete', 'Cancel');
         if (!confirmed) {
@@ -365,6 +403,9 @@ async function deleteContentItem(nodeId, index) {
         // Remove content at index
         if (currentNode.content && Array.isArray(currentNode.content)) {
             currentNode.content.splice(index, 1);
+            removeParagraphComments(currentNode.uid, index);
+            removeParagraphQuestions(currentNode.uid, index);
+            removeParagraphFlashcards(currentNode.uid, index);
         }
 
         // Refresh the content list display
@@ -391,6 +432,13 @@ let contentDraggedList = null;
  * @param {DragEvent} e - The drag event
  */
 function handleContentDragStart(e) {
+    // Item IDs are c<nodeId>_<index>
+    const nodeId = /^c(.+)_\d+$/.exec(e.currentTarget.id)?.[1];
+    if (!can('edit') || isLockedByOther(nodeId)) {
+        e.preventDefault();
+        return;
+    }
+    
     contentDraggedElement = e.currentTarget;
     contentDraggedElement.classList.add('dragging');
     contentDraggedList = contentDraggedElement.closest('ol');
@@ -495,6 +543,9 @@ function reorderContentItems(fromIndex, toIndex, listElement = getPrimaryContent
         // Perform the reorder
         const [movedItem] = currentNode.content.splice(fromIndex, 1);
         currentNode.content.splice(toIndex, 0, movedItem);
+        moveParagraphComments(currentNode.uid, fromIndex, toIndex);
+        moveParagraphQuestions(currentNode.uid, fromIndex, toIndex);
+        moveParagraphFlashcards(currentNode.uid, fromIndex, toIndex);
         
         // Refresh the display in the affected list
         populateContentList(currentNode, listElement);
@@ -554,7 +605,7 @@ function updateSourceContent(listElement = getPrimaryContentList(), paneRoot = g
         // Collect all content items - only get text from .content-text span
         const contentArray = Array.from(myList.children).map(li => {
             const contentSpan = li.querySelector('.content-text');
-            return contentSpan ? contentSpan.textContent.trim() : '';
+            return contentSpan ? (contentSpan.dataset.raw ?? contentSpan.textContent).trim() : '';
         }).filter(text => text.length > 0); // Remove empty entries
 
         // Update the node's content
@@ -592,6 +643,9 @@ export function initializeContentEditor() {
             }
         });
 
+        // Keep "see section …" links current when sections are moved or renumbered
+        stateManager.subscribe('documentStructureChanged', () => refreshInlineReferences());
+
     } catch (error) {
         console.error('Error initializing content editor:', error);
     }
@@ -809,9 +863,9 @@ function createEditorPane() {
             <button class="pane-close-btn" title="Close">×</button>
         </div>
         <h4 class="content-id">Item Label</h4>
-        <textarea class="content-title" placeholder="Section Title"></textarea>
+        <textarea class="content-title" data-permission="edit" placeholder="Section Title"></textarea>
         <ol class="dynamic-container content-list"></ol>
-        <textarea class="content-textarea" placeholder="Type something here, press the Enter button to add it to the document"></textarea>
+        <textarea class="content-textarea" data-permission="edit" placeholder="Type something here, press the Enter button to add it to the document"></textarea>
     `;
 
     const closeBtn = pane.querySelector('.pane-close-btn');
@@ -819,6 +873,7 @@ function createEditorPane() {
     pane.addEventListener('contextmenu', handlePaneContextMenu);
     attachPaneDragDropHandlers(pane);
     bindPaneInputs(pane);
+    applyPermissionsToUI(pane);
     return pane;
 }
 
@@ -10,12 +10,44 @@ import { findNodeById, renderDocumentStructure } from './tree-renderer.js';
 import { deleteNode } from './data-operations.js';
 import { undo, canUndo, getUndoCount, saveStateBeforeChange } from './undo-manager.js';
 import DocumentNode from './documentnode.js';
+import { printSections, exportSections } from './section-output.js';
+import { showReferenceReport } from './reference-checker.js';
+import { addCommentThread } from './comment-manager.js';
+import { openQuiz } from './quiz-manager.js';
+import { openReadAndSign } from './acknowledgements.js';
+import { addSectionToPath } from './learning-paths.js';
+import { isFlashcardParagraph, toggleFlashcardParagraph, openStudySession } from './flashcards.js';
+import { getSectionLock, isOwnLock, requireUnlocked, checkOutSection, checkInSection, forceUnlockSection } from './section-locks.js';
+import { can, requirePermission } from './permissions.js';
 import { showError, showSuccess, showNotification, showConfirm, showPrompt } from './message-center.js';
 
 let contextMenu = null;
 let currentNodeId = null;
 let currentNodeElement = null;
 
+// Permission needed for each menu action; print and export are open to every role
+const ACTION_PERMISSIONS = {
+    'undo': 'edit',
+    'add-subnode': 'edit',
+    'add-rootnode': 'edit',
+    'pending': 'edit',
+    'delete': 'purge',
+    'move': 'edit',
+    'add-reference': 'edit',
+    'add-to-path': 'manageTraining',
+    'toggle-flashcard': 'edit'
+};
+
+// Actions refused while another user has the section checked out; true where
+// the action also affects its subsections
+const LOCKED_ACTIONS = {
+    'pending': true,
+    'delete': true,
+    'move': true,
+    'add-reference': false,
+    'toggle-flashcard': false
+};
+
 /**
  * Initialize context menu functionality
  */
@@ -83,6 +115,43 @@ function createContextMenuElement() {
             <span class="context-menu-icon">🔗</span>
             <span>Add Reference...</span>
         </div>
+        <div class="context-menu-item" data-action="add-comment">
+            <span class="context-menu-icon">💬</span>
+            <span>Add Comment...</span>
+        </div>
+        <div class="context-menu-item" data-action="quiz">
+            <span class="context-menu-icon">❓</span>
+            <span>Quiz...</span>
+        </div>
+        <div class="context-menu-item" data-action="read-and-sign">
+            <span class="context-menu-icon">✍️</span>
+            <span>Read and Sign...</span>
+        </div>
+        <div class="context-menu-item" data-action="add-to-path">
+            <span class="context-menu-icon">🎓</span>
+            <span>Add to Learning Path...</span>
+        </div>
+        <div class="context-menu-item" data-action="study-flashcards">
+            <span class="context-menu-icon">🃏</span>
+            <span>Study Flashcards...</span>
+        </div>
+        <div class="context-menu-item" data-action="toggle-flashcard" id="context-menu-flashcard">
+            <span class="context-menu-icon">🃏</span>
+            <span>Mark as Flashcard</span>
+        </div>
+        <div class="context-menu-item" data-action="toggle-lock" id="context-menu-lock">
+            <span class="context-menu-icon">🔒</span>
+            <span>Check Out...</span>
+        </div>
+        <div class="context-menu-divider"></div>
+        <div class="context-menu-item" data-action="print-section">
+            <span class="context-menu-icon">🖨️</span>
+            <span>Print This Section</span>
+        </div>
+        <div class="context-menu-item" data-action="export-section">
+            <span class="context-menu-icon">📤</span>
+            <span>Export This Section...</span>
+        </div>
     `;
     
     // Add click handlers for menu items
@@ -138,10 +207,19 @@ function handleContextMenu(event) {
 function showContextMenu(x, y) {
     if (!contextMenu) return;
     
+    // Disable actions the current user's role does not allow
+    contextMenu.querySelectorAll('.context-menu-item[data-action]').forEach(item => {
+        const permission = ACTION_PERMISSIONS[item.getAttribute('data-action')];
+        item.classList.toggle('disabled', Boolean(permission) && !can(permission));
+    });
+    
+    updateLockMenuItem();
+    updateFlashcardMenuItem();
+    
     // Update undo menu item state
     const undoItem = contextMenu.querySelector('[data-action="undo"]');
     if (undoItem) {
-        const undoAvailable = canUndo();
+        const undoAvailable = canUndo() && can('edit');
         const undoCount = getUndoCount();
         
         if (undoAvailable) {
@@ -227,6 +305,15 @@ function handleMenuItemClick(event) {
     
     hideContextMenu();
     
+    const permission = ACTION_PERMISSIONS[action];
+    if (permission && !requirePermission(permission)) {
+        return;
+    }
+    
+    if (action in LOCKED_ACTIONS && nodeIdToProcess && !requireUnlocked(nodeIdToProcess, LOCKED_ACTIONS[action])) {
+        return;
+    }
+    
     // Handle undo action separately (doesn't require a node ID)
     if (action === 'undo') {
         handleUndo();
@@ -262,6 +349,33 @@ function handleMenuItemClick(event) {
         case 'add-reference':
             handleAddReference();
             break;
+        case 'add-comment':
+            handleAddComment(nodeElementToProcess);
+            break;
+        case 'quiz':
+            openQuiz(currentNodeId);
+            break;
+        case 'read-and-sign':
+            openReadAndSign(currentNodeId);
+            break;
+        case 'add-to-path':
+            addSectionToPath(currentNodeId);
+            break;
+        case 'study-flashcards':
+            openStudySession([currentNodeId]);
+            break;
+        case 'toggle-flashcard':
+            handleToggleFlashcard(nodeElementToProcess);
+            break;
+        case 'toggle-lock':
+            handleToggleLock(currentNodeId);
+            break;
+        case 'print-section':
+            printSections([currentNodeId]);
+            break;
+        case 'export-section':
+            exportSections([currentNodeId]);
+            break;
     }
     
     // Clear after action completes
@@ -286,11 +400,98 @@ async function handleUndo() {
     }
 }
 
+/**
+ * Labels the lock item for the current node: check out, check in, or force unlock
+ */
+function updateLockMenuItem() {
+    const lockItem = contextMenu.querySelector('[data-action="toggle-lock"]');
+    if (!lockItem || !currentNodeId) return;
+    
+    const lock = getSectionLock(currentNodeId);
+    
+    let icon = '🔒';
+    let label = 'Check Out...';
+    let allowed = can('edit');
+    if (lock && isOwnLock(lock)) {
+        icon = '🔓';
+        label = 'Check In';
+    } else if (lock) {
+        icon = '🔓';
+        label = `Force Unlock (${lock.owner})...`;
+        allowed = can('forceUnlock');
+    }
+    
+    lockItem.querySelector('.context-menu-icon').textContent = icon;
+    lockItem.querySelector('span:last-child').textContent = label;
+    lockItem.classList.toggle('disabled', !allowed);
+}
+
+/**
+ * Shows the flashcard mark item on paragraphs only, labelled for the paragraph's current mark
+ */
+function updateFlashcardMenuItem() {
+    const flashcardItem = contextMenu.querySelector('[data-action="toggle-flashcard"]');
+    if (!flashcardItem) return;
+    
+    const paragraph = getContentItemParagraph(currentNodeElement);
+    flashcardItem.style.display = paragraph ? '' : 'none';
+    if (!paragraph) return;
+    
+    const node = findNodeById(stateManager.getDocumentStructure() || [], paragraph.nodeId);
+    flashcardItem.querySelector('span:last-child').textContent = isFlashcardParagraph(node, paragraph.index)
+        ? 'Unmark Flashcard'
+        : 'Mark as Flashcard';
+}
+
+/**
+ * Marks or unmarks the right-clicked paragraph as a flashcard
+ * @param {HTMLElement} element - The content item
+ */
+function handleToggleFlashcard(element) {
+    const paragraph = getContentItemParagraph(element);
+    if (paragraph) {
+        toggleFlashcardParagraph(paragraph.nodeId, paragraph.index);
+    }
+}
+
+/**
+ * Node ID and paragraph index of a content item
+ * @param {HTMLElement} element - Right-clicked element
+ * @returns {{nodeId: string, index: number}|null} The paragraph, or null if the element is not a content item
+ */
+function getContentItemParagraph(element) {
+    // Content item IDs are c<nodeId>_<index>
+    const match = element && element.classList.contains('content-list-item')
+        ? /^c(.+)_(\d+)$/.exec(element.id)
+        : null;
+    return match ? { nodeId: match[1], index: parseInt(match[2], 10) } : null;
+}
+
+/**
+ * Check the node out, check it in, or force-unlock it, depending on who holds its lock
+ * @param {string} nodeId - The node ID
+ */
+function handleToggleLock(nodeId) {
+    const lock = getSectionLock(nodeId);
+    
+    if (!lock) {
+        checkOutSection(nodeId);
+    } else if (isOwnLock(lock)) {
+        checkInSection(nodeId);
+    } else {
+        forceUnlockSection(nodeId);
+    }
+}
+
 /**
  * Add a subnode (child) to the current node
  * @param {string} nodeId - Optional node ID to add subnode to (uses currentNodeId if not provided)
  */
 export async function handleAddSubnode(nodeId = null) {
+    if (!requirePermission('edit')) {
+        return;
+    }
+    
     const targetNodeId = nodeId || currentNodeId;
     
     console.log('=== ADD SUBNODE CLICKED ===');
@@ -304,6 +505,10 @@ export async function handleAddSubnode(nodeId = null) {
         return;
     }
     
+    if (!requireUnlocked(targetNodeId)) {
+        return;
+    }
+    
     const nodeName = await showPrompt('Enter name for new subnode:', 'New Subnode', 'Subnode name');
     if (!nodeName) {
         console.log('User cancelled subnode creation');
@@ -377,6 +582,10 @@ export async function handleAddSubnode(nodeId = null) {
  * @param {string} nodeId - Optional node ID to add root node after (uses currentNodeId if not provided)
  */
 export async function handleAddRootNode(nodeId = null) {
+    if (!requirePermission('edit')) {
+        return;
+    }
+    
     const targetNodeId = nodeId || currentNodeId;
     
     console.log('=== ADD ROOT NODE CLICKED ===');
@@ -709,6 +918,9 @@ async function showMoveDialog(targetList, sourceNode) {
     }
     
     const target = targetList[selectedIndex];
+    if (target.id !== '__ROOT__' && !requireUnlocked(target.id)) {
+        return;
+    }
     executeMoveNode(sourceNode, target);
 }
 
@@ -802,6 +1014,23 @@ async function handleAddReference() {
     showAddReferenceDialog(nodeList, sourceNode);
 }
 
+/**
+ * Comment on the section, or on the paragraph when opened on a content item
+ * @param {HTMLElement} element - Section link or content item the menu was opened on
+ */
+function handleAddComment(element) {
+    // Content item IDs are c<nodeId>_<index>
+    const match = element && element.classList.contains('content-list-item')
+        ? /^c(.+)_(\d+)$/.exec(element.id)
+        : null;
+
+    if (match) {
+        addCommentThread(match[1], parseInt(match[2], 10));
+    } else {
+        addCommentThread(currentNodeId);
+    }
+}
+
 /**
  * Build list of all nodes for reference selection
  */
@@ -817,6 +1046,7 @@ function buildNodeList(nodes, excludeId, level = 0) {
         
         list.push({
             id: node.id,
+            uid: node.uid,
             display: display,
             name: nodeName
         });
@@ -871,11 +1101,13 @@ function addReferencesToNode(node, referencedNodes) {
         node.references = [];
     }
     
-    // Add new references (avoid duplicates)
+    // Add new references (avoid duplicates). The uid is what the reference
+    // resolves through; id and name only record what it pointed at when added.
     for (const refNode of referencedNodes) {
-        const exists = node.references.some(ref => ref.id === refNode.id);
+        const exists = node.references.some(ref => (ref.uid ? ref.uid === refNode.uid : ref.id === refNode.id));
         if (!exists) {
             node.references.push({
+                uid: refNode.uid,
                 id: refNode.id,
                 name: refNode.name
             });
@@ -900,7 +1132,12 @@ export function navigateToReference(nodeId) {
     
     if (!targetNode) {
         console.error('Referenced node not found:', nodeId);
-        showError('Referenced section not found.');
+        showConfirm('Referenced section not found. Check all references now?', 'Check References', 'Close')
+            .then(confirmed => {
+                if (confirmed) {
+                    showReferenceReport();
+                }
+            });
         return;
     }
     
@@ -6,15 +6,25 @@
 import DocumentNode from './documentnode.js';
 import { stateManager } from './state-manager.js';
 import { reconstructTreeFromFlatList, validateFlatList } from './tree-reconstruction.js';
-import { renderDocumentStructure } from './tree-renderer.js';
+import { renderDocumentStructure, findNodeById, findNodeByUid, migrateCollapsedNodeIds } from './tree-renderer.js';
+import { loadContentForEditing, clearContentList } from './content-editor.js';
 import { 
     saveDocumentToStorage, 
+    savePendingToStorage,
     loadDocumentFromStorage,
     saveRevisionsToStorage,
     loadRevisionsFromStorage,
+    loadPendingFromStorage,
+    loadVersionHistoryFromStorage,
+    loadDocumentTitles,
+    loadUsersFromStorage,
+    createStoredDocument,
+    setActiveDocument,
     scheduleAutoSave
 } from './storage-manager.js';
 import {
+    initializeVersionedDocument,
+    importVersionHistory,
     saveWorkingCopy,
     commitChanges,
     exportVersionedDocument,
@@ -25,7 +35,10 @@ import {
     getCurrentDocument
 } from './version-control.js';
 import { renderPendingItems } from './pending-manager.js';
+import { isMarkdownFile, parseMarkdown, showImportPreview, assignIds } from './markdown-import.js';
 import { showError, showSuccess, showNotification, showConfirm, showPrompt } from './message-center.js';
+import { can, requirePermission } from './permissions.js';
+import { requireUnlocked, releaseSectionLocks } from './section-locks.js';
 
 /**
  * Imports a JSON document and updates the document structure
@@ -68,8 +81,9 @@ export function handleFileImport(file) {
             return;
         }
 
-        if (!file.name.endsWith('.json')) {
-            reject(new Error('Only JSON files are supported'));
+        const isMarkdown = isMarkdownFile(file.name);
+        if (!file.name.endsWith('.json') && !isMarkdown) {
+            reject(new Error('Only JSON and Markdown files are supported'));
             return;
         }
 
@@ -77,8 +91,10 @@ export function handleFileImport(file) {
 
         reader.onload = (e) => {
             try {
-                const jsonContent = e.target.result;
-                const importedDocument = importJsonDocument(jsonContent);
+                const fileContent = e.target.result;
+                const importedDocument = isMarkdown
+                    ? parseMarkdown(fileContent)
+                    : importJsonDocument(fileContent);
                 
                 // Validate the structure
                 const validation = validateFlatList(importedDocument);
@@ -91,6 +107,8 @@ export function handleFileImport(file) {
                 const rootNodes = importedDocument.map(jsonNode => 
                     DocumentNode.fromJSON(jsonNode, null)
                 );
+                // Files exported before nodes had uids reference sections by ID only
+                DocumentNode.linkReferenceUids(rootNodes);
 
                 resolve(rootNodes);
 
@@ -128,6 +146,13 @@ export function initializeFileInput(inputId = 'fileInput') {
         }
 
         try {
+            // Markdown goes through the preview so the user can replace or merge
+            if (isMarkdownFile(file.name)) {
+                await importMarkdownDocument(file);
+                fileInput.value = '';
+                return;
+            }
+
             const rootNodes = await handleFileImport(file);
             
             // Update state
@@ -145,6 +170,52 @@ export function initializeFileInput(inputId = 'fileInput') {
     });
 }
 
+/**
+ * Imports a Markdown file after showing a preview of the resulting tree.
+ * The imported sections either replace the current tree or are appended
+ * after it; the result is saved as an uncommitted working copy.
+ * @param {File} file - The Markdown file
+ * @returns {Promise<boolean>} True if the import was applied
+ */
+export async function importMarkdownDocument(file) {
+    try {
+        const importedNodes = parseMarkdown(await file.text());
+
+        if (importedNodes.length === 0) {
+            showError('No headings or content found in the Markdown file');
+            return false;
+        }
+
+        const mode = await showImportPreview(importedNodes, file.name);
+        if (!mode) {
+            return false;
+        }
+
+        let combined = importedNodes;
+        if (mode === 'merge') {
+            const currentJson = (stateManager.getDocumentStructure() || []).map(node => node.toJSON());
+            assignIds(importedNodes, null, currentJson.length + 1);
+            combined = currentJson.concat(importedNodes);
+        }
+
+        DocumentNode._existingIds.clear();
+        const rootNodes = combined.map(jsonNode => DocumentNode.fromJSON(jsonNode, null));
+
+        stateManager.setDocumentStructure(rootNodes);
+        await initializeTreeState(rootNodes);
+        saveDocument();
+
+        const action = mode === 'merge' ? 'Merged' : 'Imported';
+        showSuccess(`${action} ${importedNodes.length} sections from ${file.name}`);
+        return true;
+
+    } catch (error) {
+        console.error('Error importing Markdown:', error);
+        showError(`Markdown import failed: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Exports the current versioned document (with full history) as JSON
  * @returns {string} JSON string representation with version history
@@ -340,12 +411,22 @@ export function saveDocument(docId) {
  */
 export async function commitDocument(docId, commitMessage = '', author = 'User') {
     try {
+        if (!requirePermission('commit')) {
+            return { success: false, message: 'Not permitted' };
+        }
+
         // Check if there are uncommitted changes
         if (!hasUncommittedChanges()) {
             showError('No changes to commit. Make changes and save first.');
             return { success: false, message: 'No changes to commit' };
         }
 
+        // Warn about broken or out-of-date references (dynamic import to avoid circular dependency)
+        const { confirmReferencesBeforeCommit } = await import('./reference-checker.js');
+        if (!(await confirmReferencesBeforeCommit())) {
+            return { success: false, message: 'Commit cancelled' };
+        }
+
         // Prompt for commit message if not provided
         let message = commitMessage;
         if (!message) {
@@ -411,7 +492,7 @@ export async function commitDocument(docId, commitMessage = '', author = 'User')
             // Refresh revision list
             window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
             
-            showSuccess(`Successfully committed version ${result.version}: ${message}`);
+            showSuccess(`Committed version ${result.version} for review: ${message}`);
         }
 
         return result;
@@ -479,6 +560,10 @@ export async function deleteNode(nodeId) {
             throw new Error('Node ID is required');
         }
 
+        if (!requireUnlocked(nodeId, true)) {
+            return;
+        }
+
         // Get current document structure
         const documentStructure = stateManager.getDocumentStructure();
         
@@ -582,23 +667,27 @@ function findAndDeleteNode(nodes, targetId) {
 }
 
 /**
- * Unlocks a document for editing
- * TODO: Implement document locking mechanism
- * @param {string} docId - The document ID to unlock
+ * Releases the section check-outs of the open document: the current user's,
+ * or every user's for roles that may force-unlock
+ * @returns {Promise<number>} Number of sections released
  */
-export function unlockDocument(docId) {
+export async function unlockDocument() {
     try {
-        console.log(`Unlocking document ${docId}...`);
-        
-        // TODO: Implement unlock logic
-        // TODO: Check permissions
-        // TODO: Update lock status
+        const allUsers = can('forceUnlock') &&
+            await showConfirm('Release the sections checked out by every user, or only yours?', 'All Users', 'Only Mine');
 
-        console.log('Document unlocked successfully');
+        const released = releaseSectionLocks(allUsers);
+        if (released === 0) {
+            showNotification('No checked-out sections to release');
+        } else {
+            showSuccess(`Released ${released} checked-out section${released === 1 ? '' : 's'}`);
+        }
+        return released;
 
     } catch (error) {
-        console.error(`Error unlocking document ${docId}:`, error);
-        throw error;
+        console.error('Error unlocking document:', error);
+        showError(`Failed to release checked-out sections: ${error.message}`);
+        return 0;
     }
 }
 
@@ -623,6 +712,15 @@ export async function createNewDocument() {
             }
         }
 
+        // Start a new library document so the current one is kept
+        const newDocumentId = await createStoredDocument('New Document');
+        await setActiveDocument(newDocumentId);
+
+        const titleElement = document.getElementById('document-name');
+        const subtitleElement = document.getElementById('document-subtitle');
+        if (titleElement) titleElement.value = 'New Document';
+        if (subtitleElement) subtitleElement.value = '';
+
         // Clear existing IDs
         console.log('Clearing existing DocumentNode IDs...');
         DocumentNode._existingIds.clear();
@@ -678,6 +776,8 @@ export async function createNewDocument() {
         // Clear any existing revision history
         console.log('Clearing revision history...');
         saveRevisionsToStorage([]);
+        initializeVersionedDocument('New Document', rootNodes, []);
+        window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
         console.log('Revision history cleared');
         
         // Save the new blank document
@@ -798,6 +898,16 @@ export async function loadInitialData(testData = null) {
 
             console.log('Hydrated to DocumentNode instances:', rootNodes.length, 'root nodes');
 
+            // Older documents have no permanent node uids; store the ones just generated.
+            // References and collapse state saved by positional ID are moved to uids
+            // now, while those IDs still name the sections they were made for.
+            const referencesLinked = DocumentNode.linkReferenceUids(rootNodes);
+            if (DocumentNode.needsUidMigration(savedDocument) || referencesLinked) {
+                console.log('Migrating document to permanent node uids');
+                migrateCollapsedNodeIds(rootNodes);
+                saveDocumentToStorage(rootNodes);
+            }
+
             // Update state first
             stateManager.setDocumentStructure(rootNodes);
             
@@ -840,6 +950,72 @@ export async function loadInitialData(testData = null) {
     }
 }
 
+/**
+ * Restores the stored version history of the active document, or starts
+ * a new one when the document has never been committed
+ * @param {string} documentName - Name used for a new history
+ * @param {Object[]} loadedData - Document structure that was loaded
+ * @param {Object[]} pendingItems - Pending items that were loaded
+ * @returns {boolean} True if a stored history was restored
+ */
+export function restoreVersionHistory(documentName, loadedData = [], pendingItems = []) {
+    const storedHistory = loadVersionHistoryFromStorage();
+
+    if (storedHistory && importVersionHistory(storedHistory)) {
+        // Bring the working copy up to date with the auto-saved structure
+        saveWorkingCopy(loadedData, pendingItems);
+        updateSaveCommitUI(hasUncommittedChanges());
+        return true;
+    }
+
+    initializeVersionedDocument(documentName, loadedData, pendingItems);
+    updateSaveCommitUI(false);
+    return false;
+}
+
+/**
+ * Opens a document from the library and loads it into the editor
+ * @param {string} documentId - Id of the stored document
+ * @returns {Promise<boolean>} True if the document was opened
+ */
+export async function openStoredDocument(documentId) {
+    try {
+        await setActiveDocument(documentId);
+
+        // Title and subtitle
+        const titles = loadDocumentTitles() || { title: '', subtitle: '' };
+        const titleElement = document.getElementById('document-name');
+        const subtitleElement = document.getElementById('document-subtitle');
+        if (titleElement) titleElement.value = titles.title;
+        if (subtitleElement) subtitleElement.value = titles.subtitle;
+
+        // Pending items
+        const pendingItems = loadPendingFromStorage() || [];
+        stateManager.setPendingItems(pendingItems);
+        renderPendingItems();
+
+        // Users
+        const usersData = loadUsersFromStorage();
+        if (usersData) {
+            const { importUsersData } = await import('./user-manager.js');
+            importUsersData(usersData);
+        }
+
+        // Document tree and version history
+        const loadedData = await loadInitialData();
+        restoreVersionHistory(titles.title || 'Untitled Document', loadedData, pendingItems);
+        window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
+
+        showSuccess(`Opened "${titles.title || 'Untitled Document'}"`);
+        return true;
+
+    } catch (error) {
+        console.error(`Error opening document ${documentId}:`, error);
+        showError(`Failed to open document: ${error.message}`);
+        return false;
+    }
+}
+
 /**
  * Loads test/demo data into the application
  * @param {Object[]} testData - Array of test document nodes
@@ -873,6 +1049,119 @@ export function loadTestData(testData) {
     }
 }
 
+/**
+ * Replaces the tree with a state that arrived from elsewhere (another tab or a
+ * collaborator), saves it as the working copy and reloads the editor panes whose section changed. A pane
+ * whose title is being typed in is reloaded once the user leaves it.
+ * @param {Object} state - { structure, pendingItems } as plain data; pendingItems is optional
+ * @returns {DocumentNode[]} The new root nodes
+ */
+export function replaceDocumentState(state) {
+    const previousStructure = stateManager.getDocumentStructure() || [];
+    const currentUid = stateManager.getCurrentEditingItem()?.uid || null;
+
+    // What each editor pane shows, so it can be found again by uid
+    const panes = Array.from(document.querySelectorAll('#editor-panels .editor-pane')).map(pane => {
+        const heading = pane.querySelector('#contentID, .content-id');
+        const node = heading ? findNodeById(previousStructure, heading.textContent.trim()) : null;
+        return { pane, uid: node?.uid || null, fingerprint: node ? paneFingerprint(node) : null };
+    });
+
+    if (state.pendingItems &&
+        JSON.stringify(state.pendingItems) !== JSON.stringify(stateManager.getPendingItems() || [])) {
+        stateManager.setPendingItems(JSON.parse(JSON.stringify(state.pendingItems)));
+        renderPendingItems();
+    }
+
+    DocumentNode._existingIds.clear();
+    const rootNodes = state.structure.map(jsonNode => DocumentNode.fromJSON(jsonNode, null));
+    stateManager.setDocumentStructure(rootNodes);
+    renderDocumentStructure(rootNodes);
+
+    // The received state becomes this tab's working copy and is stored right away
+    const pendingItems = stateManager.getPendingItems() || [];
+    saveWorkingCopy(rootNodes, pendingItems);
+    saveDocumentToStorage(rootNodes);
+    savePendingToStorage(pendingItems);
+
+    // Loading a pane makes its section the editing item, so the primary pane goes last
+    panes.sort((a, b) => a.pane.classList.contains('primary') - b.pane.classList.contains('primary'));
+    panes.forEach(({ pane, uid, fingerprint }) => {
+        if (!uid) {
+            return;
+        }
+        const node = findNodeByUid(rootNodes, uid);
+        if (node && paneFingerprint(node) === fingerprint) {
+            return;
+        }
+        if (pane.contains(document.activeElement) && document.activeElement.matches('#contentTitle, .content-title')) {
+            reloadPaneOnLeave(pane, uid);
+        } else {
+            reloadPane(pane, node);
+        }
+    });
+
+    // Edits go to the editing item, which must be the node now in the tree
+    stateManager.setCurrentEditingItem(currentUid ? findNodeByUid(rootNodes, currentUid) : null);
+
+    return rootNodes;
+}
+
+/**
+ * Shows a section in an editor pane, or empties the pane if the section is gone
+ * @private
+ * @param {HTMLElement} pane - Editor pane
+ * @param {Object|null} node - Section to show
+ */
+function reloadPane(pane, node) {
+    if (node) {
+        loadContentForEditing(node, pane);
+        return;
+    }
+    const heading = pane.querySelector('#contentID, .content-id');
+    if (heading) {
+        heading.textContent = '';
+    }
+    const title = pane.querySelector('#contentTitle, .content-title');
+    if (title) {
+        title.value = '';
+    }
+    clearContentList(pane.querySelector('#myList, .content-list'));
+}
+
+/**
+ * Reloads a pane from the current tree once focus leaves it
+ * @private
+ * @param {HTMLElement} pane - Editor pane being typed in
+ * @param {string} uid - Section the pane shows
+ */
+function reloadPaneOnLeave(pane, uid) {
+    if (pane.dataset.reloadOnLeave) {
+        return;
+    }
+    pane.dataset.reloadOnLeave = 'true';
+
+    const handleFocusOut = (event) => {
+        if (pane.contains(event.relatedTarget)) {
+            return;
+        }
+        pane.removeEventListener('focusout', handleFocusOut);
+        delete pane.dataset.reloadOnLeave;
+        reloadPane(pane, findNodeByUid(stateManager.getDocumentStructure() || [], uid));
+    };
+    pane.addEventListener('focusout', handleFocusOut);
+}
+
+/**
+ * What an editor pane shows of a node; the pane is reloaded when it changes
+ * @private
+ * @param {Object} node - Section
+ * @returns {string} Fingerprint
+ */
+function paneFingerprint(node) {
+    return JSON.stringify([node.id, node.name, node.content || []]);
+}
+
 /**
  * Export complete document with version history
  */
@@ -963,6 +1252,13 @@ export async function importCompleteDocument() {
             const file = e.target.files[0];
             if (!file) return;
             
+            // Markdown files become the document tree rather than a full package
+            if (isMarkdownFile(file.name)) {
+                await importMarkdownDocument(file);
+                fileInput.value = '';
+                return;
+            }
+            
             try {
                 const text = await file.text();
                 const importData = JSON.parse(text);
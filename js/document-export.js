@@ -0,0 +1,235 @@
+/**
+ * Document Export Module
+ * Markdown and standalone HTML export of the working copy or a committed version
+ */
+
+import { stateManager } from './state-manager.js';
+import { getVersionHistory, getDocumentAtVersion, getLatestReleasedVersion, isVersionReleased } from './version-control.js';
+import { saveFile } from './storage-manager.js';
+import {
+    generateNodeHTML,
+    getPrintStyles,
+    getNodeSectionNumber,
+    getParagraphNumber,
+    formatTextContent,
+    buildReferenceNumbers,
+    formatReferenceText,
+    getVersionLabel
+} from './print-formatter.js';
+import { showError, showSuccess, showPrompt } from './message-center.js';
+
+// Supported export formats
+const EXPORT_FORMATS = {
+    markdown: {
+        label: 'Markdown',
+        description: 'Markdown Files',
+        mimeType: 'text/markdown',
+        extension: '.md'
+    },
+    html: {
+        label: 'HTML',
+        description: 'HTML Files',
+        mimeType: 'text/html',
+        extension: '.html'
+    }
+};
+
+/**
+ * Asks which version of the document to use: the working copy or a commit
+ * @param {string} actionLabel - Verb shown in the prompt, e.g. "Export"
+ * @returns {Promise<Object|null>} { nodes, version, versionLabel }, or null if cancelled
+ */
+export async function chooseDocumentVersion(actionLabel = 'Export') {
+    const history = [...getVersionHistory()].reverse();
+
+    let message = `${actionLabel} which version?\n\n`;
+    message += '1. Current working copy\n';
+    history.forEach((commit, index) => {
+        const date = new Date(commit.timestamp).toLocaleDateString();
+        const released = isVersionReleased(commit.version) ? ' - released' : '';
+        message += `${index + 2}. v${commit.version} - ${commit.message || 'No message'} (${date}${released})\n`;
+    });
+    message += `\nEnter number (1-${history.length + 1}) or 0 to cancel:`;
+
+    // Offer the latest release first; without one, the working copy
+    const latestReleased = getLatestReleasedVersion();
+    const defaultChoice = latestReleased === null
+        ? 1
+        : history.findIndex(commit => commit.version === latestReleased) + 2;
+
+    const selection = await showPrompt(message, String(defaultChoice), 'Enter number');
+    if (!selection || selection === '0') {
+        return null;
+    }
+
+    const selectedIndex = parseInt(selection, 10) - 1;
+    if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex > history.length) {
+        showError('Invalid selection');
+        return null;
+    }
+
+    if (selectedIndex === 0) {
+        const structure = stateManager.getDocumentStructure() || [];
+        return {
+            nodes: structure.map(node => (typeof node.toJSON === 'function' ? node.toJSON() : node)),
+            version: null,
+            versionLabel: 'Working copy'
+        };
+    }
+
+    const commit = history[selectedIndex - 1];
+    return {
+        nodes: getDocumentAtVersion(commit.version) || [],
+        version: commit.version,
+        versionLabel: getVersionLabel(commit.version)
+    };
+}
+
+/**
+ * Generates Markdown for a document tree.
+ * Sections become headings numbered 1.2.3 and paragraphs are prefixed 1.2.3a.
+ * @param {Object[]} nodes - Root document nodes
+ * @param {string} title - Document title
+ * @param {string} subtitle - Document subtitle
+ * @param {string} versionLabel - Version shown under the title
+ * @param {Map} referenceNumbers - Section numbers for [[ref:…]] tokens; defaults to those of nodes
+ * @returns {string} Markdown text
+ */
+export function generateMarkdown(nodes, title, subtitle = '', versionLabel = '', referenceNumbers = buildReferenceNumbers(nodes)) {
+    const lines = [`# ${title || 'Untitled Document'}`, ''];
+
+    if (subtitle) {
+        lines.push(`_${subtitle}_`, '');
+    }
+
+    const details = [versionLabel, `Generated: ${new Date().toLocaleDateString()}`].filter(Boolean);
+    lines.push(details.join(' · '), '');
+
+    const appendNodes = (list, level, parentNumber) => {
+        list.forEach((node, index) => {
+            const sectionNumber = getNodeSectionNumber(node, parentNumber, index);
+            const hashes = '#'.repeat(Math.min(level + 1, 6));
+            lines.push(`${hashes} ${sectionNumber} ${node.title || node.name || 'Untitled'}`, '');
+
+            formatTextContent(node.content).forEach((paragraph, pIndex) => {
+                // Keep line breaks inside a paragraph as Markdown hard breaks
+                const text = formatReferenceText(paragraph.trim(), referenceNumbers).split('\n').join('  \n');
+                lines.push(`**${getParagraphNumber(sectionNumber, pIndex)}** ${text}`, '');
+            });
+
+            appendNodes(node.children || [], level + 1, sectionNumber);
+        });
+    };
+
+    appendNodes(nodes, 1, '');
+    return lines.join('\n');
+}
+
+/**
+ * Generates a standalone HTML page for a document tree
+ * @param {Object[]} nodes - Root document nodes
+ * @param {string} title - Document title
+ * @param {string} subtitle - Document subtitle
+ * @param {string} versionLabel - Version shown under the title
+ * @param {Map} referenceNumbers - Section numbers for [[ref:…]] tokens; defaults to those of nodes
+ * @returns {string} Complete HTML document
+ */
+export function generateStandaloneHTML(nodes, title, subtitle = '', versionLabel = '', referenceNumbers = buildReferenceNumbers(nodes)) {
+    const safeTitle = escapeHtml(title || 'Untitled Document');
+    const details = [versionLabel, `Generated: ${new Date().toLocaleDateString()}`].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${safeTitle}</title>
+    <style>
+        ${getPrintStyles(false)}
+
+        @media screen {
+            body {
+                padding: 2em 1em;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="print-header">
+        <h1 class="print-title">${safeTitle}</h1>
+        ${subtitle ? `<p class="print-subtitle">${escapeHtml(subtitle)}</p>` : ''}
+        <p class="print-date">${escapeHtml(details.join(' · '))}</p>
+    </div>
+
+    <div class="print-content">
+        ${generateNodeHTML(nodes, 1, '', referenceNumbers)}
+    </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Exports the working copy or a chosen committed version to a file
+ * @param {string} format - 'markdown' or 'html'
+ * @returns {Promise<boolean>} True if the file was saved
+ */
+export async function exportDocumentAs(format) {
+    try {
+        const fileType = EXPORT_FORMATS[format];
+        if (!fileType) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const source = await chooseDocumentVersion(`Export as ${fileType.label}`);
+        if (!source) {
+            return false;
+        }
+
+        const title = document.getElementById('document-name')?.value || 'Untitled Document';
+        const subtitle = document.getElementById('document-subtitle')?.value || '';
+
+        const content = format === 'markdown'
+            ? generateMarkdown(source.nodes, title, subtitle, source.versionLabel)
+            : generateStandaloneHTML(source.nodes, title, subtitle, source.versionLabel);
+
+        const saved = await saveFile(content, buildExportFilename(title, source.version, fileType.extension), fileType);
+        if (saved) {
+            showSuccess(`Exported ${source.versionLabel.toLowerCase()} as ${fileType.label}`);
+        }
+        return saved;
+
+    } catch (error) {
+        console.error(`Error exporting document as ${format}:`, error);
+        showError(`Export failed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Builds a filename like "safety_manual_v3_2024-01-31.md"
+ * @param {string} title - Document title
+ * @param {number|null} version - Exported version, null for the working copy
+ * @param {string} extension - File extension including the dot
+ * @returns {string} Filename
+ */
+export function buildExportFilename(title, version, extension) {
+    const name = title.replace(/[^a-z0-9]/gi, '_').toLowerCase() || 'document';
+    const versionPart = version === null ? 'working' : `v${version}`;
+    const date = new Date().toISOString().split('T')[0];
+    return `${name}_${versionPart}_${date}${extension}`;
+}
+
+/**
+ * Escapes HTML special characters
+ * @private
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
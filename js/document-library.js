@@ -0,0 +1,243 @@
+/**
+ * Document Library Module
+ * Library screen for opening, renaming, duplicating and deleting stored documents
+ */
+
+import {
+    listDocuments,
+    renameStoredDocument,
+    duplicateStoredDocument,
+    deleteStoredDocument
+} from './storage-manager.js';
+import { openStoredDocument, createNewDocument } from './data-operations.js';
+import { showError, showSuccess, showConfirm, showPrompt } from './message-center.js';
+
+let libraryOverlay = null;
+
+/**
+ * Opens the document library screen
+ */
+export async function showDocumentLibrary() {
+    try {
+        if (!libraryOverlay) {
+            libraryOverlay = createLibraryOverlay();
+            document.body.appendChild(libraryOverlay);
+        }
+        await refreshDocumentLibrary();
+    } catch (error) {
+        console.error('Error opening document library:', error);
+        showError(`Failed to open library: ${error.message}`);
+    }
+}
+
+/**
+ * Closes the document library screen
+ */
+export function hideDocumentLibrary() {
+    if (libraryOverlay && libraryOverlay.parentNode) {
+        libraryOverlay.parentNode.removeChild(libraryOverlay);
+    }
+    libraryOverlay = null;
+}
+
+/**
+ * Re-renders the list of stored documents
+ */
+export async function refreshDocumentLibrary() {
+    if (!libraryOverlay) {
+        return;
+    }
+
+    const list = libraryOverlay.querySelector('.library-list');
+    const documents = await listDocuments();
+
+    list.innerHTML = '';
+
+    if (documents.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'library-empty';
+        empty.textContent = 'No saved documents yet';
+        list.appendChild(empty);
+        return;
+    }
+
+    documents.forEach(doc => list.appendChild(createLibraryItem(doc)));
+}
+
+/**
+ * Builds the library overlay skeleton
+ * @private
+ * @returns {HTMLElement} The overlay element
+ */
+function createLibraryOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = 'modal-dialog library-dialog';
+
+    const title = document.createElement('h3');
+    title.className = 'library-title';
+    title.textContent = 'Document Library';
+
+    const list = document.createElement('ul');
+    list.className = 'library-list';
+
+    const buttonContainer = document.createElement('div');
+    buttonContainer.className = 'modal-buttons';
+
+    const newBtn = document.createElement('button');
+    newBtn.textContent = 'New Document';
+    newBtn.className = 'modal-btn modal-btn-cancel';
+    newBtn.onclick = async () => {
+        hideDocumentLibrary();
+        await createNewDocument();
+    };
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = 'Close';
+    closeBtn.className = 'modal-btn modal-btn-confirm';
+    closeBtn.onclick = hideDocumentLibrary;
+
+    buttonContainer.appendChild(newBtn);
+    buttonContainer.appendChild(closeBtn);
+
+    modal.appendChild(title);
+    modal.appendChild(list);
+    modal.appendChild(buttonContainer);
+    overlay.appendChild(modal);
+
+    // Clicking the backdrop closes the library
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            hideDocumentLibrary();
+        }
+    });
+
+    return overlay;
+}
+
+/**
+ * Creates a row for one stored document
+ * @private
+ * @param {Object} doc - Document summary from listDocuments()
+ * @returns {HTMLElement} The list item
+ */
+function createLibraryItem(doc) {
+    const item = document.createElement('li');
+    item.className = `library-item${doc.isActive ? ' active' : ''}`;
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+
+    const name = document.createElement('div');
+    name.className = 'library-name';
+    name.textContent = doc.isActive ? `${doc.title} (open)` : doc.title;
+
+    const details = document.createElement('div');
+    details.className = 'library-details';
+    const modified = doc.lastModified ? new Date(doc.lastModified).toLocaleString() : '—';
+    details.textContent = `${doc.nodeCount} sections · ${doc.versionCount} versions · modified ${modified}`;
+
+    info.appendChild(name);
+    info.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'library-actions';
+
+    const buttons = [
+        { text: 'Open', handler: () => openDocument(doc), disabled: doc.isActive },
+        { text: 'Rename', handler: () => renameDocument(doc) },
+        { text: 'Duplicate', handler: () => duplicateDocument(doc) },
+        { text: 'Delete', handler: () => deleteDocument(doc), disabled: doc.isActive }
+    ];
+
+    buttons.forEach(({ text, handler, disabled }) => {
+        const button = document.createElement('button');
+        button.className = 'btn';
+        button.textContent = text;
+        button.disabled = Boolean(disabled);
+        button.onclick = handler;
+        actions.appendChild(button);
+    });
+
+    item.appendChild(info);
+    item.appendChild(actions);
+    return item;
+}
+
+/**
+ * Opens a stored document in the editor
+ * @private
+ */
+async function openDocument(doc) {
+    hideDocumentLibrary();
+    await openStoredDocument(doc.id);
+}
+
+/**
+ * Renames a stored document
+ * @private
+ */
+async function renameDocument(doc) {
+    try {
+        const title = await showPrompt('Rename document:', doc.title, 'Document title');
+        if (!title || !title.trim()) {
+            return;
+        }
+
+        await renameStoredDocument(doc.id, title.trim());
+
+        // Keep the title field in sync when renaming the open document
+        if (doc.isActive) {
+            const titleElement = document.getElementById('document-name');
+            if (titleElement) {
+                titleElement.value = title.trim();
+            }
+        }
+
+        await refreshDocumentLibrary();
+    } catch (error) {
+        console.error(`Error renaming document ${doc.id}:`, error);
+        showError(`Failed to rename document: ${error.message}`);
+    }
+}
+
+/**
+ * Duplicates a stored document
+ * @private
+ */
+async function duplicateDocument(doc) {
+    try {
+        await duplicateStoredDocument(doc.id);
+        await refreshDocumentLibrary();
+        showSuccess(`Duplicated "${doc.title}"`);
+    } catch (error) {
+        console.error(`Error duplicating document ${doc.id}:`, error);
+        showError(`Failed to duplicate document: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes a stored document after confirmation
+ * @private
+ */
+async function deleteDocument(doc) {
+    try {
+        const confirmed = await showConfirm(
+            `Delete "${doc.title}"?\n\nIts version history, pending items and users will be removed. This cannot be undone.`,
+            'Delete',
+            'Cancel'
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        await deleteStoredDocument(doc.id);
+        await refreshDocumentLibrary();
+        showSuccess(`Deleted "${doc.title}"`);
+    } catch (error) {
+        console.error(`Error deleting document ${doc.id}:`, error);
+        showError(`Failed to delete document: ${error.message}`);
+    }
+}
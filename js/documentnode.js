@@ -8,6 +8,7 @@
          */
         class DocumentNode {
             static _existingIds = new Set();
+            static _uidCounter = 0;
             
             constructor(id, name, content = [], children = [], parentId = null) {
                 let cleanedId = id;
@@ -17,6 +18,8 @@
                 DocumentNode._existingIds.add(cleanedId);
 
                 this.id = cleanedId;
+                // Permanent identity: unlike the positional ID it never changes when the node moves
+                this.uid = DocumentNode.generateUid();
                 this.name = name;
                 this.content = Array.isArray(content) ? content : [content]; 
                 this.children = Array.isArray(children) ? children : [];
@@ -228,14 +231,25 @@
             
             // --- Serialization/Deserialization & Utility Methods ---
             toJSON() {
-                return {
+                const json = {
                     id: this.id,
+                    uid: this.uid,
                     name: this.name,
                     content: this.content,
                     parentId: this.parentId,
                     children: this.children.map(child => child.toJSON()),
                     lastEditTime: this.lastEditTime
                 };
+                if (Array.isArray(this.references) && this.references.length > 0) {
+                    json.references = this.references;
+                }
+                if (Array.isArray(this.questions) && this.questions.length > 0) {
+                    json.questions = this.questions;
+                }
+                if (Array.isArray(this.flashcards) && this.flashcards.length > 0) {
+                    json.flashcards = this.flashcards;
+                }
+                return json;
             }
             static fromJSON(jsonNode, parentId = null) {
                 const node = new DocumentNode(
@@ -245,10 +259,25 @@
                     [],
                     parentId
                 );
+                // Documents saved before nodes had a uid keep the one generated above
+                if (jsonNode.uid) {
+                    node.uid = jsonNode.uid;
+                }
                 // Restore last edit time if available
                 if (jsonNode.lastEditTime) {
                     node.lastEditTime = jsonNode.lastEditTime;
                 }
+                if (Array.isArray(jsonNode.references)) {
+                    node.references = jsonNode.references.map(ref => ({ ...ref }));
+                }
+                // Quiz questions (see quiz-manager.js)
+                if (Array.isArray(jsonNode.questions)) {
+                    node.questions = JSON.parse(JSON.stringify(jsonNode.questions));
+                }
+                // Indexes of paragraphs marked as flashcards (see flashcards.js)
+                if (Array.isArray(jsonNode.flashcards)) {
+                    node.flashcards = [...jsonNode.flashcards];
+                }
                 if (Array.isArray(jsonNode.children)) {
                     node.children = jsonNode.children.map(childJson => {
                         return DocumentNode.fromJSON(childJson, node.id);
@@ -257,6 +286,68 @@
                 node.reIndexChildren();
                 return node;
             }
+            /**
+             * Generates a permanent node identifier, e.g. "n-lq2x8k0c-1f-8d3k"
+             */
+            static generateUid() {
+                DocumentNode._uidCounter++;
+                return `n-${Date.now().toString(36)}-${DocumentNode._uidCounter.toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+            }
+
+            /**
+             * Searches all root nodes for the node with the given permanent uid.
+             */
+            static searchMultipleRootsByUid(roots, targetUid) {
+                if (!Array.isArray(roots) || !targetUid) return null;
+
+                const findNode = (node) => {
+                    if (node.uid === targetUid) return node;
+                    for (const child of node.children || []) {
+                        const found = findNode(child);
+                        if (found) return found;
+                    }
+                    return null;
+                };
+
+                for (const root of roots) {
+                    const found = findNode(root);
+                    if (found) return found;
+                }
+                return null;
+            }
+
+            /**
+             * Checks whether any node in a plain JSON tree predates permanent uids.
+             */
+            static needsUidMigration(jsonNodes) {
+                return (jsonNodes || []).some(node =>
+                    !node.uid || DocumentNode.needsUidMigration(node.children)
+                );
+            }
+
+            /**
+             * Gives references saved before nodes had uids the uid of their target.
+             * Must run right after hydration, while the stored positional IDs still
+             * name the sections the references were made to.
+             * @returns {boolean} Whether any reference was changed
+             */
+            static linkReferenceUids(roots) {
+                let changed = false;
+                const visit = (node) => {
+                    (node.references || []).forEach(ref => {
+                        if (ref.uid || !ref.id) return;
+                        const target = DocumentNode.searchMultipleRootsById(roots, ref.id);
+                        if (target) {
+                            ref.uid = target.uid;
+                            changed = true;
+                        }
+                    });
+                    (node.children || []).forEach(visit);
+                };
+                (roots || []).forEach(visit);
+                return changed;
+            }
+
             static getUniqueSequentialId(baseId) {
                 let newId = baseId;
                 let iteration = 1;
@@ -0,0 +1,378 @@
+/**
+ * DOCX Export Module
+ * Generates Word documents in the browser with heading styles, 1.2.3a numbering,
+ * a title page and an optional revision table
+ */
+
+import { getVersionHistory, getReviewStatus, REVIEW_STATUS } from './version-control.js';
+import { saveFile } from './storage-manager.js';
+import { chooseDocumentVersion, buildExportFilename } from './document-export.js';
+import {
+    getNodeSectionNumber,
+    getParagraphNumber,
+    formatTextContent,
+    buildReferenceNumbers,
+    formatReferenceText
+} from './print-formatter.js';
+import { createZip } from './zip-writer.js';
+import { showError, showSuccess, showConfirm } from './message-center.js';
+
+const DOCX_FILE_TYPE = {
+    description: 'Word Documents',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extension: '.docx'
+};
+
+// Word supports built-in heading styles down to Heading 9
+const MAX_HEADING_LEVEL = 9;
+
+// Revision table columns with widths in twentieths of a point
+const REVISION_COLUMNS = [
+    { title: 'Version', width: 1000 },
+    { title: 'Date', width: 1500 },
+    { title: 'Author', width: 1800 },
+    { title: 'Approved by', width: 1800 },
+    { title: 'Description', width: 3260 }
+];
+
+const WORD_NAMESPACE = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+
+/**
+ * Builds a DOCX file for a document tree
+ * @param {Object[]} nodes - Root document nodes
+ * @param {Object} options - Export options
+ * @param {string} options.title - Document title, used for the title page
+ * @param {string} options.subtitle - Document subtitle
+ * @param {string} options.versionLabel - Version shown on the title page
+ * @param {Object[]|null} options.revisions - Commits for the revision table, or null to omit it
+ * @param {Map} options.referenceNumbers - Section numbers for [[ref:…]] tokens; defaults to those of nodes
+ * @returns {Uint8Array} The .docx file bytes
+ */
+export function generateDocx(nodes, options = {}) {
+    const title = options.title || 'Untitled Document';
+    const now = new Date();
+
+    return createZip([
+        { name: '[Content_Types].xml', content: buildContentTypes() },
+        { name: '_rels/.rels', content: buildPackageRelationships() },
+        { name: 'docProps/core.xml', content: buildCoreProperties(title, options.subtitle || '', now) },
+        { name: 'word/_rels/document.xml.rels', content: buildDocumentRelationships() },
+        { name: 'word/styles.xml', content: buildStyles() },
+        { name: 'word/document.xml', content: buildDocumentXml(nodes, { ...options, title }, now) }
+    ], now);
+}
+
+/**
+ * Exports the working copy or a chosen committed version as a Word document
+ * @returns {Promise<boolean>} True if the file was saved
+ */
+export async function exportDocumentAsDocx() {
+    try {
+        const source = await chooseDocumentVersion('Export as Word');
+        if (!source) {
+            return false;
+        }
+
+        const includeRevisions = await showConfirm(
+            'Include a revision history table after the title page?',
+            'Include',
+            'Skip'
+        );
+
+        // Only list commits up to the exported version
+        const revisions = includeRevisions
+            ? getVersionHistory().filter(commit => source.version === null || commit.version <= source.version)
+            : null;
+
+        const title = document.getElementById('document-name')?.value || 'Untitled Document';
+        const subtitle = document.getElementById('document-subtitle')?.value || '';
+
+        const bytes = generateDocx(source.nodes, {
+            title,
+            subtitle,
+            versionLabel: source.versionLabel,
+            revisions
+        });
+
+        const saved = await saveFile(bytes, buildExportFilename(title, source.version, DOCX_FILE_TYPE.extension), DOCX_FILE_TYPE);
+        if (saved) {
+            showSuccess(`Exported ${source.versionLabel.toLowerCase()} as Word document`);
+        }
+        return saved;
+
+    } catch (error) {
+        console.error('Error exporting DOCX:', error);
+        showError(`Word export failed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Builds word/document.xml
+ * @private
+ */
+function buildDocumentXml(nodes, options, now) {
+    const body = [];
+
+    // Title page
+    body.push(paragraph('Title', [textRun(options.title)]));
+    if (options.subtitle) {
+        body.push(paragraph('Subtitle', [textRun(options.subtitle)]));
+    }
+    const details = [options.versionLabel, `Generated: ${now.toLocaleDateString()}`].filter(Boolean);
+    details.forEach(detail => body.push(paragraph('TitleDetails', [textRun(detail)])));
+    body.push(pageBreak());
+
+    // Revision table
+    if (Array.isArray(options.revisions)) {
+        body.push(paragraph('RevisionHeading', [textRun('Revision History')]));
+        body.push(buildRevisionTable(options.revisions));
+        body.push(pageBreak());
+    }
+
+    appendSections(body, nodes, 1, '', options.referenceNumbers || buildReferenceNumbers(nodes));
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="${WORD_NAMESPACE}" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<w:body>
+${body.join('\n')}
+<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>
+</w:body>
+</w:document>`;
+}
+
+/**
+ * Appends headings and numbered paragraphs for a list of nodes
+ * @private
+ */
+function appendSections(body, nodes, level, parentNumber, referenceNumbers) {
+    (nodes || []).forEach((node, index) => {
+        const sectionNumber = getNodeSectionNumber(node, parentNumber, index);
+        const headingStyle = `Heading${Math.min(level, MAX_HEADING_LEVEL)}`;
+
+        body.push(paragraph(headingStyle, [
+            textRun(sectionNumber),
+            '<w:r><w:tab/></w:r>',
+            textRun(node.title || node.name || 'Untitled')
+        ]));
+
+        formatTextContent(node.content).forEach((text, pIndex) => {
+            body.push(paragraph('NumberedParagraph', [
+                textRun(getParagraphNumber(sectionNumber, pIndex), 'ParagraphNumber'),
+                '<w:r><w:tab/></w:r>',
+                ...multilineRuns(formatReferenceText(text.trim(), referenceNumbers))
+            ]));
+        });
+
+        appendSections(body, node.children, level + 1, sectionNumber, referenceNumbers);
+    });
+}
+
+/**
+ * Builds the revision history table
+ * @private
+ */
+function buildRevisionTable(revisions) {
+    const cell = (text, width, bold = false) =>
+        `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/></w:tcPr>` +
+        `<w:p>${bold ? `<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>` : textRun(text)}</w:p></w:tc>`;
+
+    const header = '<w:tr><w:trPr><w:tblHeader/></w:trPr>' +
+        REVISION_COLUMNS.map(column => cell(column.title, column.width, true)).join('') +
+        '</w:tr>';
+
+    const rows = revisions.length > 0
+        ? revisions.map(commit => {
+            const values = [
+                `v${commit.version}`,
+                new Date(commit.timestamp).toLocaleDateString(),
+                commit.userInfo?.name || commit.author || '',
+                getReviewStatus(commit) === REVIEW_STATUS.approved ? commit.review.reviewer : '',
+                commit.message || ''
+            ];
+            return '<w:tr>' + values.map((value, i) => cell(value, REVISION_COLUMNS[i].width)).join('') + '</w:tr>';
+        })
+        : ['<w:tr>' + REVISION_COLUMNS.map((column, i) => cell(i === 0 ? 'No committed versions' : '', column.width)).join('') + '</w:tr>'];
+
+    const grid = REVISION_COLUMNS.map(column => `<w:gridCol w:w="${column.width}"/>`).join('');
+
+    return `<w:tbl><w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="5000" w:type="pct"/></w:tblPr>` +
+        `<w:tblGrid>${grid}</w:tblGrid>${header}${rows.join('')}</w:tbl>`;
+}
+
+/**
+ * Builds word/styles.xml with the title, heading and paragraph styles
+ * @private
+ */
+function buildStyles() {
+    // Heading sizes in half-points, matching the print layout
+    const headingSizes = [36, 32, 28, 24, 24, 24, 24, 24, 24];
+    const headings = headingSizes.map((size, i) => `
+<w:style w:type="paragraph" w:styleId="Heading${i + 1}">
+    <w:name w:val="heading ${i + 1}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${i === 0 ? 360 : 240}" w:after="120"/><w:ind w:left="720" w:hanging="720"/><w:outlineLvl w:val="${i}"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr>
+</w:style>`).join('');
+
+    const border = side => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="auto"/>`;
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${WORD_NAMESPACE}">
+<w:docDefaults>
+    <w:rPrDefault><w:rPr><w:rFonts w:ascii="Times New Roman" w:hAnsi="Times New Roman" w:cs="Times New Roman"/><w:sz w:val="24"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="character" w:default="1" w:styleId="DefaultParagraphFont"><w:name w:val="Default Paragraph Font"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title">
+    <w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Subtitle"/><w:qFormat/>
+    <w:pPr><w:spacing w:before="2880" w:after="240"/><w:jc w:val="center"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="56"/></w:rPr>
+</w:style>
+<w:style w:type="paragraph" w:styleId="Subtitle">
+    <w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:spacing w:after="480"/><w:jc w:val="center"/></w:pPr>
+    <w:rPr><w:color w:val="333333"/><w:sz w:val="32"/></w:rPr>
+</w:style>
+<w:style w:type="paragraph" w:customStyle="1" w:styleId="TitleDetails">
+    <w:name w:val="Title Details"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:jc w:val="center"/></w:pPr>
+    <w:rPr><w:color w:val="666666"/><w:sz w:val="20"/></w:rPr>
+</w:style>
+<w:style w:type="paragraph" w:customStyle="1" w:styleId="RevisionHeading">
+    <w:name w:val="Revision Heading"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:after="240"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="32"/></w:rPr>
+</w:style>${headings}
+<w:style w:type="paragraph" w:customStyle="1" w:styleId="NumberedParagraph">
+    <w:name w:val="Numbered Paragraph"/><w:basedOn w:val="Normal"/><w:qFormat/>
+    <w:pPr><w:ind w:left="1080" w:hanging="720"/><w:jc w:val="both"/></w:pPr>
+</w:style>
+<w:style w:type="character" w:customStyle="1" w:styleId="ParagraphNumber">
+    <w:name w:val="Paragraph Number"/><w:basedOn w:val="DefaultParagraphFont"/>
+    <w:rPr><w:color w:val="999999"/><w:sz w:val="22"/></w:rPr>
+</w:style>
+<w:style w:type="table" w:styleId="TableGrid">
+    <w:name w:val="Table Grid"/>
+    <w:tblPr>
+        <w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders>
+        <w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar>
+    </w:tblPr>
+</w:style>
+</w:styles>`;
+}
+
+/**
+ * Builds [Content_Types].xml
+ * @private
+ */
+function buildContentTypes() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+}
+
+/**
+ * Builds _rels/.rels
+ * @private
+ */
+function buildPackageRelationships() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+}
+
+/**
+ * Builds word/_rels/document.xml.rels
+ * @private
+ */
+function buildDocumentRelationships() {
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+}
+
+/**
+ * Builds docProps/core.xml
+ * @private
+ */
+function buildCoreProperties(title, subtitle, now) {
+    const timestamp = now.toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(title)}</dc:title>
+<dc:subject>${escapeXml(subtitle)}</dc:subject>
+<dc:creator>DLMS</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:created>
+<dcterms:modified xsi:type="dcterms:W3CDTF">${timestamp}</dcterms:modified>
+</cp:coreProperties>`;
+}
+
+/**
+ * Wraps runs in a styled paragraph
+ * @private
+ */
+function paragraph(styleId, runs) {
+    return `<w:p><w:pPr><w:pStyle w:val="${styleId}"/></w:pPr>${runs.join('')}</w:p>`;
+}
+
+/**
+ * Creates a text run, optionally with a character style
+ * @private
+ */
+function textRun(text, characterStyle = null) {
+    const properties = characterStyle ? `<w:rPr><w:rStyle w:val="${characterStyle}"/></w:rPr>` : '';
+    return `<w:r>${properties}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+}
+
+/**
+ * Splits text on line breaks into runs separated by <w:br/>
+ * @private
+ */
+function multilineRuns(text) {
+    return text.split('\n').map((line, index) =>
+        `<w:r>${index > 0 ? '<w:br/>' : ''}<w:t xml:space="preserve">${escapeXml(line)}</w:t></w:r>`
+    );
+}
+
+/**
+ * Paragraph containing only a page break
+ * @private
+ */
+function pageBreak() {
+    return '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+}
+
+/**
+ * Removes control characters other than tab, line feed and carriage return,
+ * which XML 1.0 does not allow
+ * @private
+ */
+function stripInvalidXmlCharacters(text) {
+    return Array.from(text).filter(character => {
+        const code = character.charCodeAt(0);
+        return code >= 0x20 || code === 0x09 || code === 0x0A || code === 0x0D;
+    }).join('');
+}
+
+/**
+ * Escapes text for XML and drops characters XML cannot carry
+ * @private
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return stripInvalidXmlCharacters(String(text))
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
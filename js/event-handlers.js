@@ -10,8 +10,14 @@ import {
     viewRevision, 
     revertDocument, 
     toggleDetails, 
-    toggleRevisionList 
+    toggleRevisionList,
+    createBranchFromVersion,
+    createNewBranch,
+    mergeBranchIntoCurrent,
+    deleteSelectedBranch
 } from './revision-manager.js';
+import { compareRevision } from './version-diff.js';
+import { reviewRevision } from './release-review.js';
 import {
     saveDocument,
     commitDocument,
@@ -104,7 +110,7 @@ export function toggleNodeCollapse(nodeId) {
             collapseBtn.setAttribute('data-collapsed', 'false');
             collapseBtn.title = 'Collapse subnodes';
             liElement.classList.remove('collapsed-with-children');
-            markNodeExpanded(nodeId);
+            markNodeExpanded(collapseBtn.getAttribute('data-node-uid'));
         } else {
             // Collapse
             childUl.style.display = 'none';
@@ -112,7 +118,7 @@ export function toggleNodeCollapse(nodeId) {
             collapseBtn.setAttribute('data-collapsed', 'true');
             collapseBtn.title = 'Expand subnodes';
             liElement.classList.add('collapsed-with-children');
-            markNodeCollapsed(nodeId);
+            markNodeCollapsed(collapseBtn.getAttribute('data-node-uid'));
             
             // Count direct children
             const directChildren = childUl.querySelectorAll(':scope > li').length;
@@ -251,6 +257,27 @@ function routeClickEvent(elementId) {
         return;
     }
 
+    // Review buttons on proposed versions
+    if (elementId.startsWith('review-revision-')) {
+        const revisionId = extractIdSuffix(elementId, 'review-revision-');
+        reviewRevision(revisionId);
+        return;
+    }
+
+    // Compare revision buttons
+    if (elementId.startsWith('compare-revision-')) {
+        const revisionId = extractIdSuffix(elementId, 'compare-revision-');
+        compareRevision(revisionId);
+        return;
+    }
+
+    // Branch from revision buttons
+    if (elementId.startsWith('branch-from-revision-')) {
+        const revisionId = extractIdSuffix(elementId, 'branch-from-revision-');
+        createBranchFromVersion(revisionId);
+        return;
+    }
+
     // Handle specific button IDs
     handleSpecificButtons(elementId);
 }
@@ -272,6 +299,9 @@ function handleSpecificButtons(elementId) {
             }
         },
         'commitDocument': () => commitDocument(),
+        'new-branch-btn': () => createNewBranch(),
+        'merge-branch-btn': () => mergeBranchIntoCurrent(),
+        'delete-branch-btn': () => deleteSelectedBranch(),
         'new-document-btn': () => createNewDocument(),
         'importDocument': importDocument,
         'downloadDocument': () => downloadVersionedDocument(),
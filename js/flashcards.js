@@ -0,0 +1,540 @@
+/**
+ * Flashcards Module
+ * A study mode that turns content into flashcards and schedules reviews per
+ * user with spaced repetition (SM-2). Cards come from paragraphs an author
+ * marks as flashcards, and from "Term: definition" lines anywhere in the
+ * chosen sections. Schedules and review history are kept with the version
+ * history, by user.
+ */
+
+import { stateManager } from './state-manager.js';
+import { getAnnotations, exportVersionHistory } from './version-control.js';
+import { getCurrentUserInfo } from './user-manager.js';
+import { findNodeById, findNodeByUid, renderDocumentStructure, describeSection } from './tree-renderer.js';
+import { saveVersionHistoryToStorage } from './storage-manager.js';
+import { saveStateBeforeChange } from './undo-manager.js';
+import { renderReferenceTokens } from './inline-references.js';
+import { getSelectedSectionIds } from './section-output.js';
+import { requirePermission } from './permissions.js';
+import { requireUnlocked } from './section-locks.js';
+import { showError, showSuccess, createDialog, appendButtons, truncate } from './message-center.js';
+
+// Answer buttons and the SM-2 quality each stands for
+export const REVIEW_GRADES = {
+    again: 1,
+    hard: 3,
+    good: 4,
+    easy: 5
+};
+
+const GRADE_LABELS = {
+    again: 'Again',
+    hard: 'Hard',
+    good: 'Good',
+    easy: 'Easy'
+};
+
+const INITIAL_EASE = 2.5;
+const MINIMUM_EASE = 1.3;
+const EASY_BONUS = 1.3;
+// A card answered wrongly comes back this soon, so it is seen again in the same session
+const RELEARN_DELAY_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Cards never reviewed before that one session introduces
+const NEW_CARDS_PER_SESSION = 20;
+
+// "Term: definition" - a short term without sentence punctuation, then a space after the colon
+const TERM_PATTERN = /^\s*([^:.?!\n]{1,80}?)\s*:\s+(\S[\s\S]*)$/;
+const MAX_TERM_WORDS = 8;
+
+/**
+ * Wires the side menu Flashcards item and the flashcard markers on paragraphs
+ */
+export function initializeFlashcards() {
+    const flashcardsButton = document.getElementById('flashcards-btn');
+    if (flashcardsButton) {
+        flashcardsButton.addEventListener('click', () => {
+            const selected = getSelectedSectionIds();
+            openStudySession(selected.length > 0 ? selected : null);
+        });
+    }
+
+    // Content lists are rebuilt whenever a pane loads, so mark new items
+    const editorPanels = document.getElementById('editor-panels');
+    if (editorPanels) {
+        new MutationObserver(() => addFlashcardMarkers()).observe(editorPanels, { childList: true, subtree: true });
+    }
+}
+
+/**
+ * Whether a paragraph is marked as a flashcard
+ * @param {Object} node - Section
+ * @param {number} index - Paragraph index
+ * @returns {boolean} True if marked
+ */
+export function isFlashcardParagraph(node, index) {
+    return Array.isArray(node?.flashcards) && node.flashcards.includes(index);
+}
+
+/**
+ * Marks a paragraph as a flashcard, or removes the mark
+ * @param {string} nodeId - Section ID
+ * @param {number} index - Paragraph index
+ * @returns {boolean} True if changed
+ */
+export function toggleFlashcardParagraph(nodeId, index) {
+    if (!requirePermission('edit') || !requireUnlocked(nodeId)) {
+        return false;
+    }
+
+    try {
+        const documentStructure = stateManager.getDocumentStructure() || [];
+        const node = findNodeById(documentStructure, nodeId);
+        if (!node || !Array.isArray(node.content) || index >= node.content.length) {
+            showError('Paragraph not found.');
+            return false;
+        }
+
+        saveStateBeforeChange();
+
+        const marked = isFlashcardParagraph(node, index);
+        const flashcards = (node.flashcards || []).filter(paragraph => paragraph !== index);
+        if (!marked) {
+            flashcards.push(index);
+        }
+        if (flashcards.length > 0) {
+            node.flashcards = flashcards.sort((a, b) => a - b);
+        } else {
+            delete node.flashcards;
+        }
+        if (typeof node.markEdited === 'function') {
+            node.markEdited();
+        }
+
+        stateManager.setDocumentStructure(documentStructure);
+        renderDocumentStructure(documentStructure);
+        refreshFlashcardMarkers();
+        showSuccess(marked ? 'Flashcard mark removed' : 'Paragraph marked as a flashcard');
+        return true;
+
+    } catch (error) {
+        console.error('Error marking flashcard:', error);
+        showError(`Failed to mark flashcard: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Keeps flashcard marks on the same paragraph when a content item is dragged to a new position
+ * @param {string} nodeUid - uid of the section
+ * @param {number} fromIndex - Old index of the moved paragraph
+ * @param {number} toIndex - New index of the moved paragraph
+ */
+export function moveParagraphFlashcards(nodeUid, fromIndex, toIndex) {
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], nodeUid);
+    if (!node || !Array.isArray(node.flashcards)) {
+        return;
+    }
+    node.flashcards = node.flashcards.map(paragraph => {
+        if (paragraph === fromIndex) {
+            return toIndex;
+        }
+        if (fromIndex < paragraph && paragraph <= toIndex) {
+            return paragraph - 1;
+        }
+        if (toIndex <= paragraph && paragraph < fromIndex) {
+            return paragraph + 1;
+        }
+        return paragraph;
+    }).sort((a, b) => a - b);
+}
+
+/**
+ * Drops the mark of a deleted paragraph and shifts the ones after it
+ * @param {string} nodeUid - uid of the section
+ * @param {number} index - Index of the deleted paragraph
+ */
+export function removeParagraphFlashcards(nodeUid, index) {
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], nodeUid);
+    if (!node || !Array.isArray(node.flashcards)) {
+        return;
+    }
+    node.flashcards = node.flashcards
+        .filter(paragraph => paragraph !== index)
+        .map(paragraph => (paragraph > index ? paragraph - 1 : paragraph));
+    if (node.flashcards.length === 0) {
+        delete node.flashcards;
+    }
+}
+
+/**
+ * Generates the flashcards of sections and their subsections. A marked
+ * paragraph is split after a leading question ("What is X? ...") or a term;
+ * otherwise the section title is the prompt. Unmarked paragraphs give a card
+ * for each "Term: definition" line.
+ * @param {Object[]} nodes - Sections
+ * @returns {Object[]} Cards: { id, nodeUid, nodeId, paragraph, front, back, source }
+ */
+export function collectFlashcards(nodes) {
+    const cards = [];
+    const seen = new Set();
+    // Cards are keyed by their prompt, so review history follows them when paragraphs move
+    const add = (node, paragraph, front, back, source, key = front) => {
+        const id = `${node.uid}:${hashText(normalizeText(key))}`;
+        if (!seen.has(id)) {
+            seen.add(id);
+            cards.push({ id, nodeUid: node.uid, nodeId: node.id, paragraph, front, back, source });
+        }
+    };
+
+    const visit = node => {
+        (node.content || []).forEach((text, index) => {
+            if (isFlashcardParagraph(node, index)) {
+                const split = splitQuestion(text) || splitTerm(text);
+                if (split) {
+                    add(node, index, split.front, split.back, 'marked');
+                } else {
+                    // The title is shared by the section's cards, so key this one on its text
+                    add(node, index, node.name || 'Untitled', text, 'marked', text);
+                }
+                return;
+            }
+            String(text).split('\n').forEach(line => {
+                const split = splitTerm(line);
+                if (split) {
+                    add(node, index, split.front, split.back, 'pattern');
+                }
+            });
+        });
+        (node.children || []).forEach(visit);
+    };
+    nodes.forEach(visit);
+    return cards;
+}
+
+/**
+ * Schedules a card after a review using SM-2. Failed cards restart their
+ * run and come back within minutes; passed cards wait 1 day, 6 days, then
+ * the previous interval times the card's ease.
+ * @param {Object|null} state - Card's previous state, or null for a new card
+ * @param {number} grade - A REVIEW_GRADES value
+ * @param {Date} now - Time of the review
+ * @returns {Object} New state: { ease, interval (days), repetitions, lapses, due, lastReviewed, history }
+ */
+export function scheduleReview(state, grade, now = new Date()) {
+    const previous = state || { ease: INITIAL_EASE, interval: 0, repetitions: 0, lapses: 0, history: [] };
+    const ease = Math.max(MINIMUM_EASE, previous.ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+    let repetitions;
+    let interval;
+    let due;
+    let lapses = previous.lapses;
+    if (grade < 3) {
+        repetitions = 0;
+        interval = 0;
+        lapses += previous.repetitions > 0 ? 1 : 0;
+        due = new Date(now.getTime() + RELEARN_DELAY_MS);
+    } else {
+        repetitions = previous.repetitions + 1;
+        if (repetitions === 1) {
+            interval = 1;
+        } else if (repetitions === 2) {
+            interval = 6;
+        } else {
+            interval = Math.round(previous.interval * ease);
+        }
+        if (grade === REVIEW_GRADES.easy) {
+            interval = Math.round(interval * EASY_BONUS);
+        }
+        interval = Math.max(1, interval);
+        due = new Date(now.getTime() + interval * DAY_MS);
+    }
+
+    return {
+        ease: Math.round(ease * 100) / 100,
+        interval,
+        repetitions,
+        lapses,
+        due: due.toISOString(),
+        lastReviewed: now.toISOString(),
+        history: [...previous.history, { at: now.toISOString(), grade, interval }]
+    };
+}
+
+/**
+ * The current user's review state of each card
+ * @returns {Object} Card id -> state (modify in place, then persist the history)
+ */
+export function getUserReviews() {
+    const user = getCurrentUserInfo();
+    if (!user) {
+        return {};
+    }
+    const reviews = getAnnotations('flashcardReviews', {});
+    if (!reviews[user.id]) {
+        reviews[user.id] = {};
+    }
+    return reviews[user.id];
+}
+
+/**
+ * Opens the study dialog on sections and their subsections
+ * @param {string[]|null} nodeIds - Sections to study, or null for the whole document
+ */
+export function openStudySession(nodeIds = null) {
+    const user = getCurrentUserInfo();
+    if (!user) {
+        showError('Choose a user before studying.');
+        return;
+    }
+
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    const nodes = nodeIds
+        ? nodeIds.map(id => findNodeById(documentStructure, id)).filter(Boolean)
+        : documentStructure;
+    // A selected section's subsections are already included through it
+    const roots = nodes.filter(node => !nodes.some(other => other !== node && node.id.startsWith(`${other.id}-`)));
+
+    let scope = 'Whole document';
+    if (nodeIds && roots.length === 1) {
+        scope = `${describeSection(roots[0])} and its subsections`;
+    } else if (nodeIds) {
+        scope = `${roots.length} selected sections`;
+    }
+
+    const cards = collectFlashcards(roots);
+    const { overlay, modal, close } = createDialog('flashcard-dialog');
+    renderOverview(modal, scope, cards, close);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Fills the study dialog with the deck's counts and card list
+ * @private
+ */
+function renderOverview(modal, scope, cards, close) {
+    modal.innerHTML = '';
+    const reviews = getUserReviews();
+    const now = new Date().toISOString();
+    const due = cards.filter(card => reviews[card.id] && reviews[card.id].due <= now);
+    const fresh = cards.filter(card => !reviews[card.id]);
+    const queue = [...due.sort((a, b) => reviews[a.id].due.localeCompare(reviews[b.id].due)),
+        ...fresh.slice(0, NEW_CARDS_PER_SESSION)];
+
+    const title = document.createElement('h3');
+    title.textContent = 'Flashcards';
+    modal.appendChild(title);
+
+    const summary = document.createElement('p');
+    summary.className = 'flashcard-summary';
+    summary.textContent = `${scope} · ${cards.length} card${cards.length === 1 ? '' : 's'} · ` +
+        `${due.length} due · ${fresh.length} new`;
+    modal.appendChild(summary);
+
+    if (cards.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'flashcard-empty';
+        empty.textContent = 'No flashcards here. Write paragraphs as "Term: definition", or right-click a paragraph and choose Mark as Flashcard.';
+        modal.appendChild(empty);
+    } else if (queue.length === 0) {
+        const next = cards.map(card => reviews[card.id]?.due).filter(Boolean).sort()[0];
+        const done = document.createElement('p');
+        done.className = 'flashcard-empty';
+        done.textContent = `Nothing is due. Next review: ${new Date(next).toLocaleString()}.`;
+        modal.appendChild(done);
+    }
+
+    if (cards.length > 0) {
+        const details = document.createElement('details');
+        details.className = 'flashcard-list';
+        const toggle = document.createElement('summary');
+        toggle.textContent = `Show all ${cards.length} card${cards.length === 1 ? '' : 's'}`;
+        details.appendChild(toggle);
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['Front', 'Back', 'Next review'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        cards.forEach(card => {
+            const row = table.insertRow();
+            row.insertCell().textContent = card.front;
+            row.insertCell().textContent = truncate(card.back, 120);
+            row.insertCell().textContent = reviews[card.id] ? new Date(reviews[card.id].due).toLocaleDateString() : 'New';
+        });
+        details.appendChild(table);
+        modal.appendChild(details);
+    }
+
+    const buttons = [{ label: 'Close', onClick: close }];
+    if (queue.length > 0) {
+        buttons.push({
+            label: `Study ${queue.length} Card${queue.length === 1 ? '' : 's'}`,
+            primary: true,
+            onClick: () => renderCard(modal, queue, { reviewed: 0, again: 0 }, () => renderOverview(modal, scope, cards, close), close)
+        });
+    } else {
+        buttons[0].primary = true;
+    }
+    appendButtons(modal, buttons);
+}
+
+/**
+ * Shows the next card of a session: its front, then the back and the grade buttons
+ * @private
+ * @param {HTMLElement} modal - Dialog element
+ * @param {Object[]} queue - Cards left, first is shown
+ * @param {{reviewed: number, again: number}} tally - Session counts
+ * @param {Function} finish - Returns to the overview
+ * @param {Function} close - Closes the dialog
+ */
+function renderCard(modal, queue, tally, finish, close) {
+    modal.innerHTML = '';
+    if (queue.length === 0) {
+        showSuccess(`Session complete: ${tally.reviewed} review${tally.reviewed === 1 ? '' : 's'}` +
+            (tally.again > 0 ? `, ${tally.again} to relearn` : ''));
+        finish();
+        return;
+    }
+
+    const card = queue[0];
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    const node = findNodeByUid(documentStructure, card.nodeUid);
+
+    const header = document.createElement('div');
+    header.className = 'flashcard-header';
+    const source = document.createElement('span');
+    source.textContent = node ? describeSection(node) : '';
+    header.appendChild(source);
+    const remaining = document.createElement('span');
+    remaining.textContent = `${queue.length} left`;
+    header.appendChild(remaining);
+    modal.appendChild(header);
+
+    const face = document.createElement('div');
+    face.className = 'flashcard-card';
+    const front = document.createElement('div');
+    front.className = 'flashcard-front';
+    front.appendChild(renderReferenceTokens(card.front, documentStructure));
+    face.appendChild(front);
+    modal.appendChild(face);
+
+    const showAnswer = () => {
+        const back = document.createElement('div');
+        back.className = 'flashcard-back';
+        back.appendChild(renderReferenceTokens(card.back, documentStructure));
+        face.appendChild(back);
+
+        const state = getUserReviews()[card.id] || null;
+        modal.querySelector('.modal-buttons').remove();
+        appendButtons(modal, Object.entries(REVIEW_GRADES).map(([key, grade]) => ({
+            label: `${GRADE_LABELS[key]} · ${describeInterval(scheduleReview(state, grade))}`,
+            primary: key === 'good',
+            onClick: () => {
+                const reviews = getUserReviews();
+                reviews[card.id] = scheduleReview(reviews[card.id] || null, grade);
+                saveVersionHistoryToStorage(exportVersionHistory());
+
+                tally.reviewed++;
+                queue.shift();
+                if (grade < 3) {
+                    tally.again++;
+                    queue.push(card);
+                }
+                renderCard(modal, queue, tally, finish, close);
+            }
+        })));
+    };
+
+    appendButtons(modal, [
+        { label: 'End Session', onClick: finish },
+        { label: 'Show Answer', primary: true, onClick: showAnswer }
+    ]);
+}
+
+/**
+ * Adds 🃏 to content items marked as flashcards that lack it
+ * @private
+ */
+function addFlashcardMarkers() {
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    document.querySelectorAll('#editor-panels .content-list-item').forEach(item => {
+        if (item.querySelector(':scope > .flashcard-marker')) {
+            return;
+        }
+        // Item IDs are c<nodeId>_<index>
+        const match = /^c(.+)_(\d+)$/.exec(item.id);
+        const node = match && findNodeById(documentStructure, match[1]);
+        if (node && isFlashcardParagraph(node, parseInt(match[2], 10))) {
+            const marker = document.createElement('span');
+            marker.className = 'flashcard-marker';
+            marker.textContent = '🃏';
+            marker.title = 'Marked as a flashcard';
+            item.insertBefore(marker, item.querySelector('.content-delete-btn'));
+        }
+    });
+}
+
+/**
+ * Drops and re-adds the paragraph markers after a mark changed
+ * @private
+ */
+function refreshFlashcardMarkers() {
+    document.querySelectorAll('.flashcard-marker').forEach(marker => marker.remove());
+    addFlashcardMarkers();
+}
+
+/**
+ * Splits "Question? Answer"
+ * @private
+ * @returns {{front: string, back: string}|null} Parts, or null if the text does not start with a question
+ */
+function splitQuestion(text) {
+    const match = /^\s*([^?\n]{3,}\?)\s+(\S[\s\S]*)$/.exec(String(text));
+    return match ? { front: match[1].trim(), back: match[2].trim() } : null;
+}
+
+/**
+ * Splits "Term: definition"
+ * @private
+ * @returns {{front: string, back: string}|null} Parts, or null if the text is not a term and definition
+ */
+function splitTerm(text) {
+    const match = TERM_PATTERN.exec(String(text));
+    if (!match || match[1].trim().split(/\s+/).length > MAX_TERM_WORDS) {
+        return null;
+    }
+    return { front: match[1].trim(), back: match[2].trim() };
+}
+
+/**
+ * "10 min", "1 day", "6 days"
+ * @private
+ */
+function describeInterval(state) {
+    if (state.interval === 0) {
+        return `${Math.round(RELEARN_DELAY_MS / 60000)} min`;
+    }
+    return `${state.interval} day${state.interval === 1 ? '' : 's'}`;
+}
+
+/**
+ * Case- and space-insensitive form of a card front, so its id survives small edits
+ * @private
+ */
+function normalizeText(text) {
+    return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Short hash for card ids
+ * @private
+ */
+function hashText(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
@@ -0,0 +1,174 @@
+/**
+ * IndexedDB Storage Module
+ * Thin promise-based wrapper around the DLMS IndexedDB database
+ */
+
+const DB_NAME = 'dlms';
+const DB_VERSION = 1;
+
+// Object stores
+const STORES = {
+    DOCUMENTS: 'documents', // One record per document, keyed by id
+    SETTINGS: 'settings'    // Key/value pairs such as the active document id
+};
+
+let databasePromise = null;
+
+/**
+ * Checks if IndexedDB is available
+ * @returns {boolean} True if IndexedDB can be used
+ */
+export function isIndexedDBAvailable() {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Opens (and upgrades if needed) the DLMS database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openDatabase() {
+    if (databasePromise) {
+        return databasePromise;
+    }
+
+    if (!isIndexedDBAvailable()) {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    databasePromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(STORES.DOCUMENTS)) {
+                db.createObjectStore(STORES.DOCUMENTS, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STORES.SETTINGS)) {
+                db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Database upgrade blocked by another open tab'));
+    });
+
+    // Allow a later retry if opening failed
+    databasePromise.catch(() => {
+        databasePromise = null;
+    });
+
+    return databasePromise;
+}
+
+/**
+ * Runs a single request inside a transaction
+ * @private
+ * @param {string} storeName - Object store to use
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} createRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function runRequest(storeName, mode, createRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = createRequest(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Reads a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<Object|undefined>} The record, if found
+ */
+export function getRecord(storeName, key) {
+    return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Reads every record of a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Object[]>} All records
+ */
+export function getAllRecords(storeName) {
+    return runRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Inserts or replaces a record
+ * @param {string} storeName - Object store name
+ * @param {Object} record - Record to write (must contain the key path)
+ * @returns {Promise<string>} Key of the written record
+ */
+export function putRecord(storeName, record) {
+    return runRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Reads a record and writes its replacement in one transaction, so writes
+ * made by other tabs in between are not lost
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @param {Function} update - Receives the stored record (or undefined), returns the record to write
+ * @returns {Promise<string>} Key of the written record
+ */
+export async function updateRecord(storeName, key, update) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(key);
+
+        request.onsuccess = () => {
+            store.put(update(request.result));
+        };
+        transaction.oncomplete = () => resolve(key);
+        transaction.onerror = () => reject(transaction.error || request.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Deletes a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export function deleteRecord(storeName, key) {
+    return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Reads a value from the settings store
+ * @param {string} key - Setting name
+ * @param {*} defaultValue - Value returned when the setting is missing
+ * @returns {Promise<*>} The stored value
+ */
+export async function getSetting(key, defaultValue = null) {
+    const record = await getRecord(STORES.SETTINGS, key);
+    return record ? record.value : defaultValue;
+}
+
+/**
+ * Writes a value to the settings store
+ * @param {string} key - Setting name
+ * @param {*} value - Value to store
+ * @returns {Promise<string>}
+ */
+export function setSetting(key, value) {
+    return putRecord(STORES.SETTINGS, { key, value });
+}
+
+export { STORES };
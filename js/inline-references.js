@@ -0,0 +1,150 @@
+/**
+ * Inline References Module
+ * [[ref:…]] tokens inside content paragraphs that point at another section.
+ * Tokens store the target's permanent uid and are displayed with its current
+ * section number, so the text stays correct when sections are renumbered.
+ */
+
+import { stateManager } from './state-manager.js';
+import DocumentNode from './documentnode.js';
+
+// Matches [[ref:<uid>]] and, while typing, [[ref:<section number>]]
+const REF_TOKEN_PATTERN = /\[\[ref:([^\]\s]+)\]\]/g;
+
+/**
+ * Builds the token for a section
+ * @param {string} uid - Permanent uid of the target node
+ * @returns {string} Token such as "[[ref:n-lq2x8k0c-1f-8d3k]]"
+ */
+export function createReferenceToken(uid) {
+    return `[[ref:${uid}]]`;
+}
+
+/**
+ * Lists the targets named by the tokens in a piece of text
+ * @param {string} text - Content paragraph
+ * @returns {string[]} Token keys (uids, or section numbers not yet converted) in order
+ */
+export function findReferenceTokens(text) {
+    return [...String(text || '').matchAll(REF_TOKEN_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Finds the node a token points at
+ * @param {Object[]} documentStructure - Root nodes
+ * @param {string} key - Token key: a uid, or a section number such as "4.2.1"
+ * @returns {Object|null} Target node, or null if it no longer exists
+ */
+export function resolveTokenTarget(documentStructure, key) {
+    if (/^\d+(\.\d+)*$/.test(key)) {
+        return DocumentNode.searchMultipleRootsById(documentStructure, key.replace(/\./g, '-'));
+    }
+    return DocumentNode.searchMultipleRootsByUid(documentStructure, key);
+}
+
+/**
+ * Rewrites tokens typed with a section number ([[ref:4.2.1]]) to use the target's uid.
+ * Numbers that match no section are left as typed so the reference check can report them.
+ * @param {string} text - Content paragraph
+ * @param {Object[]} documentStructure - Root nodes
+ * @returns {string} Text with uid tokens
+ */
+export function normalizeReferenceTokens(text, documentStructure) {
+    return String(text || '').replace(REF_TOKEN_PATTERN, (token, key) => {
+        if (!/^\d+(\.\d+)*$/.test(key)) {
+            return token;
+        }
+        const target = resolveTokenTarget(documentStructure, key);
+        return target && target.uid ? createReferenceToken(target.uid) : token;
+    });
+}
+
+/**
+ * Replaces every token in a string
+ * @param {string} text - Content paragraph
+ * @param {Function} replacer - Called with (key) and returns the replacement text
+ * @returns {string} Text with tokens replaced
+ */
+export function replaceReferenceTokens(text, replacer) {
+    return String(text || '').replace(REF_TOKEN_PATTERN, (token, key) => replacer(key));
+}
+
+/**
+ * Renders a paragraph for display, turning tokens into "see section 4.2.1" links
+ * @param {string} text - Content paragraph
+ * @param {Object[]} documentStructure - Root nodes used to look up the targets
+ * @returns {DocumentFragment} Text and link nodes
+ */
+export function renderReferenceTokens(text, documentStructure = stateManager.getDocumentStructure() || []) {
+    const fragment = document.createDocumentFragment();
+    const source = String(text || '');
+    let lastIndex = 0;
+
+    source.replace(REF_TOKEN_PATTERN, (token, key, offset) => {
+        if (offset > lastIndex) {
+            fragment.appendChild(document.createTextNode(source.slice(lastIndex, offset)));
+        }
+        fragment.appendChild(createReferenceLink(key, documentStructure));
+        lastIndex = offset + token.length;
+        return token;
+    });
+
+    if (lastIndex < source.length) {
+        fragment.appendChild(document.createTextNode(source.slice(lastIndex)));
+    }
+
+    return fragment;
+}
+
+/**
+ * Updates the text of rendered links after sections were moved or renumbered
+ * @param {HTMLElement|Document} root - Element containing rendered links
+ */
+export function refreshInlineReferences(root = document) {
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    root.querySelectorAll('.inline-reference[data-ref-key]').forEach(link => {
+        applyLinkTarget(link, resolveTokenTarget(documentStructure, link.getAttribute('data-ref-key')));
+    });
+}
+
+/**
+ * Creates a clickable link for one token
+ * @private
+ */
+function createReferenceLink(key, documentStructure) {
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'inline-reference';
+    link.setAttribute('data-ref-key', key);
+    applyLinkTarget(link, resolveTokenTarget(documentStructure, key));
+
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+
+        // Resolve on click: the tree may have changed since the link was rendered
+        const target = resolveTokenTarget(stateManager.getDocumentStructure() || [], key);
+        // Import navigateToReference dynamically to avoid circular dependency
+        import('./context-menu.js').then(module => {
+            module.navigateToReference(target ? target.id : key);
+        });
+    });
+
+    return link;
+}
+
+/**
+ * Sets a link's text and tooltip from its (possibly missing) target
+ * @private
+ */
+function applyLinkTarget(link, target) {
+    if (target) {
+        link.textContent = `see section ${target.id.replace(/-/g, '.')}`;
+        link.title = target.name || 'Untitled';
+        link.classList.remove('inline-reference-broken');
+    } else {
+        link.textContent = 'see section ?';
+        link.title = 'Referenced section not found';
+        link.classList.add('inline-reference-broken');
+    }
+}
@@ -11,6 +11,7 @@ import { scheduleAutoSave } from './storage-manager.js';
 import { showConfirm } from './message-center.js';
 import { showError, showSuccess } from './message-center.js';
 import { saveWorkingCopy } from './version-control.js';
+import { requirePermission } from './permissions.js';
 
 /**
  * Renders the junk items in the junk section
@@ -205,6 +206,10 @@ function attachJunkEventListeners() {
  * @param {string} junkId - ID of the junked item to restore
  */
 export function restoreFromJunk(junkId) {
+    if (!requirePermission('edit')) {
+        return;
+    }
+
     try {
         const junkItems = stateManager.getJunkItems() || [];
         const itemIndex = junkItems.findIndex(item => item.id === junkId);
@@ -289,6 +294,10 @@ export function restoreFromJunk(junkId) {
  * @param {string} junkId - ID of the junked item to delete
  */
 export async function permanentlyDeleteFromJunk(junkId) {
+    if (!requirePermission('purge')) {
+        return;
+    }
+
     try {
         const junkItems = stateManager.getJunkItems() || [];
         const item = junkItems.find(item => item.id === junkId);
@@ -333,6 +342,10 @@ export async function permanentlyDeleteFromJunk(junkId) {
  * Clears all junked items after confirmation
  */
 export async function clearAllJunk() {
+    if (!requirePermission('purge')) {
+        return;
+    }
+
     const junkItems = stateManager.getJunkItems() || [];
 
     if (junkItems.length === 0) {
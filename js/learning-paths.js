@@ -0,0 +1,909 @@
+/**
+ * Learning Paths Module
+ * Training courses built from an ordered list of sections, possibly from
+ * different parts of the tree, assigned to users with due dates. A reader
+ * walks through a path's sections in order and records each assigned
+ * user's progress; the training dashboard summarises completion. Paths and
+ * assignments are kept with the version history.
+ */
+
+import { stateManager } from './state-manager.js';
+import { getAnnotations, exportVersionHistory } from './version-control.js';
+import { getCurrentUserInfo, getUserColor } from './user-manager.js';
+import { findNodeById, findNodeByUid, describeSection } from './tree-renderer.js';
+import { saveVersionHistoryToStorage } from './storage-manager.js';
+import { renderReferenceTokens } from './inline-references.js';
+import { buildReferenceNumbers } from './print-formatter.js';
+import { exportScormPackage } from './scorm-export.js';
+import { can, requirePermission } from './permissions.js';
+import { createId } from './shared-document.js';
+import { showConfirm, showError, showSuccess, createDialog, appendButtons, labelled } from './message-center.js';
+
+export const TRAINING_STATUS = {
+    notStarted: 'not-started',
+    inProgress: 'in-progress',
+    completed: 'completed',
+    overdue: 'overdue'
+};
+
+const STATUS_LABELS = {
+    [TRAINING_STATUS.notStarted]: 'Not started',
+    [TRAINING_STATUS.inProgress]: 'In progress',
+    [TRAINING_STATUS.completed]: 'Completed',
+    [TRAINING_STATUS.overdue]: 'Overdue'
+};
+
+// Due date offered when assigning a path for the first time
+const DEFAULT_DUE_DAYS = 14;
+
+/**
+ * Wires the side menu Training item
+ */
+export function initializeLearningPaths() {
+    const trainingButton = document.getElementById('training-btn');
+    if (trainingButton) {
+        trainingButton.addEventListener('click', () => showTrainingDashboard());
+    }
+}
+
+/**
+ * The sections of a path that still exist, in path order
+ * @param {Object} path - Learning path
+ * @param {Object[]} documentStructure - Current document tree
+ * @returns {Object[]} Sections (removed ones are skipped)
+ */
+export function getPathSections(path, documentStructure = stateManager.getDocumentStructure() || []) {
+    return path.sections
+        .map(uid => findNodeByUid(documentStructure, uid))
+        .filter(Boolean);
+}
+
+/**
+ * A user's progress through a path
+ * @param {Object} path - Learning path
+ * @param {Object} assignment - The user's assignment
+ * @returns {{done: number, total: number, status: string}} Sections completed, sections in the path, and a TRAINING_STATUS
+ */
+export function getAssignmentProgress(path, assignment) {
+    const sections = getPathSections(path);
+    const done = sections.filter(node => assignment.completed[node.uid]).length;
+
+    let status;
+    if (sections.length > 0 && done === sections.length) {
+        status = TRAINING_STATUS.completed;
+    } else if (assignment.dueDate && assignment.dueDate < getToday()) {
+        status = TRAINING_STATUS.overdue;
+    } else {
+        status = done > 0 ? TRAINING_STATUS.inProgress : TRAINING_STATUS.notStarted;
+    }
+
+    return { done, total: sections.length, status };
+}
+
+/**
+ * The paths assigned to a user, with their progress
+ * @param {string} userId - User id
+ * @returns {Array<{path: Object, assignment: Object, done: number, total: number, status: string}>} Assignments by due date
+ */
+export function getUserAssignments(userId) {
+    return getAnnotations('learningPaths')
+        .flatMap(path => path.assignments
+            .filter(assignment => assignment.userId === userId)
+            .map(assignment => ({ path, assignment, ...getAssignmentProgress(path, assignment) })))
+        .sort((a, b) => (a.assignment.dueDate || '9999').localeCompare(b.assignment.dueDate || '9999'));
+}
+
+/**
+ * Creates a path, or updates the title, description and sections of an existing one
+ * @param {Object} fields - { id (to update), title, description, sections }
+ * @returns {Object|null} The saved path, or null if it was refused
+ */
+export function saveLearningPath(fields) {
+    if (!requirePermission('manageTraining')) {
+        return null;
+    }
+    if (!fields.title || !fields.title.trim()) {
+        showError('Give the learning path a title.');
+        return null;
+    }
+    if (!Array.isArray(fields.sections) || fields.sections.length === 0) {
+        showError('Add at least one section to the learning path.');
+        return null;
+    }
+
+    const paths = getAnnotations('learningPaths');
+    let path = fields.id ? paths.find(candidate => candidate.id === fields.id) : null;
+    if (!path) {
+        const user = getCurrentUserInfo();
+        path = {
+            id: createId('path'),
+            created: new Date().toISOString(),
+            createdBy: user ? user.name : 'User',
+            createdByInfo: user,
+            assignments: []
+        };
+        paths.push(path);
+    }
+
+    path.title = fields.title.trim();
+    path.description = (fields.description || '').trim();
+    path.sections = [...new Set(fields.sections)];
+    path.modified = new Date().toISOString();
+    saveLearningPaths();
+    return path;
+}
+
+/**
+ * Deletes a path and its assignments, after confirmation
+ * @param {string} pathId - Path to delete
+ * @returns {Promise<boolean>} True if deleted
+ */
+export async function deleteLearningPath(pathId) {
+    if (!requirePermission('manageTraining')) {
+        return false;
+    }
+    const paths = getAnnotations('learningPaths');
+    const index = paths.findIndex(path => path.id === pathId);
+    if (index === -1) {
+        return false;
+    }
+
+    const assigned = paths[index].assignments.length;
+    const confirmed = await showConfirm(
+        `Delete the learning path "${paths[index].title}"` +
+            (assigned > 0 ? ` and the progress of the ${assigned} user${assigned === 1 ? '' : 's'} assigned to it?` : '?'),
+        'Delete',
+        'Cancel'
+    );
+    if (!confirmed) {
+        return false;
+    }
+
+    paths.splice(index, 1);
+    saveLearningPaths();
+    return true;
+}
+
+/**
+ * Assigns a path to users with a due date. Users already assigned keep their
+ * progress and get the new due date.
+ * @param {string} pathId - Path to assign
+ * @param {string[]} userIds - Users to assign it to
+ * @param {string|null} dueDate - Due date (YYYY-MM-DD), or null for none
+ * @returns {boolean} True if saved
+ */
+export function assignLearningPath(pathId, userIds, dueDate) {
+    if (!requirePermission('manageTraining')) {
+        return false;
+    }
+    const path = getAnnotations('learningPaths').find(candidate => candidate.id === pathId);
+    if (!path) {
+        showError('That learning path no longer exists.');
+        return false;
+    }
+
+    const assigner = getCurrentUserInfo();
+    const users = stateManager.getUsers() || [];
+    userIds.forEach(userId => {
+        const user = users.find(candidate => candidate.id === userId);
+        if (!user) {
+            return;
+        }
+        const existing = path.assignments.find(assignment => assignment.userId === userId);
+        if (existing) {
+            existing.dueDate = dueDate || null;
+            return;
+        }
+        path.assignments.push({
+            userId,
+            user: user.name,
+            dueDate: dueDate || null,
+            assignedAt: new Date().toISOString(),
+            assignedBy: assigner ? assigner.name : 'User',
+            startedAt: null,
+            completedAt: null,
+            lastSectionUid: null,
+            completed: {}
+        });
+    });
+
+    saveLearningPaths();
+    return true;
+}
+
+/**
+ * Removes users' assignments to a path, with their progress
+ * @param {string} pathId - Path
+ * @param {string[]} userIds - Users to unassign
+ * @returns {boolean} True if saved
+ */
+export function unassignLearningPath(pathId, userIds) {
+    if (!requirePermission('manageTraining')) {
+        return false;
+    }
+    const path = getAnnotations('learningPaths').find(candidate => candidate.id === pathId);
+    if (!path) {
+        return false;
+    }
+    path.assignments = path.assignments.filter(assignment => !userIds.includes(assignment.userId));
+    saveLearningPaths();
+    return true;
+}
+
+/**
+ * Records that the current user has finished reading a section of a path
+ * they are assigned. Does nothing for users previewing a path.
+ * @param {string} pathId - Path
+ * @param {string} nodeUid - Section read
+ * @returns {Object|null} The updated assignment, or null if the user is not assigned
+ */
+export function completePathSection(pathId, nodeUid) {
+    const user = getCurrentUserInfo();
+    const path = getAnnotations('learningPaths').find(candidate => candidate.id === pathId);
+    const assignment = user && path && path.assignments.find(candidate => candidate.userId === user.id);
+    if (!assignment) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    assignment.startedAt = assignment.startedAt || now;
+    assignment.lastSectionUid = nodeUid;
+    if (!assignment.completed[nodeUid]) {
+        assignment.completed[nodeUid] = now;
+    }
+
+    const { status } = getAssignmentProgress(path, assignment);
+    assignment.completedAt = status === TRAINING_STATUS.completed ? (assignment.completedAt || now) : null;
+    saveLearningPaths();
+    return assignment;
+}
+
+/**
+ * Opens the reader on a path, at the first section the current user has not completed
+ * @param {string} pathId - Path to read
+ */
+export function openLearningPath(pathId) {
+    const path = getAnnotations('learningPaths').find(candidate => candidate.id === pathId);
+    if (!path) {
+        showError('That learning path no longer exists.');
+        return;
+    }
+    const sections = getPathSections(path);
+    if (sections.length === 0) {
+        showError(`None of the sections of "${path.title}" exist any more.`);
+        return;
+    }
+
+    const user = getCurrentUserInfo();
+    const assignment = user && path.assignments.find(candidate => candidate.userId === user.id);
+    const firstOpen = assignment ? sections.findIndex(node => !assignment.completed[node.uid]) : 0;
+    showReader(path, firstOpen === -1 ? 0 : firstOpen);
+}
+
+/**
+ * Adds a section to a path chosen from a list, or to a new path
+ * @param {string} nodeId - Section to add
+ */
+export function addSectionToPath(nodeId) {
+    if (!requirePermission('manageTraining')) {
+        return;
+    }
+    const node = findNodeById(stateManager.getDocumentStructure() || [], nodeId);
+    if (!node) {
+        showError(`Section ${nodeId} not found.`);
+        return;
+    }
+
+    const paths = getAnnotations('learningPaths');
+    if (paths.length === 0) {
+        showPathEditor({ title: '', description: '', sections: [node.uid] });
+        return;
+    }
+
+    const { overlay, modal, close } = createDialog('training-dialog');
+    const title = document.createElement('h3');
+    title.textContent = `Add ${describeSection(node)} to a Learning Path`;
+    modal.appendChild(title);
+
+    const select = document.createElement('select');
+    select.className = 'modal-input';
+    paths.forEach(path => {
+        const option = new Option(`${path.title} (${path.sections.length} section${path.sections.length === 1 ? '' : 's'})`, path.id);
+        option.disabled = path.sections.includes(node.uid);
+        select.appendChild(option);
+    });
+    select.value = paths.find(path => !path.sections.includes(node.uid))?.id || '';
+    modal.appendChild(labelled('Learning path', select, 'training-label'));
+
+    appendButtons(modal, [
+        { label: 'Cancel', onClick: close },
+        {
+            label: 'New Path...',
+            onClick: () => {
+                close();
+                showPathEditor({ title: '', description: '', sections: [node.uid] });
+            }
+        },
+        {
+            label: 'Add',
+            primary: true,
+            onClick: () => {
+                const path = paths.find(candidate => candidate.id === select.value);
+                if (!path) {
+                    showError(`${describeSection(node)} is already in every learning path.`);
+                    return;
+                }
+                if (saveLearningPath({ ...path, sections: [...path.sections, node.uid] })) {
+                    close();
+                    showSuccess(`Added ${describeSection(node)} to "${path.title}"`);
+                }
+            }
+        }
+    ]);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Shows the current user's training and, for users with manageTraining,
+ * every path with its assignments and completion
+ */
+export function showTrainingDashboard() {
+    const { overlay, modal, close } = createDialog('training-dialog training-dashboard');
+    const render = () => {
+        modal.innerHTML = '';
+        renderDashboard(modal, render, close);
+    };
+    render();
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Fills the dashboard dialog
+ * @private
+ * @param {HTMLElement} modal - Dialog element
+ * @param {Function} render - Redraws the dialog
+ * @param {Function} close - Closes the dialog
+ */
+function renderDashboard(modal, render, close) {
+    const title = document.createElement('h3');
+    title.textContent = 'Training';
+    modal.appendChild(title);
+
+    const user = getCurrentUserInfo();
+    const own = user ? getUserAssignments(user.id) : [];
+
+    const ownHeading = document.createElement('h4');
+    ownHeading.textContent = 'My training';
+    modal.appendChild(ownHeading);
+
+    if (own.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'training-empty';
+        empty.textContent = 'No learning paths are assigned to you.';
+        modal.appendChild(empty);
+    } else {
+        const table = createTable(['Learning path', 'Due', 'Progress', 'Status', '']);
+        own.forEach(({ path, assignment, done, total, status }) => {
+            const row = table.insertRow();
+            row.insertCell().textContent = path.title;
+            row.insertCell().textContent = formatDate(assignment.dueDate);
+            row.insertCell().appendChild(createProgressBar(done, total));
+            row.insertCell().appendChild(createStatusBadge(status));
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'btn';
+            action.textContent = status === TRAINING_STATUS.completed ? 'Review' : (done > 0 ? 'Continue' : 'Start');
+            action.addEventListener('click', () => {
+                close();
+                openLearningPath(path.id);
+            });
+            row.insertCell().appendChild(action);
+        });
+        modal.appendChild(table);
+    }
+
+    if (can('manageTraining')) {
+        const pathsHeading = document.createElement('h4');
+        pathsHeading.textContent = 'Learning paths';
+        modal.appendChild(pathsHeading);
+
+        const paths = getAnnotations('learningPaths');
+        if (paths.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'training-empty';
+            empty.textContent = 'No learning paths yet. Create one here, or right-click a section and choose Add to Learning Path...';
+            modal.appendChild(empty);
+        }
+        paths.forEach(path => modal.appendChild(createPathSummary(path, render, close)));
+    }
+
+    const buttons = [{ label: 'Close', onClick: close, primary: true }];
+    if (can('manageTraining')) {
+        buttons.unshift({
+            label: 'New Learning Path',
+            onClick: () => showPathEditor({ title: '', description: '', sections: [] }, render)
+        });
+    }
+    appendButtons(modal, buttons);
+}
+
+/**
+ * Builds a dashboard entry for a path: completion counts, actions and each assignment
+ * @private
+ */
+function createPathSummary(path, render, close) {
+    const container = document.createElement('div');
+    container.className = 'training-path';
+
+    const progress = path.assignments.map(assignment => ({ assignment, ...getAssignmentProgress(path, assignment) }));
+    const count = status => progress.filter(entry => entry.status === status).length;
+
+    const header = document.createElement('div');
+    header.className = 'training-path-header';
+    const name = document.createElement('span');
+    name.className = 'training-path-title';
+    name.textContent = path.title;
+    header.appendChild(name);
+
+    const summary = document.createElement('span');
+    summary.className = 'training-path-summary';
+    const sectionCount = getPathSections(path).length;
+    summary.textContent = `${sectionCount} section${sectionCount === 1 ? '' : 's'} · ` +
+        `${path.assignments.length} assigned · ${count(TRAINING_STATUS.completed)} completed` +
+        (count(TRAINING_STATUS.overdue) > 0 ? ` · ${count(TRAINING_STATUS.overdue)} overdue` : '');
+    header.appendChild(summary);
+
+    [
+        ['Preview', () => { close(); showReader(path, 0); }],
+        ['Edit', () => showPathEditor(path, render)],
+        ['Assign', () => showAssignDialog(path, render)],
+        ['SCORM', () => exportPathAsScorm(path)],
+        ['Delete', async () => { if (await deleteLearningPath(path.id)) render(); }]
+    ].forEach(([label, onClick]) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn training-path-action';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        header.appendChild(button);
+    });
+    container.appendChild(header);
+
+    if (path.description) {
+        const description = document.createElement('div');
+        description.className = 'training-path-description';
+        description.textContent = path.description;
+        container.appendChild(description);
+    }
+
+    if (progress.length > 0) {
+        const table = createTable(['User', 'Due', 'Progress', 'Status', 'Completed']);
+        progress
+            .sort((a, b) => a.assignment.user.localeCompare(b.assignment.user))
+            .forEach(({ assignment, done, total, status }) => {
+                const row = table.insertRow();
+                const userCell = row.insertCell();
+                userCell.textContent = assignment.user;
+                const color = getUserColor({ id: assignment.userId });
+                if (color) {
+                    userCell.classList.add('training-user');
+                    userCell.style.setProperty('--training-user-color', color);
+                }
+                row.insertCell().textContent = formatDate(assignment.dueDate);
+                row.insertCell().appendChild(createProgressBar(done, total));
+                row.insertCell().appendChild(createStatusBadge(status));
+                row.insertCell().textContent = status === TRAINING_STATUS.completed && assignment.completedAt
+                    ? new Date(assignment.completedAt).toLocaleDateString()
+                    : '';
+            });
+        container.appendChild(table);
+    }
+
+    return container;
+}
+
+/**
+ * Edits a path's title, description and ordered sections
+ * @private
+ * @param {Object} path - Path to edit, or the fields of a new one
+ * @param {Function} onSaved - Called after saving
+ */
+function showPathEditor(path, onSaved = null) {
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    const { overlay, modal, close } = createDialog('training-dialog training-path-editor');
+
+    const title = document.createElement('h3');
+    title.textContent = path.id ? 'Edit Learning Path' : 'New Learning Path';
+    modal.appendChild(title);
+
+    const titleInput = document.createElement('input');
+    titleInput.type = 'text';
+    titleInput.className = 'modal-input';
+    titleInput.value = path.title || '';
+    modal.appendChild(labelled('Title', titleInput, 'training-label'));
+
+    const descriptionInput = document.createElement('textarea');
+    descriptionInput.className = 'modal-input';
+    descriptionInput.rows = 2;
+    descriptionInput.value = path.description || '';
+    modal.appendChild(labelled('Description', descriptionInput, 'training-label'));
+
+    const sectionsLabel = document.createElement('div');
+    sectionsLabel.className = 'training-label';
+    sectionsLabel.textContent = 'Sections, in reading order';
+    modal.appendChild(sectionsLabel);
+
+    const sectionUids = [...(path.sections || [])];
+    const list = document.createElement('ol');
+    list.className = 'training-section-list';
+    modal.appendChild(list);
+
+    const renderList = () => {
+        list.innerHTML = '';
+        sectionUids.forEach((uid, index) => {
+            const node = findNodeByUid(documentStructure, uid);
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = node ? describeSection(node) : 'Removed section';
+            if (!node) {
+                text.className = 'training-removed';
+            }
+            item.appendChild(text);
+
+            [['↑', index - 1], ['↓', index + 1]].forEach(([symbol, target]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn training-move';
+                button.textContent = symbol;
+                button.disabled = target < 0 || target >= sectionUids.length;
+                button.addEventListener('click', () => {
+                    [sectionUids[index], sectionUids[target]] = [sectionUids[target], sectionUids[index]];
+                    renderList();
+                });
+                item.appendChild(button);
+            });
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn training-move';
+            remove.textContent = '×';
+            remove.title = 'Remove from the path';
+            remove.addEventListener('click', () => {
+                sectionUids.splice(index, 1);
+                renderList();
+                renderPicker();
+            });
+            item.appendChild(remove);
+            list.appendChild(item);
+        });
+    };
+
+    // Any section of the tree can be added, so a path can draw on several parts of it
+    const pickerRow = document.createElement('div');
+    pickerRow.className = 'training-picker';
+    const picker = document.createElement('select');
+    picker.className = 'modal-input';
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn';
+    addButton.textContent = 'Add Section';
+    addButton.addEventListener('click', () => {
+        if (picker.value) {
+            sectionUids.push(picker.value);
+            renderList();
+            renderPicker();
+        }
+    });
+    pickerRow.appendChild(picker);
+    pickerRow.appendChild(addButton);
+    modal.appendChild(pickerRow);
+
+    const renderPicker = () => {
+        picker.innerHTML = '';
+        const visit = (nodes, depth) => nodes.forEach(node => {
+            if (!sectionUids.includes(node.uid)) {
+                picker.appendChild(new Option(`${'  '.repeat(depth)}${describeSection(node)}`, node.uid));
+            }
+            visit(node.children || [], depth + 1);
+        });
+        visit(documentStructure, 0);
+        addButton.disabled = picker.options.length === 0;
+    };
+
+    renderList();
+    renderPicker();
+
+    appendButtons(modal, [
+        { label: 'Cancel', onClick: close },
+        {
+            label: 'Save',
+            primary: true,
+            onClick: () => {
+                const saved = saveLearningPath({
+                    id: path.id,
+                    title: titleInput.value,
+                    description: descriptionInput.value,
+                    sections: sectionUids
+                });
+                if (saved) {
+                    close();
+                    showSuccess(`Saved learning path "${saved.title}"`);
+                    if (onSaved) {
+                        onSaved();
+                    }
+                }
+            }
+        }
+    ]);
+
+    document.body.appendChild(overlay);
+    titleInput.focus();
+}
+
+/**
+ * Chooses the users a path is assigned to and their due date
+ * @private
+ * @param {Object} path - Path to assign
+ * @param {Function} onSaved - Called after saving
+ */
+function showAssignDialog(path, onSaved) {
+    const { overlay, modal, close } = createDialog('training-dialog');
+
+    const title = document.createElement('h3');
+    title.textContent = `Assign "${path.title}"`;
+    modal.appendChild(title);
+
+    const users = [...(stateManager.getUsers() || [])].sort((a, b) => a.name.localeCompare(b.name));
+    const checkboxes = users.map(user => {
+        const label = document.createElement('label');
+        label.className = 'training-user-option';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = user.id;
+        checkbox.checked = path.assignments.some(assignment => assignment.userId === user.id);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${user.name}`));
+        modal.appendChild(label);
+        return checkbox;
+    });
+
+    const dueInput = document.createElement('input');
+    dueInput.type = 'date';
+    dueInput.className = 'modal-input';
+    const dueDates = path.assignments.map(assignment => assignment.dueDate).filter(Boolean).sort();
+    dueInput.value = dueDates.length > 0 ? dueDates[dueDates.length - 1] : getToday(DEFAULT_DUE_DAYS);
+    modal.appendChild(labelled('Due date (leave empty for none)', dueInput, 'training-label'));
+
+    appendButtons(modal, [
+        { label: 'Cancel', onClick: close },
+        {
+            label: 'Save',
+            primary: true,
+            onClick: async () => {
+                const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+                const removed = path.assignments.filter(assignment => !selected.includes(assignment.userId));
+                const withProgress = removed.filter(assignment => Object.keys(assignment.completed).length > 0);
+                if (withProgress.length > 0) {
+                    const confirmed = await showConfirm(
+                        `Unassign ${withProgress.map(assignment => assignment.user).join(', ')} and discard their progress?`,
+                        'Unassign',
+                        'Cancel'
+                    );
+                    if (!confirmed) {
+                        return;
+                    }
+                }
+                if (removed.length > 0 && !unassignLearningPath(path.id, removed.map(assignment => assignment.userId))) {
+                    return;
+                }
+                if (assignLearningPath(path.id, selected, dueInput.value || null)) {
+                    close();
+                    onSaved();
+                }
+            }
+        }
+    ]);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Shows one section of a path with previous and next navigation. Moving on
+ * marks the section completed for an assigned user.
+ * @private
+ * @param {Object} path - Path being read
+ * @param {number} index - Section to show
+ */
+function showReader(path, index) {
+    const { overlay, modal, close } = createDialog('training-dialog training-reader');
+    const user = getCurrentUserInfo();
+
+    const render = (position) => {
+        const documentStructure = stateManager.getDocumentStructure() || [];
+        const sections = getPathSections(path, documentStructure);
+        if (sections.length === 0) {
+            close();
+            return;
+        }
+        const current = Math.min(position, sections.length - 1);
+        const node = sections[current];
+        const assignment = user && path.assignments.find(candidate => candidate.userId === user.id);
+
+        modal.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'training-reader-header';
+        const title = document.createElement('h3');
+        title.textContent = path.title;
+        header.appendChild(title);
+        const step = document.createElement('span');
+        step.className = 'training-reader-step';
+        step.textContent = `Section ${current + 1} of ${sections.length}` + (assignment ? '' : ' · preview, progress is not recorded');
+        header.appendChild(step);
+        modal.appendChild(header);
+
+        if (assignment) {
+            const { done, total } = getAssignmentProgress(path, assignment);
+            modal.appendChild(createProgressBar(done, total));
+        }
+
+        const body = document.createElement('div');
+        body.className = 'training-reader-body';
+        const heading = document.createElement('h4');
+        heading.textContent = describeSection(node);
+        if (assignment && assignment.completed[node.uid]) {
+            heading.appendChild(createStatusBadge(TRAINING_STATUS.completed));
+        }
+        body.appendChild(heading);
+        (node.content || []).forEach((text, paragraphIndex) => {
+            const paragraph = document.createElement('p');
+            const label = document.createElement('span');
+            label.className = 'training-paragraph-label';
+            label.textContent = `${node.id.replace(/-/g, '.')}${String.fromCharCode(97 + paragraphIndex)}`;
+            paragraph.appendChild(label);
+            paragraph.appendChild(renderReferenceTokens(text, documentStructure));
+            body.appendChild(paragraph);
+        });
+        if (!node.content || node.content.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'training-empty';
+            empty.textContent = 'This section has no text.';
+            body.appendChild(empty);
+        }
+        modal.appendChild(body);
+
+        const isLast = current === sections.length - 1;
+        const previous = { label: 'Previous', onClick: () => render(current - 1) };
+        const buttons = [
+            { label: 'Close', onClick: close },
+            {
+                label: 'Open in Editor',
+                onClick: async () => {
+                    close();
+                    // Dynamic import: event-handlers loads the content editor
+                    const { handleTreeElementClick } = await import('./event-handlers.js');
+                    handleTreeElementClick(node.id);
+                }
+            }
+        ];
+        if (current > 0) {
+            buttons.push(previous);
+        }
+        buttons.push({
+            label: isLast ? 'Finish' : 'Next',
+            primary: true,
+            onClick: () => {
+                const updated = completePathSection(path.id, node.uid);
+                if (!isLast) {
+                    render(current + 1);
+                    return;
+                }
+                close();
+                if (updated && updated.completedAt) {
+                    showSuccess(`You have completed "${path.title}"`);
+                }
+            }
+        });
+        appendButtons(modal, buttons);
+    };
+
+    render(index);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Packages a path for an external LMS, one page per section as in the reader
+ * @private
+ */
+function exportPathAsScorm(path) {
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    const pages = getPathSections(path, documentStructure).map(node => {
+        const plain = JSON.parse(JSON.stringify(typeof node.toJSON === 'function' ? node.toJSON() : node));
+        return {
+            title: describeSection(node),
+            // The reader shows a section without its subsections, and so does the package
+            node: { ...plain, children: [], sectionNumber: node.id.replace(/-/g, '.') }
+        };
+    });
+    if (pages.length === 0) {
+        showError('This path has no sections to package.');
+        return;
+    }
+    exportScormPackage({ title: path.title, pages, referenceNumbers: buildReferenceNumbers(documentStructure) });
+}
+
+/**
+ * Stores the paths with the version history
+ * @private
+ */
+function saveLearningPaths() {
+    saveVersionHistoryToStorage(exportVersionHistory());
+}
+
+/**
+ * Builds a progress bar with a "done / total" label
+ * @private
+ */
+function createProgressBar(done, total) {
+    const container = document.createElement('div');
+    container.className = 'training-progress';
+    const bar = document.createElement('div');
+    bar.className = 'training-progress-bar';
+    bar.style.width = `${total > 0 ? Math.round((done / total) * 100) : 0}%`;
+    container.appendChild(bar);
+    const label = document.createElement('span');
+    label.className = 'training-progress-label';
+    label.textContent = `${done} / ${total}`;
+    container.appendChild(label);
+    return container;
+}
+
+/**
+ * Builds a badge for a TRAINING_STATUS
+ * @private
+ */
+function createStatusBadge(status) {
+    const badge = document.createElement('span');
+    badge.className = `training-status training-${status}`;
+    badge.textContent = STATUS_LABELS[status];
+    return badge;
+}
+
+/**
+ * Builds a table with a header row
+ * @private
+ */
+function createTable(headings) {
+    const table = document.createElement('table');
+    table.className = 'training-table';
+    const header = table.insertRow();
+    headings.forEach(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        header.appendChild(cell);
+    });
+    return table;
+}
+
+/**
+ * Today's date, or a date some days from now, as YYYY-MM-DD in local time
+ * @private
+ * @param {number} offsetDays - Days to add
+ * @returns {string} Date
+ */
+function getToday(offsetDays = 0) {
+    const date = new Date();
+    date.setDate(date.getDate() + offsetDays);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Formats a YYYY-MM-DD due date for display
+ * @private
+ */
+function formatDate(value) {
+    if (!value) {
+        return 'No due date';
+    }
+    const [year, month, day] = value.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString();
+}
@@ -0,0 +1,364 @@
+/**
+ * Markdown Import Module
+ * Converts Markdown files into the document node structure and previews the result
+ */
+
+// Extensions treated as Markdown
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Name given to a section holding text that appears before the first heading
+const PREAMBLE_SECTION_NAME = 'Introduction';
+
+/**
+ * Checks whether a file name looks like a Markdown file
+ * @param {string} fileName - The file name
+ * @returns {boolean} True for .md / .markdown files
+ */
+export function isMarkdownFile(fileName) {
+    const lower = (fileName || '').toLowerCase();
+    return MARKDOWN_EXTENSIONS.some(ext => lower.endsWith(ext));
+}
+
+/**
+ * Parses Markdown into plain document nodes
+ * Headings become nested sections (a heading nests under the closest preceding
+ * heading of a lower level), paragraphs and list items become content entries.
+ * @param {string} markdown - The Markdown source
+ * @returns {Object[]} Root nodes as plain JSON with positional IDs
+ */
+export function parseMarkdown(markdown) {
+    if (typeof markdown !== 'string') {
+        throw new Error('Markdown source must be a string');
+    }
+
+    const roots = [];
+    const stack = []; // [{ level, node }] of currently open headings
+    let preamble = null;
+
+    const openSection = (level, name) => {
+        while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+            stack.pop();
+        }
+
+        const node = { id: null, name: name || 'Untitled Section', content: [], parentId: null, children: [] };
+        const parent = stack.length > 0 ? stack[stack.length - 1].node : null;
+        (parent ? parent.children : roots).push(node);
+        stack.push({ level, node });
+    };
+
+    const addContent = (text) => {
+        const cleaned = text.trim();
+        if (!cleaned) {
+            return;
+        }
+
+        if (stack.length > 0) {
+            stack[stack.length - 1].node.content.push(cleaned);
+            return;
+        }
+
+        if (!preamble) {
+            preamble = { id: null, name: PREAMBLE_SECTION_NAME, content: [], parentId: null, children: [] };
+            roots.push(preamble);
+        }
+        preamble.content.push(cleaned);
+    };
+
+    const blocks = tokenizeBlocks(markdown);
+    blocks.forEach(block => {
+        if (block.type === 'heading') {
+            openSection(block.level, stripInline(block.text));
+        } else if (block.type === 'code') {
+            addContent(block.text);
+        } else {
+            addContent(stripInline(block.text));
+        }
+    });
+
+    assignIds(roots, null);
+    return roots;
+}
+
+/**
+ * Counts sections and content entries in a plain node tree
+ * @param {Object[]} nodes - Plain document nodes
+ * @returns {{sections: number, items: number, depth: number}} Tree statistics
+ */
+export function summarizeTree(nodes) {
+    const stats = { sections: 0, items: 0, depth: 0 };
+
+    const walk = (list, depth) => {
+        list.forEach(node => {
+            stats.sections++;
+            stats.items += (node.content || []).length;
+            stats.depth = Math.max(stats.depth, depth);
+            walk(node.children || [], depth + 1);
+        });
+    };
+
+    walk(nodes, 1);
+    return stats;
+}
+
+/**
+ * Shows a preview of an imported tree and asks how to apply it
+ * @param {Object[]} nodes - Plain document nodes from parseMarkdown()
+ * @param {string} fileName - Name of the imported file
+ * @returns {Promise<string|null>} 'replace', 'merge', or null when cancelled
+ */
+export function showImportPreview(nodes, fileName) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-dialog import-preview-dialog';
+
+        const title = document.createElement('h3');
+        title.className = 'import-preview-title';
+        title.textContent = `Import "${fileName}"`;
+
+        const stats = summarizeTree(nodes);
+        const summary = document.createElement('div');
+        summary.className = 'import-preview-summary';
+        summary.textContent = `${stats.sections} sections · ${stats.items} content items · ${stats.depth} levels deep`;
+
+        const tree = document.createElement('div');
+        tree.className = 'import-preview-tree';
+        tree.appendChild(buildPreviewList(nodes));
+
+        const hint = document.createElement('div');
+        hint.className = 'modal-message';
+        hint.textContent = 'Replace swaps out the current sections. Merge appends these sections after them. Either way the change stays uncommitted until you commit it.';
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'modal-buttons';
+
+        const close = (result) => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            resolve(result);
+        };
+
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                close(null);
+            }
+        };
+
+        const buttons = [
+            { text: 'Cancel', className: 'modal-btn modal-btn-cancel', result: null },
+            { text: 'Merge', className: 'modal-btn modal-btn-cancel', result: 'merge' },
+            { text: 'Replace', className: 'modal-btn modal-btn-confirm', result: 'replace' }
+        ];
+
+        buttons.forEach(({ text, className, result }) => {
+            const button = document.createElement('button');
+            button.textContent = text;
+            button.className = className;
+            button.onclick = () => close(result);
+            buttonContainer.appendChild(button);
+        });
+
+        modal.appendChild(title);
+        modal.appendChild(summary);
+        modal.appendChild(tree);
+        modal.appendChild(hint);
+        modal.appendChild(buttonContainer);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                close(null);
+            }
+        });
+    });
+}
+
+/**
+ * Re-numbers a plain node tree with positional IDs (1, 1-1, 1-2, ...)
+ * @param {Object[]} nodes - Plain document nodes
+ * @param {string|null} parentId - ID of the parent, null for roots
+ * @param {number} startIndex - Number given to the first node
+ */
+export function assignIds(nodes, parentId, startIndex = 1) {
+    nodes.forEach((node, index) => {
+        const order = startIndex + index;
+        node.id = parentId === null ? `${order}` : `${parentId}-${order}`;
+        node.parentId = parentId;
+        assignIds(node.children || [], node.id);
+    });
+}
+
+/**
+ * Splits Markdown into heading, paragraph, list item and code blocks
+ * @private
+ * @param {string} markdown - The Markdown source
+ * @returns {Object[]} Blocks of the form { type, text, level? }
+ */
+function tokenizeBlocks(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let listItem = null;
+    let fence = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+            paragraph = [];
+        }
+    };
+
+    const flushListItem = () => {
+        if (listItem !== null) {
+            blocks.push({ type: 'list', text: listItem.join(' ') });
+            listItem = null;
+        }
+    };
+
+    const flush = () => {
+        flushParagraph();
+        flushListItem();
+    };
+
+    // Skip YAML front matter
+    let start = 0;
+    if (lines[0] && lines[0].trim() === '---') {
+        const end = lines.indexOf('---', 1);
+        if (end > 0) {
+            start = end + 1;
+        }
+    }
+
+    for (let i = start; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        // Fenced code blocks are kept verbatim as a single entry
+        if (fence) {
+            if (trimmed.startsWith(fence.marker)) {
+                blocks.push({ type: 'code', text: fence.lines.join('\n') });
+                fence = null;
+            } else {
+                fence.lines.push(line);
+            }
+            continue;
+        }
+
+        const fenceMatch = trimmed.match(/^(```+|~~~+)/);
+        if (fenceMatch) {
+            flush();
+            fence = { marker: fenceMatch[1], lines: [] };
+            continue;
+        }
+
+        if (!trimmed) {
+            flush();
+            continue;
+        }
+
+        // ATX headings: # Title
+        const headingMatch = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (headingMatch) {
+            flush();
+            blocks.push({ type: 'heading', level: headingMatch[1].length, text: headingMatch[2] });
+            continue;
+        }
+
+        // Setext headings: a paragraph line underlined with === or ---
+        if (paragraph.length === 1 && listItem === null && /^(=+|-+)$/.test(trimmed)) {
+            blocks.push({ type: 'heading', level: trimmed[0] === '=' ? 1 : 2, text: paragraph[0] });
+            paragraph = [];
+            continue;
+        }
+
+        // Horizontal rules carry no content
+        if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+            flush();
+            continue;
+        }
+
+        // List items: -, *, + or 1. / 1)
+        const listMatch = trimmed.match(/^(?:[-*+]|\d+[.)])\s+(.*)$/);
+        if (listMatch) {
+            flush();
+            listItem = [listMatch[1].replace(/^\[[ xX]\]\s+/, '')];
+            continue;
+        }
+
+        // Indented lines continue the current list item
+        if (listItem !== null && /^\s+/.test(line)) {
+            listItem.push(trimmed);
+            continue;
+        }
+
+        flushListItem();
+        paragraph.push(trimmed.replace(/^>\s?/, ''));
+    }
+
+    if (fence) {
+        blocks.push({ type: 'code', text: fence.lines.join('\n') });
+    }
+    flush();
+
+    return blocks;
+}
+
+/**
+ * Removes inline Markdown syntax, keeping the readable text
+ * @private
+ * @param {string} text - Markdown text
+ * @returns {string} Plain text
+ */
+function stripInline(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')           // images -> alt text
+        .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, '$1 ($2)') // links -> text (url)
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+        .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1$2')     // leaves snake_case alone
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1')
+        .trim();
+}
+
+/**
+ * Builds the nested preview list for a node tree
+ * @private
+ * @param {Object[]} nodes - Plain document nodes
+ * @returns {HTMLElement} The list element
+ */
+function buildPreviewList(nodes) {
+    const list = document.createElement('ul');
+    list.className = 'import-preview-list';
+
+    nodes.forEach(node => {
+        const item = document.createElement('li');
+
+        const label = document.createElement('span');
+        label.className = 'import-preview-node';
+        label.textContent = `${node.id.replace(/-/g, '.')} ${node.name}`;
+
+        const count = document.createElement('span');
+        count.className = 'import-preview-count';
+        const itemCount = (node.content || []).length;
+        count.textContent = itemCount > 0 ? ` (${itemCount} ${itemCount === 1 ? 'item' : 'items'})` : '';
+
+        item.appendChild(label);
+        item.appendChild(count);
+
+        if (node.children && node.children.length > 0) {
+            item.appendChild(buildPreviewList(node.children));
+        }
+
+        list.appendChild(item);
+    });
+
+    return list;
+}
@@ -187,8 +187,8 @@ function initializeKeyboardShortcuts() {
         if ((e.ctrlKey || e.metaKey) && e.key === 'S' && e.shiftKey) {
             e.preventDefault();
             if (LOG_ENABLED) console.log('Keyboard shortcut: Commit (Ctrl+Shift+S)');
+            // commitDocument reports the outcome, including a missing permission
             commitDocument();
-            showSuccess('Changes Committed');
         }
 
         // Escape - Close menu or pending panel
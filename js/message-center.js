@@ -421,6 +421,75 @@ export function showPrompt(message, defaultValue = '', placeholder = '') {
     });
 }
 
+/**
+ * Creates an empty modal dialog for modules that build their own dialog content.
+ * Append `overlay` to the document to show it.
+ * @param {string} className - Extra classes for the dialog
+ * @returns {{overlay: HTMLElement, modal: HTMLElement, close: Function}} Elements and a close function
+ */
+export function createDialog(className) {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+
+    const modal = document.createElement('div');
+    modal.className = `modal-dialog ${className}`;
+    overlay.appendChild(modal);
+
+    const close = () => {
+        if (overlay.parentNode) {
+            overlay.parentNode.removeChild(overlay);
+        }
+    };
+    return { overlay, modal, close };
+}
+
+/**
+ * Adds a row of dialog buttons
+ * @param {HTMLElement} modal - Dialog element
+ * @param {Array<{label: string, onClick: Function, primary: boolean}>} buttons - Buttons, left to right
+ * @returns {HTMLButtonElement[]} The buttons
+ */
+export function appendButtons(modal, buttons) {
+    const container = document.createElement('div');
+    container.className = 'modal-buttons';
+    const elements = buttons.map(({ label, onClick, primary }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `modal-btn ${primary ? 'modal-btn-confirm' : 'modal-btn-cancel'}`;
+        button.textContent = label;
+        button.onclick = onClick;
+        container.appendChild(button);
+        return button;
+    });
+    modal.appendChild(container);
+    return elements;
+}
+
+/**
+ * Wraps a dialog control in a label
+ * @param {string} text - Label text
+ * @param {HTMLElement} control - Input, select or textarea
+ * @param {string} className - Class of the label
+ * @returns {HTMLLabelElement} The label
+ */
+export function labelled(text, control, className) {
+    const label = document.createElement('label');
+    label.className = className;
+    label.textContent = text;
+    label.appendChild(control);
+    return label;
+}
+
+/**
+ * Shortens text for display
+ * @param {string} text - Text
+ * @param {number} length - Maximum length, including the ellipsis
+ * @returns {string} The text, cut short with "…" if it was longer
+ */
+export function truncate(text, length) {
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
 /**
  * Get current message info
  */
@@ -13,6 +13,8 @@ import { scheduleAutoSave } from './storage-manager.js';
 import { showConfirm } from './message-center.js';
 import { showError, showSuccess } from './message-center.js';
 import { saveWorkingCopy } from './version-control.js';
+import { can, requirePermission } from './permissions.js';
+import { requireUnlocked } from './section-locks.js';
 
 /**
  * Renders the pending items in the pending section
@@ -221,6 +223,10 @@ function attachPendingEventListeners() {
  * @param {string} PendingId - ID of the Pendinged item to restore
  */
 export function restoreFromPending(PendingId) {
+    if (!requirePermission('edit')) {
+        return;
+    }
+
     try {
         const pendingItems = stateManager.getPendingItems() || [];
         const itemIndex = pendingItems.findIndex(item => item.id === PendingId);
@@ -256,6 +262,9 @@ export function restoreFromPending(PendingId) {
         } else {
             // Try to find original parent
             const parent = findNodeById(documentStructure, originalParentId);
+            if (parent && !requireUnlocked(parent.id)) {
+                return;
+            }
             if (parent) {
                 if (!parent.children) {
                     parent.children = [];
@@ -305,6 +314,10 @@ export function restoreFromPending(PendingId) {
  * @param {string} PendingId - ID of the Pendinged item to delete
  */
 export async function permanentlyDeleteFromPending(PendingId) {
+    if (!requirePermission('purge')) {
+        return;
+    }
+
     try {
         const pendingItems = stateManager.getPendingItems() || [];
         const item = pendingItems.find(item => item.id === PendingId);
@@ -349,6 +362,10 @@ export async function permanentlyDeleteFromPending(PendingId) {
  * Clears all Pendinged items after confirmation
  */
 export async function clearAllPending() {
+    if (!requirePermission('purge')) {
+        return;
+    }
+
     const pendingItems = stateManager.getPendingItems() || [];
 
     if (pendingItems.length === 0) {
@@ -463,6 +480,12 @@ function setupPendingDragHandlers() {
  * Handles drag start for pending items
  */
 function handlePendingDragStart(e) {
+    // Dragging restores the item, which needs edit permission
+    if (!can('edit')) {
+        e.preventDefault();
+        return;
+    }
+    
     // Prevent dragging from buttons
     if (e.target.closest('button')) {
         e.preventDefault();
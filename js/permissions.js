@@ -0,0 +1,140 @@
+/**
+ * Permissions Module
+ * User roles, what each role may do, and disabling the controls the current
+ * user may not use. Roles guard against accidental changes; switching users
+ * is not authenticated.
+ */
+
+import { stateManager } from './state-manager.js';
+import { showError } from './message-center.js';
+
+// Roles from least to most privileged. Each role may do everything the roles before it can.
+export const ROLES = ['Viewer', 'Editor', 'Reviewer', 'Admin'];
+
+// Role given to new users and to users whose stored role is not recognised
+export const DEFAULT_ROLE = 'Editor';
+
+// Least privileged role allowed each permission
+const PERMISSIONS = {
+    edit: 'Editor',         // add, delete, move and edit sections, content and references
+    commit: 'Editor',
+    revert: 'Reviewer',
+    review: 'Reviewer',     // approve or reject proposed versions
+    purge: 'Admin',         // permanently delete sections, pending items or junked items
+    forceUnlock: 'Admin',   // release sections other users have checked out
+    quizResults: 'Reviewer', // see every user's quiz scores, not only your own
+    signOffReport: 'Reviewer', // see who else has read and signed each section
+    manageTraining: 'Reviewer', // build learning paths, assign them and follow everyone's progress
+    manageUsers: 'Admin'
+};
+
+// Completes "… cannot <description>" in permission errors
+const PERMISSION_DESCRIPTIONS = {
+    edit: 'edit the document',
+    commit: 'commit versions',
+    revert: 'revert to an earlier version',
+    review: 'approve or reject versions',
+    purge: 'permanently delete sections or pending and junked items',
+    forceUnlock: 'unlock sections checked out by other users',
+    quizResults: "see other users' quiz results",
+    signOffReport: 'see which sections other users have read and signed',
+    manageTraining: 'manage learning paths and training assignments',
+    manageUsers: 'manage users'
+};
+
+/**
+ * Returns a valid role name
+ * @param {string} role - Stored role
+ * @returns {string} The role, or DEFAULT_ROLE if it is not one of ROLES
+ */
+export function normalizeRole(role) {
+    return ROLES.includes(role) ? role : DEFAULT_ROLE;
+}
+
+/**
+ * Checks whether a role has a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export function roleHasPermission(role, permission) {
+    const required = PERMISSIONS[permission];
+    if (!required) {
+        console.warn('Unknown permission:', permission);
+        return false;
+    }
+    return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(required);
+}
+
+/**
+ * Checks whether the current user has a permission.
+ * Until some user is made Admin, anyone may manage users, so documents
+ * created before roles were enforced can still be set up.
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export function can(permission) {
+    const user = stateManager.getCurrentUser();
+    if (permission === 'manageUsers' && !hasAdmin()) {
+        return true;
+    }
+    return roleHasPermission(user ? user.role : DEFAULT_ROLE, permission);
+}
+
+/**
+ * Checks a permission and tells the user when it is missing
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean} True if allowed
+ */
+export function requirePermission(permission) {
+    if (can(permission)) {
+        return true;
+    }
+
+    const user = stateManager.getCurrentUser();
+    const role = normalizeRole(user ? user.role : DEFAULT_ROLE);
+    showError(`${role}s cannot ${PERMISSION_DESCRIPTIONS[permission] || permission}. This requires the ${PERMISSIONS[permission]} role or higher.`);
+    return false;
+}
+
+/**
+ * Whether any user has the Admin role
+ * @returns {boolean} True if there is at least one Admin
+ */
+export function hasAdmin() {
+    return (stateManager.getUsers() || []).some(user => user.role === 'Admin');
+}
+
+/**
+ * Disables controls marked with data-permission="<permission>" that the current
+ * user may not use, and sets "cannot-<permission>" classes on the body so
+ * stylesheets can hide controls that are created dynamically
+ * @param {HTMLElement|Document} root - Element containing the controls
+ */
+export function applyPermissionsToUI(root = document) {
+    Object.keys(PERMISSIONS).forEach(permission => {
+        document.body.classList.toggle(`cannot-${permission}`, !can(permission));
+    });
+
+    root.querySelectorAll('[data-permission]').forEach(element => {
+        const allowed = can(element.getAttribute('data-permission'));
+
+        if (element.tagName === 'TEXTAREA' || element.tagName === 'INPUT') {
+            element.readOnly = !allowed;
+        } else if (element.tagName === 'BUTTON') {
+            element.disabled = !allowed;
+        } else {
+            element.classList.toggle('disabled', !allowed);
+        }
+        element.classList.toggle('permission-denied', !allowed);
+    });
+}
+
+/**
+ * Applies permissions now and whenever the user or their role changes
+ */
+export function initializePermissions() {
+    stateManager.subscribe('currentUserChanged', () => applyPermissionsToUI());
+    stateManager.subscribe('usersChanged', () => applyPermissionsToUI());
+    applyPermissionsToUI();
+}
@@ -5,21 +5,155 @@
 // =========================================================================
 */
 
-import { showPrompt } from './message-center.js';
+import {
+    getDocumentMetadata,
+    hasUncommittedChanges,
+    getVersionHistory,
+    getDocumentAtVersion,
+    getReviewStatus,
+    getLatestReleasedVersion,
+    REVIEW_STATUS
+} from './version-control.js';
+import { loadPrintOptions, savePrintOptions } from './storage-manager.js';
+import { showError } from './message-center.js';
+import { replaceReferenceTokens } from './inline-references.js';
+import { computeTreeDiff } from './version-diff.js';
+
+// Defaults for the print options dialog
+const DEFAULT_PRINT_OPTIONS = {
+    orientation: 'portrait',
+    includeToc: true,
+    tocDepth: 3,
+    showHeader: true,
+    showPageNumbers: true,
+    showDate: true
+};
 
 /**
  * Exports the current document to PDF format
  * @param {Object} documentStructure - The document structure from state manager
  * @param {string} documentTitle - Title of the document
  * @param {string} documentSubtitle - Subtitle/description of the document
+ * @param {string} versionLabel - Version shown in the running header (defaults to the current version)
  */
-export async function exportToPDF(documentStructure, documentTitle, documentSubtitle) {
-    // Prompt for orientation
-    const orientation = await showPrompt('Choose orientation:\n1 = Portrait\n2 = Landscape', '1', 'Enter 1 or 2');
-    const isLandscape = orientation === '2';
+export async function exportToPDF(documentStructure, documentTitle, documentSubtitle, versionLabel = null) {
+    // Ask for version, layout, table of contents and header/footer options
+    const options = await showPrintOptionsDialog({ showVersions: true });
+    if (!options) {
+        return;
+    }
     
+    try {
+        let nodes = documentStructure;
+        let label = versionLabel;
+        
+        // A committed version replaces the working tree
+        if (options.version !== null) {
+            nodes = getDocumentAtVersion(options.version) || [];
+            label = getVersionLabel(options.version);
+        }
+        
+        let removedTopLevel = false;
+        if (options.changesSince !== null) {
+            const marked = markChangesSinceVersion(nodes, options.changesSince);
+            nodes = marked.nodes;
+            removedTopLevel = marked.removedTopLevel;
+        }
+        
+        printDocument(nodes, documentTitle, documentSubtitle, {
+            ...options,
+            versionLabel: label,
+            changeBaseVersion: options.changesSince,
+            removedTopLevel
+        });
+    } catch (error) {
+        console.error('Error preparing print:', error);
+        showError(`Failed to print: ${error.message}`);
+    }
+}
+
+/**
+ * Copies a tree and marks what changed since a base version, for change bars.
+ * Sections are paired with the base version by uid and their paragraphs
+ * aligned by longest common subsequence (see computeTreeDiff()), so an
+ * inserted section or paragraph does not mark everything after it.
+ * @param {Object[]} nodes - Tree being printed
+ * @param {number} baseVersion - Version to compare against
+ * @returns {{nodes: Object[], changeCount: number, removedTopLevel: boolean}} Marked copy of the tree
+ */
+export function markChangesSinceVersion(nodes, baseVersion) {
+    const marked = JSON.parse(JSON.stringify(nodes));
+    const baseNodes = getDocumentAtVersion(baseVersion) || [];
+    const { oldChanges, newChanges } = computeTreeDiff(baseNodes, marked);
+    let changeCount = 0;
+    let removedTopLevel = false;
+
+    const markedById = new Map();
+    const visitMarked = list => list.forEach(node => {
+        markedById.set(node.id, node);
+        const change = newChanges.get(node.id);
+
+        if (change && change.status === 'added') {
+            getChangeMarks(node).section = true;
+            changeCount++;
+        } else if (change) {
+            if (change.renamed || change.moved) {
+                getChangeMarks(node).title = true;
+                changeCount++;
+            }
+            let index = 0;
+            change.content.forEach(row => {
+                if (row.type === 'removed') {
+                    getChangeMarks(node).removed = true;
+                    changeCount++;
+                    return;
+                }
+                if (row.type !== 'equal') {
+                    markChangedParagraph(node, index);
+                    changeCount++;
+                }
+                index++;
+            });
+        }
+        visitMarked(node.children || []);
+    });
+    visitMarked(marked);
+
+    // A removed section bars the heading of the parent it was removed from
+    const visitBase = (list, parent) => list.forEach(node => {
+        const change = oldChanges.get(node.id);
+        if (change && change.status === 'removed') {
+            if (!parent) {
+                removedTopLevel = true;
+                changeCount++;
+                return;
+            }
+            const parentChange = oldChanges.get(parent.id);
+            if (parentChange && parentChange.status !== 'removed') {
+                getChangeMarks(markedById.get(parentChange.counterpartId)).removed = true;
+                changeCount++;
+            }
+        }
+        visitBase(node.children || [], node);
+    });
+    visitBase(baseNodes, null);
+
+    return { nodes: marked, changeCount, removedTopLevel };
+}
+
+/**
+ * Prints nodes with already chosen options through a hidden iframe
+ * @param {Object[]} documentStructure - Nodes to print
+ * @param {string} documentTitle - Title of the document
+ * @param {string} documentSubtitle - Subtitle/description of the document
+ * @param {Object} options - Options from showPrintOptionsDialog(), plus an optional versionLabel
+ */
+export function printDocument(documentStructure, documentTitle, documentSubtitle, options) {
     // Generate the print HTML
-    const printHTML = generatePrintHTML(documentStructure, documentTitle, documentSubtitle, isLandscape);
+    const printHTML = generatePrintHTML(documentStructure, documentTitle, documentSubtitle, {
+        ...options,
+        versionLabel: options.versionLabel || getCurrentVersionLabel()
+    });
     
     // Create a hidden iframe for printing
     const printFrame = document.createElement('iframe');
@@ -48,44 +182,465 @@ export async function exportToPDF(documentStructure, documentTitle, documentSubt
     };
 }
 
+/**
+ * Shows the print options dialog, pre-filled with the last used options
+ * @param {Object} dialogOptions - Extra controls to show
+ * @param {boolean} dialogOptions.showNumbering - Offer keep-original/renumber (for selected sections)
+ * @param {boolean} dialogOptions.showVersions - Offer a committed version and change bars (whole document)
+ * @returns {Promise<Object|null>} Chosen options, or null if cancelled
+ */
+export function showPrintOptionsDialog(dialogOptions = {}) {
+    const current = { ...DEFAULT_PRINT_OPTIONS, ...(loadPrintOptions() || {}) };
+
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-dialog print-options-dialog';
+
+        const title = document.createElement('h3');
+        title.className = 'print-options-title';
+        title.textContent = 'Print Options';
+        modal.appendChild(title);
+
+        // Version to print and change-bar base
+        let versionSelect = null;
+        let sinceSelect = null;
+        if (dialogOptions.showVersions) {
+            const history = [...getVersionHistory()].reverse();
+            const versionGroup = createOptionGroup('Version');
+
+            versionSelect = document.createElement('select');
+            versionSelect.className = 'print-options-select';
+            versionSelect.appendChild(createSelectOption('', 'Current working copy'));
+            history.forEach(commit => {
+                const released = getReviewStatus(commit) === REVIEW_STATUS.approved ? ' (released)' : '';
+                versionSelect.appendChild(createSelectOption(commit.version, `v${commit.version} - ${commit.message || 'No message'}${released}`));
+            });
+
+            // Default to the latest release; without one, the working copy
+            const latestReleased = getLatestReleasedVersion();
+            if (latestReleased !== null) {
+                versionSelect.value = String(latestReleased);
+            }
+
+            sinceSelect = document.createElement('select');
+            sinceSelect.className = 'print-options-select';
+
+            // Only versions older than the printed one can be a base
+            const refreshBaseVersions = () => {
+                const printed = versionSelect.value === '' ? Infinity : parseInt(versionSelect.value, 10);
+                const previous = sinceSelect.value;
+                sinceSelect.innerHTML = '';
+                sinceSelect.appendChild(createSelectOption('', 'No change bars'));
+                history
+                    .filter(commit => printed === Infinity ? true : commit.version < printed)
+                    .forEach(commit => sinceSelect.appendChild(createSelectOption(commit.version, `Since v${commit.version}`)));
+                sinceSelect.value = [...sinceSelect.options].some(option => option.value === previous) ? previous : '';
+            };
+            versionSelect.addEventListener('change', refreshBaseVersions);
+            refreshBaseVersions();
+
+            versionGroup.appendChild(createOptionRow(versionSelect, 'Print'));
+            versionGroup.appendChild(createOptionRow(sinceSelect, 'Change bars'));
+            modal.appendChild(versionGroup);
+        }
+
+        // Orientation
+        const layoutGroup = createOptionGroup('Layout');
+        const orientationInputs = ['portrait', 'landscape'].map(value => {
+            const input = document.createElement('input');
+            input.type = 'radio';
+            input.name = 'print-orientation';
+            input.value = value;
+            input.checked = current.orientation === value;
+            layoutGroup.appendChild(createOptionRow(input, value === 'portrait' ? 'Portrait' : 'Landscape'));
+            return input;
+        });
+        modal.appendChild(layoutGroup);
+
+        // Table of contents
+        const tocGroup = createOptionGroup('Table of contents');
+        const tocInput = createCheckbox(current.includeToc);
+        tocGroup.appendChild(createOptionRow(tocInput, 'Include a table of contents'));
+
+        const depthSelect = document.createElement('select');
+        depthSelect.className = 'print-options-select';
+        [1, 2, 3, 4, 5, 6].forEach(depth => {
+            const option = document.createElement('option');
+            option.value = depth;
+            option.textContent = depth === 1 ? 'Top-level sections only' : `${depth} levels`;
+            option.selected = Number(current.tocDepth) === depth;
+            depthSelect.appendChild(option);
+        });
+        depthSelect.disabled = !tocInput.checked;
+        tocInput.addEventListener('change', () => {
+            depthSelect.disabled = !tocInput.checked;
+        });
+        tocGroup.appendChild(createOptionRow(depthSelect, 'Depth'));
+        modal.appendChild(tocGroup);
+
+        // Section numbering, only when printing a selection
+        let renumberInput = null;
+        if (dialogOptions.showNumbering) {
+            const numberingGroup = createOptionGroup('Section numbering');
+            const keepInput = document.createElement('input');
+            keepInput.type = 'radio';
+            keepInput.name = 'print-numbering';
+            keepInput.checked = !current.renumber;
+            renumberInput = document.createElement('input');
+            renumberInput.type = 'radio';
+            renumberInput.name = 'print-numbering';
+            renumberInput.checked = Boolean(current.renumber);
+            numberingGroup.appendChild(createOptionRow(keepInput, 'Keep original numbers'));
+            numberingGroup.appendChild(createOptionRow(renumberInput, 'Renumber from 1'));
+            modal.appendChild(numberingGroup);
+        }
+
+        // Headers and footers
+        const pageGroup = createOptionGroup('Headers and footers');
+        const headerInput = createCheckbox(current.showHeader);
+        const pageNumberInput = createCheckbox(current.showPageNumbers);
+        const dateInput = createCheckbox(current.showDate);
+        pageGroup.appendChild(createOptionRow(headerInput, 'Running header with title and version'));
+        pageGroup.appendChild(createOptionRow(pageNumberInput, 'Page numbers in footer'));
+        pageGroup.appendChild(createOptionRow(dateInput, 'Date generated in footer'));
+        modal.appendChild(pageGroup);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'modal-buttons';
+
+        const close = (result) => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            resolve(result);
+        };
+
+        const confirm = () => {
+            const options = {
+                orientation: orientationInputs.find(input => input.checked)?.value || 'portrait',
+                includeToc: tocInput.checked,
+                tocDepth: parseInt(depthSelect.value, 10),
+                showHeader: headerInput.checked,
+                showPageNumbers: pageNumberInput.checked,
+                showDate: dateInput.checked,
+                renumber: renumberInput ? renumberInput.checked : Boolean(current.renumber)
+            };
+            savePrintOptions(options);
+
+            // Version choices apply to this print only, so they are not remembered
+            options.version = versionSelect && versionSelect.value !== '' ? parseInt(versionSelect.value, 10) : null;
+            options.changesSince = sinceSelect && sinceSelect.value !== '' ? parseInt(sinceSelect.value, 10) : null;
+            close(options);
+        };
+
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                close(null);
+            } else if (e.key === 'Enter') {
+                confirm();
+            }
+        };
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.className = 'modal-btn modal-btn-cancel';
+        cancelBtn.onclick = () => close(null);
+
+        const printBtn = document.createElement('button');
+        printBtn.textContent = 'Print';
+        printBtn.className = 'modal-btn modal-btn-confirm';
+        printBtn.onclick = confirm;
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(printBtn);
+        modal.appendChild(buttonContainer);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                close(null);
+            }
+        });
+
+        printBtn.focus();
+    });
+}
+
 /**
  * Generates the complete HTML for printing
+ * @param {Object[]} documentStructure - Nodes to print
+ * @param {string} title - Document title
+ * @param {string} subtitle - Document subtitle
+ * @param {Object} options - Print options plus the versionLabel for the header
  */
-function generatePrintHTML(documentStructure, title, subtitle, isLandscape) {
-    const orientation = isLandscape ? 'landscape' : 'portrait';
+function generatePrintHTML(documentStructure, title, subtitle, options = DEFAULT_PRINT_OPTIONS) {
+    const isLandscape = options.orientation === 'landscape';
+    const nodes = Array.isArray(documentStructure) ? documentStructure : (documentStructure.children || []);
     
     return `
 <!DOCTYPE html>
 <html>
 <head>
     <meta charset="UTF-8">
-    <title>${title}</title>
+    <title>${escapeHtml(title)}</title>
     <style>
-        ${getPrintStyles(isLandscape)}
+        ${getPrintStyles(isLandscape, { ...options, title })}
     </style>
 </head>
 <body>
     <div class="print-header">
-        <h1 class="print-title">${title}</h1>
-        ${subtitle ? `<p class="print-subtitle">${subtitle}</p>` : ''}
+        <h1 class="print-title">${escapeHtml(title)}</h1>
+        ${subtitle ? `<p class="print-subtitle">${escapeHtml(subtitle)}</p>` : ''}
+        ${options.versionLabel ? `<p class="print-date">${escapeHtml(options.versionLabel)}</p>` : ''}
         <p class="print-date">Generated: ${new Date().toLocaleDateString()}</p>
+        ${options.changeBaseVersion !== null && options.changeBaseVersion !== undefined
+            ? `<p class="print-change-legend">Change bars in the margin mark changes since version ${options.changeBaseVersion}.${options.removedTopLevel ? ' Some top-level sections were removed.' : ''}</p>`
+            : ''}
     </div>
     
+    ${options.includeToc ? generateTableOfContents(nodes, options.tocDepth) : ''}
+    
     <div class="print-content">
-        ${generateNodeHTML(Array.isArray(documentStructure) ? documentStructure : (documentStructure.children || []), 1)}
+        ${generateNodeHTML(nodes, 1, '', options.referenceNumbers || buildReferenceNumbers(nodes))}
     </div>
 </body>
 </html>
     `;
 }
 
+/**
+ * Generates a linked table of contents
+ * @param {Object[]} nodes - Root nodes
+ * @param {number} maxDepth - Deepest level to list
+ * @returns {string} TOC HTML
+ */
+export function generateTableOfContents(nodes, maxDepth = 3) {
+    const renderLevel = (list, level, parentNumber) => {
+        if (!list || list.length === 0 || level > maxDepth) {
+            return '';
+        }
+
+        let html = `<ul class="toc-list level-${level}">`;
+        list.forEach((node, index) => {
+            const sectionNumber = getNodeSectionNumber(node, parentNumber, index);
+            html += `<li class="toc-entry">`;
+            html += `<a href="#${getSectionAnchor(sectionNumber)}">`;
+            html += `<span class="section-number">${sectionNumber}</span>${escapeHtml(node.title || node.name || 'Untitled')}`;
+            html += `</a>`;
+            html += renderLevel(node.children, level + 1, sectionNumber);
+            html += `</li>`;
+        });
+        html += `</ul>`;
+        return html;
+    };
+
+    return `
+    <nav class="print-toc">
+        <h2 class="print-toc-title">Contents</h2>
+        ${renderLevel(nodes, 1, '')}
+    </nav>`;
+}
+
+/**
+ * Describes a committed version, including its review state
+ * @param {number} version - Version number
+ * @returns {string} e.g. "Version 4 (released)" or "Version 5 (awaiting review)"
+ */
+export function getVersionLabel(version) {
+    const commit = getVersionHistory().find(entry => entry.version === version);
+    const suffix = {
+        [REVIEW_STATUS.approved]: ' (released)',
+        [REVIEW_STATUS.proposed]: ' (awaiting review)',
+        [REVIEW_STATUS.rejected]: ' (rejected)'
+    }[getReviewStatus(commit)] || '';
+    return `Version ${version}${suffix}`;
+}
+
+/**
+ * Describes the current version for the running header
+ * @private
+ * @returns {string} e.g. "Version 4" or "Version 4 (uncommitted changes)"
+ */
+function getCurrentVersionLabel() {
+    try {
+        const metadata = getDocumentMetadata();
+        if (!metadata) {
+            return '';
+        }
+        const label = `Version ${metadata.currentVersion}`;
+        return hasUncommittedChanges() ? `${label} (uncommitted changes)` : getVersionLabel(metadata.currentVersion);
+    } catch (error) {
+        console.warn('Could not determine document version for print header:', error);
+        return '';
+    }
+}
+
+/**
+ * Builds the anchor id for a section number
+ * @private
+ * @param {string} sectionNumber - e.g. "1.2.3"
+ * @returns {string} e.g. "section-1-2-3"
+ */
+function getSectionAnchor(sectionNumber) {
+    return `section-${sectionNumber.replace(/\./g, '-')}`;
+}
+
+/**
+ * Turns [[ref:…]] tokens in escaped paragraph HTML into links to the target section
+ * @private
+ */
+function linkReferenceTokens(html, referenceNumbers) {
+    return replaceReferenceTokens(html, key => {
+        const number = lookupReferenceNumber(key, referenceNumbers);
+        return number === '?'
+            ? `<span class="print-xref">section ?</span>`
+            : `<a class="print-xref" href="#${getSectionAnchor(number)}">section ${number}</a>`;
+    });
+}
+
+/**
+ * Section number for a token key, or '?' if the target is missing.
+ * Tokens still holding a typed number resolve when a section has that number.
+ * @private
+ */
+function lookupReferenceNumber(key, referenceNumbers) {
+    if (!referenceNumbers) {
+        return '?';
+    }
+    if (referenceNumbers.has(key)) {
+        return referenceNumbers.get(key);
+    }
+    const isNumber = /^\d+(\.\d+)*$/.test(key);
+    return isNumber && [...referenceNumbers.values()].includes(key) ? key : '?';
+}
+
+/**
+ * Gets (creating if needed) the change marks of a node
+ * @private
+ */
+function getChangeMarks(node) {
+    if (!node.changeMarks) {
+        node.changeMarks = { section: false, title: false, removed: false, paragraphs: [] };
+    }
+    return node.changeMarks;
+}
+
+/**
+ * Marks one content entry of a node as changed
+ * @private
+ * @param {Object} node - Node in the printed tree
+ * @param {number} index - Index in the node's content
+ */
+function markChangedParagraph(node, index) {
+    const content = Array.isArray(node.content) ? node.content : [];
+
+    // Printed paragraph letters skip empty entries, so convert the index
+    if (content[index] && content[index].trim()) {
+        getChangeMarks(node).paragraphs.push(formatTextContent(content.slice(0, index)).length);
+    }
+}
+
+/**
+ * Creates an <option> element
+ * @private
+ */
+function createSelectOption(value, text) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    return option;
+}
+
+/**
+ * Creates a titled group for the options dialog
+ * @private
+ */
+function createOptionGroup(label) {
+    const group = document.createElement('fieldset');
+    group.className = 'print-options-group';
+    const legend = document.createElement('legend');
+    legend.textContent = label;
+    group.appendChild(legend);
+    return group;
+}
+
+/**
+ * Creates a labelled row for the options dialog
+ * @private
+ */
+function createOptionRow(control, text) {
+    const row = document.createElement('label');
+    row.className = 'print-options-row';
+    const span = document.createElement('span');
+    span.textContent = text;
+    if (control.tagName === 'SELECT') {
+        row.appendChild(span);
+        row.appendChild(control);
+    } else {
+        row.appendChild(control);
+        row.appendChild(span);
+    }
+    return row;
+}
+
+/**
+ * Creates a checkbox input
+ * @private
+ */
+function createCheckbox(checked) {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = Boolean(checked);
+    return input;
+}
+
+/**
+ * Builds a section number from the parent's number and the 0-based position
+ * @param {string} parentNumber - Parent's section number ('' for roots)
+ * @param {number} index - Position among siblings
+ * @returns {string} Section number, e.g. "1.2.3"
+ */
+export function getSectionNumber(parentNumber, index) {
+    const currentNumber = index + 1;
+    return parentNumber ? `${parentNumber}.${currentNumber}` : `${currentNumber}`;
+}
+
+/**
+ * Section number for a node, honouring a fixed `sectionNumber` carried by
+ * nodes printed or exported out of their original position
+ * @param {Object} node - Document node
+ * @param {string} parentNumber - Parent's section number ('' for roots)
+ * @param {number} index - Position among siblings
+ * @returns {string} Section number
+ */
+export function getNodeSectionNumber(node, parentNumber, index) {
+    return node.sectionNumber || getSectionNumber(parentNumber, index);
+}
+
+/**
+ * Builds a paragraph number from its section number and 0-based position
+ * @param {string} sectionNumber - Section number of the owning node
+ * @param {number} index - Position of the paragraph in the section
+ * @returns {string} Paragraph number, e.g. "1.2.3a"
+ */
+export function getParagraphNumber(sectionNumber, index) {
+    const letter = String.fromCharCode(97 + index); // a, b, c...
+    return `${sectionNumber}${letter}`;
+}
+
 /**
  * Recursively generates HTML for document nodes
  * @param {Array} nodes - Array of nodes to render
  * @param {number} level - Current nesting level
  * @param {string} parentNumber - Parent's section number
  */
-function generateNodeHTML(nodes, level = 1, parentNumber = '') {
+export function generateNodeHTML(nodes, level = 1, parentNumber = '', referenceNumbers = null) {
     if (!nodes || nodes.length === 0) {
         console.log('DEBUG: No nodes to render at level', level);
         return '';
@@ -94,25 +649,25 @@ function generateNodeHTML(nodes, level = 1, parentNumber = '') {
     console.log('DEBUG: Rendering', nodes.length, 'nodes at level', level);
     
     let html = '';
+    const numbers = referenceNumbers || buildReferenceNumbers(nodes);
     
     nodes.forEach((node, index) => {
         console.log('DEBUG: Processing node:', node.title || node.name, 'Content:', node.content ? 'YES' : 'NO', 'Children:', node.children?.length || 0);
         
         // Calculate section number
-        const currentNumber = index + 1;
-        const sectionNumber = parentNumber 
-            ? `${parentNumber}.${currentNumber}` 
-            : `${currentNumber}`;
+        const sectionNumber = getNodeSectionNumber(node, parentNumber, index);
         
         // Start section div
-        html += `<div class="print-section level-${level}">`;
+        html += `<div class="print-section level-${level}" id="${getSectionAnchor(sectionNumber)}">`;
         
         // Add section title (handle both 'title' and 'name' properties)
         const nodeTitle = node.title || node.name || 'Untitled';
         const headingLevel = Math.min(level + 1, 6);
-        html += `<h${headingLevel} class="print-section-title">`;
+        const marks = node.changeMarks;
+        const titleChanged = marks && (marks.section || marks.title || marks.removed);
+        html += `<h${headingLevel} class="print-section-title${titleChanged ? ' change-bar' : ''}">`;
         html += `<span class="section-number">${sectionNumber}</span>`;
-        html += `${nodeTitle}`;
+        html += `${escapeHtml(nodeTitle)}`;
         html += `</h${headingLevel}>`;
         
         // Add section content (paragraphs with letter numbering)
@@ -123,10 +678,10 @@ function generateNodeHTML(nodes, level = 1, parentNumber = '') {
             
             paragraphs.forEach((paragraph, pIndex) => {
                 if (paragraph.trim()) {
-                    const letter = String.fromCharCode(97 + pIndex); // a, b, c...
-                    html += `<div class="print-paragraph">`;
-                    html += `<span class="paragraph-number">${sectionNumber}${letter}</span>`;
-                    html += paragraph;
+                    const paragraphChanged = marks && (marks.section || marks.paragraphs.includes(pIndex));
+                    html += `<div class="print-paragraph${paragraphChanged ? ' change-bar' : ''}">`;
+                    html += `<span class="paragraph-number">${getParagraphNumber(sectionNumber, pIndex)}</span>`;
+                    html += linkReferenceTokens(escapeHtml(paragraph), numbers);
                     html += `</div>`;
                 }
             });
@@ -137,7 +692,7 @@ function generateNodeHTML(nodes, level = 1, parentNumber = '') {
         // Recursively add child nodes
         if (node.children && node.children.length > 0) {
             html += `<div class="print-subsections">`;
-            html += generateNodeHTML(node.children, level + 1, sectionNumber);
+            html += generateNodeHTML(node.children, level + 1, sectionNumber, numbers);
             html += `</div>`;
         }
         
@@ -147,10 +702,40 @@ function generateNodeHTML(nodes, level = 1, parentNumber = '') {
     return html;
 }
 
+/**
+ * Maps each node uid to its printed section number, for resolving [[ref:…]] tokens
+ * @param {Object[]} nodes - Root nodes as they will be output
+ * @param {Map} numbers - Numbers already known (e.g. for the whole document); entries for these nodes replace them
+ * @returns {Map} uid -> section number such as "4.2.1"
+ */
+export function buildReferenceNumbers(nodes, numbers = new Map()) {
+    const walk = (list, parentNumber) => {
+        (list || []).forEach((node, index) => {
+            const sectionNumber = getNodeSectionNumber(node, parentNumber, index);
+            if (node.uid) {
+                numbers.set(node.uid, sectionNumber);
+            }
+            walk(node.children, sectionNumber);
+        });
+    };
+    walk(nodes, '');
+    return numbers;
+}
+
+/**
+ * Replaces [[ref:…]] tokens with plain "section 4.2.1" text, for Markdown and Word output
+ * @param {string} text - Content paragraph
+ * @param {Map} referenceNumbers - From buildReferenceNumbers()
+ * @returns {string} Text without tokens
+ */
+export function formatReferenceText(text, referenceNumbers) {
+    return replaceReferenceTokens(text, key => `section ${lookupReferenceNumber(key, referenceNumbers)}`);
+}
+
 /**
  * Formats text content into paragraphs
  */
-function formatTextContent(text) {
+export function formatTextContent(text) {
     if (!text) return [];
     
     // Handle both array and string formats
@@ -164,10 +749,68 @@ function formatTextContent(text) {
         .filter(p => p);
 }
 
+/**
+ * Builds the @page margin boxes for running headers and footers
+ * @private
+ * @param {Object} pageOptions - Header/footer options
+ * @returns {string} CSS margin box rules
+ */
+function getPageMarginBoxes(pageOptions) {
+    const boxStyle = 'font-family: \'Times New Roman\', Times, serif; font-size: 9pt; color: #666;';
+    const boxes = [];
+
+    if (pageOptions.showHeader) {
+        boxes.push(`@top-left { content: "${escapeCssString(pageOptions.title || '')}"; ${boxStyle} }`);
+        if (pageOptions.versionLabel) {
+            boxes.push(`@top-right { content: "${escapeCssString(pageOptions.versionLabel)}"; ${boxStyle} }`);
+        }
+    }
+
+    if (pageOptions.showDate) {
+        boxes.push(`@bottom-left { content: "Generated: ${escapeCssString(new Date().toLocaleDateString())}"; ${boxStyle} }`);
+    }
+
+    if (pageOptions.showPageNumbers) {
+        boxes.push(`@bottom-right { content: "Page " counter(page) " of " counter(pages); ${boxStyle} }`);
+    }
+
+    return boxes.join('\n            ');
+}
+
+/**
+ * Escapes text for use inside a CSS string literal
+ * @private
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeCssString(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/[\r\n]+/g, ' ')
+        .replace(/</g, '\\3C ');
+}
+
+/**
+ * Escapes HTML special characters in document text
+ * @private
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
 /**
  * Returns CSS styles for print layout
+ * @param {boolean} isLandscape - Landscape page orientation
+ * @param {Object} pageOptions - Header/footer options: title, versionLabel, showHeader, showPageNumbers, showDate
  */
-function getPrintStyles(isLandscape) {
+export function getPrintStyles(isLandscape, pageOptions = { showPageNumbers: true }) {
     const pageWidth = isLandscape ? '10in' : '6.5in';
     const orientation = isLandscape ? 'landscape' : 'portrait';
     
@@ -175,16 +818,16 @@ function getPrintStyles(isLandscape) {
         @page {
             size: letter ${orientation};
             margin: 1in;
+            ${getPageMarginBoxes(pageOptions)}
         }
         
-        @page {
-            @bottom-center {
-                content: "Page " counter(page) " of " counter(pages);
-                font-size: 10pt;
-                color: #666;
-            }
+        /* Title page carries its own title block, so no running header there */
+        @page :first {
+            @top-left { content: none; }
+            @top-right { content: none; }
         }
         
+        
         * {
             margin: 0;
             padding: 0;
@@ -306,6 +949,69 @@ function getPrintStyles(isLandscape) {
             margin-top: 1em;
         }
         
+        /* Change bars */
+        .change-bar {
+            position: relative;
+        }
+        
+        .change-bar::before {
+            content: '';
+            position: absolute;
+            left: -0.35in;
+            top: 0;
+            bottom: 0;
+            border-left: 3pt solid #000;
+        }
+        
+        .print-paragraph.change-bar::before {
+            left: -0.6in;
+        }
+        
+        .print-change-legend {
+            font-size: 10pt;
+            color: #333;
+            margin-top: 0.5em;
+        }
+        
+        /* Inline cross-references */
+        .print-xref {
+            color: inherit;
+            text-decoration: none;
+            font-weight: 600;
+        }
+        
+        /* Table of contents */
+        .print-toc {
+            page-break-after: always;
+            margin-bottom: 2em;
+        }
+        
+        .print-toc-title {
+            font-size: 18pt;
+            margin-bottom: 0.75em;
+        }
+        
+        .toc-list {
+            list-style: none;
+        }
+        
+        .toc-list .toc-list {
+            margin-left: 1.5em;
+        }
+        
+        .toc-entry {
+            margin: 0.2em 0;
+        }
+        
+        .toc-list.level-1 > .toc-entry > a {
+            font-weight: bold;
+        }
+        
+        .toc-entry a {
+            color: #000;
+            text-decoration: none;
+        }
+        
         /* Print-specific */
         @media print {
             body {
@@ -0,0 +1,1040 @@
+/**
+ * Quiz Manager Module
+ * Quiz questions attached to document sections, and a quiz-taking mode that
+ * scores each attempt for the current user. Questions are stored on the
+ * section (node.questions), so they are versioned and exported with it;
+ * attempts are kept with the version history like comments.
+ */
+
+import { stateManager } from './state-manager.js';
+import { getAnnotations, exportVersionHistory } from './version-control.js';
+import { getCurrentUserInfo, getUserColor } from './user-manager.js';
+import { findNodeById, findNodeByUid, renderDocumentStructure, describeSection } from './tree-renderer.js';
+import { saveVersionHistoryToStorage } from './storage-manager.js';
+import { saveStateBeforeChange } from './undo-manager.js';
+import { can, requirePermission } from './permissions.js';
+import { requireUnlocked } from './section-locks.js';
+import { createId } from './shared-document.js';
+import { showConfirm, showError, createDialog, appendButtons, labelled, truncate } from './message-center.js';
+
+export const QUESTION_TYPES = {
+    multipleChoice: 'multiple-choice',
+    trueFalse: 'true-false',
+    fillIn: 'fill-in',
+    ordering: 'ordering'
+};
+
+const TYPE_LABELS = {
+    [QUESTION_TYPES.multipleChoice]: 'Multiple choice',
+    [QUESTION_TYPES.trueFalse]: 'True / false',
+    [QUESTION_TYPES.fillIn]: 'Fill in',
+    [QUESTION_TYPES.ordering]: 'Ordering'
+};
+
+/**
+ * Wires the side menu Quizzes item
+ */
+export function initializeQuizzes() {
+    const quizzesButton = document.getElementById('quizzes-btn');
+    if (quizzesButton) {
+        quizzesButton.addEventListener('click', () => showQuizOverview());
+    }
+}
+
+/**
+ * The questions attached to a section
+ * @param {Object} node - Section
+ * @returns {Object[]} Questions (empty if there are none)
+ */
+export function getQuestions(node) {
+    return Array.isArray(node?.questions) ? node.questions : [];
+}
+
+/**
+ * Questions of a section and its subsections, in document order
+ * @param {Object} node - Section
+ * @returns {Array<{node: Object, question: Object}>} Questions with the section each belongs to
+ */
+export function collectQuizQuestions(node) {
+    const collected = getQuestions(node).map(question => ({ node, question }));
+    (node.children || []).forEach(child => collected.push(...collectQuizQuestions(child)));
+    return collected;
+}
+
+/**
+ * Adds a question to a section, or replaces the one with the same id
+ * @param {string} nodeId - Section ID
+ * @param {Object} question - Question from the question editor
+ * @returns {boolean} True if the question was saved
+ */
+export function saveQuestion(nodeId, question) {
+    if (!requirePermission('edit') || !requireUnlocked(nodeId)) {
+        return false;
+    }
+
+    try {
+        const documentStructure = stateManager.getDocumentStructure() || [];
+        const node = findNodeById(documentStructure, nodeId);
+        if (!node) {
+            showError(`Section ${nodeId} not found.`);
+            return false;
+        }
+
+        const problem = validateQuestion(question);
+        if (problem) {
+            showError(problem);
+            return false;
+        }
+
+        saveStateBeforeChange();
+
+        const questions = [...getQuestions(node)];
+        const index = questions.findIndex(existing => existing.id === question.id);
+        if (index === -1) {
+            questions.push(question);
+        } else {
+            questions[index] = question;
+        }
+        updateQuestions(node, questions, documentStructure);
+        return true;
+
+    } catch (error) {
+        console.error('Error saving quiz question:', error);
+        showError(`Failed to save question: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Removes a question from a section
+ * @param {string} nodeId - Section ID
+ * @param {string} questionId - Question to remove
+ * @returns {Promise<boolean>} True if the question was removed
+ */
+export async function deleteQuestion(nodeId, questionId) {
+    if (!requirePermission('edit') || !requireUnlocked(nodeId)) {
+        return false;
+    }
+
+    const confirmed = await showConfirm('Delete this question?', 'Delete', 'Cancel');
+    if (!confirmed) {
+        return false;
+    }
+
+    try {
+        const documentStructure = stateManager.getDocumentStructure() || [];
+        const node = findNodeById(documentStructure, nodeId);
+        if (!node) {
+            showError(`Section ${nodeId} not found.`);
+            return false;
+        }
+
+        saveStateBeforeChange();
+        updateQuestions(node, getQuestions(node).filter(question => question.id !== questionId), documentStructure);
+        return true;
+
+    } catch (error) {
+        console.error('Error deleting quiz question:', error);
+        showError(`Failed to delete question: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Whether a response answers a question correctly
+ * @param {Object} question - Question
+ * @param {*} response - Indexes chosen (multiple choice), true/false, typed text (fill in),
+ *   or the options in the order given (ordering)
+ * @returns {boolean} True if correct
+ */
+export function gradeQuestion(question, response) {
+    switch (question.type) {
+        case QUESTION_TYPES.multipleChoice: {
+            const chosen = [...new Set(Array.isArray(response) ? response : [])].sort((a, b) => a - b);
+            const correct = [...question.answer].sort((a, b) => a - b);
+            return JSON.stringify(chosen) === JSON.stringify(correct);
+        }
+        case QUESTION_TYPES.trueFalse:
+            return response === question.answer;
+        case QUESTION_TYPES.fillIn:
+            return typeof response === 'string' &&
+                question.answer.some(accepted => normalizeAnswer(accepted) === normalizeAnswer(response));
+        case QUESTION_TYPES.ordering:
+            return JSON.stringify(response) === JSON.stringify(question.options);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Scores and records an attempt by the current user
+ * @param {Object} node - Section the quiz was taken on
+ * @param {Array<{node: Object, question: Object}>} questions - Questions asked
+ * @param {Map<string, *>} responses - Response per question id
+ * @param {string} startedAt - When the attempt began (ISO timestamp)
+ * @returns {Object} The recorded attempt
+ */
+export function recordQuizAttempt(node, questions, responses, startedAt) {
+    const user = getCurrentUserInfo();
+    const answers = questions.map(({ node: owner, question }) => {
+        const response = responses.has(question.id) ? responses.get(question.id) : null;
+        return { questionId: question.id, nodeUid: owner.uid, response, correct: gradeQuestion(question, response) };
+    });
+
+    const attempt = {
+        id: createId('attempt'),
+        nodeUid: node.uid,
+        nodeId: node.id,
+        nodeName: node.name || '',
+        user: user ? user.name : 'User',
+        userInfo: user,
+        startedAt,
+        submittedAt: new Date().toISOString(),
+        score: answers.filter(answer => answer.correct).length,
+        total: answers.length,
+        answers
+    };
+
+    getAnnotations('quizAttempts').push(attempt);
+    saveVersionHistoryToStorage(exportVersionHistory());
+    return attempt;
+}
+
+/**
+ * Scores per user for a section's quiz. Users without the quizResults
+ * permission only see their own.
+ * @param {string} nodeUid - Section uid
+ * @returns {Object[]} { userId, user, userInfo, attempts, best, last } sorted by name; scores in percent
+ */
+export function getQuizResults(nodeUid) {
+    const currentUserId = getCurrentUserInfo()?.id || null;
+    const byUser = new Map();
+
+    getAnnotations('quizAttempts')
+        .filter(attempt => attempt.nodeUid === nodeUid && attempt.total > 0)
+        .filter(attempt => can('quizResults') || attempt.userInfo?.id === currentUserId)
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+        .forEach(attempt => {
+            const key = attempt.userInfo?.id || attempt.user;
+            const percent = Math.round((attempt.score / attempt.total) * 100);
+            const entry = byUser.get(key) || { userId: key, user: attempt.user, userInfo: attempt.userInfo, attempts: 0, best: 0, last: 0 };
+            entry.attempts++;
+            entry.best = Math.max(entry.best, percent);
+            entry.last = percent;
+            entry.lastAt = attempt.submittedAt;
+            byUser.set(key, entry);
+        });
+
+    return [...byUser.values()].sort((a, b) => a.user.localeCompare(b.user));
+}
+
+/**
+ * Keeps question sources on the same paragraph when a content item is dragged to a new position
+ * @param {string} nodeUid - uid of the section
+ * @param {number} fromIndex - Old index of the moved paragraph
+ * @param {number} toIndex - New index of the moved paragraph
+ */
+export function moveParagraphQuestions(nodeUid, fromIndex, toIndex) {
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], nodeUid);
+    getQuestions(node).forEach(({ source }) => {
+        if (!source || !Number.isInteger(source.paragraph)) {
+            return;
+        }
+        if (source.paragraph === fromIndex) {
+            source.paragraph = toIndex;
+        } else if (fromIndex < source.paragraph && source.paragraph <= toIndex) {
+            source.paragraph--;
+        } else if (toIndex <= source.paragraph && source.paragraph < fromIndex) {
+            source.paragraph++;
+        }
+    });
+}
+
+/**
+ * Drops question sources on a deleted paragraph and shifts the ones after it
+ * @param {string} nodeUid - uid of the section
+ * @param {number} index - Index of the deleted paragraph
+ */
+export function removeParagraphQuestions(nodeUid, index) {
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], nodeUid);
+    getQuestions(node).forEach(question => {
+        const source = question.source;
+        if (!source || !Number.isInteger(source.paragraph) || source.paragraph < index) {
+            return;
+        }
+        if (source.paragraph === index) {
+            question.source = null;
+        } else {
+            source.paragraph--;
+        }
+    });
+}
+
+/**
+ * Shows a section's questions with their authoring controls, its results, and Take Quiz
+ * @param {string} nodeId - Section ID
+ */
+export function openQuiz(nodeId) {
+    const node = findNodeById(stateManager.getDocumentStructure() || [], nodeId);
+    if (!node) {
+        showError(`Section ${nodeId} not found.`);
+        return;
+    }
+
+    const { overlay, modal, close } = createDialog('quiz-dialog');
+    const render = () => {
+        const current = findNodeByUid(stateManager.getDocumentStructure() || [], node.uid);
+        if (!current) {
+            close();
+            return;
+        }
+        modal.innerHTML = '';
+        renderQuizSummary(modal, current, render, close);
+    };
+    render();
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Lists every section with questions, with the current user's best score
+ */
+export function showQuizOverview() {
+    const { overlay, modal, close } = createDialog('quiz-dialog');
+
+    const title = document.createElement('h3');
+    title.textContent = 'Quizzes';
+    modal.appendChild(title);
+
+    const sections = [];
+    const visit = nodes => nodes.forEach(node => {
+        if (getQuestions(node).length > 0) {
+            sections.push(node);
+        }
+        visit(node.children || []);
+    });
+    visit(stateManager.getDocumentStructure() || []);
+
+    if (sections.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'quiz-empty';
+        empty.textContent = 'No section has quiz questions yet. Right-click a section and choose Quiz... to add some.';
+        modal.appendChild(empty);
+    } else {
+        const currentUserId = getCurrentUserInfo()?.id || null;
+        const list = document.createElement('ul');
+        list.className = 'quiz-overview-list';
+        sections.forEach(node => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('button');
+            label.type = 'button';
+            label.className = 'quiz-overview-section';
+            const count = collectQuizQuestions(node).length;
+            label.textContent = `${describeSection(node)} · ${count} question${count === 1 ? '' : 's'}`;
+            label.addEventListener('click', () => {
+                close();
+                openQuiz(node.id);
+            });
+            item.appendChild(label);
+
+            const own = getQuizResults(node.uid).find(result => result.userId === currentUserId);
+            const score = document.createElement('span');
+            score.className = 'quiz-overview-score';
+            score.textContent = own ? `Best ${own.best}%` : 'Not taken';
+            item.appendChild(score);
+
+            list.appendChild(item);
+        });
+        modal.appendChild(list);
+    }
+
+    appendButtons(modal, [{ label: 'Close', onClick: close, primary: true }]);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Fills the quiz dialog with a section's questions and results
+ * @private
+ * @param {HTMLElement} modal - Dialog element
+ * @param {Object} node - Section
+ * @param {Function} render - Redraws the dialog
+ * @param {Function} close - Closes the dialog
+ */
+function renderQuizSummary(modal, node, render, close) {
+    const title = document.createElement('h3');
+    title.textContent = `Quiz: ${describeSection(node)}`;
+    modal.appendChild(title);
+
+    const questions = getQuestions(node);
+    const allQuestions = collectQuizQuestions(node);
+    const inSubsections = allQuestions.length - questions.length;
+
+    const summary = document.createElement('p');
+    summary.className = 'quiz-summary';
+    summary.textContent = `${questions.length} question${questions.length === 1 ? '' : 's'}` +
+        (inSubsections > 0 ? `, plus ${inSubsections} in subsections` : '');
+    modal.appendChild(summary);
+
+    const canAuthor = can('edit');
+    if (questions.length > 0) {
+        const list = document.createElement('ol');
+        list.className = 'quiz-question-list';
+        questions.forEach(question => {
+            const item = document.createElement('li');
+
+            const type = document.createElement('span');
+            type.className = 'quiz-type-badge';
+            type.textContent = TYPE_LABELS[question.type] || question.type;
+            item.appendChild(type);
+
+            const prompt = document.createElement('span');
+            prompt.className = 'quiz-question-prompt';
+            prompt.textContent = question.prompt;
+            item.appendChild(prompt);
+
+            if (canAuthor) {
+                const editBtn = document.createElement('button');
+                editBtn.type = 'button';
+                editBtn.className = 'btn quiz-question-action';
+                editBtn.textContent = 'Edit';
+                editBtn.addEventListener('click', async () => {
+                    const edited = await showQuestionEditor(node, question);
+                    if (edited && saveQuestion(node.id, edited)) {
+                        render();
+                    }
+                });
+                item.appendChild(editBtn);
+
+                const deleteBtn = document.createElement('button');
+                deleteBtn.type = 'button';
+                deleteBtn.className = 'btn quiz-question-action';
+                deleteBtn.textContent = 'Delete';
+                deleteBtn.addEventListener('click', async () => {
+                    if (await deleteQuestion(node.id, question.id)) {
+                        render();
+                    }
+                });
+                item.appendChild(deleteBtn);
+            }
+            list.appendChild(item);
+        });
+        modal.appendChild(list);
+    }
+
+    const results = getQuizResults(node.uid);
+    if (results.length > 0) {
+        const heading = document.createElement('h4');
+        heading.textContent = can('quizResults') ? 'Results' : 'Your results';
+        modal.appendChild(heading);
+
+        const table = document.createElement('table');
+        table.className = 'quiz-results-table';
+        const header = table.insertRow();
+        ['User', 'Attempts', 'Best', 'Last'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+        results.forEach(result => {
+            const row = table.insertRow();
+            const userCell = row.insertCell();
+            userCell.textContent = result.user;
+            const color = getUserColor(result.userInfo);
+            if (color) {
+                userCell.style.setProperty('--quiz-user-color', color);
+                userCell.classList.add('quiz-results-user');
+            }
+            row.insertCell().textContent = String(result.attempts);
+            row.insertCell().textContent = `${result.best}%`;
+            const lastCell = row.insertCell();
+            lastCell.textContent = `${result.last}%`;
+            lastCell.title = new Date(result.lastAt).toLocaleString();
+        });
+        modal.appendChild(table);
+    }
+
+    const buttons = [{ label: 'Close', onClick: close }];
+    if (canAuthor) {
+        buttons.push({
+            label: 'Add Question',
+            onClick: async () => {
+                const question = await showQuestionEditor(node, null);
+                if (question && saveQuestion(node.id, question)) {
+                    render();
+                }
+            }
+        });
+    }
+    if (allQuestions.length > 0) {
+        buttons.push({
+            label: 'Take Quiz',
+            primary: true,
+            onClick: () => {
+                modal.innerHTML = '';
+                renderQuizAttempt(modal, node, allQuestions, render, close);
+            }
+        });
+    }
+    appendButtons(modal, buttons);
+}
+
+/**
+ * Fills the quiz dialog with the questions to answer, then with the scored result
+ * @private
+ * @param {HTMLElement} modal - Dialog element
+ * @param {Object} node - Section the quiz is taken on
+ * @param {Array<{node: Object, question: Object}>} questions - Questions to ask
+ * @param {Function} render - Returns to the summary
+ * @param {Function} close - Closes the dialog
+ */
+function renderQuizAttempt(modal, node, questions, render, close) {
+    const startedAt = new Date().toISOString();
+
+    const title = document.createElement('h3');
+    title.textContent = `Quiz: ${describeSection(node)}`;
+    modal.appendChild(title);
+
+    const form = document.createElement('form');
+    form.className = 'quiz-attempt';
+    const readers = new Map();
+
+    questions.forEach(({ question }, index) => {
+        const fieldset = document.createElement('fieldset');
+        fieldset.className = 'quiz-attempt-question';
+        fieldset.dataset.questionId = question.id;
+
+        const legend = document.createElement('legend');
+        legend.textContent = `${index + 1}. ${question.prompt}`;
+        fieldset.appendChild(legend);
+
+        readers.set(question.id, renderResponseInput(fieldset, question));
+        form.appendChild(fieldset);
+    });
+    form.addEventListener('submit', event => event.preventDefault());
+    modal.appendChild(form);
+
+    appendButtons(modal, [
+        { label: 'Cancel', onClick: render },
+        {
+            label: 'Submit',
+            primary: true,
+            onClick: () => {
+                const responses = new Map([...readers].map(([id, read]) => [id, read()]));
+                const attempt = recordQuizAttempt(node, questions, responses, startedAt);
+                modal.innerHTML = '';
+                renderAttemptResult(modal, node, questions, attempt, render, close);
+            }
+        }
+    ]);
+}
+
+/**
+ * Adds the answer controls for one question
+ * @private
+ * @param {HTMLElement} container - Question fieldset
+ * @param {Object} question - Question
+ * @returns {Function} Reads the response from the controls
+ */
+function renderResponseInput(container, question) {
+    const name = `quiz-${question.id}`;
+
+    if (question.type === QUESTION_TYPES.multipleChoice || question.type === QUESTION_TYPES.trueFalse) {
+        const isTrueFalse = question.type === QUESTION_TYPES.trueFalse;
+        const options = isTrueFalse ? ['True', 'False'] : question.options;
+        const multiple = !isTrueFalse && question.answer.length > 1;
+
+        const inputs = options.map((option, index) => {
+            const label = document.createElement('label');
+            label.className = 'quiz-option';
+            const input = document.createElement('input');
+            input.type = multiple ? 'checkbox' : 'radio';
+            input.name = name;
+            input.value = String(index);
+            label.appendChild(input);
+            label.appendChild(document.createTextNode(` ${option}`));
+            container.appendChild(label);
+            return input;
+        });
+        if (multiple) {
+            const hint = document.createElement('div');
+            hint.className = 'quiz-hint';
+            hint.textContent = 'Select all that apply';
+            container.appendChild(hint);
+        }
+
+        return () => {
+            const chosen = inputs.filter(input => input.checked).map(input => Number(input.value));
+            if (isTrueFalse) {
+                return chosen.length > 0 ? chosen[0] === 0 : null;
+            }
+            return chosen;
+        };
+    }
+
+    if (question.type === QUESTION_TYPES.fillIn) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'modal-input quiz-fill-in';
+        input.placeholder = 'Your answer';
+        container.appendChild(input);
+        return () => input.value;
+    }
+
+    // Ordering: shuffled items with buttons to move them up and down
+    const list = document.createElement('ol');
+    list.className = 'quiz-ordering';
+    shuffle(question.options).forEach(option => {
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = option;
+        item.appendChild(text);
+        [['↑', -1], ['↓', 1]].forEach(([symbol, direction]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn quiz-ordering-move';
+            button.textContent = symbol;
+            button.title = direction < 0 ? 'Move up' : 'Move down';
+            button.addEventListener('click', () => {
+                const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+                if (sibling) {
+                    list.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+                }
+            });
+            item.appendChild(button);
+        });
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+    return () => Array.from(list.children).map(item => item.firstElementChild.textContent);
+}
+
+/**
+ * Shows the score, the correct answers and the explanations with links to their sources
+ * @private
+ */
+function renderAttemptResult(modal, node, questions, attempt, render, close) {
+    const title = document.createElement('h3');
+    title.textContent = `Quiz: ${describeSection(node)}`;
+    modal.appendChild(title);
+
+    const percent = Math.round((attempt.score / attempt.total) * 100);
+    const score = document.createElement('p');
+    score.className = 'quiz-score';
+    score.textContent = `${attempt.user} scored ${attempt.score} of ${attempt.total} (${percent}%)`;
+    modal.appendChild(score);
+
+    const list = document.createElement('ol');
+    list.className = 'quiz-result-list';
+    questions.forEach(({ node: owner, question }, index) => {
+        const answer = attempt.answers[index];
+        const item = document.createElement('li');
+        item.className = answer.correct ? 'quiz-correct' : 'quiz-incorrect';
+
+        const prompt = document.createElement('div');
+        prompt.className = 'quiz-result-prompt';
+        prompt.textContent = `${answer.correct ? '✓' : '✗'} ${question.prompt}`;
+        item.appendChild(prompt);
+
+        if (!answer.correct) {
+            const key = document.createElement('div');
+            key.className = 'quiz-result-key';
+            key.textContent = `Answer: ${describeAnswer(question)}`;
+            item.appendChild(key);
+        }
+
+        if (question.explanation) {
+            const explanation = document.createElement('div');
+            explanation.className = 'quiz-explanation';
+            explanation.textContent = question.explanation;
+            item.appendChild(explanation);
+        }
+
+        const paragraph = resolveSourceParagraph(owner, question.source);
+        if (paragraph !== null || owner !== node) {
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'quiz-source-link';
+            link.textContent = `Source: ${owner.id.replace(/-/g, '.')} ${owner.name || 'Untitled'}` +
+                (paragraph !== null ? `, paragraph ${String.fromCharCode(97 + paragraph)}` : '');
+            link.addEventListener('click', () => {
+                close();
+                showQuestionSource(owner.uid, paragraph);
+            });
+            item.appendChild(link);
+        }
+        list.appendChild(item);
+    });
+    modal.appendChild(list);
+
+    appendButtons(modal, [
+        { label: 'Back', onClick: render },
+        { label: 'Close', onClick: close, primary: true }
+    ]);
+}
+
+/**
+ * Asks for a question's type, prompt, answer key, explanation and source paragraph
+ * @private
+ * @param {Object} node - Section the question belongs to
+ * @param {Object|null} existing - Question to edit, or null for a new one
+ * @returns {Promise<Object|null>} The question, or null if cancelled
+ */
+function showQuestionEditor(node, existing) {
+    return new Promise((resolve) => {
+        const { overlay, modal, close } = createDialog('quiz-dialog quiz-editor');
+        const draft = existing ? JSON.parse(JSON.stringify(existing)) : {
+            id: createId('question'),
+            type: QUESTION_TYPES.multipleChoice,
+            prompt: '',
+            options: ['', ''],
+            answer: [],
+            explanation: '',
+            source: null
+        };
+
+        const finish = (result) => {
+            close();
+            resolve(result);
+        };
+
+        const title = document.createElement('h3');
+        title.textContent = existing ? 'Edit Question' : 'Add Question';
+        modal.appendChild(title);
+
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'modal-input';
+        Object.values(QUESTION_TYPES).forEach(type => typeSelect.appendChild(new Option(TYPE_LABELS[type], type)));
+        typeSelect.value = draft.type;
+        modal.appendChild(labelled('Type', typeSelect, 'quiz-editor-label'));
+
+        const promptInput = document.createElement('textarea');
+        promptInput.className = 'modal-input';
+        promptInput.rows = 2;
+        promptInput.value = draft.prompt;
+        modal.appendChild(labelled('Question', promptInput, 'quiz-editor-label'));
+
+        // The answer key controls depend on the type
+        const answerArea = document.createElement('div');
+        answerArea.className = 'quiz-answer-key';
+        modal.appendChild(answerArea);
+        let readAnswerKey = null;
+
+        const renderAnswerKey = () => {
+            answerArea.innerHTML = '';
+            readAnswerKey = renderAnswerKeyEditor(answerArea, draft);
+        };
+        typeSelect.addEventListener('change', () => {
+            Object.assign(draft, readAnswerKey(), { type: typeSelect.value });
+            resetAnswerForType(draft);
+            renderAnswerKey();
+        });
+        renderAnswerKey();
+
+        const explanationInput = document.createElement('textarea');
+        explanationInput.className = 'modal-input';
+        explanationInput.rows = 2;
+        explanationInput.value = draft.explanation || '';
+        modal.appendChild(labelled('Explanation (shown after answering)', explanationInput, 'quiz-editor-label'));
+
+        const content = Array.isArray(node.content) ? node.content : [];
+        const sourceSelect = document.createElement('select');
+        sourceSelect.className = 'modal-input';
+        sourceSelect.appendChild(new Option('None', ''));
+        content.forEach((text, index) => {
+            sourceSelect.appendChild(new Option(`${String.fromCharCode(97 + index)}. ${truncate(text, 60)}`, String(index)));
+        });
+        const currentSource = resolveSourceParagraph(node, draft.source);
+        sourceSelect.value = currentSource === null ? '' : String(currentSource);
+        modal.appendChild(labelled('Source paragraph', sourceSelect, 'quiz-editor-label'));
+
+        appendButtons(modal, [
+            { label: 'Cancel', onClick: () => finish(null) },
+            {
+                label: 'Save',
+                primary: true,
+                onClick: () => {
+                    const paragraph = sourceSelect.value === '' ? null : Number(sourceSelect.value);
+                    const question = {
+                        ...draft,
+                        ...readAnswerKey(),
+                        type: typeSelect.value,
+                        prompt: promptInput.value.trim(),
+                        explanation: explanationInput.value.trim(),
+                        source: paragraph === null ? null : { paragraph, paragraphText: content[paragraph] }
+                    };
+                    const problem = validateQuestion(question);
+                    if (problem) {
+                        showError(problem);
+                        return;
+                    }
+                    finish(question);
+                }
+            }
+        ]);
+
+        document.body.appendChild(overlay);
+        promptInput.focus();
+    });
+}
+
+/**
+ * Adds the answer key controls for the draft's type
+ * @private
+ * @param {HTMLElement} container - Where the controls go
+ * @param {Object} draft - Question being edited
+ * @returns {Function} Reads { options, answer } from the controls
+ */
+function renderAnswerKeyEditor(container, draft) {
+    if (draft.type === QUESTION_TYPES.trueFalse) {
+        const select = document.createElement('select');
+        select.className = 'modal-input';
+        select.appendChild(new Option('True', 'true'));
+        select.appendChild(new Option('False', 'false'));
+        select.value = draft.answer === false ? 'false' : 'true';
+        container.appendChild(labelled('Correct answer', select, 'quiz-editor-label'));
+        return () => ({ options: [], answer: select.value === 'true' });
+    }
+
+    if (draft.type === QUESTION_TYPES.fillIn) {
+        const textarea = document.createElement('textarea');
+        textarea.className = 'modal-input';
+        textarea.rows = 2;
+        textarea.value = (draft.answer || []).join('\n');
+        container.appendChild(labelled('Accepted answers, one per line (case and spacing are ignored)', textarea, 'quiz-editor-label'));
+        return () => ({
+            options: [],
+            answer: textarea.value.split('\n').map(line => line.trim()).filter(Boolean)
+        });
+    }
+
+    // Multiple choice and ordering share an editable option list
+    const isChoice = draft.type === QUESTION_TYPES.multipleChoice;
+    const heading = document.createElement('div');
+    heading.className = 'quiz-editor-label';
+    heading.textContent = isChoice ? 'Options (tick the correct ones)' : 'Items in the correct order (shuffled when asked)';
+    container.appendChild(heading);
+
+    const list = document.createElement('div');
+    list.className = 'quiz-option-editor';
+    container.appendChild(list);
+
+    const addRow = (text, correct) => {
+        const row = document.createElement('div');
+        row.className = 'quiz-option-row';
+        if (isChoice) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = correct;
+            checkbox.title = 'Correct';
+            row.appendChild(checkbox);
+        }
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'modal-input';
+        input.value = text;
+        row.appendChild(input);
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'btn';
+        remove.textContent = '×';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => row.remove());
+        row.appendChild(remove);
+        list.appendChild(row);
+    };
+    const options = draft.options && draft.options.length > 0 ? draft.options : ['', ''];
+    options.forEach((option, index) => addRow(option, isChoice && (draft.answer || []).includes(index)));
+
+    const addButton = document.createElement('button');
+    addButton.type = 'button';
+    addButton.className = 'btn';
+    addButton.textContent = isChoice ? 'Add Option' : 'Add Item';
+    addButton.addEventListener('click', () => addRow('', false));
+    container.appendChild(addButton);
+
+    return () => {
+        const rows = Array.from(list.children)
+            .map(row => ({ text: row.querySelector('input[type="text"]').value.trim(), correct: Boolean(row.querySelector('input[type="checkbox"]')?.checked) }))
+            .filter(row => row.text !== '');
+        return {
+            options: rows.map(row => row.text),
+            answer: isChoice ? rows.flatMap((row, index) => (row.correct ? [index] : [])) : null
+        };
+    };
+}
+
+/**
+ * Gives the draft an answer of the right shape after its type changed
+ * @private
+ * @param {Object} draft - Question being edited
+ */
+function resetAnswerForType(draft) {
+    if (draft.type === QUESTION_TYPES.trueFalse) {
+        draft.answer = true;
+    } else if (draft.type === QUESTION_TYPES.fillIn) {
+        draft.answer = Array.isArray(draft.answer) && draft.answer.every(answer => typeof answer === 'string') ? draft.answer : [];
+    } else if (draft.type === QUESTION_TYPES.multipleChoice) {
+        draft.answer = [];
+    } else {
+        draft.answer = null;
+    }
+}
+
+/**
+ * Checks that a question can be asked and graded
+ * @private
+ * @param {Object} question - Question
+ * @returns {string|null} What is wrong, or null if it is complete
+ */
+function validateQuestion(question) {
+    if (!question || !TYPE_LABELS[question.type]) {
+        return 'Choose a question type.';
+    }
+    if (!question.prompt) {
+        return 'Enter the question.';
+    }
+    switch (question.type) {
+        case QUESTION_TYPES.multipleChoice:
+            if (question.options.length < 2) {
+                return 'A multiple choice question needs at least two options.';
+            }
+            if (!Array.isArray(question.answer) || question.answer.length === 0) {
+                return 'Tick at least one correct option.';
+            }
+            break;
+        case QUESTION_TYPES.trueFalse:
+            if (typeof question.answer !== 'boolean') {
+                return 'Choose whether the statement is true or false.';
+            }
+            break;
+        case QUESTION_TYPES.fillIn:
+            if (!Array.isArray(question.answer) || question.answer.length === 0) {
+                return 'Enter at least one accepted answer.';
+            }
+            break;
+        case QUESTION_TYPES.ordering:
+            if (question.options.length < 2) {
+                return 'An ordering question needs at least two items.';
+            }
+            if (new Set(question.options).size !== question.options.length) {
+                return 'Ordering items must all be different.';
+            }
+            break;
+    }
+    return null;
+}
+
+/**
+ * Describes a question's correct answer
+ * @private
+ * @param {Object} question - Question
+ * @returns {string} Answer key as text
+ */
+function describeAnswer(question) {
+    switch (question.type) {
+        case QUESTION_TYPES.multipleChoice:
+            return question.answer.map(index => question.options[index]).join('; ');
+        case QUESTION_TYPES.trueFalse:
+            return question.answer ? 'True' : 'False';
+        case QUESTION_TYPES.fillIn:
+            return question.answer.join(' / ');
+        case QUESTION_TYPES.ordering:
+            return question.options.join(' → ');
+        default:
+            return '';
+    }
+}
+
+/**
+ * Finds a question's source paragraph in its section. The stored index is
+ * kept current by local edits; the text finds it again after changes made
+ * elsewhere, such as in another tab.
+ * @private
+ * @param {Object} node - Section the question belongs to
+ * @param {Object|null} source - { paragraph, paragraphText }
+ * @returns {number|null} Paragraph index, or null if there is none
+ */
+function resolveSourceParagraph(node, source) {
+    if (!source || !Number.isInteger(source.paragraph)) {
+        return null;
+    }
+    const content = Array.isArray(node.content) ? node.content : [];
+    if (content[source.paragraph] === source.paragraphText) {
+        return source.paragraph;
+    }
+    const movedTo = content.indexOf(source.paragraphText);
+    if (movedTo !== -1) {
+        return movedTo;
+    }
+    return source.paragraph < content.length ? source.paragraph : null;
+}
+
+/**
+ * Opens a question's section in the editor and highlights its source paragraph
+ * @private
+ * @param {string} nodeUid - Section uid
+ * @param {number|null} paragraph - Paragraph index
+ */
+async function showQuestionSource(nodeUid, paragraph) {
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], nodeUid);
+    if (!node) {
+        return;
+    }
+
+    // Dynamic import: event-handlers loads the content editor, which imports this module
+    const { handleTreeElementClick } = await import('./event-handlers.js');
+    handleTreeElementClick(node.id);
+    document.getElementById(`T-${node.id}`)?.scrollIntoView({ block: 'nearest' });
+
+    if (paragraph !== null) {
+        const item = document.getElementById(`c${node.id}_${paragraph}`);
+        if (item) {
+            item.scrollIntoView({ block: 'nearest' });
+            item.classList.add('quiz-source-target');
+            setTimeout(() => item.classList.remove('quiz-source-target'), 2000);
+        }
+    }
+}
+
+/**
+ * Stores a section's new question list and re-renders
+ * @private
+ */
+function updateQuestions(node, questions, documentStructure) {
+    if (questions.length > 0) {
+        node.questions = questions;
+    } else {
+        delete node.questions;
+    }
+    if (typeof node.markEdited === 'function') {
+        node.markEdited();
+    }
+    stateManager.setDocumentStructure(documentStructure);
+    renderDocumentStructure(documentStructure);
+}
+
+/**
+ * Compares fill-in answers without case or extra spaces
+ * @private
+ */
+function normalizeAnswer(text) {
+    return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Copy of a list in random order, never the original order when it can differ
+ * @private
+ * @param {string[]} items - Items
+ * @returns {string[]} Shuffled copy
+ */
+function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    if (shuffled.length > 1 && shuffled.every((item, index) => item === items[index])) {
+        shuffled.push(shuffled.shift());
+    }
+    return shuffled;
+}
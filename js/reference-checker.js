@@ -0,0 +1,451 @@
+/**
+ * Reference Checker Module
+ * Finds references that point at missing or out-of-date sections, suggests
+ * replacements by name and applies fixes in bulk
+ */
+
+import { stateManager } from './state-manager.js';
+import { renderDocumentStructure, findNodeByUid, findNodeById } from './tree-renderer.js';
+import { saveStateBeforeChange } from './undo-manager.js';
+import { showConfirm, showSuccess, showError } from './message-center.js';
+import { findReferenceTokens, resolveTokenTarget, createReferenceToken } from './inline-references.js';
+import { requirePermission } from './permissions.js';
+import { isLockedByOther } from './section-locks.js';
+
+// Most name-match suggestions offered per reference
+const MAX_SUGGESTIONS = 5;
+
+// Labels shown in the report for each problem
+const ISSUE_LABELS = {
+    deleted: 'Target deleted',
+    pending: 'Target moved to pending',
+    junked: 'Target in junk',
+    mismatch: 'Points at a different section',
+    renumbered: 'Renumbered',
+    renamed: 'Renamed',
+    unlinked: 'Not linked'
+};
+
+/**
+ * Checks every reference in the document.
+ * Dangling references have no target any more (deleted, pending or junked).
+ * Stale references still resolve but their stored number or name is out of date,
+ * or they predate permanent uids and may now point at whatever took the old number.
+ * [[ref:…]] tokens in content are checked too; they carry no name, so they are only
+ * ever dangling and get no suggestions.
+ * @param {Object[]} documentStructure - Root nodes
+ * @returns {{checked: number, issues: Object[]}} Number of references checked and the problems found
+ */
+export function checkReferences(documentStructure) {
+    const pendingNodes = flattenNodes(stateManager.getPendingItems() || []);
+    const junkNodes = typeof stateManager.getJunkItems === 'function'
+        ? flattenNodes(stateManager.getJunkItems() || [])
+        : [];
+    const allNodes = flattenNodes(documentStructure || []);
+    const issues = [];
+    let checked = 0;
+
+    allNodes.forEach(source => {
+        (source.references || []).forEach(reference => {
+            checked++;
+            const issue = classifyReference(documentStructure, reference, pendingNodes, junkNodes);
+            if (!issue) {
+                return;
+            }
+
+            issues.push({
+                ...issue,
+                source,
+                reference,
+                suggestions: issue.kind === 'dangling' || issue.problem === 'mismatch'
+                    ? suggestTargets(allNodes, reference, source)
+                    : []
+            });
+        });
+
+        (source.content || []).forEach((paragraph, index) => {
+            findReferenceTokens(paragraph).forEach(key => {
+                checked++;
+                if (resolveTokenTarget(documentStructure, key)) {
+                    return;
+                }
+                const inList = list => list.some(node => node.uid === key);
+                issues.push({
+                    kind: 'dangling',
+                    problem: inList(pendingNodes) ? 'pending' : inList(junkNodes) ? 'junked' : 'deleted',
+                    source,
+                    reference: { key },
+                    inline: { index },
+                    suggestions: []
+                });
+            });
+        });
+    });
+
+    return { checked, issues };
+}
+
+/**
+ * Chooses the fix the report pre-selects for an issue
+ * @param {Object} issue - Issue from checkReferences()
+ * @returns {Object} Fix of the form { action: 'refresh'|'retarget'|'keep', target? }
+ */
+export function getSuggestedFix(issue) {
+    if (issue.kind === 'stale' && issue.problem !== 'mismatch') {
+        return { action: 'refresh', target: issue.target };
+    }
+    if (issue.suggestions.length > 0) {
+        return { action: 'retarget', target: issue.suggestions[0] };
+    }
+    return { action: 'keep' };
+}
+
+/**
+ * Applies fixes to references in place
+ * @param {Object[]} fixes - Entries of the form { issue, action, target? } with action 'refresh', 'retarget', 'remove' or 'keep'
+ * @returns {number} Number of references changed
+ */
+export function applyReferenceFixes(fixes) {
+    let changed = 0;
+
+    fixes.forEach(({ issue, action, target }) => {
+        if (issue.inline) {
+            if (action === 'remove' && removeInlineToken(issue.source, issue.inline.index, issue.reference.key)) {
+                changed++;
+            }
+            return;
+        }
+
+        const references = issue.source.references || [];
+        const index = references.indexOf(issue.reference);
+        if (index === -1 || action === 'keep') {
+            return;
+        }
+
+        const duplicate = target && references.some((ref, i) => i !== index && ref.uid === target.uid);
+
+        if (action === 'remove' || duplicate) {
+            // A fix that would point at an already-referenced section just drops the extra entry
+            references.splice(index, 1);
+        } else if ((action === 'refresh' || action === 'retarget') && target) {
+            references[index] = { uid: target.uid, id: target.id, name: target.name };
+        } else {
+            return;
+        }
+        changed++;
+    });
+
+    return changed;
+}
+
+/**
+ * Runs the check and shows the report, applying the chosen fixes
+ * @returns {Promise<number>} Number of references fixed
+ */
+export async function showReferenceReport() {
+    try {
+        const documentStructure = stateManager.getDocumentStructure() || [];
+        const { checked, issues } = checkReferences(documentStructure);
+
+        // Any role may read the report; applying fixes edits the document
+        const fixes = await showReportDialog(checked, issues);
+        if (!fixes || !requirePermission('edit')) {
+            return 0;
+        }
+
+        // References in sections someone else has checked out are left for them
+        const allowedFixes = fixes.filter(({ issue, action }) => action === 'keep' || !isLockedByOther(issue.source.id));
+        const skipped = fixes.length - allowedFixes.length;
+        const skippedNote = skipped > 0
+            ? `${skipped} fix${skipped === 1 ? '' : 'es'} skipped in sections checked out by other users`
+            : '';
+
+        saveStateBeforeChange();
+        const changed = applyReferenceFixes(allowedFixes);
+        if (changed === 0) {
+            if (skippedNote) {
+                showError(skippedNote);
+            }
+            return 0;
+        }
+
+        stateManager.setDocumentStructure(documentStructure);
+        renderDocumentStructure(documentStructure);
+
+        const { saveDocument } = await import('./data-operations.js');
+        saveDocument();
+
+        showSuccess(`Fixed ${changed} reference${changed === 1 ? '' : 's'}${skippedNote ? `; ${skippedNote}` : ''}`);
+        return changed;
+
+    } catch (error) {
+        console.error('Error checking references:', error);
+        showError(`Failed to check references: ${error.message}`);
+        return 0;
+    }
+}
+
+/**
+ * Warns before a commit when references are broken or out of date
+ * @returns {Promise<boolean>} True to go ahead with the commit
+ */
+export async function confirmReferencesBeforeCommit() {
+    const { issues } = checkReferences(stateManager.getDocumentStructure() || []);
+    if (issues.length === 0) {
+        return true;
+    }
+
+    const dangling = issues.filter(issue => issue.kind === 'dangling').length;
+    const stale = issues.length - dangling;
+    const parts = [];
+    if (dangling > 0) parts.push(`${dangling} broken`);
+    if (stale > 0) parts.push(`${stale} out of date`);
+
+    const proceed = await showConfirm(
+        `This document has ${parts.join(' and ')} reference${issues.length === 1 ? '' : 's'}. Commit anyway?`,
+        'Commit Anyway',
+        'Review References'
+    );
+
+    if (!proceed) {
+        await showReferenceReport();
+    }
+    return proceed;
+}
+
+/**
+ * Works out what, if anything, is wrong with one reference
+ * @private
+ * @returns {Object|null} { kind: 'dangling'|'stale', problem, target? } or null when the reference is fine
+ */
+function classifyReference(documentStructure, reference, pendingNodes, junkNodes) {
+    if (reference.uid) {
+        const target = findNodeByUid(documentStructure, reference.uid);
+        if (!target) {
+            const inList = list => list.some(node => node.uid === reference.uid);
+            const problem = inList(pendingNodes) ? 'pending' : inList(junkNodes) ? 'junked' : 'deleted';
+            return { kind: 'dangling', problem };
+        }
+        if (target.id !== reference.id) {
+            return { kind: 'stale', problem: 'renumbered', target };
+        }
+        if ((target.name || '') !== (reference.name || '')) {
+            return { kind: 'stale', problem: 'renamed', target };
+        }
+        return null;
+    }
+
+    // References added before uids existed only know the positional ID
+    const target = findNodeById(documentStructure, reference.id);
+    if (!target) {
+        return { kind: 'dangling', problem: 'deleted' };
+    }
+    if (normalizeName(target.name) !== normalizeName(reference.name)) {
+        return { kind: 'stale', problem: 'mismatch', target };
+    }
+    return { kind: 'stale', problem: 'unlinked', target };
+}
+
+/**
+ * Deletes one [[ref:…]] token from a content paragraph
+ * @private
+ * @returns {boolean} True if the token was found
+ */
+function removeInlineToken(node, index, key) {
+    const paragraph = node.content?.[index];
+    const token = createReferenceToken(key);
+    if (typeof paragraph !== 'string' || !paragraph.includes(token)) {
+        return false;
+    }
+    node.content[index] = paragraph.replace(token, '').replace(/ {2,}/g, ' ').trim();
+    return true;
+}
+
+/**
+ * Finds sections whose name matches the reference's stored name
+ * @private
+ * @returns {Object[]} Candidate nodes, exact matches first
+ */
+function suggestTargets(allNodes, reference, source) {
+    const wanted = normalizeName(reference.name);
+    if (!wanted) {
+        return [];
+    }
+
+    const candidates = allNodes.filter(node => node !== source);
+    const exact = candidates.filter(node => normalizeName(node.name) === wanted);
+    const partial = wanted.length < 3 ? [] : candidates.filter(node => {
+        const name = normalizeName(node.name);
+        return name && name !== wanted && (name.includes(wanted) || wanted.includes(name));
+    });
+
+    return [...exact, ...partial].slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Lists a tree's nodes in document order
+ * @private
+ */
+function flattenNodes(nodes, list = []) {
+    nodes.forEach(node => {
+        list.push(node);
+        flattenNodes(node.children || [], list);
+    });
+    return list;
+}
+
+/**
+ * Lower-cased, whitespace-collapsed name for comparisons
+ * @private
+ */
+function normalizeName(name) {
+    return (name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Formats a node as "4.2.1 Name"
+ * @private
+ */
+function describeNode(node) {
+    return `${node.id.replace(/-/g, '.')} ${node.name || 'Untitled'}`;
+}
+
+/**
+ * Shows the report and lets the user pick a fix per reference
+ * @private
+ * @param {number} checked - Number of references checked
+ * @param {Object[]} issues - Issues from checkReferences()
+ * @returns {Promise<Object[]|null>} Chosen fixes, or null if closed without applying
+ */
+function showReportDialog(checked, issues) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-dialog reference-report-dialog';
+
+        const title = document.createElement('h3');
+        title.className = 'reference-report-title';
+        title.textContent = 'Reference check';
+        modal.appendChild(title);
+
+        const dangling = issues.filter(issue => issue.kind === 'dangling').length;
+        const summary = document.createElement('div');
+        summary.className = 'reference-report-summary';
+        summary.textContent = issues.length === 0
+            ? `${checked} reference${checked === 1 ? '' : 's'} checked · all valid`
+            : `${checked} references checked · ${dangling} broken · ${issues.length - dangling} out of date`;
+        modal.appendChild(summary);
+
+        const rows = [];
+        if (issues.length > 0) {
+            const list = document.createElement('div');
+            list.className = 'reference-report-list';
+
+            issues.forEach(issue => {
+                const row = document.createElement('div');
+                row.className = `reference-report-row reference-report-${issue.kind}`;
+
+                const description = document.createElement('div');
+                description.className = 'reference-report-description';
+                let stored;
+                if (issue.inline) {
+                    stored = `${createReferenceToken(issue.reference.key)} in paragraph ${String.fromCharCode(97 + issue.inline.index)}`;
+                } else {
+                    stored = issue.reference.id
+                        ? `${issue.reference.id.replace(/-/g, '.')} ${issue.reference.name || ''}`.trim()
+                        : (issue.reference.name || 'Unknown');
+                }
+                description.textContent = `${describeNode(issue.source)} → ${stored}`;
+
+                const status = document.createElement('span');
+                status.className = 'reference-report-status';
+                status.textContent = ISSUE_LABELS[issue.problem];
+                description.appendChild(status);
+
+                const select = document.createElement('select');
+                select.className = 'reference-report-action';
+                const choices = [];
+                const addChoice = (text, fix) => {
+                    const option = document.createElement('option');
+                    option.value = String(choices.length);
+                    option.textContent = text;
+                    select.appendChild(option);
+                    choices.push(fix);
+                };
+
+                if (issue.target && issue.problem !== 'mismatch') {
+                    addChoice(`Update to ${describeNode(issue.target)}`, { action: 'refresh', target: issue.target });
+                }
+                if (issue.problem === 'mismatch') {
+                    addChoice(`Link to ${describeNode(issue.target)}`, { action: 'retarget', target: issue.target });
+                }
+                issue.suggestions.forEach(node => {
+                    addChoice(`Point to ${describeNode(node)}`, { action: 'retarget', target: node });
+                });
+                addChoice(issue.inline ? 'Remove token from text' : 'Remove reference', { action: 'remove' });
+                addChoice('Leave as is', { action: 'keep' });
+
+                // Pre-select the suggested fix
+                const suggested = getSuggestedFix(issue);
+                const suggestedIndex = choices.findIndex(choice =>
+                    choice.action === suggested.action && choice.target === suggested.target
+                );
+                select.value = String(suggestedIndex === -1 ? choices.length - 1 : suggestedIndex);
+
+                row.appendChild(description);
+                row.appendChild(select);
+                list.appendChild(row);
+                rows.push({ issue, select, choices });
+            });
+
+            modal.appendChild(list);
+        }
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'modal-buttons';
+
+        const close = (result) => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            resolve(result);
+        };
+
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                close(null);
+            }
+        };
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'modal-btn modal-btn-cancel';
+        cancelBtn.textContent = issues.length === 0 ? 'Close' : 'Cancel';
+        cancelBtn.onclick = () => close(null);
+        buttonContainer.appendChild(cancelBtn);
+
+        if (issues.length > 0) {
+            const applyBtn = document.createElement('button');
+            applyBtn.className = 'modal-btn modal-btn-confirm';
+            applyBtn.textContent = 'Apply Fixes';
+            applyBtn.onclick = () => close(rows.map(({ issue, select, choices }) => ({
+                issue,
+                ...choices[parseInt(select.value, 10)]
+            })));
+            buttonContainer.appendChild(applyBtn);
+        }
+
+        modal.appendChild(buttonContainer);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                close(null);
+            }
+        });
+    });
+}
@@ -0,0 +1,198 @@
+/**
+ * Release Review Module
+ * Approving or rejecting proposed versions. Commits start out proposed; a
+ * Reviewer's approval turns one into a release.
+ */
+
+import {
+    getVersionHistory,
+    reviewCommit,
+    getReviewStatus,
+    REVIEW_STATUS
+} from './version-control.js';
+import { getCurrentUserInfo } from './user-manager.js';
+import { showVersionDiff } from './version-diff.js';
+import { requirePermission } from './permissions.js';
+import { showConfirm, showSuccess, showError } from './message-center.js';
+
+/**
+ * Shows the review dialog for a proposed version and records the decision
+ * @param {string|number} revisionId - Version to review
+ * @returns {Promise<boolean>} True if a decision was recorded
+ */
+export async function reviewRevision(revisionId) {
+    try {
+        if (!requirePermission('review')) {
+            return false;
+        }
+
+        const version = parseInt(revisionId, 10);
+        const commit = getVersionHistory().find(entry => entry.version === version);
+        if (!commit) {
+            showError(`Version ${revisionId} does not exist.`);
+            return false;
+        }
+        if (getReviewStatus(commit) !== REVIEW_STATUS.proposed) {
+            showError(`Version ${version} is not awaiting review.`);
+            return false;
+        }
+
+        // Reviewing your own work defeats the point, but small teams may have no one else
+        const reviewer = getCurrentUserInfo();
+        if (reviewer && commit.userInfo && commit.userInfo.id === reviewer.id) {
+            const proceed = await showConfirm(
+                `You committed version ${version}. Review your own version anyway?`,
+                'Review Anyway',
+                'Cancel'
+            );
+            if (!proceed) {
+                return false;
+            }
+        }
+
+        const decision = await showReviewDialog(commit);
+        if (!decision) {
+            return false;
+        }
+
+        const result = reviewCommit(
+            version,
+            decision.approved,
+            decision.comments,
+            reviewer ? reviewer.name : 'User',
+            reviewer
+        );
+        if (!result.success) {
+            showError(result.message);
+            return false;
+        }
+
+        // Rebuilds the revision list and stores the updated history
+        window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
+
+        showSuccess(decision.approved
+            ? `Version ${version} approved and released`
+            : `Version ${version} rejected`);
+        return true;
+
+    } catch (error) {
+        console.error(`Error reviewing revision ${revisionId}:`, error);
+        showError(`Failed to review version: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Shows the commit details with a comments box and Approve / Reject buttons
+ * @private
+ * @param {Object} commit - Proposed commit
+ * @returns {Promise<{approved: boolean, comments: string}|null>} Decision, or null if cancelled
+ */
+function showReviewDialog(commit) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-dialog review-dialog';
+
+        const title = document.createElement('h3');
+        title.className = 'review-dialog-title';
+        title.textContent = `Review version ${commit.version}`;
+        modal.appendChild(title);
+
+        const details = document.createElement('dl');
+        details.className = 'review-dialog-details';
+        [
+            ['Message', commit.message || 'No message'],
+            ['Author', commit.userInfo?.name || commit.author || 'Unknown'],
+            ['Committed', new Date(commit.timestamp).toLocaleString()],
+            ['Changes', String((commit.patch || []).length)]
+        ].forEach(([label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const description = document.createElement('dd');
+            description.textContent = value;
+            details.appendChild(term);
+            details.appendChild(description);
+        });
+        modal.appendChild(details);
+
+        // Compare with the previous version without leaving the review
+        const previous = getVersionHistory()
+            .filter(entry => entry.version < commit.version)
+            .pop();
+        if (previous) {
+            const diffBtn = document.createElement('button');
+            diffBtn.className = 'btn review-dialog-diff';
+            diffBtn.textContent = `Compare with v${previous.version}`;
+            diffBtn.onclick = () => showVersionDiff(previous.version, commit.version);
+            modal.appendChild(diffBtn);
+        }
+
+        const comments = document.createElement('textarea');
+        comments.className = 'modal-input review-dialog-comments';
+        comments.placeholder = 'Reviewer comments (required to reject)';
+        comments.rows = 4;
+        modal.appendChild(comments);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'modal-buttons';
+
+        const close = (result) => {
+            document.removeEventListener('keydown', handleKeydown);
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            resolve(result);
+        };
+
+        const handleKeydown = (e) => {
+            // Leave Escape to the diff view while it is open on top
+            const overlays = document.querySelectorAll('.modal-overlay');
+            if (e.key === 'Escape' && overlays[overlays.length - 1] === overlay) {
+                close(null);
+            }
+        };
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'modal-btn modal-btn-cancel';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.onclick = () => close(null);
+
+        const rejectBtn = document.createElement('button');
+        rejectBtn.className = 'modal-btn modal-btn-cancel review-dialog-reject';
+        rejectBtn.textContent = 'Reject';
+        rejectBtn.onclick = () => {
+            if (comments.value.trim() === '') {
+                comments.classList.add('review-dialog-missing');
+                comments.focus();
+                return;
+            }
+            close({ approved: false, comments: comments.value });
+        };
+
+        const approveBtn = document.createElement('button');
+        approveBtn.className = 'modal-btn modal-btn-confirm';
+        approveBtn.textContent = 'Approve & Release';
+        approveBtn.onclick = () => close({ approved: true, comments: comments.value });
+
+        comments.addEventListener('input', () => comments.classList.remove('review-dialog-missing'));
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(rejectBtn);
+        buttonContainer.appendChild(approveBtn);
+        modal.appendChild(buttonContainer);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        document.addEventListener('keydown', handleKeydown);
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                close(null);
+            }
+        });
+
+        comments.focus();
+    });
+}
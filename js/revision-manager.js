@@ -6,12 +6,33 @@
 import { 
     getVersionHistory, 
     getDocumentAtVersion,
-    revertToVersion as vcRevertToVersion
+    revertToVersion as vcRevertToVersion,
+    hasUncommittedChanges,
+    listBranches,
+    getCurrentBranch,
+    createBranch,
+    switchBranch,
+    deleteBranch,
+    prepareMerge,
+    getMergedState,
+    completeMerge,
+    getReviewStatus,
+    REVIEW_STATUS
 } from './version-control.js';
 import { renderDocumentStructure } from './tree-renderer.js';
+import { renderPendingItems } from './pending-manager.js';
 import { stateManager } from './state-manager.js';
 import DocumentNode from './documentnode.js';
-import { showError, showSuccess, showConfirm } from './message-center.js';
+import { showError, showSuccess, showConfirm, showPrompt } from './message-center.js';
+import { requirePermission, applyPermissionsToUI } from './permissions.js';
+import { requireUnlocked } from './section-locks.js';
+
+// Badge text for each review state
+const REVIEW_LABELS = {
+    [REVIEW_STATUS.proposed]: 'Awaiting review',
+    [REVIEW_STATUS.approved]: 'Released',
+    [REVIEW_STATUS.rejected]: 'Rejected'
+};
 
 /**
  * Revision document structure
@@ -40,9 +61,11 @@ export function buildRevisionListFromHistory() {
         id: commit.version,
         date: new Date(commit.timestamp),
         user: commit.author,
-        commitNotes: commit.message
+        commitNotes: commit.message,
+        review: commit.review || null
     }));
     
+    renderBranchControls();
     buildRevisionList(revisionList);
 }
 
@@ -90,7 +113,9 @@ export function buildRevisionList(revisionList) {
                     `v${revisionItem.id}`,
                     revisionItem.date instanceof Date ? revisionItem.date.toLocaleString() : revisionItem.date,
                     revisionItem.user,
-                    revisionItem.commitNotes
+                    revisionItem.commitNotes,
+                    REVIEW_LABELS[getReviewStatus(revisionItem)] || '',
+                    revisionItem.review?.comments || ''
                 ].join(' ').toLowerCase();
                 listItem.dataset.searchText = searchableText;
                 
@@ -137,6 +162,16 @@ function createRevisionListItem(revisionItem) {
     versionCol.className = 'revision-version';
     versionCol.textContent = `v${revisionItem.id}`;
     
+    // Review state badge
+    const reviewStatus = getReviewStatus(revisionItem);
+    if (reviewStatus) {
+        const badge = document.createElement('span');
+        badge.className = `revision-status revision-status-${reviewStatus}`;
+        badge.textContent = REVIEW_LABELS[reviewStatus];
+        versionCol.appendChild(badge);
+        listItem.classList.add(`revision-${reviewStatus}`);
+    }
+    
     // Date/time column
     const dateCol = document.createElement('div');
     dateCol.className = 'revision-date';
@@ -174,11 +209,46 @@ function createRevisionListItem(revisionItem) {
     revertButton.textContent = 'Revert';
     revertButton.setAttribute('id', `revert-to-document-${revisionItem.id}`);
 
+    // Branch from this version button
+    const branchButton = document.createElement('button');
+    branchButton.className = 'btn dynamic-item';
+    branchButton.textContent = 'Branch';
+    branchButton.setAttribute('id', `branch-from-revision-${revisionItem.id}`);
+
+    // Compare with another version button
+    const compareButton = document.createElement('button');
+    compareButton.className = 'btn dynamic-item';
+    compareButton.textContent = 'Compare';
+    compareButton.setAttribute('id', `compare-revision-${revisionItem.id}`);
+
+    // Review button for proposed versions (hidden by CSS from roles that cannot review)
+    if (reviewStatus === REVIEW_STATUS.proposed) {
+        const reviewButton = document.createElement('button');
+        reviewButton.className = 'btn dynamic-item revision-review-btn';
+        reviewButton.textContent = 'Review';
+        reviewButton.setAttribute('id', `review-revision-${revisionItem.id}`);
+        revisionButtons.appendChild(reviewButton);
+    }
+
     revisionButtons.appendChild(viewButton);
+    revisionButtons.appendChild(compareButton);
     revisionButtons.appendChild(revertButton);
+    revisionButtons.appendChild(branchButton);
 
     revisionHeader.appendChild(revisionContent);
     revisionHeader.appendChild(revisionButtons);
+    listItem.appendChild(revisionHeader);
+
+    // Reviewer, date and comments once a decision has been made
+    if (revisionItem.review && revisionItem.review.reviewer) {
+        const reviewNote = document.createElement('div');
+        reviewNote.className = 'revision-review-note';
+        const verb = reviewStatus === REVIEW_STATUS.approved ? 'Approved' : 'Rejected';
+        const reviewedAt = new Date(revisionItem.review.reviewedAt).toLocaleString();
+        reviewNote.textContent = `${verb} by ${revisionItem.review.reviewer} on ${reviewedAt}`
+            + (revisionItem.review.comments ? `: ${revisionItem.review.comments}` : '');
+        listItem.appendChild(reviewNote);
+    }
 
     // Create collapsible changes section
     const changesSection = document.createElement('div');
@@ -220,7 +290,6 @@ function createRevisionListItem(revisionItem) {
     changesSection.appendChild(changesHeader);
     changesSection.appendChild(changesList);
 
-    listItem.appendChild(revisionHeader);
     listItem.appendChild(changesSection);
 
     return listItem;
@@ -306,6 +375,11 @@ function populateChangesList(version, changesList) {
                 return false;
             }
             
+            // Node uids are internal; they only appear when older documents are migrated
+            if (property === 'uid') {
+                return false;
+            }
+            
             return true;
         });
         
@@ -1068,6 +1142,10 @@ function updateRevisionListCount(visible = null, total = null) {
  */
 export async function revertDocument(revisionId) {
     try {
+        if (!requirePermission('revert')) {
+            return;
+        }
+
         const version = parseInt(revisionId, 10);
         
         const confirmed = await showConfirm(
@@ -1161,3 +1239,428 @@ export function toggleRevisionList() {
         console.error('Error toggling revision list:', error);
     }
 }
+
+// =========================================================================
+// BRANCHES AND MERGING
+// =========================================================================
+
+/**
+ * Renders the branch selector and branch actions above the revision list
+ */
+export function renderBranchControls() {
+    const revisions = document.getElementById('revisions-list');
+    if (!revisions) {
+        return;
+    }
+
+    let controls = document.getElementById('branch-controls');
+    if (!controls) {
+        controls = document.createElement('div');
+        controls.setAttribute('id', 'branch-controls');
+        controls.className = 'branch-controls';
+        revisions.parentNode.insertBefore(controls, revisions);
+    }
+
+    controls.innerHTML = '';
+
+    const label = document.createElement('label');
+    label.className = 'branch-label';
+    label.setAttribute('for', 'branch-selector');
+    label.textContent = 'Branch:';
+
+    const selector = document.createElement('select');
+    selector.setAttribute('id', 'branch-selector');
+    selector.className = 'branch-selector';
+
+    listBranches().forEach(branch => {
+        const option = document.createElement('option');
+        option.value = branch.name;
+        option.textContent = `${branch.name} (v${branch.currentVersion})`;
+        option.selected = branch.isCurrent;
+        selector.appendChild(option);
+    });
+
+    selector.addEventListener('change', (e) => {
+        switchToBranch(e.target.value);
+    });
+
+    const buttons = [
+        { id: 'new-branch-btn', text: 'New Branch' },
+        { id: 'merge-branch-btn', text: 'Merge…' },
+        { id: 'delete-branch-btn', text: 'Delete Branch' }
+    ];
+
+    controls.appendChild(label);
+    controls.appendChild(selector);
+
+    buttons.forEach(({ id, text }) => {
+        const button = document.createElement('button');
+        button.className = 'btn dynamic-item';
+        button.setAttribute('id', id);
+        button.setAttribute('data-permission', 'commit');
+        button.textContent = text;
+        controls.appendChild(button);
+    });
+
+    applyPermissionsToUI(controls);
+}
+
+/**
+ * Creates a new branch from a specific revision
+ * @param {string|number} revisionId - The revision to branch from
+ */
+export async function createBranchFromVersion(revisionId) {
+    try {
+        if (!requirePermission('commit')) {
+            return;
+        }
+
+        const version = parseInt(revisionId, 10);
+        const branchName = await showPrompt(
+            `Create a new branch from version ${version}:`,
+            '',
+            'Branch name'
+        );
+        if (!branchName) {
+            return;
+        }
+
+        createBranch(branchName, version);
+        // Stores the history and redraws the revision list and branch controls
+        window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
+
+        const switchNow = await showConfirm(
+            `Branch "${branchName.trim()}" created from v${version}.\n\nSwitch to it now?`,
+            'Switch',
+            'Stay'
+        );
+        if (switchNow) {
+            await switchToBranch(branchName.trim());
+        }
+    } catch (error) {
+        console.error(`Error creating branch from revision ${revisionId}:`, error);
+        showError(`Failed to create branch: ${error.message}`);
+    }
+}
+
+/**
+ * Creates a new branch from the head of the current branch
+ */
+export async function createNewBranch() {
+    const history = getVersionHistory();
+    const headVersion = history.length > 0 ? history[history.length - 1].version : 0;
+    await createBranchFromVersion(headVersion);
+}
+
+/**
+ * Switches the working copy to another branch
+ * @param {string} branchName - Branch to switch to
+ */
+export async function switchToBranch(branchName) {
+    try {
+        if (branchName === getCurrentBranch()) {
+            return;
+        }
+
+        if (!requirePermission('edit')) {
+            renderBranchControls(); // Reset the selector
+            return;
+        }
+
+        let discardChanges = false;
+        if (hasUncommittedChanges()) {
+            discardChanges = await showConfirm(
+                `You have uncommitted changes on "${getCurrentBranch()}".\n\n` +
+                `Switching to "${branchName}" will discard them.`,
+                'Discard & Switch',
+                'Cancel'
+            );
+            if (!discardChanges) {
+                renderBranchControls(); // Reset the selector
+                return;
+            }
+        }
+
+        const result = switchBranch(branchName, discardChanges);
+        if (result.success) {
+            applyBranchState(result.document, result.pendingItems);
+            showSuccess(`Switched to branch ${branchName} (v${result.version})`);
+        }
+    } catch (error) {
+        console.error(`Error switching to branch ${branchName}:`, error);
+        showError(`Failed to switch branch: ${error.message}`);
+        renderBranchControls();
+    }
+}
+
+/**
+ * Deletes the branch chosen by the user
+ */
+export async function deleteSelectedBranch() {
+    try {
+        if (!requirePermission('commit')) {
+            return;
+        }
+
+        const candidates = listBranches().filter(branch => !branch.isCurrent && branch.name !== 'main');
+        if (candidates.length === 0) {
+            showError('There are no other branches to delete.');
+            return;
+        }
+
+        const branch = await chooseBranch('Delete which branch?', candidates);
+        if (!branch) {
+            return;
+        }
+
+        const confirmed = await showConfirm(
+            `Delete branch "${branch.name}"?\n\nIts unmerged commits will be lost.`,
+            'Delete',
+            'Cancel'
+        );
+        if (!confirmed) {
+            return;
+        }
+
+        deleteBranch(branch.name);
+        // Stores the history and redraws the revision list and branch controls
+        window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
+        showSuccess(`Deleted branch ${branch.name}`);
+    } catch (error) {
+        console.error('Error deleting branch:', error);
+        showError(`Failed to delete branch: ${error.message}`);
+    }
+}
+
+/**
+ * Merges another branch into the current branch, asking the user
+ * to resolve any conflicting changes first
+ */
+export async function mergeBranchIntoCurrent() {
+    try {
+        if (!requirePermission('commit')) {
+            return;
+        }
+
+        const currentBranch = getCurrentBranch();
+        const candidates = listBranches().filter(branch => !branch.isCurrent);
+        if (candidates.length === 0) {
+            showError('Create another branch before merging.');
+            return;
+        }
+
+        const source = await chooseBranch(`Merge which branch into "${currentBranch}"?`, candidates);
+        if (!source) {
+            return;
+        }
+
+        const plan = prepareMerge(source.name);
+
+        let resolutions = {};
+        if (plan.conflicts.length > 0) {
+            resolutions = await showMergeConflictDialog(plan);
+            if (!resolutions) {
+                return; // Merge cancelled
+            }
+        }
+
+        if (!requireMergeUnlocked(plan, resolutions)) {
+            return;
+        }
+
+        const { getCurrentUserInfo } = await import('./user-manager.js');
+        const userInfo = getCurrentUserInfo();
+        const result = completeMerge(plan, resolutions, userInfo ? userInfo.name : 'User', userInfo);
+
+        if (!result.success) {
+            showSuccess(result.message);
+            return;
+        }
+
+        applyBranchState(result.document, result.pendingItems);
+        window.dispatchEvent(new CustomEvent('dlms:committed', {
+            detail: { version: result.version, message: result.message }
+        }));
+    } catch (error) {
+        console.error('Error merging branch:', error);
+        showError(`Failed to merge: ${error.message}`);
+    }
+}
+
+/**
+ * Checks that no section the merge would change, move or remove is checked out by another user
+ * @private
+ * @param {Object} plan - Merge plan from prepareMerge
+ * @param {Object} resolutions - Map of conflict path to 'ours'/'theirs'
+ * @returns {boolean} True if the merge may be applied
+ */
+function requireMergeUnlocked(plan, resolutions) {
+    const mergedState = getMergedState(plan, resolutions);
+    const merged = new Map();
+    const indexMerged = (nodes, parentUid) => nodes.forEach(node => {
+        merged.set(node.uid, { node, parentUid });
+        indexMerged(node.children || [], node.uid);
+    });
+    indexMerged((Array.isArray(mergedState) ? mergedState : mergedState.document) || [], null);
+
+    // Content fields plus the list of subsections, ignoring positional IDs and edit times
+    const fingerprint = node => JSON.stringify([
+        ...Object.keys(node)
+            .filter(field => !['id', 'parentId', 'children', 'lastEditTime', 'order'].includes(field))
+            .sort()
+            .map(field => [field, node[field]]),
+        (node.children || []).map(child => child.uid)
+    ]);
+
+    // There are no uncommitted changes while merging, so the tree is the branch head
+    const check = (nodes, parentUid) => nodes.every(node => {
+        const after = merged.get(node.uid);
+        if (!after) {
+            return requireUnlocked(node.id, true);
+        }
+        const changed = after.parentUid !== parentUid || fingerprint(after.node) !== fingerprint(node);
+        return (!changed || requireUnlocked(node.id)) && check(node.children || [], node.uid);
+    });
+    return check(JSON.parse(JSON.stringify(stateManager.getDocumentStructure() || [])), null);
+}
+
+/**
+ * Asks the user to pick a branch from a numbered list
+ * @private
+ * @param {string} title - Dialog heading
+ * @param {Object[]} branches - Branch summaries to choose from
+ * @returns {Promise<Object|null>} The chosen branch or null if cancelled
+ */
+async function chooseBranch(title, branches) {
+    let message = `${title}\n\n`;
+    branches.forEach((branch, index) => {
+        message += `${index + 1}. ${branch.name} (v${branch.currentVersion})\n`;
+    });
+    message += `\nEnter number (1-${branches.length}) or 0 to cancel:`;
+
+    const selection = await showPrompt(message, '', 'Enter number');
+    if (!selection || selection === '0') {
+        return null;
+    }
+
+    const selectedIndex = parseInt(selection, 10) - 1;
+    if (isNaN(selectedIndex) || selectedIndex < 0 || selectedIndex >= branches.length) {
+        showError('Invalid selection.');
+        return null;
+    }
+
+    return branches[selectedIndex];
+}
+
+/**
+ * Loads a branch/merge result into the editor state
+ * @private
+ * @param {Object[]} documentState - Plain document nodes
+ * @param {Object[]} pendingItems - Pending items of the branch
+ */
+function applyBranchState(documentState, pendingItems) {
+    DocumentNode._existingIds.clear();
+    const rootNodes = (documentState || []).map(jsonNode => 
+        DocumentNode.fromJSON(jsonNode, null)
+    );
+
+    stateManager.setDocumentStructure(rootNodes);
+    stateManager.setPendingItems(pendingItems || []);
+    renderDocumentStructure(rootNodes);
+    renderPendingItems();
+
+    window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
+}
+
+/**
+ * Shows the conflict resolution dialog for a merge
+ * @private
+ * @param {Object} plan - Merge plan from prepareMerge
+ * @returns {Promise<Object|null>} Map of conflict path to 'ours'/'theirs', or null if cancelled
+ */
+function showMergeConflictDialog(plan) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-dialog merge-conflict-dialog';
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'modal-message';
+        messageDiv.textContent =
+            `${plan.conflicts.length} conflict(s) merging "${plan.sourceBranch}" into "${plan.targetBranch}".\n` +
+            `Choose which version to keep for each change:`;
+
+        const conflictList = document.createElement('ul');
+        conflictList.className = 'merge-conflict-list';
+
+        plan.conflicts.forEach((conflict, index) => {
+            const item = document.createElement('li');
+            item.className = 'merge-conflict-item';
+
+            const location = document.createElement('div');
+            location.className = 'merge-conflict-path';
+            location.textContent = conflict.label;
+            item.appendChild(location);
+
+            [
+                { side: 'ours', label: plan.targetBranch, value: conflict.ours },
+                { side: 'theirs', label: plan.sourceBranch, value: conflict.theirs }
+            ].forEach(({ side, label, value }) => {
+                const option = document.createElement('label');
+                option.className = `merge-conflict-option merge-conflict-${side}`;
+
+                const radio = document.createElement('input');
+                radio.type = 'radio';
+                radio.name = `merge-conflict-${index}`;
+                radio.value = side;
+                radio.checked = side === 'ours';
+
+                const text = document.createElement('span');
+                text.textContent = `${label}: ${value === undefined ? '(removed)' : truncateValue(value)}`;
+
+                option.appendChild(radio);
+                option.appendChild(text);
+                item.appendChild(option);
+            });
+
+            conflictList.appendChild(item);
+        });
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'modal-buttons';
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.className = 'modal-btn modal-btn-cancel';
+        cancelBtn.onclick = () => {
+            document.body.removeChild(overlay);
+            resolve(null);
+        };
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.textContent = 'Complete Merge';
+        confirmBtn.className = 'modal-btn modal-btn-confirm';
+        confirmBtn.onclick = () => {
+            const resolutions = {};
+            plan.conflicts.forEach((conflict, index) => {
+                const checked = conflictList.querySelector(`input[name="merge-conflict-${index}"]:checked`);
+                resolutions[conflict.path] = checked ? checked.value : 'ours';
+            });
+            document.body.removeChild(overlay);
+            resolve(resolutions);
+        };
+
+        buttonContainer.appendChild(cancelBtn);
+        buttonContainer.appendChild(confirmBtn);
+
+        modal.appendChild(messageDiv);
+        modal.appendChild(conflictList);
+        modal.appendChild(buttonContainer);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        confirmBtn.focus();
+    });
+}
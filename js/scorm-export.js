@@ -0,0 +1,1020 @@
+/**
+ * SCORM Export Module
+ * Packages sections or a learning path, with their quiz questions, as a SCORM 1.2
+ * or SCORM 2004 content package for an external LMS. The package is one SCO: the
+ * rendered sections page by page, then the quiz, and a small runtime that reports
+ * completion and score through the LMS's SCORM API. An optional test launcher
+ * runs the package against a mock runtime, without an LMS.
+ */
+
+import { getPrintStyles, generateNodeHTML } from './print-formatter.js';
+import { buildExportFilename } from './document-export.js';
+import { saveFile } from './storage-manager.js';
+import { createZip } from './zip-writer.js';
+import { showError, showSuccess, showPrompt, showConfirm } from './message-center.js';
+
+export const SCORM_VERSIONS = {
+    scorm12: '1.2',
+    scorm2004: '2004'
+};
+
+const SCORM_FILE_TYPE = {
+    description: 'SCORM Packages',
+    mimeType: 'application/zip',
+    extension: '.zip'
+};
+
+const DEFAULT_PASSING_SCORE = 80;
+
+/**
+ * Asks for the SCORM version, passing score and test launcher, then saves the package
+ * @param {Object} course - What to package
+ * @param {string} course.title - Course title, shown to learners and in the LMS
+ * @param {Array<{title: string, node: Object}>} course.pages - One page per section, in order; the
+ *   node is a plain copy with its sectionNumber set, and its children are shown on the same page
+ * @param {Map} course.referenceNumbers - Section numbers for [[ref:…]] tokens
+ * @returns {Promise<boolean>} True if the package was saved
+ */
+export async function exportScormPackage(course) {
+    try {
+        if (!course.pages || course.pages.length === 0) {
+            showError('There are no sections to package');
+            return false;
+        }
+
+        const versionChoice = await showPrompt(
+            'SCORM version:\n\n1. SCORM 1.2\n2. SCORM 2004 (4th edition)\n\nEnter number (1-2) or 0 to cancel:',
+            '1',
+            'Enter number'
+        );
+        if (!versionChoice || versionChoice === '0') {
+            return false;
+        }
+        if (versionChoice !== '1' && versionChoice !== '2') {
+            showError('Invalid selection');
+            return false;
+        }
+        const version = versionChoice === '1' ? SCORM_VERSIONS.scorm12 : SCORM_VERSIONS.scorm2004;
+
+        let passingScore = null;
+        if (collectPackageQuestions(course.pages).length > 0) {
+            const answer = await showPrompt('Passing score for the quiz, in percent:', String(DEFAULT_PASSING_SCORE), 'Percent');
+            if (answer === null) {
+                return false;
+            }
+            passingScore = Number(answer);
+            if (!Number.isInteger(passingScore) || passingScore < 0 || passingScore > 100) {
+                showError('Enter a whole number from 0 to 100');
+                return false;
+            }
+        }
+
+        const includeLauncher = await showConfirm(
+            'Include test-launcher.html, which runs the package against a mock SCORM runtime so you can try it without an LMS?',
+            'Include',
+            'Skip'
+        );
+
+        const content = generateScormPackage({ ...course, version, passingScore, includeLauncher });
+        const filename = buildExportFilename(`${course.title} scorm ${version}`, null, SCORM_FILE_TYPE.extension);
+        const saved = await saveFile(content, filename, SCORM_FILE_TYPE);
+        if (saved) {
+            showSuccess(`Exported ${course.title} as a SCORM ${version} package`);
+        }
+        return saved;
+
+    } catch (error) {
+        console.error('Error exporting SCORM package:', error);
+        showError(`SCORM export failed: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Builds the package zip: imsmanifest.xml, index.html, scorm-runtime.js and,
+ * if asked for, test-launcher.html
+ * @param {Object} course - As for exportScormPackage(), plus:
+ * @param {string} course.version - A SCORM_VERSIONS value
+ * @param {number|null} course.passingScore - Percent needed to pass the quiz; null without questions
+ * @param {boolean} course.includeLauncher - Add the mock runtime test page
+ * @returns {Uint8Array} The zip file bytes
+ */
+export function generateScormPackage(course) {
+    const now = new Date();
+    // Manifest identifiers are XML ids, so they must not start with a digit
+    const identifier = `DLMS-${now.getTime().toString(36)}`;
+    const questions = collectPackageQuestions(course.pages);
+    const passingScore = questions.length > 0 ? (course.passingScore ?? DEFAULT_PASSING_SCORE) : null;
+
+    const files = [
+        { name: 'index.html', content: buildCoursePage(course, questions, passingScore) },
+        { name: 'scorm-runtime.js', content: `(${scormRuntime.toString()})();\n` }
+    ];
+    if (course.includeLauncher) {
+        files.push({ name: 'test-launcher.html', content: buildTestLauncher(course, identifier, passingScore) });
+    }
+    files.unshift({
+        name: 'imsmanifest.xml',
+        content: course.version === SCORM_VERSIONS.scorm2004
+            ? buildManifest2004(course.title, identifier, files, passingScore)
+            : buildManifest12(course.title, identifier, files, passingScore)
+    });
+
+    return createZip(files, now);
+}
+
+/**
+ * Quiz questions of the packaged sections and their subsections, with the
+ * answer keys the runtime grades against
+ * @private
+ * @returns {Object[]} { id, type, prompt, options, answer, explanation, section }
+ */
+function collectPackageQuestions(pages) {
+    const questions = [];
+    const visit = (node, sectionNumber) => {
+        (Array.isArray(node.questions) ? node.questions : []).forEach(question => {
+            questions.push({
+                id: question.id,
+                type: question.type,
+                prompt: question.prompt,
+                options: question.options || [],
+                answer: question.answer,
+                explanation: question.explanation || '',
+                section: `${sectionNumber} ${node.name || 'Untitled'}`
+            });
+        });
+        (node.children || []).forEach((child, index) => visit(child, child.sectionNumber || `${sectionNumber}.${index + 1}`));
+    };
+    pages.forEach(({ node }) => visit(node, node.sectionNumber));
+    return questions;
+}
+
+/**
+ * The SCO page: every section page, the quiz page, and the course data for the runtime
+ * @private
+ */
+function buildCoursePage(course, questions, passingScore) {
+    const safeTitle = escapeXml(course.title);
+    const pages = course.pages.map(({ title, node }) =>
+        `<section class="scorm-page" data-title="${escapeXml(title)}" hidden>
+        ${generateNodeHTML([node], 1, '', course.referenceNumbers)}
+    </section>`);
+    if (questions.length > 0) {
+        pages.push(`<section class="scorm-page scorm-quiz-page" data-title="Quiz" hidden>
+        <h2>Quiz</h2>
+        <p class="scorm-quiz-intro">${questions.length} question${questions.length === 1 ? '' : 's'} · pass mark <span id="scorm-passing-score">${passingScore}</span>%</p>
+        <form id="scorm-quiz"></form>
+    </section>`);
+    }
+
+    const data = {
+        title: course.title,
+        version: course.version,
+        pageCount: course.pages.length,
+        passingScore,
+        questions
+    };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${safeTitle}</title>
+    <style>
+        ${getPrintStyles(false)}
+        ${getCourseStyles()}
+    </style>
+</head>
+<body>
+    <header class="scorm-header">
+        <h1 class="print-title">${safeTitle}</h1>
+        <span id="scorm-page-title"></span>
+    </header>
+
+    <main class="print-content">
+    ${pages.join('\n    ')}
+    </main>
+
+    <nav class="scorm-nav">
+        <button type="button" id="scorm-previous">Previous</button>
+        <span id="scorm-position"></span>
+        <button type="button" id="scorm-next">Next</button>
+    </nav>
+    <p id="scorm-connection" hidden>Not connected to an LMS: your progress and score are not recorded.</p>
+
+    <script type="application/json" id="scorm-course">${toScriptJson(data)}</script>
+    <script src="scorm-runtime.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Screen styles for the course page, on top of the print styles
+ * @private
+ */
+function getCourseStyles() {
+    return `
+        body { max-width: 860px; margin: 0 auto; padding: 1em 1em 5em; }
+        .scorm-header { display: flex; align-items: baseline; justify-content: space-between; gap: 1em; border-bottom: 1px solid #ccc; margin-bottom: 1em; }
+        .scorm-header .print-title { font-size: 1.4em; margin: 0.5em 0; }
+        #scorm-page-title { color: #666; }
+        .scorm-nav { position: fixed; left: 0; right: 0; bottom: 0; display: flex; align-items: center; justify-content: center; gap: 1.5em; padding: 0.75em; background: #f7f7f7; border-top: 1px solid #ccc; }
+        .scorm-nav button, .scorm-quiz-page button { padding: 0.4em 1.2em; font: inherit; cursor: pointer; }
+        #scorm-connection { color: #a94442; font-size: 0.9em; }
+        .scorm-question { margin: 0 0 1em; padding: 0.75em 1em; border: 1px solid #ddd; border-radius: 4px; }
+        .scorm-question legend { font-weight: bold; }
+        .scorm-question label { display: block; margin: 0.25em 0; }
+        .scorm-question-source, .scorm-hint { font-size: 0.85em; color: #666; }
+        .scorm-question input[type="text"] { width: 100%; box-sizing: border-box; padding: 0.3em; }
+        .scorm-ordering li { margin: 0.25em 0; }
+        .scorm-ordering button { margin-left: 0.5em; padding: 0 0.5em; }
+        .scorm-score { font-size: 1.2em; font-weight: bold; }
+        .scorm-passed { color: #2e7d32; }
+        .scorm-failed { color: #c62828; }
+        .scorm-results li { margin-bottom: 0.75em; }
+        .scorm-explanation { font-style: italic; color: #555; }
+        @media print { .scorm-nav, #scorm-connection { display: none; } .scorm-page[hidden] { display: block; } }
+    `;
+}
+
+/**
+ * SCORM 1.2 manifest
+ * @private
+ */
+function buildManifest12(title, identifier, files, passingScore) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1.0"
+    xmlns="http://www.imsproject.org/xsd/imscp_rootv1p1p2"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_rootv1p2"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsproject.org/xsd/imscp_rootv1p1p2 imscp_rootv1p1p2.xsd http://www.imsglobal.org/xsd/imsmd_rootv1p2p1 imsmd_rootv1p2p1.xsd http://www.adlnet.org/xsd/adlcp_rootv1p2 adlcp_rootv1p2.xsd">
+    <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>1.2</schemaversion>
+    </metadata>
+    <organizations default="${identifier}-org">
+        <organization identifier="${identifier}-org">
+            <title>${escapeXml(title)}</title>
+            <item identifier="${identifier}-item" identifierref="${identifier}-sco" isvisible="true">
+                <title>${escapeXml(title)}</title>${passingScore === null ? '' : `
+                <adlcp:masteryscore>${passingScore}</adlcp:masteryscore>`}
+            </item>
+        </organization>
+    </organizations>
+    <resources>
+        <resource identifier="${identifier}-sco" type="webcontent" adlcp:scormtype="sco" href="index.html">
+${buildFileList(files)}
+        </resource>
+    </resources>
+</manifest>
+`;
+}
+
+/**
+ * SCORM 2004 4th edition manifest. The SCO sets its own success status, so the
+ * pass mark is only passed on as the learner's scaled passing score.
+ * @private
+ */
+function buildManifest2004(title, identifier, files, passingScore) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest identifier="${identifier}" version="1"
+    xmlns="http://www.imsglobal.org/xsd/imscp_v1p1"
+    xmlns:adlcp="http://www.adlnet.org/xsd/adlcp_v1p3"
+    xmlns:adlseq="http://www.adlnet.org/xsd/adlseq_v1p3"
+    xmlns:adlnav="http://www.adlnet.org/xsd/adlnav_v1p3"
+    xmlns:imsss="http://www.imsglobal.org/xsd/imsss"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://www.imsglobal.org/xsd/imscp_v1p1 imscp_v1p1.xsd http://www.adlnet.org/xsd/adlcp_v1p3 adlcp_v1p3.xsd http://www.adlnet.org/xsd/adlseq_v1p3 adlseq_v1p3.xsd http://www.adlnet.org/xsd/adlnav_v1p3 adlnav_v1p3.xsd http://www.imsglobal.org/xsd/imsss imsss_v1p0.xsd">
+    <metadata>
+        <schema>ADL SCORM</schema>
+        <schemaversion>2004 4th Edition</schemaversion>
+    </metadata>
+    <organizations default="${identifier}-org">
+        <organization identifier="${identifier}-org">
+            <title>${escapeXml(title)}</title>
+            <item identifier="${identifier}-item" identifierref="${identifier}-sco">
+                <title>${escapeXml(title)}</title>${passingScore === null ? '' : `
+                <imsss:sequencing>
+                    <imsss:objectives>
+                        <imsss:primaryObjective objectiveID="${identifier}-quiz" satisfiedByMeasure="false">
+                            <imsss:minNormalizedMeasure>${passingScore / 100}</imsss:minNormalizedMeasure>
+                        </imsss:primaryObjective>
+                    </imsss:objectives>
+                </imsss:sequencing>`}
+            </item>
+        </organization>
+    </organizations>
+    <resources>
+        <resource identifier="${identifier}-sco" type="webcontent" adlcp:scormType="sco" href="index.html">
+${buildFileList(files)}
+        </resource>
+    </resources>
+</manifest>
+`;
+}
+
+/**
+ * <file> entries for the SCO resource
+ * @private
+ */
+function buildFileList(files) {
+    return files.map(file => `            <file href="${escapeXml(file.name)}"/>`).join('\n');
+}
+
+/**
+ * A page that provides a mock LMS runtime and opens the course in a frame,
+ * showing every API call and the data model as the course runs
+ * @private
+ */
+function buildTestLauncher(course, identifier, passingScore) {
+    const config = { version: course.version, identifier, passingScore };
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Test launcher: ${escapeXml(course.title)}</title>
+    <style>
+        body { margin: 0; display: flex; height: 100vh; font: 13px sans-serif; }
+        #scorm-mock-content { flex: 1; border: 0; border-right: 1px solid #ccc; }
+        #scorm-mock-panel { width: 420px; display: flex; flex-direction: column; padding: 8px; box-sizing: border-box; }
+        #scorm-mock-panel h2 { margin: 4px 0 8px; font-size: 15px; }
+        #scorm-mock-panel button { margin-right: 4px; }
+        #scorm-mock-data { width: 100%; border-collapse: collapse; margin: 8px 0; }
+        #scorm-mock-data td { padding: 2px 4px; border-bottom: 1px solid #eee; word-break: break-all; vertical-align: top; }
+        #scorm-mock-log { flex: 1; overflow-y: auto; margin: 0; padding: 4px; background: #f7f7f7; font: 11px monospace; white-space: pre-wrap; }
+        .scorm-mock-error { color: #c62828; }
+    </style>
+</head>
+<body>
+    <iframe id="scorm-mock-content" title="Course"></iframe>
+    <div id="scorm-mock-panel">
+        <h2>Mock SCORM ${course.version} runtime</h2>
+        <div>
+            <span id="scorm-mock-state"></span>
+            <button type="button" id="scorm-mock-relaunch">Relaunch</button>
+            <button type="button" id="scorm-mock-reset">Reset learner</button>
+        </div>
+        <table id="scorm-mock-data"></table>
+        <pre id="scorm-mock-log"></pre>
+    </div>
+
+    <script type="application/json" id="scorm-mock-config">${toScriptJson(config)}</script>
+    <script>(${mockRuntime.toString()})();</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * The course's runtime. It runs in the package, not in DLMS: it is serialized
+ * into scorm-runtime.js, so it may only use browser globals. It pages through
+ * the sections, runs the quiz, and reports progress, completion and the best
+ * quiz score through the SCORM API, resuming where the learner left off.
+ * @private
+ */
+function scormRuntime() {
+    const course = JSON.parse(document.getElementById('scorm-course').textContent);
+    const is2004 = course.version === '2004';
+    const api = findApi(is2004 ? 'API_1484_11' : 'API');
+    const call = is2004
+        ? { initialize: 'Initialize', terminate: 'Terminate', get: 'GetValue', set: 'SetValue', commit: 'Commit' }
+        : { initialize: 'LMSInitialize', terminate: 'LMSFinish', get: 'LMSGetValue', set: 'LMSSetValue', commit: 'LMSCommit' };
+    const cmi = is2004
+        ? { location: 'cmi.location', exit: 'cmi.exit', sessionTime: 'cmi.session_time', score: 'cmi.score', passingScore: 'cmi.scaled_passing_score' }
+        : { location: 'cmi.core.lesson_location', exit: 'cmi.core.exit', sessionTime: 'cmi.core.session_time', score: 'cmi.core.score', passingScore: 'cmi.student_data.mastery_score' };
+    const interactionTypes = { 'multiple-choice': 'choice', 'true-false': 'true-false', 'fill-in': 'fill-in', 'ordering': 'sequencing' };
+
+    const pages = Array.from(document.querySelectorAll('.scorm-page'));
+    const state = { page: 0, visited: [], quiz: null };
+    const startedAt = Date.now();
+    let passingScore = course.passingScore;
+    let connected = false;
+    let terminated = false;
+
+    function findApi(name) {
+        const search = start => {
+            let win = start;
+            for (let depth = 0; win && depth < 500; depth++) {
+                try {
+                    if (win[name]) {
+                        return win[name];
+                    }
+                } catch {
+                    // A frame from another origin
+                    return null;
+                }
+                if (win.parent === win) {
+                    break;
+                }
+                win = win.parent;
+            }
+            return null;
+        };
+        return search(window) || (window.opener ? search(window.opener) : null);
+    }
+
+    function getValue(element) {
+        return connected ? String(api[call.get](element)) : '';
+    }
+
+    function setValue(element, value) {
+        if (connected) {
+            api[call.set](element, String(value));
+        }
+    }
+
+    function isComplete() {
+        const quizDone = course.questions.length === 0 || state.quiz !== null;
+        return state.visited.length >= course.pageCount && quizDone;
+    }
+
+    function report() {
+        if (!connected) {
+            return;
+        }
+        const complete = isComplete();
+        const passed = state.quiz !== null && state.quiz.percent >= passingScore;
+        if (state.quiz) {
+            setValue(`${cmi.score}.raw`, state.quiz.percent);
+            setValue(`${cmi.score}.min`, 0);
+            setValue(`${cmi.score}.max`, 100);
+        }
+        if (is2004) {
+            if (state.quiz) {
+                setValue('cmi.score.scaled', state.quiz.percent / 100);
+            }
+            const steps = course.pageCount + (course.questions.length > 0 ? 1 : 0);
+            const done = state.visited.length + (state.quiz ? 1 : 0);
+            setValue('cmi.progress_measure', Math.min(1, done / steps).toFixed(2));
+            setValue('cmi.completion_status', complete ? 'completed' : 'incomplete');
+            setValue('cmi.success_status', state.quiz ? (passed ? 'passed' : 'failed') : 'unknown');
+        } else if (!complete) {
+            setValue('cmi.core.lesson_status', 'incomplete');
+        } else if (course.questions.length > 0) {
+            setValue('cmi.core.lesson_status', passed ? 'passed' : 'failed');
+        } else {
+            setValue('cmi.core.lesson_status', 'completed');
+        }
+        setValue(cmi.location, state.page);
+        setValue('cmi.suspend_data', JSON.stringify({ visited: state.visited, quiz: state.quiz }));
+        api[call.commit]('');
+    }
+
+    function terminate() {
+        if (!connected || terminated) {
+            return;
+        }
+        terminated = true;
+        report();
+        setValue(cmi.sessionTime, formatSessionTime(Date.now() - startedAt));
+        setValue(cmi.exit, isComplete() ? (is2004 ? 'normal' : '') : 'suspend');
+        api[call.commit]('');
+        api[call.terminate]('');
+        connected = false;
+    }
+
+    function formatSessionTime(milliseconds) {
+        const seconds = Math.round(milliseconds / 1000);
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const rest = seconds % 60;
+        if (is2004) {
+            return `PT${hours}H${minutes}M${rest}S`;
+        }
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(hours)}:${pad(minutes)}:${pad(rest)}`;
+    }
+
+    function showPage(index) {
+        state.page = Math.max(0, Math.min(index, pages.length - 1));
+        pages.forEach((page, pageIndex) => {
+            page.hidden = pageIndex !== state.page;
+        });
+        if (state.page < course.pageCount && !state.visited.includes(state.page)) {
+            state.visited.push(state.page);
+        }
+        document.getElementById('scorm-page-title').textContent = pages[state.page].dataset.title;
+        document.getElementById('scorm-position').textContent = `${state.page + 1} of ${pages.length}`;
+        document.getElementById('scorm-previous').disabled = state.page === 0;
+        document.getElementById('scorm-next').disabled = state.page === pages.length - 1;
+        window.scrollTo(0, 0);
+        report();
+    }
+
+    function element(tag, className, text) {
+        const created = document.createElement(tag);
+        if (className) {
+            created.className = className;
+        }
+        if (text !== undefined) {
+            created.textContent = text;
+        }
+        return created;
+    }
+
+    function shuffle(items) {
+        const shuffled = items.slice();
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        if (shuffled.length > 1 && shuffled.every((item, index) => item === items[index])) {
+            shuffled.push(shuffled.shift());
+        }
+        return shuffled;
+    }
+
+    function normalizeAnswer(text) {
+        return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    function grade(question, response) {
+        switch (question.type) {
+            case 'multiple-choice': {
+                const chosen = Array.from(new Set(Array.isArray(response) ? response : [])).sort((a, b) => a - b);
+                return JSON.stringify(chosen) === JSON.stringify(question.answer.slice().sort((a, b) => a - b));
+            }
+            case 'true-false':
+                return response === question.answer;
+            case 'fill-in':
+                return typeof response === 'string' &&
+                    question.answer.some(accepted => normalizeAnswer(accepted) === normalizeAnswer(response));
+            case 'ordering':
+                return JSON.stringify(response) === JSON.stringify(question.options);
+            default:
+                return false;
+        }
+    }
+
+    function describeAnswer(question) {
+        switch (question.type) {
+            case 'multiple-choice':
+                return question.answer.map(index => question.options[index]).join('; ');
+            case 'true-false':
+                return question.answer ? 'True' : 'False';
+            case 'fill-in':
+                return question.answer.join(' / ');
+            case 'ordering':
+                return question.options.join(' → ');
+            default:
+                return '';
+        }
+    }
+
+    function renderResponse(container, question, index) {
+        if (question.type === 'multiple-choice' || question.type === 'true-false') {
+            const isTrueFalse = question.type === 'true-false';
+            const options = isTrueFalse ? ['True', 'False'] : question.options;
+            const multiple = !isTrueFalse && question.answer.length > 1;
+            const inputs = options.map((option, optionIndex) => {
+                const label = element('label');
+                const input = element('input');
+                input.type = multiple ? 'checkbox' : 'radio';
+                input.name = `question-${index}`;
+                input.value = String(optionIndex);
+                label.appendChild(input);
+                label.appendChild(document.createTextNode(` ${option}`));
+                container.appendChild(label);
+                return input;
+            });
+            if (multiple) {
+                container.appendChild(element('div', 'scorm-hint', 'Select all that apply'));
+            }
+            return () => {
+                const chosen = inputs.filter(input => input.checked).map(input => Number(input.value));
+                if (isTrueFalse) {
+                    return chosen.length > 0 ? chosen[0] === 0 : null;
+                }
+                return chosen;
+            };
+        }
+
+        if (question.type === 'fill-in') {
+            const input = element('input');
+            input.type = 'text';
+            input.placeholder = 'Your answer';
+            container.appendChild(input);
+            return () => input.value;
+        }
+
+        const list = element('ol', 'scorm-ordering');
+        shuffle(question.options).forEach(option => {
+            const item = element('li');
+            item.appendChild(element('span', '', option));
+            [['↑', -1], ['↓', 1]].forEach(([symbol, direction]) => {
+                const button = element('button', '', symbol);
+                button.type = 'button';
+                button.title = direction < 0 ? 'Move up' : 'Move down';
+                button.addEventListener('click', () => {
+                    const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+                    if (sibling) {
+                        list.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+                    }
+                });
+                item.appendChild(button);
+            });
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+        return () => Array.from(list.children).map(item => item.firstElementChild.textContent);
+    }
+
+    function renderQuiz() {
+        const form = document.getElementById('scorm-quiz');
+        if (!form) {
+            return;
+        }
+        form.innerHTML = '';
+        const readers = course.questions.map((question, index) => {
+            const fieldset = element('fieldset', 'scorm-question');
+            fieldset.appendChild(element('legend', '', `${index + 1}. ${question.prompt}`));
+            fieldset.appendChild(element('div', 'scorm-question-source', `Section ${question.section}`));
+            const read = renderResponse(fieldset, question, index);
+            form.appendChild(fieldset);
+            return read;
+        });
+
+        const submit = element('button', '', 'Submit Answers');
+        submit.type = 'submit';
+        form.appendChild(submit);
+        form.onsubmit = event => {
+            event.preventDefault();
+            const results = course.questions.map((question, index) => ({ question, correct: grade(question, readers[index]()) }));
+            const score = results.filter(result => result.correct).length;
+            const percent = Math.round((score / results.length) * 100);
+            // The best attempt counts, so retaking the quiz never loses a pass
+            if (!state.quiz || percent >= state.quiz.percent) {
+                state.quiz = { score, total: results.length, percent };
+            }
+            recordInteractions(results);
+            report();
+            renderResults(form, results, score, percent);
+        };
+    }
+
+    function recordInteractions(results) {
+        const count = parseInt(getValue('cmi.interactions._count'), 10) || 0;
+        results.forEach(({ question, correct }, index) => {
+            const prefix = `cmi.interactions.${count + index}`;
+            setValue(`${prefix}.id`, question.id);
+            setValue(`${prefix}.type`, interactionTypes[question.type] || 'other');
+            setValue(`${prefix}.result`, correct ? 'correct' : (is2004 ? 'incorrect' : 'wrong'));
+        });
+    }
+
+    function renderResults(form, results, score, percent) {
+        form.innerHTML = '';
+        const passed = percent >= passingScore;
+        form.appendChild(element('p', `scorm-score ${passed ? 'scorm-passed' : 'scorm-failed'}`,
+            `You scored ${score} of ${results.length} (${percent}%): ${passed ? 'passed' : 'not passed'}`));
+
+        const list = element('ol', 'scorm-results');
+        results.forEach(({ question, correct }) => {
+            const item = element('li');
+            item.appendChild(element('div', '', `${correct ? '✓' : '✗'} ${question.prompt}`));
+            if (!correct) {
+                item.appendChild(element('div', '', `Answer: ${describeAnswer(question)}`));
+            }
+            if (question.explanation) {
+                item.appendChild(element('div', 'scorm-explanation', question.explanation));
+            }
+            list.appendChild(item);
+        });
+        form.appendChild(list);
+
+        const retry = element('button', '', 'Try Again');
+        retry.type = 'button';
+        retry.addEventListener('click', renderQuiz);
+        form.appendChild(retry);
+    }
+
+    if (api && String(api[call.initialize]('')) === 'true') {
+        connected = true;
+        try {
+            const saved = JSON.parse(getValue('cmi.suspend_data') || '{}');
+            state.visited = Array.isArray(saved.visited) ? saved.visited : [];
+            state.quiz = saved.quiz || null;
+        } catch {
+            // Suspend data from another package version; start afresh
+        }
+        state.page = parseInt(getValue(cmi.location), 10) || 0;
+        // An LMS-set pass mark wins over the packaged one
+        const lmsPassingScore = parseFloat(getValue(cmi.passingScore));
+        if (!isNaN(lmsPassingScore) && course.passingScore !== null) {
+            passingScore = is2004 ? Math.round(lmsPassingScore * 100) : lmsPassingScore;
+            const shown = document.getElementById('scorm-passing-score');
+            if (shown) {
+                shown.textContent = String(passingScore);
+            }
+        }
+    } else {
+        document.getElementById('scorm-connection').hidden = false;
+    }
+
+    document.getElementById('scorm-previous').addEventListener('click', () => showPage(state.page - 1));
+    document.getElementById('scorm-next').addEventListener('click', () => showPage(state.page + 1));
+    // Cross-references link to sections that may be on another page
+    document.addEventListener('click', event => {
+        const link = event.target.closest('a[href^="#"]');
+        const target = link && document.getElementById(link.getAttribute('href').slice(1));
+        const page = target && target.closest('.scorm-page');
+        if (page) {
+            event.preventDefault();
+            showPage(pages.indexOf(page));
+            target.scrollIntoView();
+        }
+    });
+    window.addEventListener('pagehide', terminate);
+    window.addEventListener('beforeunload', terminate);
+
+    renderQuiz();
+    showPage(state.page);
+}
+
+/**
+ * The test launcher's mock LMS. Like scormRuntime() it is serialized into
+ * the package. It implements the SCORM 1.2 or 2004 API with the error codes,
+ * vocabularies and read-only elements a course most often trips over, keeps
+ * the learner's data in localStorage so relaunching resumes, and exposes
+ * window.scormMock ({ data, log, relaunch(), reset() }) for scripted tests.
+ * @private
+ */
+function mockRuntime() {
+    const config = JSON.parse(document.getElementById('scorm-mock-config').textContent);
+    const is2004 = config.version === '2004';
+    const storageKey = `scorm-mock:${config.identifier}`;
+    const frame = document.getElementById('scorm-mock-content');
+    const log = [];
+
+    const errors = is2004 ? {
+        '0': 'No error', '101': 'General exception', '103': 'Already initialized',
+        '112': 'Termination before initialization', '113': 'Termination after termination',
+        '122': 'Retrieve data before initialization', '123': 'Retrieve data after termination',
+        '132': 'Store data before initialization', '133': 'Store data after termination',
+        '142': 'Commit before initialization', '143': 'Commit after termination',
+        '201': 'General argument error', '351': 'General set failure', '401': 'Undefined data model element',
+        '403': 'Data model element value not initialized', '404': 'Data model element is read only',
+        '405': 'Data model element is write only', '406': 'Data model element type mismatch',
+        '407': 'Data model element value out of range'
+    } : {
+        '0': 'No error', '101': 'General exception', '201': 'Invalid argument error',
+        '301': 'Not initialized', '401': 'Not implemented error', '403': 'Element is read only',
+        '404': 'Element is write only', '405': 'Incorrect data type'
+    };
+    const readOnly = is2004
+        ? ['cmi.learner_id', 'cmi.learner_name', 'cmi.entry', 'cmi.mode', 'cmi.credit', 'cmi.scaled_passing_score', 'cmi.interactions._count']
+        : ['cmi.core.student_id', 'cmi.core.student_name', 'cmi.core.entry', 'cmi.core.lesson_mode', 'cmi.core.credit', 'cmi.student_data.mastery_score', 'cmi.interactions._count'];
+    const writeOnly = is2004 ? ['cmi.exit', 'cmi.session_time'] : ['cmi.core.exit', 'cmi.core.session_time'];
+    const vocabularies = is2004 ? {
+        'cmi.completion_status': ['completed', 'incomplete', 'not attempted', 'unknown'],
+        'cmi.success_status': ['passed', 'failed', 'unknown'],
+        'cmi.exit': ['time-out', 'suspend', 'logout', 'normal', '']
+    } : {
+        'cmi.core.lesson_status': ['passed', 'completed', 'failed', 'incomplete', 'browsed', 'not attempted'],
+        'cmi.core.exit': ['time-out', 'suspend', 'logout', '']
+    };
+    const ranges = is2004
+        ? { 'cmi.score.scaled': [-1, 1], 'cmi.progress_measure': [0, 1] }
+        : { 'cmi.core.score.raw': [0, 100], 'cmi.core.score.min': [0, 100], 'cmi.core.score.max': [0, 100] };
+    const sessionTimeElement = is2004 ? 'cmi.session_time' : 'cmi.core.session_time';
+    const sessionTimeFormat = is2004
+        ? /^P(\d+Y)?(\d+M)?(\d+D)?(T(\d+H)?(\d+M)?(\d+(\.\d{1,2})?S)?)?$/
+        : /^\d{2,4}:\d{2}:\d{2}(\.\d{1,2})?$/;
+
+    let session = 'not initialized';
+    let lastError = '0';
+    let data = load();
+
+    function createLearner() {
+        const passing = config.passingScore === null ? {} : is2004
+            ? { 'cmi.scaled_passing_score': String(config.passingScore / 100) }
+            : { 'cmi.student_data.mastery_score': String(config.passingScore) };
+        return Object.assign(is2004 ? {
+            'cmi.learner_id': 'mock-learner', 'cmi.learner_name': 'Learner, Mock', 'cmi.entry': 'ab-initio',
+            'cmi.mode': 'normal', 'cmi.credit': 'credit', 'cmi.completion_status': 'unknown',
+            'cmi.success_status': 'unknown', 'cmi.location': '', 'cmi.suspend_data': '', 'cmi.interactions._count': '0'
+        } : {
+            'cmi.core.student_id': 'mock-learner', 'cmi.core.student_name': 'Learner, Mock', 'cmi.core.entry': 'ab-initio',
+            'cmi.core.lesson_mode': 'normal', 'cmi.core.credit': 'credit', 'cmi.core.lesson_status': 'not attempted',
+            'cmi.core.lesson_location': '', 'cmi.suspend_data': '', 'cmi.interactions._count': '0'
+        }, passing);
+    }
+
+    function load() {
+        try {
+            return JSON.parse(localStorage.getItem(storageKey)) || createLearner();
+        } catch {
+            return createLearner();
+        }
+    }
+
+    function save() {
+        try {
+            localStorage.setItem(storageKey, JSON.stringify(data));
+        } catch {
+            // Storage is not available (private browsing); data lasts until the page closes
+        }
+    }
+
+    function result(value, code, name, args) {
+        lastError = code;
+        log.push(`${name}(${args.map(arg => JSON.stringify(arg)).join(', ')}) → ${JSON.stringify(value)}` +
+            (code === '0' ? '' : `  [${code} ${errors[code]}]`));
+        render(code !== '0');
+        return value;
+    }
+
+    function sessionError(kind) {
+        if (session === 'not initialized') {
+            return is2004 ? { get: '122', set: '132', commit: '142', terminate: '112' }[kind] : '301';
+        }
+        if (session === 'terminated') {
+            return is2004 ? { get: '123', set: '133', commit: '143', terminate: '113' }[kind] : '301';
+        }
+        return null;
+    }
+
+    function initialize(name, parameter) {
+        if (session === 'running') {
+            return result('false', is2004 ? '103' : '101', name, [parameter]);
+        }
+        session = 'running';
+        data = load();
+        // Exit and session time belong to the session that set them
+        writeOnly.forEach(key => delete data[key]);
+        return result('true', '0', name, [parameter]);
+    }
+
+    function terminate(name, parameter) {
+        const error = sessionError('terminate');
+        if (error) {
+            return result('false', error, name, [parameter]);
+        }
+        const exit = data[is2004 ? 'cmi.exit' : 'cmi.core.exit'] || '';
+        data[is2004 ? 'cmi.entry' : 'cmi.core.entry'] = exit === 'suspend' ? 'resume' : '';
+        session = 'terminated';
+        save();
+        return result('true', '0', name, [parameter]);
+    }
+
+    function getValue(name, element) {
+        const error = sessionError('get');
+        if (error) {
+            return result('', error, name, [element]);
+        }
+        if (writeOnly.includes(element) || (!is2004 && /^cmi\.interactions\.\d+\./.test(element))) {
+            return result('', is2004 ? '405' : '404', name, [element]);
+        }
+        if (!(element in data)) {
+            return result('', is2004 ? '403' : '0', name, [element]);
+        }
+        return result(data[element], '0', name, [element]);
+    }
+
+    function setValue(name, element, value) {
+        const error = sessionError('set');
+        const text = String(value);
+        if (error) {
+            return result('false', error, name, [element, value]);
+        }
+        if (readOnly.includes(element)) {
+            return result('false', is2004 ? '404' : '403', name, [element, value]);
+        }
+        if (vocabularies[element] && !vocabularies[element].includes(text)) {
+            return result('false', is2004 ? '406' : '405', name, [element, value]);
+        }
+        if (ranges[element]) {
+            const number = Number(text);
+            if (text === '' || isNaN(number)) {
+                return result('false', is2004 ? '406' : '405', name, [element, value]);
+            }
+            if (number < ranges[element][0] || number > ranges[element][1]) {
+                return result('false', is2004 ? '407' : '405', name, [element, value]);
+            }
+        }
+        if (element === sessionTimeElement && !sessionTimeFormat.test(text)) {
+            return result('false', is2004 ? '406' : '405', name, [element, value]);
+        }
+        const interaction = /^cmi\.interactions\.(\d+)\./.exec(element);
+        if (interaction) {
+            const count = Number(data['cmi.interactions._count']);
+            const index = Number(interaction[1]);
+            if (index > count || (index === count && !element.endsWith('.id'))) {
+                return result('false', is2004 ? '351' : '201', name, [element, value]);
+            }
+            if (index === count) {
+                data['cmi.interactions._count'] = String(count + 1);
+            }
+        }
+        data[element] = text;
+        return result('true', '0', name, [element, value]);
+    }
+
+    function commit(name, parameter) {
+        const error = sessionError('commit');
+        if (error) {
+            return result('false', error, name, [parameter]);
+        }
+        save();
+        return result('true', '0', name, [parameter]);
+    }
+
+    function render(failed) {
+        document.getElementById('scorm-mock-state').textContent = `Session: ${session}`;
+        const table = document.getElementById('scorm-mock-data');
+        table.innerHTML = '';
+        Object.keys(data).sort().forEach(key => {
+            const row = table.insertRow();
+            row.insertCell().textContent = key;
+            row.insertCell().textContent = data[key];
+        });
+        const logElement = document.getElementById('scorm-mock-log');
+        const line = document.createElement('div');
+        line.textContent = log[log.length - 1] || '';
+        if (failed) {
+            line.className = 'scorm-mock-error';
+        }
+        logElement.appendChild(line);
+        logElement.scrollTop = logElement.scrollHeight;
+    }
+
+    function relaunch() {
+        frame.src = 'about:blank';
+        setTimeout(() => {
+            frame.src = 'index.html';
+        }, 0);
+    }
+
+    function reset() {
+        try {
+            localStorage.removeItem(storageKey);
+        } catch {
+            // Nothing stored
+        }
+        data = createLearner();
+        session = 'not initialized';
+        relaunch();
+    }
+
+    const api = is2004 ? {
+        Initialize: parameter => initialize('Initialize', parameter),
+        Terminate: parameter => terminate('Terminate', parameter),
+        GetValue: element => getValue('GetValue', element),
+        SetValue: (element, value) => setValue('SetValue', element, value),
+        Commit: parameter => commit('Commit', parameter),
+        GetLastError: () => lastError,
+        GetErrorString: code => errors[code] || '',
+        GetDiagnostic: code => errors[code || lastError] || ''
+    } : {
+        LMSInitialize: parameter => initialize('LMSInitialize', parameter),
+        LMSFinish: parameter => terminate('LMSFinish', parameter),
+        LMSGetValue: element => getValue('LMSGetValue', element),
+        LMSSetValue: (element, value) => setValue('LMSSetValue', element, value),
+        LMSCommit: parameter => commit('LMSCommit', parameter),
+        LMSGetLastError: () => lastError,
+        LMSGetErrorString: code => errors[code] || '',
+        LMSGetDiagnostic: code => errors[code || lastError] || ''
+    };
+    window[is2004 ? 'API_1484_11' : 'API'] = api;
+    window.scormMock = {
+        get data() {
+            return Object.assign({}, data);
+        },
+        get session() {
+            return session;
+        },
+        log,
+        relaunch,
+        reset
+    };
+
+    document.getElementById('scorm-mock-relaunch').addEventListener('click', relaunch);
+    document.getElementById('scorm-mock-reset').addEventListener('click', reset);
+    document.getElementById('scorm-mock-state').textContent = `Session: ${session}`;
+    frame.src = 'index.html';
+}
+
+/**
+ * JSON for an inline <script> element: "<" is escaped so text such as
+ * "</script>" in the content cannot end the element
+ * @private
+ */
+function toScriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+/**
+ * Escapes text for XML and HTML
+ * @private
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -26,7 +26,7 @@ import { buildRevisionList, buildRevisionListFromHistory, RevisionDocument } fro
 import { reconstructTreeFromFlatList } from './tree-reconstruction.js';
 import { renderDocumentStructure } from './tree-renderer.js';
 import { initializeContentEditor, initializeContentEditorDragDrop } from './content-editor.js';
-import { initializeFileInput, loadInitialData, saveDocument, commitDocument, downloadVersionedDocument, exportCompleteDocument, importCompleteDocument } from './data-operations.js';
+import { initializeFileInput, loadInitialData, restoreVersionHistory, saveDocument, commitDocument, unlockDocument, downloadVersionedDocument, exportCompleteDocument, importCompleteDocument } from './data-operations.js';
 import { initializeAllEventHandlers } from './event-handlers.js';
 import { 
     initializeStorage, 
@@ -37,10 +37,11 @@ import {
     createBackup,
     listBackups,
     scheduleAutoSave,
-    loadPendingFromStorage
+    loadPendingFromStorage,
+    loadDocumentTitles,
+    loadUsersFromStorage
 } from './storage-manager.js';
 import {
-    initializeVersionedDocument,
     getVersionHistory,
     getDocumentStats,
     hasUncommittedChanges,
@@ -48,6 +49,19 @@ import {
 } from './version-control.js';
 import { renderPendingItems, clearAllPending } from './pending-manager.js';
 import { exportToPDF } from './print-formatter.js';
+import { exportDocumentAs } from './document-export.js';
+import { exportDocumentAsDocx } from './docx-export.js';
+import { initializeSectionSelection } from './section-output.js';
+import { initializeBlameView } from './blame-view.js';
+import { initializeComments } from './comment-manager.js';
+import { initializeQuizzes } from './quiz-manager.js';
+import { initializeAcknowledgements } from './acknowledgements.js';
+import { initializeLearningPaths } from './learning-paths.js';
+import { initializeFlashcards } from './flashcards.js';
+import { initializeSectionLocks } from './section-locks.js';
+import { initializeTabSync } from './tab-sync.js';
+import { initializeCollaboration } from './collaboration.js';
+import { showReferenceReport } from './reference-checker.js';
 import { initializeSearch } from './search-manager.js';
 import { initializeMenu, setUsername } from './menu-manager.js';
 import { initializeContextMenu } from './context-menu.js';
@@ -55,6 +69,7 @@ import { initializeUndoManager } from './undo-manager.js';
 import { initializeTheme } from './theme-manager.js';
 import { initializeMessageCenter, showNotification, showSuccess } from './message-center.js';
 import { initializeUserManagement, updateUserSelector, getCurrentUserInfo, exportUsersData, importUsersData } from './user-manager.js';
+import { initializePermissions, can } from './permissions.js';
 
 // =========================================================================
 // CONFIGURATION & CONSTANTS
@@ -342,13 +357,22 @@ async function initializeApplication() {
         initializeUserManagement();
         updateUserSelector();
 
-        // Initialize storage system
-        const storageAvailable = initializeStorage();
+        // Disable controls the current user's role does not allow
+        initializePermissions();
+
+        // Initialize storage system (opens IndexedDB and loads the active document)
+        const storageAvailable = await initializeStorage();
         if (storageAvailable) {
-            debugMessage('Local storage initialized');
+            debugMessage('Document storage initialized');
             debugMessage('Storage info:', getStorageInfo());
+
+            // Restore the users saved with this document
+            const storedUsers = loadUsersFromStorage();
+            if (storedUsers) {
+                importUsersData(storedUsers);
+            }
         } else {
-            console.warn('Local storage unavailable - changes will not be saved');
+            console.warn('Document storage unavailable - changes will not be saved');
         }
 
         // Initialize all event handlers
@@ -366,10 +390,10 @@ async function initializeApplication() {
         // Initialize export/import buttons
         setupExportImportHandlers();
         
-        // Load title and subtitle from localStorage
+        // Load title and subtitle from storage
         loadTitleAndSubtitle();
         
-        // Load pending items from localStorage
+        // Load pending items from storage
         const pendingItems = loadPendingFromStorage();
         if (pendingItems && pendingItems.length > 0) {
             stateManager.setPendingItems(pendingItems);
@@ -384,6 +408,14 @@ async function initializeApplication() {
         // Initialize context menu
         debugMessage('Initializing context menu...');
         initializeContextMenu();
+        initializeSectionSelection();
+        initializeBlameView();
+        initializeComments();
+        initializeQuizzes();
+        initializeAcknowledgements();
+        initializeLearningPaths();
+        initializeFlashcards();
+        initializeSectionLocks();
         
         // Initialize undo manager
         debugMessage('Initializing undo manager...');
@@ -400,15 +432,21 @@ async function initializeApplication() {
         // Get pending items from state (already loaded above)
         const currentPendingItems = stateManager.getPendingItems() || [];
 
-        // Initialize version control with loaded data and pending items
+        // Restore version control from storage, or start it with loaded data and pending items
         debugMessage('Initializing version control...');
-        const documentName = 'DLMS Document'; // TODO: Get from user or metadata
-        initializeVersionedDocument(documentName, loadedData, currentPendingItems);
+        const documentName = loadDocumentTitles()?.title || 'DLMS Document';
+        restoreVersionHistory(documentName, loadedData, currentPendingItems);
 
         // Build revision list from version history
         debugMessage('Building revision list from version history...');
         buildRevisionListFromHistory();
 
+        // Share changes with other tabs showing this document
+        initializeTabSync();
+
+        // Real-time editing with others over a sync transport
+        initializeCollaboration();
+
         // Subscribe to state changes
         stateManager.subscribe('documentStructureChanged', (structure) => {
             debugMessage('Document structure changed', structure);
@@ -457,15 +495,16 @@ async function initializeApplication() {
 }
 
 /**
- * Loads document title and subtitle from localStorage
+ * Loads document title and subtitle of the active document
  */
 function loadTitleAndSubtitle() {
     try {
         const titleElement = document.getElementById('document-name');
         const subtitleElement = document.getElementById('document-subtitle');
         
-        const savedTitle = localStorage.getItem('dlms_document_title');
-        const savedSubtitle = localStorage.getItem('dlms_document_subtitle');
+        const titles = loadDocumentTitles();
+        const savedTitle = titles ? titles.title : '';
+        const savedSubtitle = titles ? titles.subtitle : '';
         
         if (titleElement && savedTitle) {
             titleElement.value = savedTitle;
@@ -544,6 +583,12 @@ function setupExportImportHandlers() {
         await createNewDocument();
     });
     
+    setupEventListener('library-btn', 'click', async () => {
+        debugMessage('Library button clicked');
+        const { showDocumentLibrary } = await import('./document-library.js');
+        await showDocumentLibrary();
+    });
+    
     setupEventListener('export-btn', 'click', async () => {
         debugMessage('Export button clicked');
         await exportCompleteDocument();
@@ -554,6 +599,21 @@ function setupExportImportHandlers() {
         await importCompleteDocument();
     });
     
+    setupEventListener('export-markdown-btn', 'click', async () => {
+        debugMessage('Markdown export button clicked');
+        await exportDocumentAs('markdown');
+    });
+    
+    setupEventListener('export-html-btn', 'click', async () => {
+        debugMessage('HTML export button clicked');
+        await exportDocumentAs('html');
+    });
+    
+    setupEventListener('export-docx-btn', 'click', async () => {
+        debugMessage('Word export button clicked');
+        await exportDocumentAsDocx();
+    });
+    
     setupEventListener('export-pdf-btn', 'click', () => {
         debugMessage('PDF export button clicked');
         const documentStructure = stateManager.getDocumentStructure();
@@ -573,6 +633,16 @@ function setupExportImportHandlers() {
         commitDocument();
     });
     
+    setupEventListener('check-references-btn', 'click', () => {
+        debugMessage('Check references button clicked');
+        showReferenceReport();
+    });
+    
+    setupEventListener('unlockDocument', 'click', () => {
+        debugMessage('Release locks button clicked');
+        unlockDocument();
+    });
+    
     // Title and subtitle auto-save
     ['document-name', 'document-subtitle'].forEach(id => {
         setupEventListener(id, 'input', scheduleAutoSave);
@@ -620,6 +690,8 @@ async function setupAddNodeButtons() {
         
         // Listen for selection changes
         stateManager.addListener('editingItemChanged', updateAddSubnodeButtonState);
+        stateManager.addListener('currentUserChanged', updateAddSubnodeButtonState);
+        stateManager.addListener('usersChanged', updateAddSubnodeButtonState);
         updateAddSubnodeButtonState();
     }
     
@@ -634,10 +706,13 @@ function updateAddSubnodeButtonState() {
     if (!addSubnodeBtn) return;
     
     const currentItem = stateManager.getCurrentEditingItem();
-    const enabled = !!currentItem;
-    const title = enabled 
-        ? `Add a subnode to "${currentItem.name}"` 
-        : 'Please select a node first';
+    const enabled = !!currentItem && can('edit');
+    let title = 'Please select a node first';
+    if (!can('edit')) {
+        title = 'Your role cannot edit the document';
+    } else if (currentItem) {
+        title = `Add a subnode to "${currentItem.name}"`;
+    }
     
     setButtonState(addSubnodeBtn, enabled, title);
     debugMessage(`Add Subnode button ${enabled ? 'enabled' : 'disabled'}`, currentItem);
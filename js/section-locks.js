@@ -0,0 +1,475 @@
+/**
+ * Section Locks Module
+ * Checking sections out for editing. A lock covers the section and all of its
+ * subsections: other users cannot edit, move or delete them until the owner
+ * checks the section back in, the lock expires, or an Admin force-unlocks it.
+ */
+
+import { stateManager } from './state-manager.js';
+import { getAnnotations, exportVersionHistory } from './version-control.js';
+import { getCurrentUserInfo, getUserColor } from './user-manager.js';
+import { saveVersionHistoryToStorage } from './storage-manager.js';
+import { can, requirePermission } from './permissions.js';
+import { showPrompt, showConfirm, showError, showSuccess } from './message-center.js';
+
+// How often lock markers are redrawn so that expired locks disappear
+const EXPIRY_CHECK_INTERVAL = 60 * 1000;
+
+/**
+ * Wires the lock markers in the index and the read-only state of the editor panes
+ */
+export function initializeSectionLocks() {
+    // The index is rebuilt on every render, so mark new items
+    const container = document.getElementById('document-structure-container');
+    if (container) {
+        const observer = new MutationObserver(() => addLockTags());
+        observer.observe(container, { childList: true, subtree: true });
+    }
+
+    const refresh = () => refreshLockUI();
+    stateManager.subscribe('documentStructureChanged', refresh);
+    stateManager.subscribe('editingItemChanged', refresh);
+    stateManager.subscribe('currentUserChanged', refresh);
+    stateManager.subscribe('usersChanged', refresh);
+    window.addEventListener('dlms:refreshRevisions', refresh);
+
+    setInterval(() => {
+        if (Object.values(getAnnotations('locks', {})).some(lock => lock.expiresAt)) {
+            refreshLockUI();
+        }
+    }, EXPIRY_CHECK_INTERVAL);
+
+    refreshLockUI();
+}
+
+/**
+ * Gets the lock that covers a section: its own, or the nearest ancestor's
+ * @param {string} nodeId - Section ID
+ * @returns {Object|null} Lock record, or null if the section is not checked out
+ */
+export function getSectionLock(nodeId) {
+    const path = findNodePath(stateManager.getDocumentStructure() || [], nodeId);
+    if (!path) {
+        return null;
+    }
+
+    for (let i = path.length - 1; i >= 0; i--) {
+        const lock = getActiveLock(path[i].uid);
+        if (lock) {
+            return lock;
+        }
+    }
+    return null;
+}
+
+/**
+ * Whether another user has checked out a section
+ * @param {string} nodeId - Section ID
+ * @param {boolean} includeSubsections - Also count locks on its subsections, for moves and deletes
+ * @returns {boolean} True if the current user may not change it
+ */
+export function isLockedByOther(nodeId, includeSubsections = false) {
+    return Boolean(findBlockingLock(nodeId, includeSubsections));
+}
+
+/**
+ * Checks that no other user has checked out a section and says who has when one has
+ * @param {string} nodeId - Section ID
+ * @param {boolean} includeSubsections - Also count locks on its subsections, for moves and deletes
+ * @returns {boolean} True if the current user may change it
+ */
+export function requireUnlocked(nodeId, includeSubsections = false) {
+    const blocking = findBlockingLock(nodeId, includeSubsections);
+    if (!blocking) {
+        return true;
+    }
+
+    const { lock, node } = blocking;
+    const expiry = lock.expiresAt ? ` until ${new Date(lock.expiresAt).toLocaleString()}` : '';
+    showError(`Section ${node.id} "${node.name}" is checked out by ${lock.owner}${expiry}.`);
+    return false;
+}
+
+/**
+ * Whether the current user holds a lock
+ * @param {Object} lock - Lock record from getSectionLock()
+ * @returns {boolean} True if it is the current user's
+ */
+export function isOwnLock(lock) {
+    const user = stateManager.getCurrentUser();
+    return Boolean(user) && lock.ownerInfo?.id === user.id;
+}
+
+/**
+ * Checks a section and its subsections out to the current user
+ * @param {string} nodeId - Section ID
+ * @returns {Promise<boolean>} True if the section was checked out
+ */
+export async function checkOutSection(nodeId) {
+    if (!requirePermission('edit')) {
+        return false;
+    }
+
+    const owner = getCurrentUserInfo();
+    if (!owner) {
+        showError('Select a user before checking out a section.');
+        return false;
+    }
+
+    const path = findNodePath(stateManager.getDocumentStructure() || [], nodeId);
+    if (!path) {
+        showError(`Section ${nodeId} not found.`);
+        return false;
+    }
+    const node = path[path.length - 1];
+
+    const existing = getSectionLock(nodeId);
+    if (existing && isOwnLock(existing)) {
+        showError(existing.uid === node.uid
+            ? 'You have already checked out this section.'
+            : 'You have already checked out this section as part of a parent section.');
+        return false;
+    }
+    if (!requireUnlocked(nodeId, true)) {
+        return false;
+    }
+
+    const hours = await showPrompt(
+        `Check out ${node.id} "${node.name}" and its subsections?\n\n` +
+        'Other users cannot edit, move or delete them until you check them in. ' +
+        'Release the lock automatically after how many hours? Leave blank to keep it until you check in.',
+        '',
+        'Hours (optional)'
+    );
+    if (hours === null) {
+        return false;
+    }
+
+    let expiresAt = null;
+    if (hours.trim() !== '') {
+        const duration = parseFloat(hours);
+        if (!Number.isFinite(duration) || duration <= 0) {
+            showError('Enter a number of hours greater than zero, or leave it blank.');
+            return false;
+        }
+        expiresAt = new Date(Date.now() + duration * 60 * 60 * 1000).toISOString();
+    }
+
+    try {
+        const locks = getAnnotations('locks', {});
+
+        // Your locks inside the subsection tree are covered by the new one
+        forEachNode(node.children || [], child => {
+            if (locks[child.uid] && isOwnLock(locks[child.uid])) {
+                delete locks[child.uid];
+            }
+        });
+
+        locks[node.uid] = {
+            uid: node.uid,
+            owner: owner.name,
+            ownerInfo: owner,
+            lockedAt: new Date().toISOString(),
+            expiresAt
+        };
+        saveSectionLocks();
+        showSuccess(`Checked out ${node.id} "${node.name}"`);
+        return true;
+    } catch (error) {
+        console.error('Error checking out section:', error);
+        showError(`Failed to check out section: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Checks in a section the current user has checked out
+ * @param {string} nodeId - Section ID
+ * @returns {boolean} True if the lock was released
+ */
+export function checkInSection(nodeId) {
+    const lock = getSectionLock(nodeId);
+    if (!lock || !isOwnLock(lock)) {
+        showError('You have not checked out this section.');
+        return false;
+    }
+
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], lock.uid);
+    if (node && node.id !== nodeId) {
+        showError(`This section is checked out as part of ${node.id} "${node.name}". Check that section in instead.`);
+        return false;
+    }
+
+    delete getAnnotations('locks', {})[lock.uid];
+    saveSectionLocks();
+    showSuccess(`Checked in ${node ? `${node.id} "${node.name}"` : 'section'}`);
+    return true;
+}
+
+/**
+ * Releases another user's lock on a section (Admin only)
+ * @param {string} nodeId - Section ID
+ * @returns {Promise<boolean>} True if the lock was released
+ */
+export async function forceUnlockSection(nodeId) {
+    if (!requirePermission('forceUnlock')) {
+        return false;
+    }
+
+    const lock = getSectionLock(nodeId);
+    if (!lock) {
+        showError('This section is not checked out.');
+        return false;
+    }
+
+    const node = findNodeByUid(stateManager.getDocumentStructure() || [], lock.uid);
+    const label = node ? `${node.id} "${node.name}"` : 'this section';
+    const confirmed = await showConfirm(
+        `${label} is checked out by ${lock.owner} since ${new Date(lock.lockedAt).toLocaleString()}. ` +
+        'Force-unlock it? Changes they have already made stay in the document.',
+        'Force Unlock',
+        'Cancel'
+    );
+    if (!confirmed) {
+        return false;
+    }
+
+    delete getAnnotations('locks', {})[lock.uid];
+    saveSectionLocks();
+    showSuccess(`Unlocked ${label}`);
+    return true;
+}
+
+/**
+ * Replaces all locks with the ones collaborators share (see collaboration.js)
+ * @param {Object} locks - Lock records by section uid
+ */
+export function replaceSectionLocks(locks) {
+    const current = getAnnotations('locks', {});
+    if (JSON.stringify(current) === JSON.stringify(locks)) {
+        return;
+    }
+    Object.keys(current).forEach(uid => delete current[uid]);
+    Object.assign(current, JSON.parse(JSON.stringify(locks)));
+    saveSectionLocks();
+}
+
+/**
+ * Releases every lock the current user holds, or every lock at all
+ * @param {boolean} allUsers - Release other users' locks too (needs the forceUnlock permission)
+ * @returns {number} Number of locks released
+ */
+export function releaseSectionLocks(allUsers = false) {
+    if (allUsers && !requirePermission('forceUnlock')) {
+        return 0;
+    }
+
+    const locks = getAnnotations('locks', {});
+    const released = Object.keys(locks).filter(uid => allUsers || isOwnLock(locks[uid]));
+    released.forEach(uid => delete locks[uid]);
+
+    if (released.length > 0) {
+        saveSectionLocks();
+    }
+    return released.length;
+}
+
+/**
+ * Stores the locks with the version history and redraws the markers
+ * @private
+ */
+function saveSectionLocks() {
+    const locks = getAnnotations('locks', {});
+    Object.keys(locks).forEach(uid => {
+        if (isExpired(locks[uid])) {
+            delete locks[uid];
+        }
+    });
+
+    saveVersionHistoryToStorage(exportVersionHistory());
+    refreshLockUI();
+    window.dispatchEvent(new CustomEvent('dlms:sectionLocksChanged'));
+}
+
+/**
+ * Redraws the index markers and marks editor panes showing other users' sections read-only
+ * @private
+ */
+function refreshLockUI() {
+    document.querySelectorAll('.section-lock-tag').forEach(tag => tag.remove());
+    addLockTags();
+
+    document.querySelectorAll('#editor-panels .editor-pane').forEach(pane => {
+        const heading = pane.querySelector('#contentID, .content-id');
+        const nodeId = heading ? heading.textContent.trim() : '';
+        const lock = nodeId ? getSectionLock(nodeId) : null;
+        const locked = Boolean(lock) && !isOwnLock(lock);
+
+        pane.classList.toggle('section-locked', locked);
+        pane.querySelectorAll('textarea[data-permission="edit"], input[data-permission="edit"]').forEach(input => {
+            input.readOnly = locked || !can('edit');
+        });
+
+        const paneTitle = pane.querySelector('.pane-title');
+        if (paneTitle && lock) {
+            paneTitle.after(createLockTag(lock));
+        }
+    });
+}
+
+/**
+ * Adds lock markers to checked-out index sections that lack one
+ * @private
+ */
+function addLockTags() {
+    const locks = getAnnotations('locks', {});
+    if (Object.keys(locks).length === 0) {
+        return;
+    }
+
+    document.querySelectorAll('#document-structure-container li[data-node-uid]').forEach(item => {
+        const lock = getActiveLock(item.getAttribute('data-node-uid'));
+        const link = item.querySelector(':scope > .section-link');
+        if (!lock || !link || link.querySelector(':scope > .section-lock-tag')) {
+            return;
+        }
+        link.insertBefore(createLockTag(lock), link.querySelector('.node-actions'));
+    });
+}
+
+/**
+ * Builds the marker showing who checked a section out, when, and until when
+ * @private
+ * @param {Object} lock - Lock record
+ * @returns {HTMLElement} Marker in the owner's colour
+ */
+function createLockTag(lock) {
+    const tag = document.createElement('span');
+    tag.className = 'section-lock-tag';
+    tag.classList.toggle('lock-own', isOwnLock(lock));
+
+    const lockedAt = new Date(lock.lockedAt);
+    const expiresAt = lock.expiresAt ? new Date(lock.expiresAt) : null;
+
+    tag.textContent = `🔒 ${lock.owner} · ${formatLockTime(lockedAt)}` + (expiresAt ? ` → ${formatLockTime(expiresAt)}` : '');
+    tag.title = `Checked out by ${lock.owner} on ${lockedAt.toLocaleString()}, with its subsections\n` +
+        (expiresAt ? `Expires ${expiresAt.toLocaleString()}` : 'No expiry');
+
+    const color = getUserColor(lock.ownerInfo);
+    if (color) {
+        tag.style.setProperty('--lock-color', color);
+    }
+    return tag;
+}
+
+/**
+ * Short form of a lock time: the time today, otherwise the date
+ * @private
+ * @param {Date} date - Time to format
+ * @returns {string} Formatted time
+ */
+function formatLockTime(date) {
+    return date.toDateString() === new Date().toDateString()
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString();
+}
+
+/**
+ * Finds a lock held by another user on a section, its ancestors and optionally its subsections
+ * @private
+ * @param {string} nodeId - Section ID
+ * @param {boolean} includeSubsections - Also look at the subsections
+ * @returns {{lock: Object, node: Object}|null} The lock and the section it is on
+ */
+function findBlockingLock(nodeId, includeSubsections) {
+    const path = findNodePath(stateManager.getDocumentStructure() || [], nodeId);
+    if (!path) {
+        return null;
+    }
+
+    const candidates = [...path];
+    if (includeSubsections) {
+        forEachNode(path[path.length - 1].children || [], child => candidates.push(child));
+    }
+
+    for (const node of candidates) {
+        const lock = getActiveLock(node.uid);
+        if (lock && !isOwnLock(lock)) {
+            return { lock, node };
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the lock on one node, ignoring expired locks
+ * @private
+ * @param {string} uid - Node uid
+ * @returns {Object|null} Lock record
+ */
+function getActiveLock(uid) {
+    const lock = uid ? getAnnotations('locks', {})[uid] : null;
+    return lock && !isExpired(lock) ? lock : null;
+}
+
+/**
+ * Whether a lock's expiry time has passed
+ * @private
+ * @param {Object} lock - Lock record
+ * @returns {boolean} True if expired
+ */
+function isExpired(lock) {
+    return Boolean(lock.expiresAt) && Date.parse(lock.expiresAt) <= Date.now();
+}
+
+// tree-renderer imports this module, so the tree lookups below are local
+
+/**
+ * Finds a section and its ancestors. IDs are positional, so "1-2-3" lies under "1" and "1-2".
+ * @private
+ * @param {Object[]} nodes - Nodes to search
+ * @param {string} nodeId - Section ID
+ * @returns {Object[]|null} Nodes from the root down to the section
+ */
+function findNodePath(nodes, nodeId) {
+    for (const node of nodes || []) {
+        if (node.id === nodeId) {
+            return [node];
+        }
+        if (nodeId && nodeId.startsWith(`${node.id}-`)) {
+            const rest = findNodePath(node.children, nodeId);
+            return rest ? [node, ...rest] : null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Finds a node by uid
+ * @private
+ * @param {Object[]} nodes - Nodes to search
+ * @param {string} uid - Node uid
+ * @returns {Object|null} The node
+ */
+function findNodeByUid(nodes, uid) {
+    let found = null;
+    forEachNode(nodes, node => {
+        if (!found && node.uid === uid) {
+            found = node;
+        }
+    });
+    return found;
+}
+
+/**
+ * Calls a function for every node in a tree
+ * @private
+ * @param {Object[]} nodes - Nodes to visit
+ * @param {Function} callback - Called with each node
+ */
+function forEachNode(nodes, callback) {
+    (nodes || []).forEach(node => {
+        callback(node);
+        forEachNode(node.children, callback);
+    });
+}
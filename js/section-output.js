@@ -0,0 +1,447 @@
+/**
+ * Section Output Module
+ * Prints or exports individual sections, and provides the index multi-select mode for choosing them
+ */
+
+import { stateManager } from './state-manager.js';
+import {
+    showPrintOptionsDialog,
+    printDocument,
+    getSectionNumber,
+    buildReferenceNumbers,
+    markChangesSinceVersion,
+    getVersionLabel
+} from './print-formatter.js';
+import { generateMarkdown, generateStandaloneHTML, buildExportFilename, chooseDocumentVersion } from './document-export.js';
+import { getDocumentAtVersion } from './version-control.js';
+import { findNodeById } from './tree-renderer.js';
+import { generateDocx } from './docx-export.js';
+import { exportScormPackage } from './scorm-export.js';
+import { saveFile } from './storage-manager.js';
+import { showError, showSuccess, showPrompt } from './message-center.js';
+
+// Formats offered by "Export this section"
+const SECTION_EXPORT_FORMATS = [
+    { label: 'Markdown', description: 'Markdown Files', mimeType: 'text/markdown', extension: '.md' },
+    { label: 'HTML', description: 'HTML Files', mimeType: 'text/html', extension: '.html' },
+    {
+        label: 'Word',
+        description: 'Word Documents',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: '.docx'
+    },
+    // Asks its own questions and saves the file itself (see scorm-export.js)
+    { label: 'SCORM package', scorm: true }
+];
+
+const selectedSectionIds = new Set();
+let selectionModeActive = false;
+
+/**
+ * Extracts the chosen sections from a version of the document, in document order.
+ * Sections are chosen in the working copy and found in the version by uid, so
+ * the choice holds when they have moved since; versions saved before uids
+ * existed are matched by ID.
+ * A section whose ancestor is also chosen is already included with that ancestor.
+ * @param {Object[]} documentStructure - Root nodes of the version to output
+ * @param {string[]} nodeIds - IDs of the chosen sections in the working copy
+ * @param {boolean} renumber - Renumber from 1 instead of keeping the original numbers
+ * @returns {{nodes: Object[], label: string}} Plain nodes to output and a description like "Section 2.3 Safety"
+ */
+export function buildSectionSelection(documentStructure, nodeIds, renumber = false) {
+    const workingCopy = stateManager.getDocumentStructure() || [];
+    const wantedIds = new Set(nodeIds);
+    const wantedUids = new Set(nodeIds.map(id => findNodeById(workingCopy, id)?.uid).filter(Boolean));
+    const isWanted = node => (node.uid ? wantedUids.has(node.uid) : wantedIds.has(node.id));
+    const picked = [];
+
+    const walk = (list, parentNumber) => {
+        (list || []).forEach((node, index) => {
+            const sectionNumber = getSectionNumber(parentNumber, index);
+            if (isWanted(node)) {
+                const plain = JSON.parse(JSON.stringify(typeof node.toJSON === 'function' ? node.toJSON() : node));
+                if (!renumber) {
+                    plain.sectionNumber = sectionNumber;
+                }
+                picked.push({ node: plain, sectionNumber });
+                return;
+            }
+            walk(node.children, sectionNumber);
+        });
+    };
+
+    walk(documentStructure, '');
+
+    let label = '';
+    if (picked.length === 1) {
+        label = `Section ${picked[0].sectionNumber} ${picked[0].node.name || 'Untitled'}`;
+    } else if (picked.length > 1) {
+        label = `Sections ${picked.map(entry => entry.sectionNumber).join(', ')}`;
+    }
+
+    return { nodes: picked.map(entry => entry.node), label };
+}
+
+/**
+ * Prints one or more sections of the latest release, or of the version chosen in the print dialog
+ * @param {string[]} nodeIds - IDs of the sections to print
+ */
+export async function printSections(nodeIds) {
+    try {
+        if (!nodeIds || nodeIds.length === 0) {
+            showError('Select at least one section to print');
+            return;
+        }
+
+        const options = await showPrintOptionsDialog({ showNumbering: true, showVersions: true });
+        if (!options) {
+            return;
+        }
+
+        // The version is chosen for the whole document, so change bars and numbers match it
+        let source = getWorkingCopyNodes();
+        let versionLabel = null;
+        if (options.version !== null) {
+            source = getDocumentAtVersion(options.version) || [];
+            versionLabel = getVersionLabel(options.version);
+        }
+        if (options.changesSince !== null) {
+            source = markChangesSinceVersion(source, options.changesSince).nodes;
+        }
+
+        const { nodes, label } = buildSectionSelection(source, nodeIds, options.renumber);
+        if (nodes.length === 0) {
+            showError(versionLabel ? `The selected sections are not in ${versionLabel}` : 'The selected sections no longer exist');
+            return;
+        }
+
+        printDocument(nodes, getDocumentTitle(), label, {
+            ...options,
+            versionLabel,
+            changeBaseVersion: options.changesSince,
+            referenceNumbers: buildSelectionReferenceNumbers(nodes, source)
+        });
+
+    } catch (error) {
+        console.error('Error printing sections:', error);
+        showError(`Failed to print sections: ${error.message}`);
+    }
+}
+
+/**
+ * Exports one or more sections of a chosen version (the latest release by default)
+ * as Markdown, HTML, Word or a SCORM package
+ * @param {string[]} nodeIds - IDs of the sections to export
+ * @returns {Promise<boolean>} True if the file was saved
+ */
+export async function exportSections(nodeIds) {
+    try {
+        if (!nodeIds || nodeIds.length === 0) {
+            showError('Select at least one section to export');
+            return false;
+        }
+
+        const count = nodeIds.length;
+        let message = `Export ${count === 1 ? 'this section' : `${count} sections`} as:\n\n`;
+        SECTION_EXPORT_FORMATS.forEach((format, index) => {
+            message += `${index + 1}. ${format.label}\n`;
+        });
+        message += `\nEnter number (1-${SECTION_EXPORT_FORMATS.length}) or 0 to cancel:`;
+
+        const formatChoice = await showPrompt(message, '1', 'Enter number');
+        if (!formatChoice || formatChoice === '0') {
+            return false;
+        }
+        const fileType = SECTION_EXPORT_FORMATS[parseInt(formatChoice, 10) - 1];
+        if (!fileType) {
+            showError('Invalid selection');
+            return false;
+        }
+
+        const numberingChoice = await showPrompt(
+            'Section numbering:\n\n1. Keep original numbers\n2. Renumber from 1\n\nEnter number (1-2) or 0 to cancel:',
+            '1',
+            'Enter number'
+        );
+        if (!numberingChoice || numberingChoice === '0') {
+            return false;
+        }
+        if (numberingChoice !== '1' && numberingChoice !== '2') {
+            showError('Invalid selection');
+            return false;
+        }
+
+        const source = await chooseDocumentVersion(`Export ${count === 1 ? 'this section' : `${count} sections`} from`);
+        if (!source) {
+            return false;
+        }
+
+        const { nodes, label } = buildSectionSelection(source.nodes, nodeIds, numberingChoice === '2');
+        if (nodes.length === 0) {
+            showError(source.version === null
+                ? 'The selected sections no longer exist'
+                : `The selected sections are not in ${source.versionLabel}`);
+            return false;
+        }
+
+        const title = getDocumentTitle();
+        const versionLabel = source.versionLabel;
+        const referenceNumbers = buildSelectionReferenceNumbers(nodes, source.nodes);
+
+        if (fileType.scorm) {
+            // One page per selected section; renumbered ones have no number of their own yet
+            const pages = nodes.map((node, index) => {
+                const sectionNumber = node.sectionNumber || getSectionNumber('', index);
+                return { title: `${sectionNumber} ${node.name || 'Untitled'}`, node: { ...node, sectionNumber } };
+            });
+            return exportScormPackage({ title: `${title} ${label} - ${versionLabel}`, pages, referenceNumbers });
+        }
+
+        let content;
+        if (fileType.extension === '.md') {
+            content = generateMarkdown(nodes, title, label, versionLabel, referenceNumbers);
+        } else if (fileType.extension === '.html') {
+            content = generateStandaloneHTML(nodes, title, label, versionLabel, referenceNumbers);
+        } else {
+            content = generateDocx(nodes, { title, subtitle: label, versionLabel, revisions: null, referenceNumbers });
+        }
+
+        const saved = await saveFile(content, buildExportFilename(`${title} ${label}`, source.version, fileType.extension), fileType);
+        if (saved) {
+            showSuccess(`Exported ${label.toLowerCase()} as ${fileType.label}`);
+        }
+        return saved;
+
+    } catch (error) {
+        console.error('Error exporting sections:', error);
+        showError(`Failed to export sections: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Wires the index "Select" button and the selection click handling
+ */
+export function initializeSectionSelection() {
+    const selectButton = document.getElementById('select-sections-btn');
+    if (selectButton) {
+        selectButton.addEventListener('click', () => toggleSectionSelectionMode());
+    }
+
+    const container = document.getElementById('document-structure-container');
+    if (!container) {
+        console.warn('Document structure container not found; section selection disabled');
+        return;
+    }
+
+    // Capture phase so selection clicks never open the section in the editor
+    container.addEventListener('click', handleSelectionClick, true);
+
+    // The index is rebuilt on every render, so re-apply the highlight afterwards
+    const observer = new MutationObserver(() => {
+        if (selectionModeActive) {
+            applySelectionClasses();
+        }
+    });
+    observer.observe(container, { childList: true });
+
+    // IDs are positional, so drop selections that no longer exist after edits
+    stateManager.subscribe('documentStructureChanged', (structure) => {
+        if (selectedSectionIds.size === 0) {
+            return;
+        }
+        const existing = new Set();
+        const collect = list => (list || []).forEach(node => {
+            existing.add(node.id);
+            collect(node.children);
+        });
+        collect(structure);
+        [...selectedSectionIds].forEach(id => {
+            if (!existing.has(id)) {
+                selectedSectionIds.delete(id);
+            }
+        });
+        updateSelectionBar();
+    });
+}
+
+/**
+ * Turns the index multi-select mode on or off
+ * @param {boolean} enabled - Desired state (toggles when omitted)
+ */
+export function toggleSectionSelectionMode(enabled = !selectionModeActive) {
+    selectionModeActive = enabled;
+
+    const container = document.getElementById('document-structure-container');
+    if (container) {
+        container.classList.toggle('section-selection-mode', enabled);
+    }
+
+    const selectButton = document.getElementById('select-sections-btn');
+    if (selectButton) {
+        selectButton.textContent = enabled ? 'Done' : 'Select';
+        selectButton.classList.toggle('active', enabled);
+    }
+
+    if (!enabled) {
+        selectedSectionIds.clear();
+    }
+
+    applySelectionClasses();
+    updateSelectionBar();
+}
+
+/**
+ * Gets the IDs currently selected in the index
+ * @returns {string[]} Selected node IDs
+ */
+export function getSelectedSectionIds() {
+    return [...selectedSectionIds];
+}
+
+/**
+ * Toggles a section when the index is in selection mode
+ * @private
+ * @param {MouseEvent} event - Click event
+ */
+function handleSelectionClick(event) {
+    if (!selectionModeActive) {
+        return;
+    }
+
+    const sectionLink = event.target.closest('.section-link');
+    if (!sectionLink || !sectionLink.id.startsWith('T-')) {
+        return;
+    }
+
+    // Let the collapse buttons keep working
+    if (event.target.closest('.node-collapse-btn')) {
+        return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const nodeId = sectionLink.id.substring(2);
+    if (selectedSectionIds.has(nodeId)) {
+        selectedSectionIds.delete(nodeId);
+    } else {
+        selectedSectionIds.add(nodeId);
+    }
+
+    applySelectionClasses();
+    updateSelectionBar();
+}
+
+/**
+ * Highlights the selected sections in the index
+ * @private
+ */
+function applySelectionClasses() {
+    const container = document.getElementById('document-structure-container');
+    if (!container) {
+        return;
+    }
+
+    container.querySelectorAll('.section-link').forEach(link => {
+        const selected = selectionModeActive && selectedSectionIds.has(link.id.substring(2));
+        link.classList.toggle('output-selected', selected);
+    });
+}
+
+/**
+ * Shows, updates or removes the selection action bar above the index
+ * @private
+ */
+function updateSelectionBar() {
+    const container = document.getElementById('document-structure-container');
+    let bar = document.getElementById('section-selection-bar');
+
+    if (!selectionModeActive) {
+        if (bar) {
+            bar.remove();
+        }
+        return;
+    }
+
+    if (!bar && container) {
+        bar = document.createElement('div');
+        bar.id = 'section-selection-bar';
+        bar.className = 'section-selection-bar';
+
+        const count = document.createElement('span');
+        count.className = 'section-selection-count';
+
+        const printBtn = document.createElement('button');
+        printBtn.className = 'btn';
+        printBtn.textContent = 'Print';
+        printBtn.onclick = () => printSections(getSelectedSectionIds());
+
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'btn';
+        exportBtn.textContent = 'Export';
+        exportBtn.onclick = () => exportSections(getSelectedSectionIds());
+
+        const studyBtn = document.createElement('button');
+        studyBtn.className = 'btn';
+        studyBtn.textContent = 'Study';
+        // flashcards.js reads the selection from this module, so load it lazily
+        studyBtn.onclick = () => import('./flashcards.js')
+            .then(({ openStudySession }) => openStudySession(getSelectedSectionIds()));
+
+        const clearBtn = document.createElement('button');
+        clearBtn.className = 'btn';
+        clearBtn.textContent = 'Clear';
+        clearBtn.onclick = () => {
+            selectedSectionIds.clear();
+            applySelectionClasses();
+            updateSelectionBar();
+        };
+
+        bar.appendChild(count);
+        bar.appendChild(printBtn);
+        bar.appendChild(exportBtn);
+        bar.appendChild(studyBtn);
+        bar.appendChild(clearBtn);
+        container.parentNode.insertBefore(bar, container);
+    }
+
+    if (bar) {
+        const selectedCount = selectedSectionIds.size;
+        bar.querySelector('.section-selection-count').textContent = selectedCount === 0
+            ? 'Click sections to select'
+            : `${selectedCount} selected`;
+        bar.querySelectorAll('button').forEach(button => {
+            button.disabled = selectedCount === 0;
+        });
+    }
+}
+
+/**
+ * Current document title from the header input
+ * @private
+ */
+function getDocumentTitle() {
+    return document.getElementById('document-name')?.value || 'Untitled Document';
+}
+
+/**
+ * Section numbers for [[ref:…]] tokens in a selection. Targets outside the
+ * selection keep their number in the version it was taken from; those inside
+ * use the number they are output with, which differs when renumbering from 1.
+ * @private
+ * @param {Object[]} nodes - Selected nodes
+ * @param {Object[]} documentStructure - Root nodes of the version they were taken from
+ */
+function buildSelectionReferenceNumbers(nodes, documentStructure) {
+    return buildReferenceNumbers(nodes, buildReferenceNumbers(documentStructure));
+}
+
+/**
+ * The working copy as plain nodes
+ * @private
+ * @returns {Object[]} Root nodes
+ */
+function getWorkingCopyNodes() {
+    return (stateManager.getDocumentStructure() || []).map(node => (typeof node.toJSON === 'function' ? node.toJSON() : node));
+}
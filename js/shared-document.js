@@ -0,0 +1,626 @@
+/**
+ * Shared Document Module
+ * A conflict-free replicated copy of the document tree used by collaborative
+ * editing. Every editable value - a section's title, references, quiz
+ * questions, place in the tree, deletion and lock, each paragraph's text,
+ * position, flashcard mark and deletion, and the pending list - is a
+ * last-writer-wins register stamped with a Lamport clock, the writing site and
+ * the user who wrote it.
+ * Copies that have received the same registers hold the same tree, whatever
+ * order the registers arrived in.
+ *
+ * Sections are identified by their uid and paragraphs by an id assigned when
+ * they are first shared. Sibling order comes from fractional position keys, so
+ * inserting between two items never renumbers the others.
+ */
+
+import { longestIncreasingSubsequence, lcsAlign } from './version-diff.js';
+
+const SEPARATOR = '|';
+
+// Digits of the fractional position keys; keys compare as plain strings
+const POSITION_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Replicated document tree
+ */
+export class SharedDocument {
+    /**
+     * @param {string} site - Identifier of this copy, unique among the collaborators
+     */
+    constructor(site) {
+        this.site = site;
+        this.clock = 0;
+        this.sequence = 0;
+        // key -> { key, value, clock, site, seq }
+        this.registers = new Map();
+        // site -> highest sequence number received without gaps
+        this.versions = {};
+        // The tree as the application last had it, with paragraph ids and positions
+        this.view = new Map();
+        // The pending list as the application last had it (JSON), or null before it was shared
+        this.pending = null;
+    }
+
+    /**
+     * Whether nothing has been shared yet
+     * @returns {boolean} True if the document holds no registers
+     */
+    isEmpty() {
+        return this.registers.size === 0;
+    }
+
+    /**
+     * Records the changes between the tree the application last had and its current tree
+     * @param {Object[]} structure - Current tree as plain data (DocumentNode.toJSON)
+     * @param {Object} [shared] - Other state shared with the tree
+     * @param {Object[]} [shared.pendingItems] - Pending list as plain data; left unshared if omitted
+     * @param {Object} [shared.locks] - Section locks by uid; left unshared if omitted
+     * @param {string} [shared.user] - Id of the user making the changes
+     * @returns {Object[]} Registers written, to be sent to the other copies
+     */
+    commitLocal(structure, { pendingItems = null, locks = null, user = null } = {}) {
+        const written = [];
+        const write = (key, value) => {
+            this.clock++;
+            this.sequence++;
+            const register = { key, value, clock: this.clock, site: this.site, seq: this.sequence, user };
+            this.registers.set(key, register);
+            this.versions[this.site] = this.sequence;
+            written.push(register);
+        };
+
+        const nextView = new Map();
+        const nodes = indexTree(structure);
+
+        this.view.forEach((entry, uid) => {
+            if (!nodes.has(uid)) {
+                write(nodeKey(uid, 'deleted'), true);
+            }
+        });
+
+        nodes.forEach(({ node }, uid) => {
+            const previous = this.view.get(uid);
+            const references = node.references || [];
+            const questions = node.questions || [];
+            const edited = node.lastEditTime || null;
+
+            if (!previous || previous.name !== node.name) {
+                write(nodeKey(uid, 'name'), node.name);
+            }
+            if (!previous || JSON.stringify(previous.references) !== JSON.stringify(references)) {
+                write(nodeKey(uid, 'references'), references);
+            }
+            if (!previous || JSON.stringify(previous.questions || []) !== JSON.stringify(questions)) {
+                write(nodeKey(uid, 'questions'), questions);
+            }
+            if (!previous || previous.edited !== edited) {
+                write(nodeKey(uid, 'edited'), edited);
+            }
+            if (!previous) {
+                write(nodeKey(uid, 'deleted'), false);
+            }
+            const lock = locks ? locks[uid] || null : previous?.lock || null;
+            if (JSON.stringify(previous?.lock || null) !== JSON.stringify(lock)) {
+                write(nodeKey(uid, 'lock'), lock);
+            }
+
+            const paragraphs = this.diffParagraphs(uid, previous ? previous.paragraphs : this.storedParagraphs(uid),
+                node.content || [], write);
+
+            // Flashcard marks belong to the paragraph, so they follow it when paragraphs move
+            const marked = new Set(node.flashcards || []);
+            paragraphs.forEach((paragraph, index) => {
+                const flashcard = marked.has(index);
+                if (Boolean(paragraph.flashcard) !== flashcard) {
+                    write(paragraphKey(uid, paragraph.id, 'flashcard'), flashcard);
+                    paragraphs[index] = { ...paragraph, flashcard };
+                }
+            });
+
+            nextView.set(uid, {
+                name: node.name,
+                references,
+                questions,
+                edited,
+                lock,
+                place: null,
+                paragraphs
+            });
+        });
+
+        if (pendingItems) {
+            const pending = JSON.stringify(pendingItems);
+            if (pending !== this.pending) {
+                write(documentKey('pending'), JSON.parse(pending));
+                this.pending = pending;
+            }
+        }
+
+        // Places are written per sibling list, keeping the longest run already in order
+        const siblingLists = [{ parent: null, uids: structure.map(node => node.uid) }];
+        nodes.forEach(({ node }, uid) => {
+            siblingLists.push({ parent: uid, uids: (node.children || []).map(child => child.uid) });
+        });
+        siblingLists.forEach(({ parent, uids }) => {
+            const placed = uids.map(uid => {
+                const place = this.view.get(uid)?.place;
+                return place && place.parent === parent ? place.position : null;
+            });
+            const kept = longestIncreasingSubsequence(placed);
+
+            let lower = '';
+            uids.forEach((uid, index) => {
+                let position = placed[index];
+                if (!kept.has(index)) {
+                    position = positionBetween(lower, nextKept(placed, kept, index));
+                    write(nodeKey(uid, 'place'), { parent, position });
+                }
+                nextView.get(uid).place = { parent, position };
+                lower = position;
+            });
+        });
+
+        this.view = nextView;
+        return written;
+    }
+
+    /**
+     * Records one section's paragraph changes, matching unchanged text first
+     * @private
+     * @param {string} uid - Section uid
+     * @param {Object[]} previous - Paragraphs as last seen: { id, text, position, flashcard }
+     * @param {string[]} texts - Current paragraph texts
+     * @param {Function} write - Register writer
+     * @returns {Object[]} Current paragraphs with ids and positions
+     */
+    diffParagraphs(uid, previous, texts, write) {
+        const matches = lcsAlign(previous.map(paragraph => paragraph.text), texts)
+            .filter(step => step.type === 'equal')
+            .map(step => [step.oldIndex, step.newIndex]);
+        const result = [];
+
+        // Between two matches, leftover paragraphs pair up as edits; the rest are removed or added
+        let oldIndex = 0;
+        let lower = '';
+        [...matches, [previous.length, texts.length]].forEach(([matchOld, matchNew]) => {
+            const removed = previous.slice(oldIndex, matchOld);
+            const upper = matchOld < previous.length ? previous[matchOld].position : '';
+
+            texts.slice(result.length, matchNew).forEach(text => {
+                const reused = removed.shift();
+                if (reused) {
+                    write(paragraphKey(uid, reused.id, 'text'), text);
+                    result.push({ ...reused, text });
+                } else {
+                    const id = createId(this.site);
+                    const position = positionBetween(lower, upper);
+                    write(paragraphKey(uid, id, 'text'), text);
+                    write(paragraphKey(uid, id, 'position'), position);
+                    write(paragraphKey(uid, id, 'deleted'), false);
+                    result.push({ id, text, position });
+                }
+                lower = result[result.length - 1].position;
+            });
+            removed.forEach(paragraph => write(paragraphKey(uid, paragraph.id, 'deleted'), true));
+
+            if (matchOld < previous.length) {
+                result.push(previous[matchOld]);
+                lower = previous[matchOld].position;
+            }
+            oldIndex = matchOld + 1;
+        });
+
+        return result;
+    }
+
+    /**
+     * Paragraphs the registers hold for a section the application did not have,
+     * such as one restored from the pending list
+     * @private
+     * @param {string} uid - Section uid
+     * @returns {Object[]} Paragraphs: { id, text, position, flashcard }
+     */
+    storedParagraphs(uid) {
+        const entry = this.registers.has(nodeKey(uid, 'name')) ? this.collectEntries().get(uid) : null;
+        if (!entry) {
+            return [];
+        }
+        return [...entry.paragraphs.values()]
+            .filter(paragraph => !paragraph.deleted && paragraph.position !== undefined)
+            .sort((a, b) => comparePositions(a.position, b.position, a.id, b.id))
+            .map(paragraph => ({
+                id: paragraph.id,
+                text: paragraph.text ?? '',
+                position: paragraph.position,
+                flashcard: Boolean(paragraph.flashcard)
+            }));
+    }
+
+    /**
+     * Merges registers from another copy
+     * @param {Object[]} registers - Registers from commitLocal() or getDelta()
+     * @param {Object} [versions] - The sender's versions, when the registers are a complete delta
+     * @param {Function} [accept] - Called with each newer register in sequence order; registers
+     *   it refuses are counted as received but not stored
+     * @returns {boolean} True if any value changed
+     */
+    merge(registers, versions = null, accept = null) {
+        let changed = false;
+
+        [...registers].sort((a, b) => a.seq - b.seq).forEach(register => {
+            this.clock = Math.max(this.clock, register.clock);
+
+            const current = this.registers.get(register.key);
+            if ((!current || compareStamps(register, current) > 0) && (!accept || accept(register))) {
+                this.registers.set(register.key, { ...register });
+                changed = true;
+            }
+
+            // A gap means registers are missing; the next delta fills it
+            if (register.seq === (this.versions[register.site] || 0) + 1) {
+                this.versions[register.site] = register.seq;
+            }
+        });
+
+        if (versions) {
+            Object.entries(versions).forEach(([site, seq]) => {
+                this.versions[site] = Math.max(this.versions[site] || 0, seq);
+            });
+        }
+
+        return changed;
+    }
+
+    /**
+     * Registers another copy has not seen
+     * @param {Object} versions - The other copy's versions
+     * @returns {Object[]} Registers newer than those versions
+     */
+    getDelta(versions = {}) {
+        return [...this.registers.values()].filter(register => register.seq > (versions[register.site] || 0));
+    }
+
+    /**
+     * Parent and lock of each section the registers describe, deleted ones included
+     * @returns {Map<string, Object>} uid -> { parent, lock }
+     */
+    getSections() {
+        const sections = new Map();
+        this.collectEntries().forEach((entry, uid) => {
+            sections.set(uid, { parent: entry.place ? entry.place.parent : null, lock: entry.lock || null });
+        });
+        return sections;
+    }
+
+    /**
+     * The pending list as shared, and takes it as the application's
+     * @returns {Object[]|null} Pending items as plain data, or null if nobody has shared them
+     */
+    checkoutPending() {
+        const register = this.registers.get(documentKey('pending'));
+        if (!register) {
+            return null;
+        }
+        this.pending = JSON.stringify(register.value);
+        return JSON.parse(this.pending);
+    }
+
+    /**
+     * Builds the tree the registers describe and takes it as the application's tree
+     * @returns {Object[]} Plain tree for DocumentNode.fromJSON; section locks are in getLocks()
+     */
+    checkout() {
+        const entries = this.collectEntries();
+        const nextView = new Map();
+
+        const byPosition = (a, b) => comparePositions(a.position, b.position, a.id, b.id);
+
+        // Sections whose parent is gone are gone too; sections in a cycle of moves go to the top level
+        const childrenOf = new Map();
+        const live = [...entries.values()].filter(entry => !entry.deleted && entry.place && entry.name !== undefined);
+        const liveUids = new Set(live.map(entry => entry.id));
+        const isAttached = entry => {
+            const seen = new Set();
+            let current = entry;
+            while (current.place.parent !== null) {
+                if (seen.has(current.id)) {
+                    return 'cycle';
+                }
+                seen.add(current.id);
+                if (!liveUids.has(current.place.parent)) {
+                    return false;
+                }
+                current = entries.get(current.place.parent);
+            }
+            return true;
+        };
+        live.forEach(entry => {
+            const attached = isAttached(entry);
+            if (!attached) {
+                return;
+            }
+            const parent = attached === 'cycle' && cycleMember(entry, entries) ? null : entry.place.parent;
+            if (!childrenOf.has(parent)) {
+                childrenOf.set(parent, []);
+            }
+            childrenOf.get(parent).push({ ...entry, position: entry.place.position, parentKey: parent });
+        });
+
+        const build = (parentKey, parentId) => (childrenOf.get(parentKey) || [])
+            .sort(byPosition)
+            .map((entry, index) => {
+                const id = parentId ? `${parentId}-${index + 1}` : String(index + 1);
+                const paragraphs = [...entry.paragraphs.values()]
+                    .filter(paragraph => !paragraph.deleted && paragraph.position !== undefined)
+                    .sort(byPosition)
+                    .map(paragraph => ({
+                        id: paragraph.id,
+                        text: paragraph.text ?? '',
+                        position: paragraph.position,
+                        flashcard: Boolean(paragraph.flashcard)
+                    }));
+
+                nextView.set(entry.id, {
+                    name: entry.name,
+                    references: entry.references || [],
+                    questions: entry.questions || [],
+                    edited: entry.edited || null,
+                    lock: entry.lock || null,
+                    place: { parent: parentKey, position: entry.position },
+                    paragraphs
+                });
+
+                const node = {
+                    id,
+                    uid: entry.id,
+                    name: entry.name,
+                    content: paragraphs.map(paragraph => paragraph.text),
+                    parentId,
+                    children: build(entry.id, id)
+                };
+                if (entry.edited) {
+                    node.lastEditTime = entry.edited;
+                }
+                if (entry.references && entry.references.length > 0) {
+                    node.references = entry.references;
+                }
+                if (entry.questions && entry.questions.length > 0) {
+                    node.questions = entry.questions;
+                }
+                const flashcards = paragraphs.flatMap((paragraph, index) => (paragraph.flashcard ? [index] : []));
+                if (flashcards.length > 0) {
+                    node.flashcards = flashcards;
+                }
+                return node;
+            });
+
+        const structure = build(null, null);
+        this.view = nextView;
+        return structure;
+    }
+
+    /**
+     * Locks on the sections of the tree last checked out
+     * @returns {Object} Lock records by section uid
+     */
+    getLocks() {
+        const locks = {};
+        this.view.forEach((entry, uid) => {
+            if (entry.lock) {
+                locks[uid] = entry.lock;
+            }
+        });
+        return locks;
+    }
+
+    /**
+     * Groups the registers by section and paragraph
+     * @private
+     * @returns {Map<string, Object>} uid -> { id, name, references, questions, place, deleted, edited, lock, paragraphs }
+     */
+    collectEntries() {
+        const entries = new Map();
+        const entryFor = uid => {
+            if (!entries.has(uid)) {
+                entries.set(uid, { id: uid, paragraphs: new Map() });
+            }
+            return entries.get(uid);
+        };
+
+        this.registers.forEach(({ key, value }) => {
+            const parts = key.split(SEPARATOR);
+            if (parts[0] === 'd') {
+                return;
+            }
+            const entry = entryFor(parts[1]);
+            if (parts[0] === 'n') {
+                entry[parts[2]] = value;
+            } else {
+                if (!entry.paragraphs.has(parts[2])) {
+                    entry.paragraphs.set(parts[2], { id: parts[2] });
+                }
+                entry.paragraphs.get(parts[2])[parts[3]] = value;
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Id of a paragraph as the application last had it
+     * @param {string} uid - Section uid
+     * @param {number} index - Paragraph index
+     * @returns {string|null} Paragraph id
+     */
+    getParagraphId(uid, index) {
+        return this.view.get(uid)?.paragraphs[index]?.id || null;
+    }
+
+    /**
+     * Index of a paragraph as the application last had it
+     * @param {string} uid - Section uid
+     * @param {string} paragraphId - Paragraph id
+     * @returns {number} Index, or -1 if the paragraph is not shown
+     */
+    getParagraphIndex(uid, paragraphId) {
+        return (this.view.get(uid)?.paragraphs || []).findIndex(paragraph => paragraph.id === paragraphId);
+    }
+
+    /**
+     * Plain data for storage
+     * @returns {Object} { clock, registers, versions, view, pending }
+     */
+    toJSON() {
+        return {
+            clock: this.clock,
+            registers: [...this.registers.values()],
+            versions: { ...this.versions },
+            view: [...this.view.entries()],
+            pending: this.pending
+        };
+    }
+
+    /**
+     * Restores a copy saved with toJSON() under a new site identifier
+     * @param {Object} data - Saved copy
+     * @param {string} site - Identifier of this copy
+     * @returns {SharedDocument} The restored copy
+     */
+    static fromJSON(data, site) {
+        const shared = new SharedDocument(site);
+        shared.clock = data.clock || 0;
+        (data.registers || []).forEach(register => shared.registers.set(register.key, register));
+        shared.versions = { ...(data.versions || {}) };
+        shared.view = new Map(data.view || []);
+        shared.pending = data.pending ?? null;
+        return shared;
+    }
+}
+
+/**
+ * Creates an identifier for a collaborating copy or a paragraph
+ * @param {string} prefix - Identifier prefix
+ * @returns {string} Identifier unlikely to be generated anywhere else
+ */
+export function createId(prefix = 's') {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Position key sorting strictly between two keys
+ * @param {string} before - Lower key ('' for the start)
+ * @param {string} after - Upper key ('' for the end)
+ * @returns {string} New key
+ */
+export function positionBetween(before = '', after = '') {
+    let key = '';
+    for (let i = 0; ; i++) {
+        const low = i < before.length ? POSITION_DIGITS.indexOf(before[i]) : 0;
+        const high = after && i < after.length ? POSITION_DIGITS.indexOf(after[i]) : POSITION_DIGITS.length;
+        if (high - low > 1) {
+            return key + POSITION_DIGITS[Math.floor((low + high) / 2)];
+        }
+        key += POSITION_DIGITS[low];
+        // Once below the upper key's prefix, the rest of the upper key no longer limits the result
+        if (high > low) {
+            after = '';
+        }
+    }
+}
+
+/**
+ * Register key of a section field
+ * @private
+ */
+function nodeKey(uid, field) {
+    return ['n', uid, field].join(SEPARATOR);
+}
+
+/**
+ * Register key of a value shared for the whole document
+ * @private
+ */
+function documentKey(field) {
+    return ['d', field].join(SEPARATOR);
+}
+
+/**
+ * Register key of a paragraph field
+ * @private
+ */
+function paragraphKey(uid, paragraphId, field) {
+    return ['p', uid, paragraphId, field].join(SEPARATOR);
+}
+
+/**
+ * Orders two registers' stamps: Lamport clock first, then site
+ * @private
+ * @returns {number} Positive if a is newer
+ */
+function compareStamps(a, b) {
+    if (a.clock !== b.clock) {
+        return a.clock - b.clock;
+    }
+    return a.site < b.site ? -1 : a.site > b.site ? 1 : 0;
+}
+
+/**
+ * Orders siblings by position key, then by id when two copies chose the same key
+ * @private
+ */
+function comparePositions(a, b, idA, idB) {
+    if (a !== b) {
+        return a < b ? -1 : 1;
+    }
+    return idA < idB ? -1 : idA > idB ? 1 : 0;
+}
+
+/**
+ * Indexes a plain tree by uid
+ * @private
+ * @param {Object[]} structure - Plain tree
+ * @returns {Map<string, Object>} uid -> { node }
+ */
+function indexTree(structure) {
+    const nodes = new Map();
+    const visit = list => list.forEach(node => {
+        nodes.set(node.uid, { node });
+        visit(node.children || []);
+    });
+    visit(structure || []);
+    return nodes;
+}
+
+/**
+ * Position of the next kept item after an index
+ * @private
+ * @returns {string} Its position, or '' if none follows
+ */
+function nextKept(positions, kept, index) {
+    for (let next = index + 1; next < positions.length; next++) {
+        if (kept.has(next)) {
+            return positions[next];
+        }
+    }
+    return '';
+}
+
+/**
+ * Whether a section is itself part of a cycle of parents, rather than below one
+ * @private
+ * @param {Object} entry - Section entry
+ * @param {Map<string, Object>} entries - All entries
+ * @returns {boolean} True if following its parents leads back to it
+ */
+function cycleMember(entry, entries) {
+    const seen = new Set();
+    let current = entry;
+    while (current && current.place && current.place.parent !== null && !seen.has(current.id)) {
+        seen.add(current.id);
+        current = entries.get(current.place.parent);
+        if (current === entry) {
+            return true;
+        }
+    }
+    return false;
+}
@@ -1,12 +1,26 @@
 /**
  * Storage Manager Module
- * Handles local browser storage for document persistence
+ * Handles browser storage for document persistence. Documents live in
+ * IndexedDB (one record per document); the active document is cached in
+ * memory so reads stay synchronous and writes are persisted in the background.
  */
 
 import { stateManager } from './state-manager.js';
 import { showError } from './message-center.js';
-
-// Storage keys
+import {
+    isIndexedDBAvailable,
+    openDatabase,
+    getRecord,
+    getAllRecords,
+    putRecord,
+    updateRecord,
+    deleteRecord,
+    getSetting,
+    setSetting,
+    STORES
+} from './idb-storage.js';
+
+// Legacy localStorage keys (only read during migration, except preferences)
 const STORAGE_KEYS = {
     DOCUMENT: 'dlms_document_structure',
     REVISIONS: 'dlms_revisions',
@@ -14,14 +28,27 @@ const STORAGE_KEYS = {
     AUTO_SAVE_ENABLED: 'dlms_auto_save_enabled',
     DOCUMENT_TITLE: 'dlms_document_title',
     DOCUMENT_SUBTITLE: 'dlms_document_subtitle',
-    pending_items: 'dlms_pending_items'
+    pending_items: 'dlms_pending_items',
+    VERSION_HISTORY: 'dlms_version_history',
+    PRINT_OPTIONS: 'dlms_print_options'
 };
 
+// Settings store keys
+const ACTIVE_DOCUMENT_SETTING = 'activeDocumentId';
+const MIGRATION_SETTING = 'migratedFromLocalStorage';
+
+// In-memory copy of the active document record
+let activeDocument = null;
+let storageReady = false;
+
 // Auto-save configuration
 let autoSaveEnabled = true;
 let autoSaveTimeout = null;
 const AUTO_SAVE_DELAY = 2000; // 2 seconds after last change
 
+// Record fields changed in memory since the last write
+const changedFields = new Set();
+
 /**
  * Checks if localStorage is available
  * @returns {boolean} True if localStorage is available
@@ -32,43 +59,124 @@ function isLocalStorageAvailable() {
         localStorage.setItem(test, test);
         localStorage.removeItem(test);
         return true;
-    } catch (e) {
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Creates an empty document record
+ * @private
+ * @param {string} title - Document title
+ * @returns {Object} New document record
+ */
+function createDocumentRecord(title = 'New Document') {
+    const now = new Date().toISOString();
+    return {
+        id: `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        title: title,
+        subtitle: '',
+        documentStructure: [],
+        pendingItems: [],
+        revisions: [],
+        versionHistory: null,
+        users: null,
+        metadata: {},
+        created: now,
+        lastModified: now
+    };
+}
+
+/**
+ * Writes the changed fields of the active document to IndexedDB in the background.
+ * Only those fields are merged into the stored record, so data written by
+ * other tabs (commits, comments, users) is not replaced by a stale copy.
+ * @private
+ * @param {...string} fields - Record fields that changed
+ * @returns {Promise<boolean>} True if the write succeeded
+ */
+function persistActiveDocument(...fields) {
+    if (!activeDocument || !storageReady) {
+        return Promise.resolve(false);
+    }
+
+    fields.forEach(field => changedFields.add(field));
+    activeDocument.lastModified = new Date().toISOString();
+
+    const changes = { lastModified: activeDocument.lastModified };
+    changedFields.forEach(field => {
+        changes[field] = activeDocument[field];
+    });
+    const written = [...changedFields];
+    changedFields.clear();
+
+    const documentId = activeDocument.id;
+    return updateRecord(STORES.DOCUMENTS, documentId, stored => ({ ...(stored || activeDocument), ...changes }))
+        .then(() => {
+            // Lets other tabs showing this document pick up the change
+            window.dispatchEvent(new CustomEvent('dlms:documentStored', {
+                detail: { documentId, fields: written }
+            }));
+            return true;
+        })
+        .catch(error => {
+            written.forEach(field => changedFields.add(field));
+            if (error && error.name === 'QuotaExceededError') {
+                console.error('Storage quota exceeded. Document is too large.');
+                showError('Storage quota exceeded. Please export your document to a file.');
+            } else {
+                console.error('Error writing document to IndexedDB:', error);
+            }
+            return false;
+        });
+}
+
+/**
+ * Checks that the active document is loaded
+ * @private
+ * @returns {boolean} True if storage can be used
+ */
+function isStorageReady() {
+    if (!storageReady || !activeDocument) {
+        console.error('Document storage is not initialized');
         return false;
     }
+    return true;
 }
 
 /**
- * Gets the storage size information
+ * Gets the storage size information for the active document
  * @returns {Object} Storage size info
  */
 export function getStorageInfo() {
-    if (!isLocalStorageAvailable()) {
-        return { available: false, error: 'localStorage not available' };
+    if (!storageReady || !activeDocument) {
+        return { available: false, error: 'IndexedDB not available' };
     }
 
     try {
         let total = 0;
         const details = {};
+        const fields = ['documentStructure', 'pendingItems', 'versionHistory', 'users', 'revisions', 'metadata'];
 
-        for (const key in STORAGE_KEYS) {
-            const storageKey = STORAGE_KEYS[key];
-            const value = localStorage.getItem(storageKey);
-            const size = value ? new Blob([value]).size : 0;
-            details[key] = {
-                key: storageKey,
+        fields.forEach(field => {
+            const value = activeDocument[field];
+            const size = value ? new Blob([JSON.stringify(value)]).size : 0;
+            details[field] = {
+                key: field,
                 size: size,
                 sizeKB: (size / 1024).toFixed(2)
             };
             total += size;
-        }
+        });
 
         return {
             available: true,
+            documentId: activeDocument.id,
             totalSize: total,
             totalSizeKB: (total / 1024).toFixed(2),
             totalSizeMB: (total / 1024 / 1024).toFixed(2),
             details,
-            estimatedQuota: '5-10 MB (browser dependent)'
+            estimatedQuota: 'Browser managed (IndexedDB)'
         };
     } catch (error) {
         console.error('Error getting storage info:', error);
@@ -77,22 +185,23 @@ export function getStorageInfo() {
 }
 
 /**
- * Saves document structure to localStorage
+ * Saves document structure of the active document
  * @param {Object[]} documentStructure - The document structure to save
  * @returns {boolean} True if save was successful
  */
 export function saveDocumentToStorage(documentStructure) {
-    if (!isLocalStorageAvailable()) {
-        console.error('localStorage is not available');
+    if (!isStorageReady()) {
         return false;
     }
 
     try {
-        // Convert to JSON
+        if (!Array.isArray(documentStructure)) {
+            throw new Error('Invalid document structure');
+        }
+
+        // Round-trip through JSON so DocumentNode instances are stored as plain data
         const jsonString = JSON.stringify(documentStructure);
-        
-        // Save to localStorage
-        localStorage.setItem(STORAGE_KEYS.DOCUMENT, jsonString);
+        activeDocument.documentStructure = JSON.parse(jsonString);
         
         // Update metadata
         updateMetadata({
@@ -101,39 +210,32 @@ export function saveDocumentToStorage(documentStructure) {
             nodeCount: countNodes(documentStructure)
         });
 
-        console.log('Document saved to local storage');
+        persistActiveDocument('documentStructure', 'metadata');
+        console.log('Document saved to storage');
         return true;
 
     } catch (error) {
-        if (error.name === 'QuotaExceededError') {
-            console.error('Storage quota exceeded. Document is too large.');
-            showError('Storage quota exceeded. Please export your document to a file.');
-        } else {
-            console.error('Error saving document to storage:', error);
-        }
+        console.error('Error saving document to storage:', error);
         return false;
     }
 }
 
 /**
- * Loads document structure from localStorage
+ * Loads document structure of the active document
  * @returns {Object[]|null} The loaded document structure or null if not found
  */
 export function loadDocumentFromStorage() {
-    if (!isLocalStorageAvailable()) {
-        console.error('localStorage is not available');
+    if (!isStorageReady()) {
         return null;
     }
 
     try {
-        const jsonString = localStorage.getItem(STORAGE_KEYS.DOCUMENT);
+        const documentStructure = activeDocument.documentStructure;
         
-        if (!jsonString || jsonString === 'undefined' || jsonString === 'null') {
+        if (!documentStructure || documentStructure.length === 0) {
             console.log('No saved document found in storage');
             return null;
         }
-
-        const documentStructure = JSON.parse(jsonString);
         
         if (!Array.isArray(documentStructure)) {
             throw new Error('Invalid document structure in storage');
@@ -149,19 +251,19 @@ export function loadDocumentFromStorage() {
 }
 
 /**
- * Saves revisions to localStorage
+ * Saves revisions of the active document
  * @param {Object[]} revisions - Array of revision objects
  * @returns {boolean} True if save was successful
  */
 export function saveRevisionsToStorage(revisions) {
-    if (!isLocalStorageAvailable()) {
+    if (!isStorageReady()) {
         return false;
     }
 
     try {
-        const jsonString = JSON.stringify(revisions);
-        localStorage.setItem(STORAGE_KEYS.REVISIONS, jsonString);
-        console.log('Revisions saved to local storage');
+        activeDocument.revisions = JSON.parse(JSON.stringify(revisions || []));
+        persistActiveDocument('revisions');
+        console.log('Revisions saved to storage');
         return true;
 
     } catch (error) {
@@ -171,23 +273,17 @@ export function saveRevisionsToStorage(revisions) {
 }
 
 /**
- * Loads revisions from localStorage
+ * Loads revisions of the active document
  * @returns {Object[]|null} The loaded revisions or null
  */
 export function loadRevisionsFromStorage() {
-    if (!isLocalStorageAvailable()) {
+    if (!isStorageReady()) {
         return null;
     }
 
     try {
-        const jsonString = localStorage.getItem(STORAGE_KEYS.REVISIONS);
-        
-        if (!jsonString) {
-            return null;
-        }
-
-        const revisions = JSON.parse(jsonString);
-        return Array.isArray(revisions) ? revisions : null;
+        const revisions = activeDocument.revisions;
+        return Array.isArray(revisions) && revisions.length > 0 ? revisions : null;
 
     } catch (error) {
         console.error('Error loading revisions from storage:', error);
@@ -196,19 +292,19 @@ export function loadRevisionsFromStorage() {
 }
 
 /**
- * Saves Pending items to localStorage
+ * Saves Pending items of the active document
  * @param {Object[]} pendingItems - Array of pending items
  * @returns {boolean} True if save was successful
  */
 export function savePendingToStorage(pendingItems) {
-    if (!isLocalStorageAvailable()) {
+    if (!isStorageReady()) {
         return false;
     }
 
     try {
-        const jsonString = JSON.stringify(pendingItems || []);
-        localStorage.setItem(STORAGE_KEYS.pending_items, jsonString);
-        console.log('Pending items saved to local storage');
+        activeDocument.pendingItems = JSON.parse(JSON.stringify(pendingItems || []));
+        persistActiveDocument('pendingItems');
+        console.log('Pending items saved to storage');
         return true;
 
     } catch (error) {
@@ -218,22 +314,16 @@ export function savePendingToStorage(pendingItems) {
 }
 
 /**
- * Loads Pending items from localStorage
+ * Loads Pending items of the active document
  * @returns {Object[]|null} The loaded Pending items or null
  */
 export function loadPendingFromStorage() {
-    if (!isLocalStorageAvailable()) {
+    if (!isStorageReady()) {
         return null;
     }
 
     try {
-        const jsonString = localStorage.getItem(STORAGE_KEYS.pending_items);
-        
-        if (!jsonString || jsonString === 'undefined' || jsonString === 'null') {
-            return [];
-        }
-
-        const pendingItems = JSON.parse(jsonString);
+        const pendingItems = activeDocument.pendingItems;
         return Array.isArray(pendingItems) ? pendingItems : [];
 
     } catch (error) {
@@ -243,36 +333,110 @@ export function loadPendingFromStorage() {
 }
 
 /**
- * Updates metadata in localStorage
+ * Updates metadata of the active document (persisted with the next write)
  * @private
  * @param {Object} updates - Metadata updates
  */
 function updateMetadata(updates) {
     try {
-        const existing = getMetadata();
-        const metadata = { ...existing, ...updates };
-        localStorage.setItem(STORAGE_KEYS.METADATA, JSON.stringify(metadata));
+        activeDocument.metadata = { ...getMetadata(), ...updates };
     } catch (error) {
         console.error('Error updating metadata:', error);
     }
 }
 
 /**
- * Gets metadata from localStorage
+ * Gets metadata of the active document
  * @returns {Object} The metadata object
  */
 export function getMetadata() {
-    if (!isLocalStorageAvailable()) {
+    if (!activeDocument) {
         return {};
     }
+    return { ...(activeDocument.metadata || {}) };
+}
 
-    try {
-        const jsonString = localStorage.getItem(STORAGE_KEYS.METADATA);
-        return jsonString ? JSON.parse(jsonString) : {};
-    } catch (error) {
-        console.error('Error getting metadata:', error);
+/**
+ * Saves the title and subtitle of the active document
+ * @param {string} title - Document title
+ * @param {string} subtitle - Document subtitle
+ * @returns {boolean} True if save was successful
+ */
+export function saveDocumentTitles(title, subtitle) {
+    if (!isStorageReady()) {
+        return false;
+    }
+
+    activeDocument.title = title || '';
+    activeDocument.subtitle = subtitle || '';
+    persistActiveDocument('title', 'subtitle');
+    return true;
+}
+
+/**
+ * Loads the title and subtitle of the active document
+ * @returns {{title: string, subtitle: string}|null} Stored titles or null
+ */
+export function loadDocumentTitles() {
+    if (!activeDocument) {
+        return null;
+    }
+    return {
+        title: activeDocument.title || '',
+        subtitle: activeDocument.subtitle || ''
+    };
+}
+
+/**
+ * Saves user management data of the active document
+ * @param {Object} usersData - Data from exportUsersData()
+ * @returns {boolean} True if save was successful
+ */
+export function saveUsersToStorage(usersData) {
+    if (!isStorageReady()) {
+        return false;
+    }
+
+    // Auto-save runs often; only write when the users actually changed
+    const jsonString = JSON.stringify(usersData || null);
+    if (jsonString === JSON.stringify(activeDocument.users || null)) {
+        return true;
+    }
+
+    activeDocument.users = JSON.parse(jsonString);
+    persistActiveDocument('users');
+    return true;
+}
+
+/**
+ * Loads user management data of the active document
+ * @returns {Object|null} Stored users data or null
+ */
+export function loadUsersFromStorage() {
+    return activeDocument && activeDocument.users ? activeDocument.users : null;
+}
+
+/**
+ * Re-reads fields of the active document that another tab has written
+ * @param {string[]} fields - Record fields to reload
+ * @returns {Promise<Object>} Reloaded values by field. Fields with local changes not yet written are left out.
+ */
+export async function reloadStoredFields(fields) {
+    if (!isStorageReady()) {
         return {};
     }
+
+    const record = await getRecord(STORES.DOCUMENTS, activeDocument.id);
+    const reloaded = {};
+    if (!record || !activeDocument || record.id !== activeDocument.id) {
+        return reloaded;
+    }
+
+    fields.filter(field => !changedFields.has(field)).forEach(field => {
+        activeDocument[field] = record[field];
+        reloaded[field] = record[field];
+    });
+    return reloaded;
 }
 
 /**
@@ -296,18 +460,18 @@ function countNodes(nodes) {
 }
 
 /**
- * Clears all stored data
+ * Clears all stored data of the active document (the library entry itself is kept)
  * @returns {boolean} True if successful
  */
 export function clearStorage() {
-    if (!isLocalStorageAvailable()) {
+    if (!isStorageReady()) {
         return false;
     }
 
     try {
-        Object.values(STORAGE_KEYS).forEach(key => {
-            localStorage.removeItem(key);
-        });
+        const cleared = createDocumentRecord(activeDocument.title);
+        activeDocument = { ...cleared, id: activeDocument.id, created: activeDocument.created };
+        persistActiveDocument(...Object.keys(cleared).filter(field => field !== 'id' && field !== 'created'));
         
         console.log('All storage cleared');
         return true;
@@ -319,19 +483,25 @@ export function clearStorage() {
 }
 
 /**
- * Saves version history to localStorage
+ * Saves version history of the active document
  * @param {Object} versionHistory - Complete version history object
  * @returns {boolean} True if save was successful
  */
 export function saveVersionHistoryToStorage(versionHistory) {
-    if (!isLocalStorageAvailable()) {
+    if (!isStorageReady()) {
         return false;
     }
 
     try {
-        const jsonString = JSON.stringify(versionHistory);
-        localStorage.setItem('dlms_version_history', jsonString);
-        console.log('Version history saved to local storage');
+        // Unchanged history is not rewritten, so a tab reloading it does not send it back
+        const jsonString = JSON.stringify(versionHistory || null);
+        if (jsonString === JSON.stringify(activeDocument.versionHistory || null)) {
+            return true;
+        }
+
+        activeDocument.versionHistory = JSON.parse(jsonString);
+        persistActiveDocument('versionHistory');
+        console.log('Version history saved to storage');
         return true;
 
     } catch (error) {
@@ -341,23 +511,16 @@ export function saveVersionHistoryToStorage(versionHistory) {
 }
 
 /**
- * Loads version history from localStorage
+ * Loads version history of the active document
  * @returns {Object|null} The loaded version history or null
  */
 export function loadVersionHistoryFromStorage() {
-    if (!isLocalStorageAvailable()) {
+    if (!isStorageReady()) {
         return null;
     }
 
     try {
-        const jsonString = localStorage.getItem('dlms_version_history');
-        
-        if (!jsonString) {
-            return null;
-        }
-
-        const versionHistory = JSON.parse(jsonString);
-        return versionHistory;
+        return activeDocument.versionHistory || null;
 
     } catch (error) {
         console.error('Error loading version history from storage:', error);
@@ -406,18 +569,39 @@ export function createExportPackage(documentStructure, versionHistory, documentT
 export async function downloadExportFile(exportPackage, suggestedFilename = null) {
     try {
         const jsonString = JSON.stringify(exportPackage, null, 2);
-        const blob = new Blob([jsonString], { type: 'application/json' });
-        
         const defaultFilename = suggestedFilename || `dlms_export_${new Date().toISOString().split('T')[0]}.json`;
+
+        return await saveFile(jsonString, defaultFilename, {
+            description: 'JSON Files',
+            mimeType: 'application/json',
+            extension: '.json'
+        });
+    } catch (error) {
+        console.error('Error downloading export file:', error);
+        return false;
+    }
+}
+
+/**
+ * Saves content to a file, letting the user pick the location when the
+ * File System Access API is available and downloading it otherwise
+ * @param {string|Uint8Array} content - File contents (text or binary)
+ * @param {string} filename - Suggested filename
+ * @param {Object} fileType - { description, mimeType, extension }
+ * @returns {Promise<boolean>} True if the file was saved
+ */
+export async function saveFile(content, filename, fileType) {
+    try {
+        const blob = new Blob([content], { type: fileType.mimeType });
         
         // Check if File System Access API is available
         if ('showSaveFilePicker' in window) {
             try {
                 const handle = await window.showSaveFilePicker({
-                    suggestedName: defaultFilename,
+                    suggestedName: filename,
                     types: [{
-                        description: 'JSON Files',
-                        accept: { 'application/json': ['.json'] }
+                        description: fileType.description,
+                        accept: { [fileType.mimeType]: [fileType.extension] }
                     }]
                 });
                 
@@ -425,7 +609,7 @@ export async function downloadExportFile(exportPackage, suggestedFilename = null
                 await writable.write(blob);
                 await writable.close();
                 
-                console.log('Export file saved via File System Access API');
+                console.log('File saved via File System Access API');
                 return true;
             } catch (err) {
                 if (err.name === 'AbortError') {
@@ -439,18 +623,18 @@ export async function downloadExportFile(exportPackage, suggestedFilename = null
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = defaultFilename;
+            a.download = filename;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
             
-            console.log('Export file downloaded (fallback method)');
+            console.log('File downloaded (fallback method)');
             return true;
         }
 
     } catch (error) {
-        console.error('Error downloading export file:', error);
+        console.error('Error saving file:', error);
         return false;
     }
 }
@@ -498,6 +682,31 @@ export function setAutoSave(enabled) {
     console.log(`Auto-save ${enabled ? 'enabled' : 'disabled'}`);
 }
 
+/**
+ * Saves the last used print options
+ * @param {Object} options - Options from the print dialog
+ */
+export function savePrintOptions(options) {
+    try {
+        localStorage.setItem(STORAGE_KEYS.PRINT_OPTIONS, JSON.stringify(options));
+    } catch (error) {
+        console.warn('Could not save print options:', error);
+    }
+}
+
+/**
+ * Loads the last used print options
+ * @returns {Object|null} Stored options, or null if none were saved
+ */
+export function loadPrintOptions() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEYS.PRINT_OPTIONS);
+        return stored ? JSON.parse(stored) : null;
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Gets auto-save status
  * @returns {boolean} Whether auto-save is enabled
@@ -513,9 +722,9 @@ export function isAutoSaveEnabled() {
 
 /**
  * Schedules an auto-save operation
- * @param {Object[]} documentStructure - The document to save
+ * @param {Object[]} documentStructure - The document to save (defaults to the current state)
  */
-export function scheduleAutoSave(documentStructure) {
+export function scheduleAutoSave(documentStructure = null) {
     if (!autoSaveEnabled) {
         return;
     }
@@ -527,39 +736,80 @@ export function scheduleAutoSave(documentStructure) {
 
     // Schedule new save
     autoSaveTimeout = setTimeout(() => {
-        saveDocumentToStorage(documentStructure);
-        
-        // Also save title and subtitle
-        const titleElement = document.getElementById('document-name');
-        const subtitleElement = document.getElementById('document-subtitle');
-        
-        if (titleElement) {
-            localStorage.setItem(STORAGE_KEYS.DOCUMENT_TITLE, titleElement.value || '');
-        }
-        
-        if (subtitleElement) {
-            localStorage.setItem(STORAGE_KEYS.DOCUMENT_SUBTITLE, subtitleElement.value || '');
-        }
-        
-        // Save Pending items
-        const pendingItems = stateManager.getPendingItems();
-        if (pendingItems) {
-            localStorage.setItem(STORAGE_KEYS.pending_items, JSON.stringify(pendingItems));
-        }
-        
-        // Dispatch custom event for UI updates
-        window.dispatchEvent(new CustomEvent('dlms:autosaved', {
-            detail: { timestamp: new Date().toISOString() }
-        }));
+        autoSaveTimeout = null;
+        runAutoSave(documentStructure);
     }, AUTO_SAVE_DELAY);
 }
 
 /**
- * Initializes storage manager and sets up auto-save
+ * Saves the document, titles, Pending items and users of the active document
+ * @private
+ * @param {Object[]} documentStructure - The document to save (defaults to the current state)
  */
-export function initializeStorage() {
-    if (!isLocalStorageAvailable()) {
-        console.warn('localStorage not available - data will not persist');
+async function runAutoSave(documentStructure = null) {
+    // Callers such as the user manager and input listeners don't pass a structure
+    saveDocumentToStorage(Array.isArray(documentStructure)
+        ? documentStructure
+        : stateManager.getDocumentStructure() || []);
+
+    // Also save title and subtitle
+    const titleElement = document.getElementById('document-name');
+    const subtitleElement = document.getElementById('document-subtitle');
+
+    if (titleElement || subtitleElement) {
+        saveDocumentTitles(
+            titleElement ? titleElement.value : activeDocument?.title,
+            subtitleElement ? subtitleElement.value : activeDocument?.subtitle
+        );
+    }
+
+    // Save Pending items
+    const pendingItems = stateManager.getPendingItems();
+    if (pendingItems) {
+        savePendingToStorage(pendingItems);
+    }
+
+    // Save users (dynamic import to avoid circular dependency)
+    const { exportUsersData } = await import('./user-manager.js');
+    saveUsersToStorage(exportUsersData());
+
+    // Dispatch custom event for UI updates
+    window.dispatchEvent(new CustomEvent('dlms:autosaved', {
+        detail: { timestamp: new Date().toISOString() }
+    }));
+}
+
+/**
+ * Initializes storage manager: opens IndexedDB, migrates legacy
+ * localStorage data, loads the active document and sets up auto-save
+ * @returns {Promise<boolean>} True if persistent storage is available
+ */
+export async function initializeStorage() {
+    if (!isIndexedDBAvailable()) {
+        console.warn('IndexedDB not available - data will not persist');
+        return false;
+    }
+
+    try {
+        await openDatabase();
+        await migrateFromLocalStorage();
+
+        const activeId = await getSetting(ACTIVE_DOCUMENT_SETTING);
+        let record = activeId ? await getRecord(STORES.DOCUMENTS, activeId) : null;
+
+        if (!record) {
+            // Fall back to the most recently modified document, or start a new one
+            const documents = await getAllRecords(STORES.DOCUMENTS);
+            documents.sort((a, b) => (b.lastModified || '').localeCompare(a.lastModified || ''));
+            record = documents[0] || createDocumentRecord('Document Title');
+        }
+
+        activeDocument = record;
+        storageReady = true;
+        await putRecord(STORES.DOCUMENTS, activeDocument);
+        await setSetting(ACTIVE_DOCUMENT_SETTING, activeDocument.id);
+    } catch (error) {
+        console.error('Error initializing document storage:', error);
         return false;
     }
 
@@ -580,6 +830,14 @@ export function initializeStorage() {
         }
     });
 
+    // Keep the stored version history in step with commits, merges and branch switches
+    const persistHistory = async () => {
+        const { exportVersionHistory } = await import('./version-control.js');
+        saveVersionHistoryToStorage(exportVersionHistory());
+    };
+    window.addEventListener('dlms:committed', persistHistory);
+    window.addEventListener('dlms:refreshRevisions', persistHistory);
+
     // Show storage info in console
     const info = getStorageInfo();
     console.log('Storage initialized:', info);
@@ -587,6 +845,190 @@ export function initializeStorage() {
     return true;
 }
 
+/**
+ * Moves data saved by earlier versions (fixed localStorage keys) into a
+ * library document. Runs once; the legacy keys are removed afterwards.
+ * @private
+ */
+async function migrateFromLocalStorage() {
+    if (!isLocalStorageAvailable() || await getSetting(MIGRATION_SETTING, false)) {
+        return;
+    }
+
+    const readJson = (key, fallback) => {
+        try {
+            const value = localStorage.getItem(key);
+            return value && value !== 'undefined' && value !== 'null' ? JSON.parse(value) : fallback;
+        } catch {
+            console.warn(`Skipping unreadable legacy key ${key}`);
+            return fallback;
+        }
+    };
+
+    const documentStructure = readJson(STORAGE_KEYS.DOCUMENT, []);
+    const versionHistory = readJson(STORAGE_KEYS.VERSION_HISTORY, null);
+
+    if ((Array.isArray(documentStructure) && documentStructure.length > 0) || versionHistory) {
+        const record = createDocumentRecord(localStorage.getItem(STORAGE_KEYS.DOCUMENT_TITLE) || 'Document Title');
+        record.subtitle = localStorage.getItem(STORAGE_KEYS.DOCUMENT_SUBTITLE) || '';
+        record.documentStructure = Array.isArray(documentStructure) ? documentStructure : [];
+        record.pendingItems = readJson(STORAGE_KEYS.pending_items, []);
+        record.revisions = readJson(STORAGE_KEYS.REVISIONS, []);
+        record.metadata = readJson(STORAGE_KEYS.METADATA, {});
+        record.versionHistory = versionHistory;
+
+        await putRecord(STORES.DOCUMENTS, record);
+        await setSetting(ACTIVE_DOCUMENT_SETTING, record.id);
+        console.log(`Migrated localStorage document "${record.title}" to IndexedDB`);
+    }
+
+    // Preferences (auto-save, theme) intentionally stay in localStorage
+    [
+        STORAGE_KEYS.DOCUMENT,
+        STORAGE_KEYS.REVISIONS,
+        STORAGE_KEYS.METADATA,
+        STORAGE_KEYS.DOCUMENT_TITLE,
+        STORAGE_KEYS.DOCUMENT_SUBTITLE,
+        STORAGE_KEYS.pending_items,
+        STORAGE_KEYS.VERSION_HISTORY
+    ].forEach(key => localStorage.removeItem(key));
+
+    await setSetting(MIGRATION_SETTING, true);
+}
+
+// =========================================================================
+// DOCUMENT LIBRARY
+// =========================================================================
+
+/**
+ * Gets the id of the active document
+ * @returns {string|null} Active document id
+ */
+export function getActiveDocumentId() {
+    return activeDocument ? activeDocument.id : null;
+}
+
+/**
+ * Lists all stored documents
+ * @returns {Promise<Object[]>} Document summaries, most recently modified first
+ */
+export async function listDocuments() {
+    // Make sure the active document's latest changes are included
+    await persistActiveDocument();
+
+    const documents = await getAllRecords(STORES.DOCUMENTS);
+    return documents
+        .map(record => ({
+            id: record.id,
+            title: record.title || 'Untitled Document',
+            subtitle: record.subtitle || '',
+            created: record.created,
+            lastModified: record.lastModified,
+            nodeCount: countNodes(record.documentStructure),
+            versionCount: record.versionHistory?.history?.length || 0,
+            isActive: activeDocument ? record.id === activeDocument.id : false
+        }))
+        .sort((a, b) => (b.lastModified || '').localeCompare(a.lastModified || ''));
+}
+
+/**
+ * Creates a new empty document in the library
+ * @param {string} title - Title of the new document
+ * @returns {Promise<string>} Id of the created document
+ */
+export async function createStoredDocument(title = 'New Document') {
+    const record = createDocumentRecord(title);
+    await putRecord(STORES.DOCUMENTS, record);
+    return record.id;
+}
+
+/**
+ * Makes another stored document the active one
+ * @param {string} documentId - Document to activate
+ * @returns {Promise<boolean>} True if the document was found and activated
+ */
+export async function setActiveDocument(documentId) {
+    const record = await getRecord(STORES.DOCUMENTS, documentId);
+    if (!record) {
+        throw new Error('Document not found in library');
+    }
+
+    // Run the pending auto-save of the document being left instead of dropping it
+    if (autoSaveTimeout) {
+        clearTimeout(autoSaveTimeout);
+        autoSaveTimeout = null;
+        await runAutoSave();
+    }
+    await persistActiveDocument();
+
+    activeDocument = record;
+    await setSetting(ACTIVE_DOCUMENT_SETTING, record.id);
+    console.log(`Active document: ${record.title} (${record.id})`);
+    return true;
+}
+
+/**
+ * Renames a stored document
+ * @param {string} documentId - Document to rename
+ * @param {string} title - New title
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function renameStoredDocument(documentId, title) {
+    if (activeDocument && activeDocument.id === documentId) {
+        activeDocument.title = title;
+        return persistActiveDocument('title');
+    }
+
+    const record = await getRecord(STORES.DOCUMENTS, documentId);
+    if (!record) {
+        throw new Error('Document not found in library');
+    }
+    record.title = title;
+    record.lastModified = new Date().toISOString();
+    await putRecord(STORES.DOCUMENTS, record);
+    return true;
+}
+
+/**
+ * Duplicates a stored document, including its history, pending items and users
+ * @param {string} documentId - Document to copy
+ * @returns {Promise<string>} Id of the copy
+ */
+export async function duplicateStoredDocument(documentId) {
+    if (activeDocument && activeDocument.id === documentId) {
+        await persistActiveDocument();
+    }
+
+    const record = await getRecord(STORES.DOCUMENTS, documentId);
+    if (!record) {
+        throw new Error('Document not found in library');
+    }
+
+    const now = new Date().toISOString();
+    const copy = {
+        ...JSON.parse(JSON.stringify(record)),
+        id: createDocumentRecord().id,
+        title: `${record.title || 'Untitled Document'} (copy)`,
+        created: now,
+        lastModified: now
+    };
+    await putRecord(STORES.DOCUMENTS, copy);
+    return copy.id;
+}
+
+/**
+ * Deletes a stored document (the active document cannot be deleted)
+ * @param {string} documentId - Document to delete
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function deleteStoredDocument(documentId) {
+    if (activeDocument && activeDocument.id === documentId) {
+        throw new Error('Open another document before deleting this one');
+    }
+    await deleteRecord(STORES.DOCUMENTS, documentId);
+    return true;
+}
+
 /**
  * Creates a backup of current storage
  * @param {string} backupName - Optional backup name
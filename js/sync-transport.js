@@ -0,0 +1,206 @@
+/**
+ * Sync Transport Module
+ * Carries collaboration messages between the people editing a document. The
+ * collaboration layer only talks to the small interface below, so a transport
+ * can be swapped without touching it:
+ *
+ *   connect(room)              joins a room; every member receives what the others send
+ *   send(message)              sends a JSON-serialisable message to the other members
+ *   disconnect()               leaves the room for good
+ *   onMessage(callback)        callback(message) for each message from another member
+ *   onStatusChange(callback)   callback(status) with 'connecting', 'open' or 'offline'
+ *
+ * Messages sent while offline are dropped; the collaboration layer catches up
+ * when the transport is open again.
+ */
+
+// Address scheme -> function(address) returning a transport
+const transportFactories = new Map();
+
+const RECONNECT_DELAY_MIN = 1000;
+const RECONNECT_DELAY_MAX = 30000;
+
+/**
+ * Base for transports: keeps the callbacks and the current status. Subclasses
+ * implement connect(), send() and disconnect().
+ */
+export class SyncTransport {
+    constructor() {
+        this.status = 'offline';
+        this.messageCallbacks = [];
+        this.statusCallbacks = [];
+    }
+
+    /**
+     * Registers a handler for messages from other members
+     * @param {Function} callback - callback(message)
+     */
+    onMessage(callback) {
+        this.messageCallbacks.push(callback);
+    }
+
+    /**
+     * Registers a handler for connection changes
+     * @param {Function} callback - callback(status) with 'connecting', 'open' or 'offline'
+     */
+    onStatusChange(callback) {
+        this.statusCallbacks.push(callback);
+    }
+
+    /**
+     * Passes a message from another member to the callbacks
+     * @protected
+     * @param {Object} message - Received message
+     */
+    receive(message) {
+        this.messageCallbacks.forEach(callback => {
+            try {
+                callback(message);
+            } catch (error) {
+                console.error('Error handling collaboration message:', error);
+            }
+        });
+    }
+
+    /**
+     * Records and announces a status change
+     * @protected
+     * @param {string} status - 'connecting', 'open' or 'offline'
+     */
+    setStatus(status) {
+        if (status === this.status) {
+            return;
+        }
+        this.status = status;
+        this.statusCallbacks.forEach(callback => callback(status));
+    }
+}
+
+/**
+ * Transport over a WebSocket relay that forwards each message to the other
+ * sockets in the same room. Reconnects with growing delays after the
+ * connection drops.
+ */
+export class WebSocketTransport extends SyncTransport {
+    /**
+     * @param {string} url - Relay address, e.g. ws://localhost:8787
+     */
+    constructor(url) {
+        super();
+        this.url = url;
+        this.room = null;
+        this.socket = null;
+        this.reconnectTimer = null;
+        this.reconnectDelay = RECONNECT_DELAY_MIN;
+    }
+
+    connect(room) {
+        this.room = room;
+        clearTimeout(this.reconnectTimer);
+        this.setStatus('connecting');
+
+        const url = new URL(this.url);
+        url.searchParams.set('room', room);
+
+        const socket = new WebSocket(url.toString());
+        this.socket = socket;
+
+        socket.addEventListener('open', () => {
+            this.reconnectDelay = RECONNECT_DELAY_MIN;
+            this.setStatus('open');
+        });
+        socket.addEventListener('message', event => {
+            try {
+                this.receive(JSON.parse(event.data));
+            } catch (error) {
+                console.warn('Ignoring malformed collaboration message:', error);
+            }
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket) {
+                return;
+            }
+            this.socket = null;
+            this.setStatus('offline');
+            if (this.room) {
+                this.reconnectTimer = setTimeout(() => this.connect(this.room), this.reconnectDelay);
+                this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_DELAY_MAX);
+            }
+        });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    disconnect() {
+        this.room = null;
+        clearTimeout(this.reconnectTimer);
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.close();
+        }
+        this.setStatus('offline');
+    }
+}
+
+/**
+ * Transport between tabs of this browser, for trying collaboration without a relay
+ */
+export class BroadcastChannelTransport extends SyncTransport {
+    constructor() {
+        super();
+        this.channel = null;
+    }
+
+    connect(room) {
+        this.channel = new BroadcastChannel(`dlms-collaboration-${room}`);
+        this.channel.addEventListener('message', event => this.receive(event.data));
+        this.setStatus('open');
+    }
+
+    send(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+
+    disconnect() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+        this.setStatus('offline');
+    }
+}
+
+/**
+ * Makes a transport available for addresses with the given scheme
+ * @param {string} scheme - Address scheme without the colon, e.g. 'ws'
+ * @param {Function} factory - function(address) returning an object with the transport interface
+ */
+export function registerTransport(scheme, factory) {
+    transportFactories.set(scheme, factory);
+}
+
+/**
+ * Creates the transport for an address
+ * @param {string} address - e.g. ws://localhost:8787, or local: for tabs of this browser
+ * @returns {Object} Transport
+ * @throws {Error} If no transport handles the address
+ */
+export function createTransport(address) {
+    const scheme = String(address).split(':')[0].toLowerCase();
+    const factory = transportFactories.get(scheme);
+    if (!factory) {
+        throw new Error(`No transport for "${address}"`);
+    }
+    return factory(address);
+}
+
+registerTransport('ws', address => new WebSocketTransport(address));
+registerTransport('wss', address => new WebSocketTransport(address));
+registerTransport('local', () => new BroadcastChannelTransport());
@@ -0,0 +1,574 @@
+/**
+ * Tab Sync Module
+ * Keeps the document tree and pending items in step between browser tabs
+ * showing the same document. Each change is broadcast on a BroadcastChannel
+ * and applied live in the other tabs. When two tabs have changed the same
+ * section, the user chooses which version to keep instead of the last write
+ * silently winning. Version history (commits, comments, locks and other
+ * annotations) and users are not merged: when one tab stores them, the others
+ * reload them from IndexedDB.
+ */
+
+import { stateManager } from './state-manager.js';
+import { replaceDocumentState } from './data-operations.js';
+import { getActiveDocumentId, reloadStoredFields } from './storage-manager.js';
+import { exportVersionHistory, importVersionHistory, saveWorkingCopy } from './version-control.js';
+import { showNotification } from './message-center.js';
+
+const CHANNEL_NAME = 'dlms-tab-sync';
+
+// Key of the top-level section list among the child lists
+const ROOT_KEY = '__root__';
+
+// Stored document fields the other tabs reload when this tab writes them
+const SHARED_FIELDS = ['versionHistory', 'users'];
+
+const tabId = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+let channel = null;
+
+// Document the tab is synchronising, and the state last shared with the other tabs.
+// Changes are found by comparing both this tab and the incoming state with it.
+let syncedDocumentId = null;
+let baseline = null;
+
+let applyingRemoteState = false;
+let switchingDocument = false;
+
+// While the conflict dialog is open, the newest state from another tab waits here
+let conflictOpen = false;
+let latestRemoteState = null;
+
+/**
+ * Starts synchronising with other tabs. Call once the document has been loaded.
+ * @returns {boolean} True if this browser supports BroadcastChannel
+ */
+export function initializeTabSync() {
+    if (typeof BroadcastChannel === 'undefined') {
+        console.warn('BroadcastChannel not available - tabs will not be synchronised');
+        return false;
+    }
+
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', event => handleMessage(event.data));
+
+    syncedDocumentId = getActiveDocumentId();
+    baseline = captureState();
+
+    const broadcast = () => broadcastLocalState();
+    stateManager.subscribe('documentStructureChanged', broadcast);
+    stateManager.subscribe('pendingItemsChanged', broadcast);
+    document.addEventListener('dlms:contentChanged', broadcast);
+    // Title edits only change the node in place and schedule an auto-save
+    window.addEventListener('dlms:autosaved', broadcast);
+
+    window.addEventListener('dlms:documentStored', event => {
+        const fields = event.detail.fields.filter(field => SHARED_FIELDS.includes(field));
+        if (fields.length > 0 && event.detail.documentId === syncedDocumentId) {
+            postMessage({ type: 'stored', fields });
+        }
+    });
+
+    window.addEventListener('beforeunload', () => channel.close());
+
+    // Tabs already open may have changes they have not saved yet
+    postMessage({ type: 'hello' });
+    return true;
+}
+
+/**
+ * Sends this tab's state to the other tabs if it changed since it was last shared
+ * @private
+ */
+function broadcastLocalState() {
+    if (!channel || applyingRemoteState || conflictOpen) {
+        return;
+    }
+
+    const documentId = getActiveDocumentId();
+    if (documentId !== syncedDocumentId) {
+        joinDocument(documentId);
+        return;
+    }
+    if (switchingDocument) {
+        return;
+    }
+
+    const state = captureState();
+    if (isSameState(state, baseline)) {
+        return;
+    }
+
+    baseline = state;
+    postMessage({ type: 'state', ...state });
+}
+
+/**
+ * Starts over after another document was opened in this tab. Opening a
+ * document sets the pending items and the tree in turn, so the baseline is
+ * taken once both are in place.
+ * @private
+ * @param {string} documentId - Newly active document
+ */
+function joinDocument(documentId) {
+    syncedDocumentId = documentId;
+    switchingDocument = true;
+
+    setTimeout(() => {
+        baseline = captureState();
+        switchingDocument = false;
+        postMessage({ type: 'hello' });
+    }, 0);
+}
+
+/**
+ * Handles a message from another tab
+ * @private
+ * @param {Object} message - { type, from, documentId, structure, pendingItems, fields }
+ */
+function handleMessage(message) {
+    if (!message || message.from === tabId || switchingDocument || message.documentId !== syncedDocumentId) {
+        return;
+    }
+
+    try {
+        if (message.type === 'hello') {
+            // A tab has just opened this document: share what this tab has
+            baseline = captureState();
+            postMessage({ type: 'state', ...baseline });
+        } else if (message.type === 'state') {
+            receiveState({ structure: message.structure, pendingItems: message.pendingItems });
+        } else if (message.type === 'stored') {
+            reloadSharedFields(message.fields).catch(error => {
+                console.error('Error reloading data stored by another tab:', error);
+            });
+        }
+    } catch (error) {
+        console.error('Error applying changes from another tab:', error);
+    }
+}
+
+/**
+ * Reloads the version history and users after another tab stored them, so
+ * this tab's next write does not replace them with its older copy
+ * @private
+ * @param {string[]} fields - Fields the other tab wrote
+ */
+async function reloadSharedFields(fields) {
+    const reloaded = await reloadStoredFields(fields.filter(field => SHARED_FIELDS.includes(field)));
+
+    if (reloaded.users) {
+        const { exportUsersData, importUsersData } = await import('./user-manager.js');
+        const local = exportUsersData();
+        // Each tab keeps its own current user
+        if (JSON.stringify(reloaded.users.users) !== JSON.stringify(local.users)) {
+            importUsersData({ ...reloaded.users, currentUserId: local.currentUserId });
+        }
+    }
+
+    if (reloaded.versionHistory &&
+        JSON.stringify(reloaded.versionHistory) !== JSON.stringify(exportVersionHistory()) &&
+        importVersionHistory(reloaded.versionHistory)) {
+        // The stored working copy may predate changes this tab has not shared yet
+        const local = captureState();
+        if (JSON.stringify(reloaded.versionHistory.workingCopy?.document) !== JSON.stringify(local.structure)) {
+            saveWorkingCopy(local.structure, local.pendingItems);
+        }
+        window.dispatchEvent(new CustomEvent('dlms:refreshRevisions'));
+    }
+}
+
+/**
+ * Applies another tab's state, merging it with this tab's own changes
+ * @private
+ * @param {Object} remote - { structure, pendingItems } from the other tab
+ */
+function receiveState(remote) {
+    if (conflictOpen) {
+        latestRemoteState = remote;
+        return;
+    }
+
+    const local = captureState();
+
+    if (isSameState(local, baseline)) {
+        applyState(remote);
+        baseline = remote;
+        return;
+    }
+
+    const conflicts = findConflicts(baseline.structure, local.structure, remote.structure);
+    if (conflicts.length > 0) {
+        resolveConflicts(remote, conflicts);
+        return;
+    }
+
+    // Both tabs changed different sections: keep both, and send the result back
+    const merged = mergeStates(baseline, local, remote, true);
+    applyState(merged);
+    baseline = merged;
+    if (!isSameState(merged, remote)) {
+        postMessage({ type: 'state', ...merged });
+    }
+    showNotification('Changes from another tab were merged with yours');
+}
+
+/**
+ * Asks which version of the conflicting sections to keep, then applies and shares the result
+ * @private
+ * @param {Object} remote - State from the other tab
+ * @param {Object[]} conflicts - Sections changed in both tabs, from findConflicts()
+ */
+async function resolveConflicts(remote, conflicts) {
+    conflictOpen = true;
+    latestRemoteState = remote;
+
+    let keepLocal;
+    try {
+        keepLocal = await showConflictDialog(conflicts);
+    } finally {
+        conflictOpen = false;
+    }
+
+    const merged = mergeStates(baseline, captureState(), latestRemoteState, keepLocal);
+    latestRemoteState = null;
+
+    applyState(merged);
+    baseline = merged;
+    postMessage({ type: 'state', ...merged });
+}
+
+/**
+ * Shows the sections both tabs changed and lets the user pick a version for all of them
+ * @private
+ * @param {Object[]} conflicts - Sections changed in both tabs
+ * @returns {Promise<boolean>} True to keep this tab's version, false to use the other tab's
+ */
+function showConflictDialog(conflicts) {
+    return new Promise((resolve) => {
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-dialog tab-conflict-dialog';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Changed in another tab';
+        modal.appendChild(title);
+
+        const intro = document.createElement('p');
+        intro.textContent = 'These sections were changed both here and in another tab showing this document. ' +
+            'Choose which version to keep. Other changes from both tabs are kept either way.';
+        modal.appendChild(intro);
+
+        const list = document.createElement('ul');
+        list.className = 'tab-conflict-list';
+        conflicts.forEach(conflict => {
+            const item = document.createElement('li');
+
+            const label = document.createElement('strong');
+            label.textContent = conflict.label;
+            item.appendChild(label);
+
+            [['This tab', conflict.local], ['Other tab', conflict.remote]].forEach(([side, summary]) => {
+                const line = document.createElement('div');
+                line.className = 'tab-conflict-version';
+                line.textContent = `${side}: ${summary}`;
+                item.appendChild(line);
+            });
+            list.appendChild(item);
+        });
+        modal.appendChild(list);
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'modal-buttons';
+
+        const close = (keepLocal) => {
+            if (overlay.parentNode) {
+                overlay.parentNode.removeChild(overlay);
+            }
+            resolve(keepLocal);
+        };
+
+        const remoteBtn = document.createElement('button');
+        remoteBtn.className = 'modal-btn modal-btn-cancel';
+        remoteBtn.textContent = "Use Other Tab's";
+        remoteBtn.onclick = () => close(false);
+
+        const localBtn = document.createElement('button');
+        localBtn.className = 'modal-btn modal-btn-confirm';
+        localBtn.textContent = 'Keep Mine';
+        localBtn.onclick = () => close(true);
+
+        buttonContainer.appendChild(remoteBtn);
+        buttonContainer.appendChild(localBtn);
+        modal.appendChild(buttonContainer);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        localBtn.focus();
+    });
+}
+
+/**
+ * Replaces the tree and pending items with a state from another tab
+ * @private
+ * @param {Object} state - { structure, pendingItems }
+ */
+function applyState(state) {
+    applyingRemoteState = true;
+    try {
+        replaceDocumentState(state);
+    } finally {
+        applyingRemoteState = false;
+    }
+}
+
+/**
+ * Merges two tabs' changes to a common baseline. A section's fields (title,
+ * paragraphs, references, quiz questions and flashcard marks) and its list of subsections are merged
+ * separately, each taken from whichever tab changed it.
+ * @private
+ * @param {Object} base - State both tabs started from
+ * @param {Object} local - This tab's state
+ * @param {Object} remote - The other tab's state
+ * @param {boolean} preferLocal - Which tab wins where both changed the same thing
+ * @returns {Object} Merged { structure, pendingItems }
+ */
+function mergeStates(base, local, remote, preferLocal) {
+    const baseIndex = indexStructure(base.structure);
+    const localIndex = indexStructure(local.structure);
+    const remoteIndex = indexStructure(remote.structure);
+
+    const chooser = (kind) => {
+        const localChanges = findChangedKeys(baseIndex[kind], localIndex[kind]);
+        const remoteChanges = findChangedKeys(baseIndex[kind], remoteIndex[kind]);
+        return key => {
+            const useLocal = localChanges.has(key) && (preferLocal || !remoteChanges.has(key));
+            return (useLocal ? localIndex : remoteIndex)[kind].get(key);
+        };
+    };
+    const fieldsOf = chooser('fields');
+    const childrenOf = chooser('children');
+
+    const built = new Map();
+    const build = uid => {
+        const fields = fieldsOf(uid);
+        if (!fields || built.has(uid)) {
+            return null;
+        }
+        const node = { ...fields.node, children: [] };
+        built.set(uid, node);
+        node.children = (childrenOf(uid)?.uids || []).map(build).filter(Boolean);
+        return node;
+    };
+
+    const structure = (childrenOf(ROOT_KEY)?.uids || []).map(build).filter(Boolean);
+
+    // A section one tab kept but whose parent list came from the tab that dropped it
+    // is put back under its parent, or at the end
+    const allUids = new Set([...localIndex.fields.keys(), ...remoteIndex.fields.keys()]);
+    [...allUids]
+        .map(uid => fieldsOf(uid))
+        .filter(fields => fields && !built.has(fields.node.uid))
+        .sort((a, b) => a.depth - b.depth)
+        .forEach(fields => {
+            const parent = built.get(fields.parentUid);
+            const node = build(fields.node.uid);
+            if (node) {
+                (parent ? parent.children : structure).push(node);
+            }
+        });
+
+    // Positional IDs follow from the merged order; fromJSON renumbers the subsections
+    structure.forEach((node, index) => {
+        node.id = String(index + 1);
+        node.parentId = null;
+    });
+
+    return {
+        structure,
+        pendingItems: mergePendingItems(base.pendingItems, local.pendingItems, remote.pendingItems)
+    };
+}
+
+/**
+ * Merges pending item lists: items either tab removed are dropped, items either tab added are kept
+ * @private
+ * @param {Object[]} base - Items both tabs started from
+ * @param {Object[]} local - This tab's items
+ * @param {Object[]} remote - The other tab's items
+ * @returns {Object[]} Merged items
+ */
+function mergePendingItems(base, local, remote) {
+    const key = item => item.uid || item.id;
+    const baseKeys = new Set(base.map(key));
+    const localKeys = new Set(local.map(key));
+
+    const merged = remote.filter(item => !baseKeys.has(key(item)) || localKeys.has(key(item)));
+    const mergedKeys = new Set(merged.map(key));
+    local.forEach(item => {
+        if (!baseKeys.has(key(item)) && !mergedKeys.has(key(item))) {
+            merged.push(item);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Finds sections both tabs changed in different ways
+ * @private
+ * @param {Object[]} base - Tree both tabs started from
+ * @param {Object[]} local - This tab's tree
+ * @param {Object[]} remote - The other tab's tree
+ * @returns {Object[]} Conflicts: { label, local, remote } with a summary of each version
+ */
+function findConflicts(base, local, remote) {
+    const baseIndex = indexStructure(base);
+    const localIndex = indexStructure(local);
+    const remoteIndex = indexStructure(remote);
+    const conflicts = [];
+
+    ['fields', 'children'].forEach(kind => {
+        const localChanges = findChangedKeys(baseIndex[kind], localIndex[kind]);
+        const remoteChanges = findChangedKeys(baseIndex[kind], remoteIndex[kind]);
+
+        localChanges.forEach(key => {
+            const localEntry = localIndex[kind].get(key);
+            const remoteEntry = remoteIndex[kind].get(key);
+            if (!remoteChanges.has(key) || localEntry?.fingerprint === remoteEntry?.fingerprint) {
+                return;
+            }
+
+            const node = (localIndex.fields.get(key) || remoteIndex.fields.get(key) || baseIndex.fields.get(key))?.node;
+            const name = node ? `${node.id} "${node.name}"` : 'A section';
+
+            if (kind === 'fields') {
+                conflicts.push({
+                    label: name,
+                    local: summarizeFields(localEntry),
+                    remote: summarizeFields(remoteEntry)
+                });
+            } else {
+                conflicts.push({
+                    label: key === ROOT_KEY ? 'Top-level sections' : `Subsections of ${name}`,
+                    local: summarizeChildren(localEntry),
+                    remote: summarizeChildren(remoteEntry)
+                });
+            }
+        });
+    });
+
+    return conflicts;
+}
+
+/**
+ * Describes one tab's version of a section's fields
+ * @private
+ * @param {Object|undefined} entry - Fields entry, missing if the section was removed
+ * @returns {string} Summary
+ */
+function summarizeFields(entry) {
+    if (!entry) {
+        return 'removed';
+    }
+    const count = (entry.node.content || []).length;
+    return `"${entry.node.name}", ${count} paragraph${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Describes one tab's version of a subsection list
+ * @private
+ * @param {Object|undefined} entry - Children entry, missing if the parent was removed
+ * @returns {string} Summary
+ */
+function summarizeChildren(entry) {
+    if (!entry) {
+        return 'section removed';
+    }
+    const count = entry.uids.length;
+    return `${count} section${count === 1 ? '' : 's'}, added, removed or reordered`;
+}
+
+/**
+ * Indexes a plain tree by node uid
+ * @private
+ * @param {Object[]} structure - Plain tree
+ * @returns {{fields: Map, children: Map}} fields: uid -> { node, parentUid, depth, fingerprint };
+ *   children: uid (or ROOT_KEY) -> { uids, fingerprint }
+ */
+function indexStructure(structure) {
+    const fields = new Map();
+    const children = new Map();
+
+    const visit = (nodes, parentKey, depth) => {
+        const uids = nodes.map(node => node.uid);
+        children.set(parentKey, { uids, fingerprint: JSON.stringify(uids) });
+
+        nodes.forEach(node => {
+            const { children: childNodes, ...rest } = node;
+            fields.set(node.uid, {
+                node: rest,
+                parentUid: parentKey,
+                depth,
+                fingerprint: JSON.stringify([node.name, node.content || [], node.references || [], node.questions || [], node.flashcards || []])
+            });
+            visit(childNodes || [], node.uid, depth + 1);
+        });
+    };
+    visit(structure || [], ROOT_KEY, 0);
+
+    return { fields, children };
+}
+
+/**
+ * Keys whose entries differ between two indexes, including added and removed ones
+ * @private
+ * @param {Map} before - Entries with a fingerprint
+ * @param {Map} after - Entries with a fingerprint
+ * @returns {Set<string>} Changed keys
+ */
+function findChangedKeys(before, after) {
+    const changed = new Set();
+    new Set([...before.keys(), ...after.keys()]).forEach(key => {
+        if (before.get(key)?.fingerprint !== after.get(key)?.fingerprint) {
+            changed.add(key);
+        }
+    });
+    return changed;
+}
+
+/**
+ * Copies the tree and pending items as plain data
+ * @private
+ * @returns {Object} { structure, pendingItems }
+ */
+function captureState() {
+    return JSON.parse(JSON.stringify({
+        structure: stateManager.getDocumentStructure() || [],
+        pendingItems: stateManager.getPendingItems() || []
+    }));
+}
+
+/**
+ * Compares two states by content, ignoring positional IDs and edit times
+ * @private
+ * @param {Object} a - State
+ * @param {Object} b - State
+ * @returns {boolean} True if they hold the same sections and pending items
+ */
+function isSameState(a, b) {
+    const strip = nodes => (nodes || []).map(node =>
+        [node.uid, node.name, node.content || [], node.references || [], node.questions || [], node.flashcards || [], strip(node.children)]);
+    return JSON.stringify(strip(a.structure)) === JSON.stringify(strip(b.structure)) &&
+        JSON.stringify(a.pendingItems) === JSON.stringify(b.pendingItems);
+}
+
+/**
+ * Posts a message to the other tabs
+ * @private
+ * @param {Object} message - Message body
+ */
+function postMessage(message) {
+    channel.postMessage({ ...message, from: tabId, documentId: syncedDocumentId });
+}
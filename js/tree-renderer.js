@@ -7,24 +7,46 @@ import DocumentNode from './documentnode.js';
 import { stateManager } from './state-manager.js';
 import { scheduleAutoSave } from './storage-manager.js';
 import { showError } from './message-center.js';
+import { can } from './permissions.js';
+import { requireUnlocked } from './section-locks.js';
+import { findReferenceTokens, createReferenceToken, renderReferenceTokens } from './inline-references.js';
 
-// Store collapse states: Set of node IDs that are currently collapsed
+// Store collapse states: Set of node uids that are currently collapsed.
+// Keyed by uid so a collapsed section stays collapsed after it is moved.
 const collapsedNodes = new Set();
 
 /**
- * Add a node ID to the collapsed set
- * @param {string} nodeId - The node ID to mark as collapsed
+ * Add a node to the collapsed set
+ * @param {string} nodeUid - The permanent uid of the node to mark as collapsed
  */
-export function markNodeCollapsed(nodeId) {
-    collapsedNodes.add(nodeId);
+export function markNodeCollapsed(nodeUid) {
+    collapsedNodes.add(nodeUid);
 }
 
 /**
- * Remove a node ID from the collapsed set
- * @param {string} nodeId - The node ID to mark as expanded
+ * Remove a node from the collapsed set
+ * @param {string} nodeUid - The permanent uid of the node to mark as expanded
  */
-export function markNodeExpanded(nodeId) {
-    collapsedNodes.delete(nodeId);
+export function markNodeExpanded(nodeUid) {
+    collapsedNodes.delete(nodeUid);
+}
+
+/**
+ * Re-keys collapse state recorded by positional ID (before nodes had uids) to the nodes' uids.
+ * Call while the IDs still name the same sections, i.e. right after hydrating a legacy document.
+ * @param {DocumentNode[]} documentStructure - Root nodes of the hydrated document
+ */
+export function migrateCollapsedNodeIds(documentStructure) {
+    Array.from(collapsedNodes).forEach(key => {
+        if (findNodeByUid(documentStructure, key)) {
+            return;
+        }
+        const node = findNodeById(documentStructure, key);
+        collapsedNodes.delete(key);
+        if (node) {
+            collapsedNodes.add(node.uid);
+        }
+    });
 }
 
 /**
@@ -88,15 +110,15 @@ export function renderDocumentStructure(documentStructure, containerId = 'docume
 }
 
 /**
- * Collect all node IDs from the document tree recursively
+ * Collect all node uids from the document tree recursively
  * @param {DocumentNode[]} nodes - Array of nodes to collect from
- * @param {Set} collected - Set to collect node IDs into
+ * @param {Set} collected - Set to collect node uids into
  */
-function collectAllNodeIds(nodes, collected = new Set()) {
+function collectAllNodeUids(nodes, collected = new Set()) {
     for (const node of nodes) {
-        collected.add(node.id);
+        collected.add(node.uid);
         if (node.children && node.children.length > 0) {
-            collectAllNodeIds(node.children, collected);
+            collectAllNodeUids(node.children, collected);
         }
     }
     return collected;
@@ -104,19 +126,19 @@ function collectAllNodeIds(nodes, collected = new Set()) {
 
 /**
  * Collapse all nodes except those in the specified path
- * @param {string[]} nodeIdsToKeepExpanded - Array of node IDs to keep expanded
+ * @param {string[]} nodeUidsToKeepExpanded - Array of node uids to keep expanded
  * @param {DocumentNode[]} documentStructure - The document structure to work with
  */
-export function collapseAllExcept(nodeIdsToKeepExpanded = [], documentStructure = []) {
+export function collapseAllExcept(nodeUidsToKeepExpanded = [], documentStructure = []) {
     collapsedNodes.clear();
     
-    // Collect all node IDs from the document
-    const allNodeIds = collectAllNodeIds(documentStructure);
+    // Collect all node uids from the document
+    const allNodeUids = collectAllNodeUids(documentStructure);
     
     // Mark all nodes as collapsed except those in the path
-    allNodeIds.forEach(nodeId => {
-        if (!nodeIdsToKeepExpanded.includes(nodeId)) {
-            collapsedNodes.add(nodeId);
+    allNodeUids.forEach(nodeUid => {
+        if (!nodeUidsToKeepExpanded.includes(nodeUid)) {
+            collapsedNodes.add(nodeUid);
         }
     });
 }
@@ -125,7 +147,7 @@ export function collapseAllExcept(nodeIdsToKeepExpanded = [], documentStructure
  * Find the node that was last edited within the specified time window
  * @param {DocumentNode[]} documentStructure - The document structure
  * @param {number} hoursAgo - Time window in hours (default 24)
- * @returns {Object|null} Object with {node, path} or null if no recent edits
+ * @returns {Object|null} Object with {node, path} (path holds node uids) or null if no recent edits
  */
 export function findLastEditedNode(documentStructure, hoursAgo = 24) {
     const cutoffTime = new Date(Date.now() - (hoursAgo * 60 * 60 * 1000));
@@ -135,7 +157,7 @@ export function findLastEditedNode(documentStructure, hoursAgo = 24) {
     
     function searchTree(nodes, currentPath) {
         for (const node of nodes) {
-            const path = [...currentPath, node.id];
+            const path = [...currentPath, node.uid];
             
             if (node.lastEditTime) {
                 const editTime = new Date(node.lastEditTime);
@@ -166,9 +188,9 @@ function captureCollapseStates(container) {
     const collapseButtons = container.querySelectorAll('.node-collapse-btn[data-collapsed="true"]');
     
     collapseButtons.forEach(btn => {
-        const nodeId = btn.getAttribute('data-node-id');
-        if (nodeId) {
-            collapsedNodes.add(nodeId);
+        const nodeUid = btn.getAttribute('data-node-uid');
+        if (nodeUid) {
+            collapsedNodes.add(nodeUid);
         }
     });
 }
@@ -178,8 +200,8 @@ function captureCollapseStates(container) {
  * @param {HTMLElement} container - The container element
  */
 function restoreCollapseStates(container) {
-    collapsedNodes.forEach(nodeId => {
-        const collapseBtn = container.querySelector(`.node-collapse-btn[data-node-id="${nodeId}"]`);
+    collapsedNodes.forEach(nodeUid => {
+        const collapseBtn = container.querySelector(`.node-collapse-btn[data-node-uid="${nodeUid}"]`);
         
         if (collapseBtn) {
             // Find the parent list item
@@ -215,7 +237,7 @@ function restoreCollapseStates(container) {
             }
         } else {
             // Node no longer exists, remove from set
-            collapsedNodes.delete(nodeId);
+            collapsedNodes.delete(nodeUid);
         }
     });
 }
@@ -280,14 +302,16 @@ function createListItem(node) {
     listItem.classList.add('list-container');
     listItem.setAttribute('draggable', 'true');
     listItem.setAttribute('data-node-id', node.id);
+    listItem.setAttribute('data-node-uid', node.uid);
 
     // Create the section link
     const sectionLink = createSectionLink(node);
     listItem.appendChild(sectionLink);
     
-    // Add references if they exist
-    if (node.references && node.references.length > 0) {
-        const referencesDiv = createReferencesDisplay(node.references);
+    // Add references if they exist, including [[ref:…]] tokens in the content
+    const inlineKeys = [...new Set((node.content || []).flatMap(findReferenceTokens))];
+    if ((node.references && node.references.length > 0) || inlineKeys.length > 0) {
+        const referencesDiv = createReferencesDisplay(node.references || [], inlineKeys);
         listItem.appendChild(referencesDiv);
     }
     
@@ -345,6 +369,7 @@ function createSectionLink(node) {
         collapseBtn.title = 'Collapse/Expand subnodes';
         collapseBtn.setAttribute('clickable', 'true');
         collapseBtn.setAttribute('data-node-id', node.id);
+        collapseBtn.setAttribute('data-node-uid', node.uid);
         collapseBtn.setAttribute('data-collapsed', 'false');
         
         // Attach click handler directly for collapse functionality
@@ -367,10 +392,11 @@ function createSectionLink(node) {
 
 /**
  * Creates a display element for node references
- * @param {Array} references - Array of reference objects {id, name}
+ * @param {Array} references - Array of reference objects {uid, id, name}
+ * @param {string[]} inlineKeys - Targets of [[ref:…]] tokens in the node's content
  * @returns {HTMLElement} The references container element
  */
-function createReferencesDisplay(references) {
+function createReferencesDisplay(references, inlineKeys = []) {
     const container = document.createElement('div');
     container.classList.add('node-references');
     
@@ -379,20 +405,28 @@ function createReferencesDisplay(references) {
     label.textContent = 'References: ';
     container.appendChild(label);
     
+    const documentStructure = stateManager.getDocumentStructure() || [];
+    
     references.forEach((ref, index) => {
+        // Show the target's current number and name, which may differ from when the reference was added
+        const target = resolveReference(documentStructure, ref);
+        const label = target ? `${target.id.replace(/-/g, '.')} ${target.name || 'Untitled'}` : (ref.name || ref.id);
+        
         const refLink = document.createElement('a');
         refLink.classList.add('reference-link');
         refLink.href = '#';
-        refLink.textContent = ref.name || ref.id;
-        refLink.setAttribute('data-ref-id', ref.id);
-        refLink.title = `Jump to ${ref.name || ref.id}`;
+        refLink.textContent = label;
+        refLink.setAttribute('data-ref-uid', ref.uid || '');
+        refLink.title = `Jump to ${label}`;
         
         refLink.addEventListener('click', (e) => {
             e.preventDefault();
             e.stopPropagation();
+            // Resolve again on click: the tree may have changed since rendering
+            const current = resolveReference(stateManager.getDocumentStructure() || [], ref);
             // Import navigateToReference dynamically to avoid circular dependency
             import('./context-menu.js').then(module => {
-                module.navigateToReference(ref.id);
+                module.navigateToReference(current ? current.id : ref.id);
             });
         });
         
@@ -406,6 +440,18 @@ function createReferencesDisplay(references) {
         }
     });
     
+    // Inline references already listed above are not repeated
+    const listed = new Set(references.map(ref => ref.uid).filter(Boolean));
+    inlineKeys.filter(key => !listed.has(key)).forEach((key, index) => {
+        if (references.length > 0 || index > 0) {
+            const separator = document.createElement('span');
+            separator.textContent = ', ';
+            separator.classList.add('reference-separator');
+            container.appendChild(separator);
+        }
+        container.appendChild(renderReferenceTokens(createReferenceToken(key), documentStructure));
+    });
+    
     return container;
 }
 
@@ -428,6 +474,52 @@ export function findNodeById(documentStructure, targetId) {
     }
 }
 
+/**
+ * Finds a node in the document structure by its permanent uid
+ * @param {DocumentNode[]} documentStructure - Array of root nodes to search
+ * @param {string} targetUid - The uid to search for
+ * @returns {DocumentNode|null} The found node or null
+ */
+export function findNodeByUid(documentStructure, targetUid) {
+    if (!Array.isArray(documentStructure) || !targetUid) {
+        return null;
+    }
+
+    try {
+        return DocumentNode.searchMultipleRootsByUid(documentStructure, targetUid);
+    } catch (error) {
+        console.error(`Error finding node ${targetUid}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Finds the node a reference points at.
+ * References added before nodes had uids are given one when the document is loaded
+ * (DocumentNode.linkReferenceUids); any not yet linked fall back to the positional ID.
+ * @param {DocumentNode[]} documentStructure - Array of root nodes to search
+ * @param {Object} reference - Reference object {uid, id, name}
+ * @returns {DocumentNode|null} The referenced node, or null if it no longer exists
+ */
+export function resolveReference(documentStructure, reference) {
+    if (!reference) {
+        return null;
+    }
+    if (reference.uid) {
+        return findNodeByUid(documentStructure, reference.uid);
+    }
+    return findNodeById(documentStructure, reference.id);
+}
+
+/**
+ * Section number and title for lists and dialogs
+ * @param {Object} node - Node with a positional ID
+ * @returns {string} e.g. "2.1 Scope"
+ */
+export function describeSection(node) {
+    return `${node.id.replace(/-/g, '.')} ${node.name || 'Untitled'}`;
+}
+
 // Drag and drop state for tree nodes - DATA ONLY, NO ELEMENT REFERENCES
 let treeDraggedNodeId = null;
 let treeDragState = {
@@ -453,6 +545,12 @@ function handleTreeDragStart(e) {
         return;
     }
     
+    // Every tree drop moves the node, so read-only roles cannot drag
+    if (!can('edit')) {
+        e.preventDefault();
+        return;
+    }
+    
     const listItem = e.currentTarget;
     if (!listItem) {
         console.warn('handleTreeDragStart: No currentTarget');
@@ -764,6 +862,12 @@ function performTreeReorder(sourceNodeId, targetNodeId, dropZone = 'before') {
             return;
         }
         
+        // Sections checked out by someone else stay where they are, and nothing may be added to them
+        const destinationId = dropZone === 'child' ? targetNode.id : targetParent?.id;
+        if (!requireUnlocked(sourceNode.id, true) || (destinationId && !requireUnlocked(destinationId))) {
+            return;
+        }
+        
         console.log('Before splice - array:', sourceArray.map(n => n.id));
         
         // Remove from source location
@@ -1072,6 +1176,11 @@ async function restoreFromPendingToTree(pendingId, targetNodeId, dropZone) {
 
         const { node: targetNode, parent: targetParent, array: targetArray, index: targetIndex } = targetInfo;
 
+        const destinationId = dropZone === 'child' ? targetNode.id : targetParent?.id;
+        if (destinationId && !requireUnlocked(destinationId)) {
+            return;
+        }
+
         // Insert at the appropriate location based on drop zone
         if (dropZone === 'child') {
             // Add as child of target
@@ -6,16 +6,17 @@
 import { stateManager } from './state-manager.js';
 import { showPrompt, showConfirm, showError, showSuccess } from './message-center.js';
 import { scheduleAutoSave } from './storage-manager.js';
+import { ROLES, DEFAULT_ROLE, normalizeRole, can, requirePermission } from './permissions.js';
 
 /**
  * User class representing a system user
  */
 class User {
-    constructor(id, name, email = '', role = 'Editor', color = null) {
+    constructor(id, name, email = '', role = DEFAULT_ROLE, color = null) {
         this.id = id;
         this.name = name;
         this.email = email;
-        this.role = role;
+        this.role = normalizeRole(role);
         this.color = color || this.generateColor();
         this.createdAt = new Date().toISOString();
         this.lastActive = new Date().toISOString();
@@ -75,7 +76,8 @@ export function initializeUserManagement() {
     // Load users from state or create default
     let users = stateManager.getUsers();
     if (!users || users.length === 0) {
-        const defaultUser = new User('user-1', 'Default User', '', 'Editor');
+        // The first user sets up everyone else
+        const defaultUser = new User('user-1', 'Default User', '', 'Admin');
         stateManager.setUsers([defaultUser]);
         stateManager.setCurrentUser(defaultUser);
         console.log('Created default user');
@@ -98,6 +100,10 @@ export function initializeUserManagement() {
 export async function createNewUser() {
     console.log('=== CREATE NEW USER ===');
     
+    if (!requirePermission('manageUsers')) {
+        return null;
+    }
+    
     try {
         // Prompt for user name
         const userName = await showPrompt(
@@ -118,12 +124,22 @@ export async function createNewUser() {
             'Email'
         );
         
-        // Generate unique ID
+        const role = await promptForRole(DEFAULT_ROLE);
+        if (!role) {
+            console.log('User creation cancelled - no role chosen');
+            return null;
+        }
+        
+        // Generate unique ID (users may have been deleted, so the count alone can repeat)
         const users = stateManager.getUsers() || [];
-        const newId = `user-${users.length + 1}`;
+        let counter = users.length + 1;
+        while (users.some(u => u.id === `user-${counter}`)) {
+            counter++;
+        }
+        const newId = `user-${counter}`;
         
         // Create new user
-        const newUser = new User(newId, userName.trim(), userEmail?.trim() || '', 'Editor');
+        const newUser = new User(newId, userName.trim(), userEmail?.trim() || '', role);
         
         // Add to users list
         users.push(newUser);
@@ -170,8 +186,9 @@ export function switchUser(userId) {
     stateManager.setCurrentUser(user);
     stateManager.setUsers(users); // Trigger save with updated timestamp
     
-    // Update UI
+    // Update UI (the selector too, since the buttons shown depend on the role)
     updateUserDisplay();
+    updateUserSelector();
     
     console.log('Switched to user:', user.name);
     showSuccess(`Switched to ${user.name}`);
@@ -189,6 +206,10 @@ export async function deleteUser(userId) {
     console.log('=== DELETE USER ===');
     console.log('Deleting user ID:', userId);
     
+    if (!requirePermission('manageUsers')) {
+        return false;
+    }
+    
     const users = stateManager.getUsers() || [];
     const user = users.find(u => u.id === userId);
     
@@ -238,6 +259,82 @@ export async function deleteUser(userId) {
     return true;
 }
 
+/**
+ * Change a user's role
+ * @param {string} userId - ID of the user
+ * @param {string|null} role - New role, or null to ask
+ * @returns {Promise<boolean>} True if the role was changed
+ */
+export async function changeUserRole(userId, role = null) {
+    if (!requirePermission('manageUsers')) {
+        return false;
+    }
+    
+    const users = stateManager.getUsers() || [];
+    const user = users.find(u => u.id === userId);
+    
+    if (!user) {
+        console.error('User not found:', userId);
+        showError('User not found');
+        return false;
+    }
+    
+    const newRole = role || await promptForRole(user.role, `Role for "${user.name}"`);
+    if (!newRole || newRole === user.role) {
+        return false;
+    }
+    if (!ROLES.includes(newRole)) {
+        showError(`Unknown role: ${newRole}`);
+        return false;
+    }
+    
+    // Someone must stay able to manage users
+    const adminCount = users.filter(u => u.role === 'Admin').length;
+    if (user.role === 'Admin' && adminCount === 1) {
+        showError('Cannot change the role of the only Admin. Make another user Admin first.');
+        return false;
+    }
+    
+    user.role = newRole;
+    stateManager.setUsers(users);
+    
+    console.log('Changed role:', user.name, newRole);
+    showSuccess(`${user.name} is now ${newRole === 'Admin' ? 'an' : 'a'} ${newRole}`);
+    
+    updateUserDisplay();
+    updateUserSelector();
+    scheduleAutoSave();
+    
+    return true;
+}
+
+/**
+ * Asks for a role with a numbered list
+ * @private
+ * @param {string} currentRole - Role offered as the default
+ * @param {string} heading - First line of the prompt
+ * @returns {Promise<string|null>} Chosen role, or null if cancelled
+ */
+async function promptForRole(currentRole, heading = 'Role') {
+    let message = `${heading}:\n\n`;
+    ROLES.forEach((role, index) => {
+        message += `${index + 1}. ${role}\n`;
+    });
+    message += `\nEnter number (1-${ROLES.length}) or 0 to cancel:`;
+    
+    const choice = await showPrompt(message, String(ROLES.indexOf(normalizeRole(currentRole)) + 1), 'Enter number');
+    if (!choice || choice === '0') {
+        return null;
+    }
+    
+    const role = ROLES[parseInt(choice, 10) - 1];
+    if (!role) {
+        showError('Invalid selection');
+        return null;
+    }
+    return role;
+}
+
 /**
  * Get current user info
  */
@@ -258,6 +355,20 @@ export function getCurrentUserInfo() {
     };
 }
 
+/**
+ * Gets the colour of a user recorded with a commit or comment, preferring
+ * their current colour if they still exist
+ * @param {Object|null} userInfo - Stored user information (from getCurrentUserInfo)
+ * @returns {string|null} CSS colour, or null if the user is unknown
+ */
+export function getUserColor(userInfo) {
+    if (!userInfo) {
+        return null;
+    }
+    const user = (stateManager.getUsers() || []).find(candidate => candidate.id === userInfo.id);
+    return user?.color || userInfo.color || null;
+}
+
 /**
  * Update the user display in the menu
  */
@@ -339,13 +450,18 @@ export function updateUserSelector() {
         });
     }
     
+    // Only users who may manage users see the add, role and delete buttons
+    const canManage = can('manageUsers');
+    
     // Build selector HTML
     let html = `
         <div class="user-selector-header">
             <span>Switch User</span>
-            <button id="add-user-btn" class="icon-btn" title="Add new user">
-                <span>➕</span>
-            </button>
+            ${canManage ? `
+                <button id="add-user-btn" class="icon-btn" title="Add new user">
+                    <span>➕</span>
+                </button>
+            ` : ''}
         </div>
         <div class="user-list">
     `;
@@ -361,7 +477,12 @@ export function updateUserSelector() {
                     <div class="user-list-name">${user.name}</div>
                     <div class="user-list-role">${user.role}</div>
                 </div>
-                ${!isActive && users.length > 1 ? `
+                ${canManage ? `
+                    <button class="user-role-btn" data-user-id="${user.id}" title="Change role">
+                        <span>🛡</span>
+                    </button>
+                ` : ''}
+                ${canManage && !isActive && users.length > 1 ? `
                     <button class="user-delete-btn" data-user-id="${user.id}" title="Delete user">
                         <span>🗑</span>
                     </button>
@@ -395,14 +516,22 @@ function attachUserSelectorListeners() {
     // User selection
     document.querySelectorAll('.user-list-item').forEach(item => {
         item.addEventListener('click', (e) => {
-            // Don't switch if clicking delete button
-            if (e.target.closest('.user-delete-btn')) return;
+            // Don't switch if clicking delete or role button
+            if (e.target.closest('.user-delete-btn, .user-role-btn')) return;
             
             const userId = item.getAttribute('data-user-id');
             switchUser(userId);
         });
     });
     
+    // Role changes
+    document.querySelectorAll('.user-role-btn').forEach(btn => {
+        btn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await changeUserRole(btn.getAttribute('data-user-id'));
+        });
+    });
+    
     // User deletion
     document.querySelectorAll('.user-delete-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -4,6 +4,29 @@
  */
 
 import * as jsonpatch from 'https://cdn.jsdelivr.net/npm/fast-json-patch@3.1.1/index.mjs';
+import { lcsAlign } from './version-diff.js';
+
+// A full copy of the state is stored on every Nth commit so that
+// reconstructing a version only replays patches since the nearest one
+const SNAPSHOT_INTERVAL = 10;
+
+// Key of the top-level section list when merging child lists
+const MERGE_ROOT_KEY = '__root__';
+
+// Node fields that follow from the node's position rather than its content
+const POSITION_FIELDS = ['id', 'parentId', 'children', 'order'];
+
+// Annotation stores that histories saved before `annotations` existed keep at the top level
+const LEGACY_ANNOTATION_KEYS = ['comments', 'locks', 'quizAttempts', 'acknowledgements', 'learningPaths', 'flashcardReviews'];
+
+// Review states of a commit. A commit is proposed when made and becomes a
+// release once a reviewer approves it. Commits made before reviews existed
+// have no review record.
+export const REVIEW_STATUS = {
+    proposed: 'proposed',
+    approved: 'approved',
+    rejected: 'rejected'
+};
 
 /**
  * Self-contained document structure with embedded version history
@@ -20,7 +43,13 @@ class VersionedDocument {
         this.pendingItems = []; // Track pending items as part of versioned state
         this.history = [];
         this.users = { users: [], currentUserId: null }; // User management data
+        this.annotations = {}; // Unversioned records shared by all branches, by store key (see getAnnotations)
         this.uncommittedChanges = false;
+        this.currentBranch = 'main';
+        // Inactive branches keep their own history; the active one lives in `history`
+        this.branches = {
+            main: { name: 'main', created: this.metadata.created, createdFrom: null }
+        };
     }
 }
 
@@ -29,6 +58,7 @@ let currentDocument = null;
 let workingCopy = null; // In-memory working copy (saved but not committed)
 let lastCommittedState = null; // Last committed state for comparison
 let hasUnsavedExport = false; // Tracks if there are changes since last export
+let blameCache = null; // Blame of the committed history, reused until it changes
 
 /**
  * Initializes a new versioned document
@@ -55,6 +85,7 @@ export function initializeVersionedDocument(documentName, initialData = [], init
     if (initialData.length > 0 || initialPending.length > 0) {
         const emptyState = { document: [], pendingItems: [] };
         const initialCommit = {
+            id: generateCommitId(),
             version: 0,
             timestamp: new Date().toISOString(),
             author: 'System',
@@ -69,6 +100,46 @@ export function initializeVersionedDocument(documentName, initialData = [], init
     return currentDocument;
 }
 
+/**
+ * Generates a permanent commit identifier. Branches copy the commits they
+ * share, so the id is what tells that two histories contain the same commit.
+ * @private
+ * @returns {string} Id such as "c-lq2x8k0c-8d3k2f"
+ */
+function generateCommitId() {
+    return `c-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Gives commits from before commit ids existed an id derived from their
+ * version and time, which copies of the same commit on other branches share
+ * @private
+ * @param {Object[]} history - Commit list
+ */
+function addMissingCommitIds(history) {
+    (history || []).forEach(commit => {
+        if (!commit.id) {
+            commit.id = `c-${commit.version}-${Date.parse(commit.timestamp) || 0}`;
+        }
+    });
+}
+
+/**
+ * Annotation stores of saved history data, including ones saved at the top level
+ * @private
+ * @param {Object} data - Exported history or versioned document
+ * @returns {Object} Stores by key
+ */
+function readAnnotations(data) {
+    const annotations = data.annotations && typeof data.annotations === 'object' ? { ...data.annotations } : {};
+    LEGACY_ANNOTATION_KEYS.forEach(key => {
+        if (data[key] !== undefined && annotations[key] === undefined) {
+            annotations[key] = data[key];
+        }
+    });
+    return annotations;
+}
+
 /**
  * Gets the current versioned document
  * @returns {VersionedDocument} The current document
@@ -134,26 +205,20 @@ export function commitChanges(commitMessage, author = 'User', userInfo = null) {
         const patch = jsonpatch.compare(lastCommittedState, workingCopy);
         
         // Add timestamp to each patch operation
-        // Use the lastEditTime from the node if available, otherwise use commit time
+        // Use the lastEditTime of the edited node if available, otherwise use commit time.
+        // Nodes are matched by uid, so an edit is dated correctly even after the node moved.
+        const editTimes = collectEditTimes(workingCopy.document || workingCopy);
         const timestampedPatch = patch.map(operation => {
             let operationTimestamp = new Date().toISOString();
             
-            // Try to extract the node from the path and use its lastEditTime if available
             try {
-                const pathParts = operation.path.split('/').filter(p => p);
-                if (pathParts.length > 0 && pathParts[0] !== 'pendingItems') {
-                    // Remove 'document' prefix if present
-                    const startIdx = pathParts[0] === 'document' ? 1 : 0;
-                    const nodeIndex = parseInt(pathParts[startIdx]);
-                    
-                    // Get the node from the working copy
-                    const docArray = workingCopy.document || workingCopy;
-                    if (Array.isArray(docArray) && docArray[nodeIndex]) {
-                        const node = docArray[nodeIndex];
-                        // Use the node's lastEditTime if it exists and is more recent
-                        if (node.lastEditTime) {
-                            operationTimestamp = node.lastEditTime;
-                        }
+                if (!operation.path.startsWith('/pendingItems')) {
+                    // Removed nodes only exist in the last committed state
+                    const sourceState = operation.op === 'remove' ? lastCommittedState : workingCopy;
+                    const node = findNodeAtPatchPath(sourceState, operation.path);
+                    const editTime = node && (node.uid ? editTimes.get(node.uid) : node.lastEditTime);
+                    if (editTime) {
+                        operationTimestamp = editTime;
                     }
                 }
             } catch (e) {
@@ -169,15 +234,26 @@ export function commitChanges(commitMessage, author = 'User', userInfo = null) {
 
         // Create commit entry with user info
         const commit = {
+            id: generateCommitId(),
             version: currentDocument.metadata.currentVersion + 1,
             timestamp: new Date().toISOString(),
             author: author,
             userInfo: userInfo, // Include full user information
             message: commitMessage,
             patch: timestampedPatch,
-            nodeCount: countNodes(workingCopy)
+            nodeCount: countNodes(workingCopy),
+            review: { status: REVIEW_STATUS.proposed }
         };
 
+        if (commit.version % SNAPSHOT_INTERVAL === 0) {
+            commit.snapshot = JSON.parse(JSON.stringify(workingCopy));
+        }
+
+        // Until something is released, users sign the latest commit, so it can make signatures stale
+        if (getLatestReleasedVersion() === null) {
+            flagStaleAcknowledgements(workingCopy, commit);
+        }
+
         // Add to history
         currentDocument.history.push(commit);
         currentDocument.metadata.currentVersion = commit.version;
@@ -212,6 +288,163 @@ export function getVersionHistory() {
     return currentDocument.history;
 }
 
+/**
+ * Gets one of the current document's annotation stores: records kept with the
+ * version history but not versioned, so every branch and version sees the same
+ * ones - comment threads ('comments'), section locks ('locks'), quiz attempts
+ * ('quizAttempts'), read-and-sign records ('acknowledgements'), learning paths
+ * ('learningPaths') and flashcard reviews ('flashcardReviews').
+ * @param {string} key - Store key
+ * @param {Array|Object} emptyValue - Value the store starts with: [] for a list, {} for a map
+ * @returns {Array|Object} The store (modify in place, then persist the history)
+ */
+export function getAnnotations(key, emptyValue = []) {
+    if (!currentDocument) {
+        return emptyValue;
+    }
+    if (!currentDocument.annotations || typeof currentDocument.annotations !== 'object') {
+        currentDocument.annotations = {};
+    }
+    const store = currentDocument.annotations[key];
+    const valid = Array.isArray(emptyValue)
+        ? Array.isArray(store)
+        : Boolean(store) && typeof store === 'object' && !Array.isArray(store);
+    if (!valid) {
+        currentDocument.annotations[key] = emptyValue;
+    }
+    return currentDocument.annotations[key];
+}
+
+/**
+ * Whether the readable text of a section (title or paragraphs) differs between two states
+ * @param {Object|null} before - Section in the earlier state
+ * @param {Object|null} after - Section in the later state
+ * @returns {boolean} True if a reader would see a difference
+ */
+export function isSectionTextChanged(before, after) {
+    if (!before || !after) {
+        return before !== after;
+    }
+    return before.name !== after.name ||
+        JSON.stringify(before.content || []) !== JSON.stringify(after.content || []);
+}
+
+/**
+ * Marks acknowledgements stale for the sections whose text differs in a new
+ * version users sign from the version each signature was given at.
+ * Sections the new version removes are left alone: they are no longer read.
+ * @private
+ * @param {Object|Object[]} nextState - State of the version users now sign
+ * @param {Object} commit - Commit of that version
+ */
+function flagStaleAcknowledgements(nextState, commit) {
+    const acknowledgements = getAnnotations('acknowledgements').filter(acknowledgement => !acknowledgement.stale);
+    if (acknowledgements.length === 0) {
+        return;
+    }
+
+    const next = indexBlameNodes((nextState && nextState.document) || nextState || []);
+    const signedStates = new Map();
+    const signedAt = version => {
+        if (!signedStates.has(version)) {
+            // Signatures from another branch may name a version this branch does not have
+            signedStates.set(version, version <= currentDocument.metadata.currentVersion
+                ? indexBlameNodes(getDocumentAtVersion(version) || [])
+                : null);
+        }
+        return signedStates.get(version);
+    };
+
+    acknowledgements.forEach(acknowledgement => {
+        const after = next.byUid.get(acknowledgement.nodeUid);
+        const signed = after && signedAt(acknowledgement.version);
+        if (signed && isSectionTextChanged(signed.byUid.get(acknowledgement.nodeUid) || null, after)) {
+            acknowledgement.stale = {
+                version: commit.version,
+                author: commit.author,
+                timestamp: commit.timestamp
+            };
+        }
+    });
+}
+
+/**
+ * Records a reviewer's decision on a proposed commit
+ * @param {number} version - Version to review
+ * @param {boolean} approved - True to approve (release), false to reject
+ * @param {string} comments - Reviewer's comments
+ * @param {string} reviewer - Reviewer's name
+ * @param {Object} reviewerInfo - Full reviewer information
+ * @returns {Object} Result with the new status
+ */
+export function reviewCommit(version, approved, comments = '', reviewer = 'User', reviewerInfo = null) {
+    if (!currentDocument) {
+        throw new Error('No document initialized');
+    }
+
+    const commit = currentDocument.history.find(entry => entry.version === version);
+    if (!commit) {
+        throw new Error(`Invalid version: ${version}`);
+    }
+
+    if (getReviewStatus(commit) !== REVIEW_STATUS.proposed) {
+        return {
+            success: false,
+            message: `Version ${version} is not awaiting review`
+        };
+    }
+
+    commit.review = {
+        status: approved ? REVIEW_STATUS.approved : REVIEW_STATUS.rejected,
+        reviewer,
+        reviewerInfo,
+        comments: comments.trim(),
+        reviewedAt: new Date().toISOString()
+    };
+    currentDocument.metadata.lastModified = commit.review.reviewedAt;
+
+    // A new latest release is what users sign from now on
+    if (approved && getLatestReleasedVersion() === version) {
+        flagStaleAcknowledgements(getDocumentAtVersion(version), commit);
+    }
+
+    console.log(`Version ${version} ${commit.review.status} by ${reviewer}`);
+
+    return {
+        success: true,
+        version,
+        status: commit.review.status
+    };
+}
+
+/**
+ * Gets the review state of a commit
+ * @param {Object} commit - Entry from getVersionHistory()
+ * @returns {string|null} A REVIEW_STATUS value, or null if the commit was never put up for review
+ */
+export function getReviewStatus(commit) {
+    return commit && commit.review ? commit.review.status : null;
+}
+
+/**
+ * Whether a version has been approved for release
+ * @param {number} version - Version number
+ * @returns {boolean} True if released
+ */
+export function isVersionReleased(version) {
+    const commit = getVersionHistory().find(entry => entry.version === version);
+    return getReviewStatus(commit) === REVIEW_STATUS.approved;
+}
+
+/**
+ * Gets the newest released version on the current branch
+ * @returns {number|null} Version number, or null if nothing has been released
+ */
+export function getLatestReleasedVersion() {
+    const released = getVersionHistory().filter(commit => getReviewStatus(commit) === REVIEW_STATUS.approved);
+    return released.length > 0 ? released[released.length - 1].version : null;
+}
+
 /**
  * Gets a specific version of the document
  * @param {number} version - Version number to retrieve
@@ -227,43 +460,15 @@ export function getDocumentAtVersion(version) {
     }
 
     try {
-        // Determine if we're using the new format (object with document/pendingItems)
-        // by checking the first patch
-        const firstCommit = currentDocument.history[0];
-        const usesNewFormat = firstCommit && firstCommit.patch && firstCommit.patch.length > 0 &&
-            firstCommit.patch.some(op => op.path && (op.path.startsWith('/document') || op.path.startsWith('/pendingItems')));
-        
-        // Start from appropriate empty state
-        let documentState = usesNewFormat ? { document: [], pendingItems: [] } : [];
-        
-        // Apply patches from version 0 up to and including target version
-        for (let i = 0; i <= version; i++) {
-            const commit = currentDocument.history[i];
-            if (commit && commit.patch && commit.patch.length > 0) {
-                try {
-                    const result = jsonpatch.applyPatch(
-                        documentState,
-                        commit.patch,
-                        false, // validate - set to false for performance
-                        true   // mutate document
-                    );
-                    documentState = result.newDocument;
-                } catch (patchError) {
-                    console.error(`Error applying patch for version ${i}:`, patchError);
-                    console.error('Patch:', commit.patch);
-                    console.error('Current state:', JSON.stringify(documentState, null, 2));
-                    throw patchError;
-                }
-            }
-        }
+        const { state, usesNewFormat } = replayHistory(currentDocument.history, version);
 
         // For backward compatibility, return just the document array if old format
-        if (!usesNewFormat && Array.isArray(documentState)) {
-            return documentState;
+        if (!usesNewFormat && Array.isArray(state)) {
+            return state;
         }
         
         // Return document array from new format, or the array itself for old format
-        return usesNewFormat ? documentState.document : documentState;
+        return usesNewFormat ? state.document : state;
 
     } catch (error) {
         console.error(`Error reconstructing version ${version}:`, error);
@@ -271,6 +476,111 @@ export function getDocumentAtVersion(version) {
     }
 }
 
+/**
+ * Replays a commit history up to and including a version, starting
+ * from the nearest snapshot at or below it
+ * @private
+ * @param {Object[]} history - Commit list to replay
+ * @param {number} version - Last version to apply
+ * @returns {{state: Object|Object[], usesNewFormat: boolean}} Reconstructed state
+ */
+function replayHistory(history, version) {
+    const usesNewFormat = usesNewStateFormat(history);
+    
+    // Start from appropriate empty state
+    let documentState = usesNewFormat ? { document: [], pendingItems: [] } : [];
+    let startIndex = 0;
+
+    // Jump ahead to the closest checkpoint
+    for (let i = Math.min(version, history.length - 1); i > 0; i--) {
+        if (history[i] && history[i].snapshot) {
+            documentState = jsonpatch.deepClone(history[i].snapshot);
+            startIndex = i + 1;
+            break;
+        }
+    }
+    
+    // Apply the remaining patches up to and including target version
+    for (let i = startIndex; i <= version; i++) {
+        const commit = history[i];
+        if (commit && commit.patch && commit.patch.length > 0) {
+            try {
+                // Clone the patch so applied values don't alias (and later mutate) the history
+                const result = jsonpatch.applyPatch(
+                    documentState,
+                    jsonpatch.deepClone(commit.patch),
+                    false, // validate - set to false for performance
+                    true   // mutate document
+                );
+                documentState = result.newDocument;
+            } catch (patchError) {
+                console.error(`Error applying patch for version ${i}:`, patchError);
+                console.error('Patch:', commit.patch);
+                console.error('Current state:', JSON.stringify(documentState, null, 2));
+                throw patchError;
+            }
+        }
+    }
+
+    return { state: documentState, usesNewFormat };
+}
+
+/**
+ * Determines if a history uses the new format (object with document/pendingItems)
+ * by checking the first patch
+ * @private
+ * @param {Object[]} history - Commit list
+ * @returns {boolean} True for the new format, false for bare document arrays
+ */
+function usesNewStateFormat(history) {
+    const firstCommit = history[0];
+    return Boolean(firstCommit && firstCommit.patch && firstCommit.patch.length > 0 &&
+        firstCommit.patch.some(op => op.path && (op.path.startsWith('/document') || op.path.startsWith('/pendingItems'))));
+}
+
+/**
+ * Adds snapshot checkpoints to a history that was saved without them
+ * (exports from before checkpoints existed). Existing snapshots are kept.
+ * @private
+ * @param {Object[]} history - Commit list to migrate in place
+ * @returns {number} Number of checkpoints added
+ */
+function addMissingSnapshots(history) {
+    if (!Array.isArray(history) || history.length <= SNAPSHOT_INTERVAL) {
+        return 0;
+    }
+
+    let added = 0;
+    for (let i = SNAPSHOT_INTERVAL; i < history.length; i += SNAPSHOT_INTERVAL) {
+        const commit = history[i];
+        if (commit && !commit.snapshot) {
+            // Each replay starts from the previous checkpoint, so this stays linear
+            commit.snapshot = replayHistory(history, i).state;
+            added++;
+        }
+    }
+    return added;
+}
+
+/**
+ * Adds missing snapshot checkpoints to every branch of the current document
+ * @private
+ */
+function migrateSnapshots() {
+    if (!currentDocument) {
+        return;
+    }
+
+    let added = addMissingSnapshots(currentDocument.history);
+    Object.values(currentDocument.branches || {}).forEach(branch => {
+        added += addMissingSnapshots(branch.history);
+    });
+
+    if (added > 0) {
+        console.log(`Added ${added} snapshot checkpoint(s) to version history`);
+    }
+}
+
 /**
  * Reverts to a specific version
  * @param {number} targetVersion - Version to revert to
@@ -340,6 +650,12 @@ export function importVersionedDocument(jsonString) {
         }
 
         currentDocument = imported;
+        currentDocument.annotations = readAnnotations(imported);
+        LEGACY_ANNOTATION_KEYS.forEach(key => delete currentDocument[key]);
+        ensureBranches();
+        migrateSnapshots();
+        addMissingCommitIds(currentDocument.history);
+        Object.values(currentDocument.branches).forEach(branch => addMissingCommitIds(branch.history));
         workingCopy = JSON.parse(JSON.stringify(imported.document));
         
         // Reconstruct last committed state
@@ -442,10 +758,58 @@ function countNodes(nodes) {
     return count;
 }
 
+/**
+ * Maps each node uid in a document tree to its lastEditTime
+ * @private
+ * @param {Object[]} nodes - Plain document nodes
+ * @param {Map} editTimes - Map being filled
+ * @returns {Map} uid -> lastEditTime
+ */
+function collectEditTimes(nodes, editTimes = new Map()) {
+    if (!Array.isArray(nodes)) return editTimes;
+    nodes.forEach(node => {
+        if (node.uid && node.lastEditTime) {
+            editTimes.set(node.uid, node.lastEditTime);
+        }
+        collectEditTimes(node.children, editTimes);
+    });
+    return editTimes;
+}
+
+/**
+ * Finds the deepest node a JSON Patch path points into, e.g. /document/0/children/2/content/1
+ * @private
+ * @param {Object|Object[]} state - Complete state or bare document array
+ * @param {string} path - JSON Patch path
+ * @returns {Object|null} The node, or null if the path does not reach one
+ */
+function findNodeAtPatchPath(state, path) {
+    const parts = path.split('/').filter(p => p);
+    let list = Array.isArray(state) ? state : null;
+    let node = null;
+    let i = 0;
+
+    if (!list && parts[0] === 'document') {
+        list = state.document;
+        i = 1;
+    }
+
+    while (Array.isArray(list) && i < parts.length) {
+        const next = list[parseInt(parts[i], 10)];
+        if (!next) break;
+        node = next;
+        if (parts[i + 1] !== 'children') break;
+        list = node.children;
+        i += 2;
+    }
+
+    return node;
+}
+
 /**
  * Gets changes between two versions
  * @param {number} fromVersion - Starting version
- * @param {number} toVersion - Ending version
+ * @param {number|null} toVersion - Ending version, or null for the working copy
  * @returns {Object} Change summary
  */
 export function getChangesBetweenVersions(fromVersion, toVersion) {
@@ -455,7 +819,9 @@ export function getChangesBetweenVersions(fromVersion, toVersion) {
 
     try {
         const fromState = getDocumentAtVersion(fromVersion);
-        const toState = getDocumentAtVersion(toVersion);
+        const toState = toVersion === null
+            ? jsonpatch.deepClone(workingCopy.document || workingCopy)
+            : getDocumentAtVersion(toVersion);
 
         const changes = jsonpatch.compare(fromState, toState);
 
@@ -472,6 +838,205 @@ export function getChangesBetweenVersions(fromVersion, toVersion) {
     }
 }
 
+/**
+ * Works out which commit last changed each section and paragraph by walking
+ * the patch history of the current branch. Uncommitted differences between
+ * the last commit and the working document are reported with version null.
+ * @param {Object[]|null} workingDocument - Current document tree (defaults to the saved working copy)
+ * @returns {{sections: Map<string, Object>, paragraphs: Map<string, Object[]>}} Blame keyed by
+ *   node uid (`#<id>` for nodes without one). Entries are {version, author, userInfo, message, timestamp};
+ *   `paragraphs` holds one entry (or null if unknown) per content item.
+ */
+export function getBlame(workingDocument = null) {
+    if (!currentDocument) {
+        throw new Error('No document initialized');
+    }
+
+    const history = currentDocument.history;
+    if (!blameCache || blameCache.history !== history || blameCache.length !== history.length) {
+        blameCache = { history, length: history.length, ...walkBlameHistory(history) };
+    }
+
+    const blame = {
+        sections: new Map(blameCache.sections),
+        paragraphs: new Map(blameCache.paragraphs)
+    };
+
+    const current = workingDocument || (workingCopy && (workingCopy.document || workingCopy)) || [];
+    const committed = blameCache.state.document || blameCache.state;
+    const uncommitted = {
+        version: null,
+        author: null,
+        userInfo: null,
+        message: 'Uncommitted changes',
+        timestamp: null
+    };
+
+    // Every node is compared; only real differences are attributed to the working copy
+    const previous = indexBlameNodes(committed);
+    forEachNode(current, node => {
+        blameNode(node, findCounterpartNode(previous, node), {
+            ...uncommitted,
+            timestamp: node.lastEditTime || new Date().toISOString()
+        }, blame);
+    });
+
+    return blame;
+}
+
+/**
+ * Replays a commit history, attributing each section and paragraph the patches touch
+ * @private
+ * @param {Object[]} history - Commit list
+ * @returns {{sections: Map, paragraphs: Map, state: Object|Object[]}} Blame and the final state
+ */
+function walkBlameHistory(history) {
+    const blame = { sections: new Map(), paragraphs: new Map() };
+    let state = usesNewStateFormat(history) ? { document: [], pendingItems: [] } : [];
+
+    history.forEach(commit => {
+        if (!commit.patch || commit.patch.length === 0) {
+            return;
+        }
+
+        const nextState = jsonpatch.applyPatch(
+            jsonpatch.deepClone(state),
+            jsonpatch.deepClone(commit.patch),
+            false,
+            true
+        ).newDocument;
+
+        const entry = {
+            version: commit.version,
+            author: commit.userInfo?.name || commit.author || 'Unknown',
+            userInfo: commit.userInfo || null,
+            message: commit.message || '',
+            timestamp: commit.timestamp
+        };
+
+        // Paths are positional, so look each op up on both sides and follow the node by uid
+        const previous = indexBlameNodes(state.document || state);
+        const next = indexBlameNodes(nextState.document || nextState);
+        const touched = new Map();
+        commit.patch.forEach(operation => {
+            if (!operation.path || operation.path.startsWith('/pendingItems')) {
+                return;
+            }
+            [findNodeAtPatchPath(nextState, operation.path), findNodeAtPatchPath(state, operation.path)]
+                .filter(Boolean)
+                .map(node => findCounterpartNode(next, node))
+                .filter(node => node && !touched.has(node))
+                .forEach(node => touched.set(node, operation.timestamp || commit.timestamp));
+        });
+
+        // Whole subtrees can be added or moved by one op, so check descendants as well
+        touched.forEach((timestamp, touchedNode) => {
+            forEachNode([touchedNode], node => {
+                blameNode(node, findCounterpartNode(previous, node), {
+                    ...entry,
+                    timestamp: node === touchedNode ? timestamp : commit.timestamp
+                }, blame);
+            });
+        });
+
+        state = nextState;
+    });
+
+    return { ...blame, state };
+}
+
+/**
+ * Attributes a node's changes since its previous state to a blame entry.
+ * Paragraphs whose text is unchanged keep their blame, even if they moved.
+ * @private
+ * @param {Object} node - Node in its new state
+ * @param {Object|null} previousNode - Same node in its previous state, or null if it is new
+ * @param {Object} entry - Blame entry for this change
+ * @param {{sections: Map, paragraphs: Map}} blame - Blame being built
+ */
+function blameNode(node, previousNode, entry, blame) {
+    const key = getBlameKey(node);
+    const previousKey = previousNode ? getBlameKey(previousNode) : null;
+    const content = Array.isArray(node.content) ? node.content : [];
+    const previousContent = previousNode && Array.isArray(previousNode.content) ? previousNode.content : [];
+    const previousBlame = (previousKey && blame.paragraphs.get(previousKey)) || [];
+
+    let changed = !previousNode || previousNode.name !== node.name || previousContent.length !== content.length;
+    const used = new Set();
+    const paragraphs = content.map((text, index) => {
+        let match = previousContent[index] === text && !used.has(index) ? index : -1;
+        if (match === -1) {
+            match = previousContent.findIndex((previousText, i) => previousText === text && !used.has(i));
+            changed = true;
+        }
+        if (match === -1) {
+            return entry;
+        }
+        used.add(match);
+        return previousBlame[match] || null;
+    });
+
+    blame.paragraphs.set(key, paragraphs);
+    if (changed) {
+        blame.sections.set(key, entry);
+    } else if (previousKey !== key && blame.sections.has(previousKey)) {
+        blame.sections.set(key, blame.sections.get(previousKey));
+    }
+}
+
+/**
+ * Key a node's blame is stored under in getBlame()
+ * @param {Object} node - Document node
+ * @returns {string} The uid, or `#<id>` for nodes from before uids existed
+ */
+export function getBlameKey(node) {
+    return node.uid || `#${node.id}`;
+}
+
+/**
+ * Indexes a document tree by uid, and by ID for nodes without a uid
+ * @private
+ * @param {Object[]} nodes - Document nodes
+ * @returns {{byUid: Map, byId: Map}} Node lookups
+ */
+function indexBlameNodes(nodes) {
+    const index = { byUid: new Map(), byId: new Map() };
+    forEachNode(nodes, node => {
+        if (node.uid) {
+            index.byUid.set(node.uid, node);
+        } else {
+            index.byId.set(node.id, node);
+        }
+    });
+    return index;
+}
+
+/**
+ * Finds a node's counterpart in another state: by uid, falling back to the
+ * positional ID for states saved before nodes had uids
+ * @private
+ * @param {{byUid: Map, byId: Map}} index - Lookups from indexBlameNodes()
+ * @param {Object} node - Node to look for
+ * @returns {Object|null} The counterpart, or null if there is none
+ */
+function findCounterpartNode(index, node) {
+    return (node.uid && index.byUid.get(node.uid)) || index.byId.get(node.id) || null;
+}
+
+/**
+ * Calls a function for every node of a document tree, parents first
+ * @private
+ * @param {Object[]} nodes - Document nodes
+ * @param {Function} callback - Called with each node
+ */
+function forEachNode(nodes, callback) {
+    if (!Array.isArray(nodes)) return;
+    nodes.forEach(node => {
+        callback(node);
+        forEachNode(node.children, callback);
+    });
+}
+
 /**
  * Creates a default filename for export
  * @returns {string} Formatted filename
@@ -505,7 +1070,10 @@ export function exportVersionHistory() {
         history: currentDocument.history,
         workingCopy: workingCopy,
         lastCommittedState: lastCommittedState,
-        uncommittedChanges: currentDocument.uncommittedChanges
+        uncommittedChanges: currentDocument.uncommittedChanges,
+        currentBranch: currentDocument.currentBranch,
+        branches: currentDocument.branches,
+        annotations: currentDocument.annotations || {}
     };
 }
 
@@ -526,6 +1094,15 @@ export function importVersionHistory(historyData) {
         currentDocument.document = historyData.document || [];
         currentDocument.history = historyData.history || [];
         currentDocument.uncommittedChanges = historyData.uncommittedChanges || false;
+        currentDocument.annotations = readAnnotations(historyData);
+        if (historyData.branches) {
+            currentDocument.currentBranch = historyData.currentBranch || 'main';
+            currentDocument.branches = historyData.branches;
+        }
+        ensureBranches();
+        migrateSnapshots();
+        addMissingCommitIds(currentDocument.history);
+        Object.values(currentDocument.branches).forEach(branch => addMissingCommitIds(branch.history));
         
         // Restore working copy and last committed state
         workingCopy = historyData.workingCopy ? JSON.parse(JSON.stringify(historyData.workingCopy)) : [];
@@ -561,3 +1138,682 @@ export function clearUnsavedExport() {
 export function hasUnsavedChanges() {
     return hasUnsavedExport || (currentDocument && currentDocument.uncommittedChanges);
 }
+
+// =========================================================================
+// BRANCHING AND MERGING
+// =========================================================================
+
+/**
+ * Makes sure the current document carries branch metadata
+ * (documents created before branching existed only have `history`)
+ * @private
+ */
+function ensureBranches() {
+    if (!currentDocument) {
+        return;
+    }
+
+    if (!currentDocument.currentBranch) {
+        currentDocument.currentBranch = 'main';
+    }
+
+    if (!currentDocument.branches || typeof currentDocument.branches !== 'object') {
+        currentDocument.branches = {};
+    }
+
+    if (!currentDocument.branches[currentDocument.currentBranch]) {
+        currentDocument.branches[currentDocument.currentBranch] = {
+            name: currentDocument.currentBranch,
+            created: currentDocument.metadata.created,
+            createdFrom: null
+        };
+    }
+}
+
+/**
+ * Gets the commit list of a branch
+ * @private
+ * @param {string} branchName - Branch name
+ * @returns {Object[]} Commit history of the branch
+ */
+function getBranchHistory(branchName) {
+    if (branchName === currentDocument.currentBranch) {
+        return currentDocument.history;
+    }
+    return currentDocument.branches[branchName].history || [];
+}
+
+/**
+ * Gets the head version of a branch
+ * @private
+ * @param {string} branchName - Branch name
+ * @returns {number} Head version number
+ */
+function getBranchVersion(branchName) {
+    if (branchName === currentDocument.currentBranch) {
+        return currentDocument.metadata.currentVersion;
+    }
+    return currentDocument.branches[branchName].currentVersion || 0;
+}
+
+/**
+ * Validates that a branch exists
+ * @private
+ * @param {string} branchName - Branch name
+ * @throws {Error} If the branch does not exist
+ */
+function assertBranchExists(branchName) {
+    if (!currentDocument.branches[branchName]) {
+        throw new Error(`Branch "${branchName}" does not exist`);
+    }
+}
+
+/**
+ * Gets the name of the active branch
+ * @returns {string|null} Active branch name
+ */
+export function getCurrentBranch() {
+    if (!currentDocument) {
+        return null;
+    }
+    ensureBranches();
+    return currentDocument.currentBranch;
+}
+
+/**
+ * Lists all branches of the current document
+ * @returns {Object[]} Branch summaries
+ */
+export function listBranches() {
+    if (!currentDocument) {
+        return [];
+    }
+    ensureBranches();
+
+    return Object.values(currentDocument.branches).map(branch => ({
+        name: branch.name,
+        created: branch.created,
+        createdFrom: branch.createdFrom,
+        currentVersion: getBranchVersion(branch.name),
+        isCurrent: branch.name === currentDocument.currentBranch
+    }));
+}
+
+/**
+ * Creates a new branch from a commit of the active branch
+ * @param {string} branchName - Name of the new branch
+ * @param {number} fromVersion - Version to branch from (defaults to the head)
+ * @returns {Object} Creation result
+ */
+export function createBranch(branchName, fromVersion = null) {
+    if (!currentDocument) {
+        throw new Error('No document initialized');
+    }
+    ensureBranches();
+
+    const name = (branchName || '').trim();
+    if (!name || !/^[\w.-]+$/.test(name)) {
+        throw new Error('Branch names may only contain letters, numbers, ".", "_" and "-"');
+    }
+
+    if (currentDocument.branches[name]) {
+        throw new Error(`Branch "${name}" already exists`);
+    }
+
+    const version = fromVersion === null ? currentDocument.metadata.currentVersion : fromVersion;
+    if (version < 0 || version > currentDocument.metadata.currentVersion) {
+        throw new Error(`Invalid version: ${version}`);
+    }
+
+    // The new branch shares all commits up to the fork point
+    currentDocument.branches[name] = {
+        name: name,
+        created: new Date().toISOString(),
+        createdFrom: { branch: currentDocument.currentBranch, version: version },
+        currentVersion: version,
+        history: JSON.parse(JSON.stringify(currentDocument.history.slice(0, version + 1)))
+    };
+    currentDocument.metadata.lastModified = new Date().toISOString();
+
+    console.log(`Created branch ${name} from ${currentDocument.currentBranch} v${version}`);
+
+    return {
+        success: true,
+        branch: name,
+        version: version
+    };
+}
+
+/**
+ * Switches the working copy to another branch
+ * @param {string} branchName - Branch to switch to
+ * @param {boolean} discardChanges - Drop uncommitted changes instead of failing
+ * @returns {Object} Switch result including the branch's document state
+ */
+export function switchBranch(branchName, discardChanges = false) {
+    if (!currentDocument) {
+        throw new Error('No document initialized');
+    }
+    ensureBranches();
+    assertBranchExists(branchName);
+
+    if (branchName === currentDocument.currentBranch) {
+        return { success: false, message: `Already on branch ${branchName}` };
+    }
+
+    if (currentDocument.uncommittedChanges && !discardChanges) {
+        throw new Error('Commit or discard your changes before switching branches');
+    }
+
+    // Park the active branch
+    const previous = currentDocument.branches[currentDocument.currentBranch];
+    previous.history = currentDocument.history;
+    previous.currentVersion = currentDocument.metadata.currentVersion;
+
+    // Bring the target branch into the working slots
+    const target = currentDocument.branches[branchName];
+    currentDocument.history = target.history || [];
+    currentDocument.metadata.currentVersion = target.currentVersion || 0;
+    currentDocument.currentBranch = branchName;
+    delete target.history;
+    delete target.currentVersion;
+
+    const { state } = replayHistory(currentDocument.history, currentDocument.metadata.currentVersion);
+    const documentState = Array.isArray(state) ? state : state.document;
+    const pendingItems = Array.isArray(state) ? (currentDocument.pendingItems || []) : state.pendingItems;
+
+    workingCopy = JSON.parse(JSON.stringify(state));
+    lastCommittedState = JSON.parse(JSON.stringify(state));
+    currentDocument.document = JSON.parse(JSON.stringify(documentState));
+    currentDocument.pendingItems = JSON.parse(JSON.stringify(pendingItems));
+    currentDocument.uncommittedChanges = false;
+    currentDocument.metadata.lastModified = new Date().toISOString();
+
+    console.log(`Switched to branch ${branchName} at v${currentDocument.metadata.currentVersion}`);
+
+    return {
+        success: true,
+        branch: branchName,
+        version: currentDocument.metadata.currentVersion,
+        document: currentDocument.document,
+        pendingItems: currentDocument.pendingItems
+    };
+}
+
+/**
+ * Deletes a branch that is not currently checked out
+ * @param {string} branchName - Branch to delete
+ * @returns {Object} Deletion result
+ */
+export function deleteBranch(branchName) {
+    if (!currentDocument) {
+        throw new Error('No document initialized');
+    }
+    ensureBranches();
+    assertBranchExists(branchName);
+
+    if (branchName === currentDocument.currentBranch) {
+        throw new Error('Cannot delete the branch you are on');
+    }
+
+    if (branchName === 'main') {
+        throw new Error('The main branch cannot be deleted');
+    }
+
+    delete currentDocument.branches[branchName];
+    currentDocument.metadata.lastModified = new Date().toISOString();
+
+    return { success: true, branch: branchName };
+}
+
+/**
+ * Finds the common ancestor state of the active branch and a source branch
+ * @private
+ * @param {string} sourceBranch - Branch being merged in
+ * @returns {Object|Object[]} Base state for the three-way merge
+ */
+function findMergeBase(sourceBranch) {
+    const ourHistory = currentDocument.history;
+    const theirHistory = getBranchHistory(sourceBranch);
+
+    // A previous merge from the same branch is the most recent common point
+    for (let i = ourHistory.length - 1; i >= 0; i--) {
+        const mergeSource = ourHistory[i] && ourHistory[i].mergeSource;
+        if (!mergeSource || mergeSource.branch !== sourceBranch) {
+            continue;
+        }
+        // Merges recorded before commit ids existed only know the version
+        const merged = mergeSource.commitId
+            ? theirHistory.find(commit => commit.id === mergeSource.commitId)
+            : theirHistory[mergeSource.version];
+        if (merged) {
+            return replayHistory(theirHistory, merged.version).state;
+        }
+    }
+
+    // Otherwise use the last commit both histories share (the fork point)
+    let forkVersion = -1;
+    while (
+        forkVersion + 1 < ourHistory.length &&
+        forkVersion + 1 < theirHistory.length &&
+        ourHistory[forkVersion + 1].id === theirHistory[forkVersion + 1].id
+    ) {
+        forkVersion++;
+    }
+
+    if (forkVersion < 0) {
+        return Array.isArray(lastCommittedState) ? [] : { document: [], pendingItems: [] };
+    }
+    return replayHistory(ourHistory, forkVersion).state;
+}
+
+/**
+ * Indexes a tree for merging: node fields and child lists by node key (see getBlameKey())
+ * @private
+ * @param {Object[]} nodes - Document nodes
+ * @returns {{nodes: Map, children: Map}} nodes: key -> node; children: key (or MERGE_ROOT_KEY) -> child keys
+ */
+function indexMergeTree(nodes) {
+    const index = { nodes: new Map(), children: new Map() };
+    const visit = (list, parentKey) => {
+        index.children.set(parentKey, list.map(getBlameKey));
+        list.forEach(node => {
+            index.nodes.set(getBlameKey(node), node);
+            visit(node.children || [], getBlameKey(node));
+        });
+    };
+    visit(nodes || [], MERGE_ROOT_KEY);
+    return index;
+}
+
+/**
+ * A node's content fields, without its position and subsections
+ * @private
+ */
+function nodeFields(node) {
+    const fields = {};
+    Object.keys(node).filter(field => !POSITION_FIELDS.includes(field)).forEach(field => {
+        fields[field] = node[field];
+    });
+    return fields;
+}
+
+/**
+ * Whether two values hold the same data
+ * @private
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merges the paragraphs of a section that both branches edited.
+ * Each branch is aligned with the base by longest common subsequence; the
+ * merge fails where both insert different paragraphs at the same place.
+ * @private
+ * @param {string[]} base - Paragraphs at the merge base
+ * @param {string[]} ours - Paragraphs on the active branch
+ * @param {string[]} theirs - Paragraphs on the branch being merged in
+ * @returns {string[]|null} Merged paragraphs, or null if the edits overlap
+ */
+function mergeParagraphs(base, ours, theirs) {
+    const sides = [ours, theirs].map(side => {
+        const kept = new Set();
+        const inserted = Array.from({ length: base.length + 1 }, () => []);
+        let gap = 0;
+        lcsAlign(base, side).forEach(step => {
+            if (step.type === 'added') {
+                inserted[gap].push(step.newValue);
+                return;
+            }
+            if (step.type === 'equal') {
+                kept.add(step.oldIndex);
+            }
+            gap = step.oldIndex + 1;
+        });
+        return { kept, inserted };
+    });
+
+    const merged = [];
+    for (let i = 0; i <= base.length; i++) {
+        const [ourInserts, theirInserts] = sides.map(side => side.inserted[i]);
+        if (ourInserts.length > 0 && theirInserts.length > 0 && !isSameValue(ourInserts, theirInserts)) {
+            return null;
+        }
+        merged.push(...(ourInserts.length > 0 ? ourInserts : theirInserts));
+
+        // A paragraph either branch removed or rewrote is dropped
+        if (i < base.length && sides.every(side => side.kept.has(i))) {
+            merged.push(base[i]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Three-way merges a list of child keys. Children either branch removed are
+ * dropped and children the other branch added are placed after the sibling
+ * they follow there.
+ * @private
+ * @param {string[]} base - Keys at the merge base
+ * @param {string[]} ours - Keys on the active branch
+ * @param {string[]} theirs - Keys on the branch being merged in
+ * @returns {string[]} Merged keys
+ */
+function mergeChildLists(base, ours, theirs) {
+    if (isSameValue(theirs, base) || isSameValue(ours, theirs)) {
+        return [...ours];
+    }
+    if (isSameValue(ours, base)) {
+        return [...theirs];
+    }
+
+    const merged = ours.filter(key => !base.includes(key) || theirs.includes(key));
+    theirs.forEach((key, index) => {
+        if (base.includes(key) || merged.includes(key)) {
+            return;
+        }
+        let position = 0;
+        for (let i = index - 1; i >= 0; i--) {
+            if (merged.includes(theirs[i])) {
+                position = merged.indexOf(theirs[i]) + 1;
+                break;
+            }
+        }
+        merged.splice(position, 0, key);
+    });
+    return merged;
+}
+
+/**
+ * Merges pending item lists: items either branch removed are dropped, items either branch added are kept
+ * @private
+ */
+function mergePendingLists(base, ours, theirs) {
+    const key = item => item.uid || item.id;
+    const baseKeys = new Set(base.map(key));
+    const ourKeys = new Set(ours.map(key));
+    const theirKeys = new Set(theirs.map(key));
+
+    const merged = ours.filter(item => !baseKeys.has(key(item)) || theirKeys.has(key(item)));
+    theirs.forEach(item => {
+        if (!baseKeys.has(key(item)) && !ourKeys.has(key(item))) {
+            merged.push(item);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Gives merged nodes the positional IDs of their place in the tree
+ * @private
+ * @param {Object[]} nodes - Nodes to renumber in place
+ * @param {string|null} parentId - ID of their parent
+ */
+function renumberNodes(nodes, parentId = null) {
+    nodes.forEach((node, index) => {
+        node.id = parentId === null ? String(index + 1) : `${parentId}-${index + 1}`;
+        node.parentId = parentId;
+        renumberNodes(node.children, node.id);
+    });
+}
+
+/**
+ * Three-way merges the trees of a merge plan. Sections are matched by uid
+ * wherever they moved; each field is taken from the branch that changed it,
+ * and paragraphs both branches edited are merged paragraph by paragraph.
+ * @private
+ * @param {Object[]} base - Tree at the merge base
+ * @param {Object[]} ours - Tree on the active branch
+ * @param {Object[]} theirs - Tree on the branch being merged in
+ * @param {Object} resolutions - Map of conflict key to 'ours' or 'theirs'
+ * @returns {{document: Object[], conflicts: Object[]}} Merged tree and the conflicts met
+ */
+function mergeTrees(base, ours, theirs, resolutions) {
+    const baseIndex = indexMergeTree(base);
+    const ourIndex = indexMergeTree(ours);
+    const theirIndex = indexMergeTree(theirs);
+    const conflicts = [];
+
+    const label = key => {
+        const node = ourIndex.nodes.get(key) || theirIndex.nodes.get(key);
+        return `Section ${node.id} "${node.name || 'Untitled'}"`;
+    };
+    const conflict = (key, field, description, ourValue, theirValue) => {
+        const conflictKey = `${key}/${field}`;
+        conflicts.push({ path: conflictKey, label: `${label(key)} › ${description}`, ours: ourValue, theirs: theirValue });
+        return resolutions[conflictKey] === 'theirs';
+    };
+
+    // Fields of every node that stays, by key
+    const kept = new Map();
+    const keys = new Set([...baseIndex.nodes.keys(), ...ourIndex.nodes.keys(), ...theirIndex.nodes.keys()]);
+    keys.forEach(key => {
+        const baseNode = baseIndex.nodes.get(key);
+        const ourNode = ourIndex.nodes.get(key);
+        const theirNode = theirIndex.nodes.get(key);
+
+        if (!ourNode || !theirNode) {
+            const remaining = ourNode || theirNode;
+            if (!remaining) {
+                return;
+            }
+            // Removed on one branch: keep it only if the other branch changed it and the user says so
+            if (baseNode && isSameValue(nodeFields(baseNode), nodeFields(remaining))) {
+                return;
+            }
+            if (baseNode) {
+                const useTheirs = conflict(key, 'removed', 'removed on one branch, changed on the other',
+                    ourNode ? ourNode.name : undefined, theirNode ? theirNode.name : undefined);
+                if (!(useTheirs ? theirNode : ourNode)) {
+                    return;
+                }
+            }
+            kept.set(key, nodeFields(remaining));
+            return;
+        }
+
+        const baseFields = baseNode ? nodeFields(baseNode) : {};
+        const ourFields = nodeFields(ourNode);
+        const theirFields = nodeFields(theirNode);
+        const fields = {};
+        new Set([...Object.keys(ourFields), ...Object.keys(theirFields)]).forEach(field => {
+            const [baseValue, ourValue, theirValue] = [baseFields[field], ourFields[field], theirFields[field]];
+            let value = ourValue;
+            if (isSameValue(ourValue, baseValue)) {
+                value = theirValue;
+            } else if (!isSameValue(theirValue, baseValue) && !isSameValue(ourValue, theirValue)) {
+                // Edits to different paragraphs combine; anything else both branches changed is a conflict
+                const paragraphs = field === 'content'
+                    ? mergeParagraphs(baseValue || [], ourValue || [], theirValue || [])
+                    : null;
+                if (field === 'lastEditTime') {
+                    value = (ourValue || '') > (theirValue || '') ? ourValue : theirValue;
+                } else if (paragraphs) {
+                    value = paragraphs;
+                } else {
+                    value = conflict(key, field, field === 'name' ? 'title' : field, ourValue, theirValue) ? theirValue : ourValue;
+                }
+            }
+            if (value !== undefined) {
+                fields[field] = value;
+            }
+        });
+        kept.set(key, fields);
+    });
+
+    const childKeys = key => mergeChildLists(
+        baseIndex.children.get(key) || [],
+        ourIndex.children.get(key) || [],
+        theirIndex.children.get(key) || []
+    );
+
+    const built = new Map();
+    const build = key => {
+        if (!kept.has(key) || built.has(key)) {
+            return null;
+        }
+        const node = JSON.parse(JSON.stringify({ ...kept.get(key), children: [] }));
+        built.set(key, node);
+        node.children = childKeys(key).map(build).filter(Boolean);
+        return node;
+    };
+    const document = childKeys(MERGE_ROOT_KEY).map(build).filter(Boolean);
+
+    // Sections kept under a parent list that dropped them (e.g. a removal
+    // conflict resolved to keep the section) go back under their parent, or at the end
+    const parentOf = new Map();
+    [ourIndex, theirIndex].forEach(index => index.children.forEach((children, parentKey) => {
+        children.forEach(child => {
+            if (!parentOf.has(child)) {
+                parentOf.set(child, parentKey);
+            }
+        });
+    }));
+    [...kept.keys()].filter(key => !built.has(key)).forEach(key => {
+        const node = build(key);
+        if (node) {
+            const parent = built.get(parentOf.get(key));
+            (parent ? parent.children : document).push(node);
+        }
+    });
+
+    renumberNodes(document);
+    return { document, conflicts };
+}
+
+/**
+ * Builds the merged state of a merge plan with the given conflict resolutions
+ * @private
+ * @param {Object} mergePlan - Plan returned by prepareMerge
+ * @param {Object} resolutions - Map of conflict key to 'ours' or 'theirs'
+ * @returns {{merged: Object|Object[], conflicts: Object[]}} Merged state and conflicts
+ */
+function buildMergedState(mergePlan, resolutions) {
+    const { base, ours, theirs } = mergePlan;
+    const documentOf = state => (Array.isArray(state) ? state : state.document) || [];
+    const { document, conflicts } = mergeTrees(documentOf(base), documentOf(ours), documentOf(theirs), resolutions);
+
+    if (Array.isArray(ours)) {
+        return { merged: document, conflicts };
+    }
+
+    const pendingOf = state => (Array.isArray(state) ? [] : state.pendingItems) || [];
+    return {
+        merged: {
+            ...ours,
+            document,
+            pendingItems: mergePendingLists(pendingOf(base), pendingOf(ours), pendingOf(theirs))
+        },
+        conflicts
+    };
+}
+
+/**
+ * Prepares a three-way merge of a branch into the active branch.
+ * Sections are matched by uid and paragraphs aligned, so changes on both
+ * branches combine even where sections were inserted or moved; edits to the
+ * same field of the same section are returned as conflicts for the user to resolve.
+ * @param {string} sourceBranch - Branch to merge into the active branch
+ * @returns {Object} Merge plan with merged state and conflict list ({path, label, ours, theirs})
+ */
+export function prepareMerge(sourceBranch) {
+    if (!currentDocument) {
+        throw new Error('No document initialized');
+    }
+    ensureBranches();
+    assertBranchExists(sourceBranch);
+
+    if (sourceBranch === currentDocument.currentBranch) {
+        throw new Error('Cannot merge a branch into itself');
+    }
+
+    if (currentDocument.uncommittedChanges) {
+        throw new Error('Commit or discard your changes before merging');
+    }
+
+    const sourceHistory = getBranchHistory(sourceBranch);
+    const sourceVersion = getBranchVersion(sourceBranch);
+    const sourceCommit = sourceHistory.find(commit => commit.version === sourceVersion);
+
+    const plan = {
+        sourceBranch: sourceBranch,
+        sourceVersion: sourceVersion,
+        sourceCommitId: sourceCommit ? sourceCommit.id : null,
+        targetBranch: currentDocument.currentBranch,
+        targetVersion: currentDocument.metadata.currentVersion,
+        base: findMergeBase(sourceBranch),
+        ours: replayHistory(currentDocument.history, currentDocument.metadata.currentVersion).state,
+        theirs: replayHistory(sourceHistory, sourceVersion).state
+    };
+
+    const { merged, conflicts } = buildMergedState(plan, {});
+    return { ...plan, merged, conflicts };
+}
+
+/**
+ * Gets the state a merge would commit with the given conflict resolutions
+ * @param {Object} mergePlan - Plan returned by prepareMerge
+ * @param {Object} resolutions - Map of conflict path to 'ours' or 'theirs'
+ * @returns {Object|Object[]} Merged state
+ */
+export function getMergedState(mergePlan, resolutions = {}) {
+    return buildMergedState(mergePlan, resolutions).merged;
+}
+
+/**
+ * Applies conflict resolutions to a merge plan and commits the result
+ * @param {Object} mergePlan - Plan returned by prepareMerge
+ * @param {Object} resolutions - Map of conflict path to 'ours' or 'theirs'
+ * @param {string} author - Author of the merge commit
+ * @param {Object} userInfo - Full user information for the commit
+ * @returns {Object} Commit result including the merged document state
+ */
+export function completeMerge(mergePlan, resolutions = {}, author = 'User', userInfo = null) {
+    if (!currentDocument) {
+        throw new Error('No document initialized');
+    }
+
+    if (!mergePlan ||
+        mergePlan.targetBranch !== currentDocument.currentBranch ||
+        mergePlan.targetVersion !== currentDocument.metadata.currentVersion) {
+        throw new Error('The branch has changed since the merge was prepared. Please merge again.');
+    }
+
+    const merged = getMergedState(mergePlan, resolutions);
+
+    if (JSON.stringify(merged) === JSON.stringify(lastCommittedState)) {
+        return {
+            success: false,
+            message: `Already up to date with ${mergePlan.sourceBranch}`
+        };
+    }
+
+    workingCopy = merged;
+    currentDocument.document = Array.isArray(merged) ? merged : merged.document;
+    if (!Array.isArray(merged)) {
+        currentDocument.pendingItems = merged.pendingItems || [];
+    }
+    currentDocument.uncommittedChanges = true;
+
+    const result = commitChanges(
+        `Merge branch ${mergePlan.sourceBranch} into ${mergePlan.targetBranch}`,
+        author,
+        userInfo
+    );
+
+    if (result.success) {
+        const commit = currentDocument.history[currentDocument.history.length - 1];
+        commit.mergeSource = {
+            branch: mergePlan.sourceBranch,
+            version: mergePlan.sourceVersion,
+            commitId: mergePlan.sourceCommitId
+        };
+    }
+
+    return {
+        ...result,
+        document: currentDocument.document,
+        pendingItems: currentDocument.pendingItems
+    };
+}
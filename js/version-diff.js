@@ -0,0 +1,703 @@
+/**
+ * Version Diff Module
+ * Computes structural and word-level differences between two committed
+ * versions and renders them side by side
+ */
+
+import { getDocumentAtVersion, getVersionHistory, getChangesBetweenVersions } from './version-control.js';
+import { showError, showPrompt } from './message-center.js';
+
+// Above this many token comparisons a paragraph is shown as a whole replacement
+const MAX_WORD_DIFF_CELLS = 250000;
+
+/**
+ * Computes the difference between two versions of the document tree
+ * @param {number} fromVersion - Older version
+ * @param {number} toVersion - Newer version
+ * @returns {Object} Diff result with per-node changes for both versions
+ */
+export function computeVersionDiff(fromVersion, toVersion) {
+    const fromTree = getDocumentAtVersion(fromVersion);
+    const toTree = getDocumentAtVersion(toVersion);
+
+    return {
+        fromVersion,
+        toVersion,
+        fromTree,
+        toTree,
+        ...computeTreeDiff(fromTree, toTree)
+    };
+}
+
+/**
+ * Computes the difference between two plain document trees.
+ * Nodes carrying the same permanent uid are paired first. Section numbers are
+ * positional, so the rest (versions from before uids existed) are paired by
+ * number and name, then by name alone (moved), then by number alone (renamed).
+ * @param {Object[]} oldNodes - Root nodes of the older tree
+ * @param {Object[]} newNodes - Root nodes of the newer tree
+ * @returns {{oldChanges: Map, newChanges: Map, summary: Object}} Per-node changes keyed by node ID
+ */
+export function computeTreeDiff(oldNodes, newNodes) {
+    const oldFlat = flattenTree(oldNodes);
+    const newFlat = flattenTree(newNodes);
+
+    const oldToNew = new Map();
+    const newToOld = new Map();
+    const pair = (oldEntry, newEntry) => {
+        oldToNew.set(oldEntry, newEntry);
+        newToOld.set(newEntry, oldEntry);
+    };
+
+    // Same uid: the same node, wherever it moved
+    const newByUid = new Map(newFlat.filter(entry => entry.node.uid).map(entry => [entry.node.uid, entry]));
+    oldFlat.forEach(oldEntry => {
+        const match = oldEntry.node.uid && newByUid.get(oldEntry.node.uid);
+        if (match) {
+            pair(oldEntry, match);
+        }
+    });
+
+    // Trees from before uids existed fall back to positional and name heuristics
+    const allHaveUids = entries => entries.every(entry => entry.node.uid);
+    if (!allHaveUids(oldFlat) || !allHaveUids(newFlat)) {
+        pairByHeuristics(oldFlat, newFlat, oldToNew, newToOld, pair);
+    }
+
+    const movedEntries = findMovedEntries(oldFlat, oldToNew);
+
+    const oldChanges = new Map();
+    const newChanges = new Map();
+    const summary = { added: 0, removed: 0, moved: 0, renamed: 0, modified: 0 };
+
+    oldFlat.forEach(oldEntry => {
+        const newEntry = oldToNew.get(oldEntry);
+        if (!newEntry) {
+            oldChanges.set(oldEntry.node.id, { status: 'removed', content: diffParagraphs(oldEntry.node.content, []) });
+            summary.removed++;
+            return;
+        }
+
+        const change = {
+            status: 'matched',
+            counterpartId: newEntry.node.id,
+            moved: movedEntries.has(oldEntry),
+            renamed: oldEntry.node.name !== newEntry.node.name,
+            oldName: oldEntry.node.name,
+            newName: newEntry.node.name,
+            content: diffParagraphs(oldEntry.node.content, newEntry.node.content)
+        };
+        change.contentChanged = change.content.some(row => row.type !== 'equal');
+
+        if (change.moved) summary.moved++;
+        if (change.renamed) summary.renamed++;
+        if (change.contentChanged) summary.modified++;
+
+        oldChanges.set(oldEntry.node.id, { ...change, counterpartId: newEntry.node.id });
+        newChanges.set(newEntry.node.id, { ...change, counterpartId: oldEntry.node.id });
+    });
+
+    newFlat.filter(entry => !newToOld.has(entry)).forEach(newEntry => {
+        newChanges.set(newEntry.node.id, { status: 'added', content: diffParagraphs([], newEntry.node.content) });
+        summary.added++;
+    });
+
+    return { oldChanges, newChanges, summary };
+}
+
+/**
+ * Pairs nodes that have no uid match using section numbers, names and content
+ * @private
+ * @param {Object[]} oldFlat - Flattened older tree
+ * @param {Object[]} newFlat - Flattened newer tree
+ * @param {Map} oldToNew - Pairs found so far (old entry -> new entry)
+ * @param {Map} newToOld - Pairs found so far (new entry -> old entry)
+ * @param {Function} pair - Records a pair in both maps
+ */
+function pairByHeuristics(oldFlat, newFlat, oldToNew, newToOld, pair) {
+    // Same number and same name
+    const newByKey = new Map(newFlat.filter(entry => !newToOld.has(entry)).map(entry => [`${entry.node.id}\u0000${entry.node.name}`, entry]));
+    oldFlat.filter(entry => !oldToNew.has(entry)).forEach(oldEntry => {
+        const match = newByKey.get(`${oldEntry.node.id}\u0000${oldEntry.node.name}`);
+        if (match) {
+            pair(oldEntry, match);
+        }
+    });
+
+    // Same name at a different number
+    const unmatchedNewByName = new Map();
+    newFlat.filter(entry => !newToOld.has(entry)).forEach(entry => {
+        const list = unmatchedNewByName.get(entry.node.name) || [];
+        list.push(entry);
+        unmatchedNewByName.set(entry.node.name, list);
+    });
+    oldFlat.filter(entry => !oldToNew.has(entry)).forEach(oldEntry => {
+        const candidates = unmatchedNewByName.get(oldEntry.node.name);
+        if (candidates && candidates.length > 0) {
+            pair(oldEntry, candidates.shift());
+        }
+    });
+
+    // Different name but identical (non-empty) content
+    const unmatchedNewByContent = new Map();
+    newFlat.filter(entry => !newToOld.has(entry) && entry.node.content && entry.node.content.length > 0)
+        .forEach(entry => {
+            const key = JSON.stringify(entry.node.content);
+            const list = unmatchedNewByContent.get(key) || [];
+            list.push(entry);
+            unmatchedNewByContent.set(key, list);
+        });
+    oldFlat.filter(entry => !oldToNew.has(entry) && entry.node.content && entry.node.content.length > 0)
+        .forEach(oldEntry => {
+            const candidates = unmatchedNewByContent.get(JSON.stringify(oldEntry.node.content));
+            if (candidates && candidates.length > 0) {
+                pair(oldEntry, candidates.shift());
+            }
+        });
+
+    // Same number, different name
+    const unmatchedNewById = new Map(newFlat.filter(entry => !newToOld.has(entry)).map(entry => [entry.node.id, entry]));
+    oldFlat.filter(entry => !oldToNew.has(entry)).forEach(oldEntry => {
+        const match = unmatchedNewById.get(oldEntry.node.id);
+        if (match) {
+            pair(oldEntry, match);
+            unmatchedNewById.delete(oldEntry.node.id);
+        }
+    });
+}
+
+/**
+ * Aligns two lists of paragraphs and word-diffs the ones that changed
+ * @param {string[]} oldContent - Paragraphs of the older node
+ * @param {string[]} newContent - Paragraphs of the newer node
+ * @returns {Object[]} Rows of {type, oldText, newText, words}
+ */
+export function diffParagraphs(oldContent = [], newContent = []) {
+    const oldParas = (oldContent || []).map(String);
+    const newParas = (newContent || []).map(String);
+    const rows = [];
+
+    let pendingRemoved = [];
+    let pendingAdded = [];
+
+    // Pair up paragraphs removed and added in the same gap as edits
+    const flushGap = () => {
+        const paired = Math.min(pendingRemoved.length, pendingAdded.length);
+        for (let i = 0; i < paired; i++) {
+            rows.push({
+                type: 'changed',
+                oldText: pendingRemoved[i],
+                newText: pendingAdded[i],
+                words: diffWords(pendingRemoved[i], pendingAdded[i])
+            });
+        }
+        pendingRemoved.slice(paired).forEach(text => rows.push({ type: 'removed', oldText: text, newText: null }));
+        pendingAdded.slice(paired).forEach(text => rows.push({ type: 'added', oldText: null, newText: text }));
+        pendingRemoved = [];
+        pendingAdded = [];
+    };
+
+    lcsAlign(oldParas, newParas).forEach(step => {
+        if (step.type === 'equal') {
+            flushGap();
+            rows.push({ type: 'equal', oldText: step.oldValue, newText: step.newValue });
+        } else if (step.type === 'removed') {
+            pendingRemoved.push(step.oldValue);
+        } else {
+            pendingAdded.push(step.newValue);
+        }
+    });
+    flushGap();
+
+    return rows;
+}
+
+/**
+ * Computes a word-level diff between two strings
+ * @param {string} oldText - Original text
+ * @param {string} newText - Changed text
+ * @returns {Object[]} Tokens of {type: 'equal'|'added'|'removed', text}
+ */
+export function diffWords(oldText = '', newText = '') {
+    const oldTokens = tokenize(oldText);
+    const newTokens = tokenize(newText);
+
+    if (oldTokens.length * newTokens.length > MAX_WORD_DIFF_CELLS) {
+        return [
+            { type: 'removed', text: oldText },
+            { type: 'added', text: newText }
+        ];
+    }
+
+    // Merge consecutive tokens of the same type for tidier markup
+    const tokens = [];
+    lcsAlign(oldTokens, newTokens).forEach(step => {
+        const text = step.type === 'added' ? step.newValue : step.oldValue;
+        const last = tokens[tokens.length - 1];
+        if (last && last.type === step.type) {
+            last.text += text;
+        } else {
+            tokens.push({ type: step.type, text });
+        }
+    });
+    return tokens;
+}
+
+/**
+ * Asks which version to compare a revision against, then shows the diff
+ * @param {string|number} revisionId - The revision the comparison starts from
+ */
+export async function compareRevision(revisionId) {
+    try {
+        const version = parseInt(revisionId, 10);
+        const versions = getVersionHistory().map(commit => commit.version);
+
+        const defaultOther = version > 0 ? version - 1 : Math.max(...versions, 0);
+        const answer = await showPrompt(
+            `Compare version ${version} with version:\n\nAvailable: ${versions.map(v => `v${v}`).join(', ')}`,
+            String(defaultOther),
+            'Version number'
+        );
+        if (answer === null || answer.trim() === '') {
+            return;
+        }
+
+        const otherVersion = parseInt(answer.replace(/^v/i, ''), 10);
+        if (isNaN(otherVersion) || !versions.includes(otherVersion)) {
+            showError(`Version ${answer} does not exist.`);
+            return;
+        }
+
+        showVersionDiff(Math.min(version, otherVersion), Math.max(version, otherVersion));
+    } catch (error) {
+        console.error(`Error comparing revision ${revisionId}:`, error);
+        showError(`Failed to compare versions: ${error.message}`);
+    }
+}
+
+/**
+ * Opens the side-by-side diff view for two versions
+ * @param {number} fromVersion - Older version (left)
+ * @param {number} toVersion - Newer version (right)
+ */
+export function showVersionDiff(fromVersion, toVersion) {
+    try {
+        const diff = computeVersionDiff(fromVersion, toVersion);
+        const { changeCount } = getChangesBetweenVersions(fromVersion, toVersion);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'modal-overlay';
+
+        const modal = document.createElement('div');
+        modal.className = 'modal-dialog version-diff-dialog';
+
+        // Header with title, summary and legend
+        const header = document.createElement('div');
+        header.className = 'version-diff-header';
+
+        const title = document.createElement('h3');
+        title.textContent = `Comparing v${fromVersion} → v${toVersion}`;
+
+        const summary = document.createElement('div');
+        summary.className = 'version-diff-summary';
+        const { added, removed, moved, renamed, modified } = diff.summary;
+        summary.textContent =
+            `${added} added · ${removed} removed · ${moved} moved · ` +
+            `${renamed} renamed · ${modified} edited · ${changeCount} patch operations`;
+
+        const legend = document.createElement('div');
+        legend.className = 'version-diff-legend';
+        ['added', 'removed', 'moved', 'renamed', 'modified'].forEach(status => {
+            const chip = document.createElement('span');
+            chip.className = `diff-legend-chip diff-${status}`;
+            chip.textContent = status;
+            legend.appendChild(chip);
+        });
+
+        header.appendChild(title);
+        header.appendChild(summary);
+        header.appendChild(legend);
+
+        // Two panes, one per version
+        const panes = document.createElement('div');
+        panes.className = 'version-diff-panes';
+
+        const leftPane = createDiffPane(`Version ${fromVersion}`, diff.fromTree, diff.oldChanges, 'old');
+        const rightPane = createDiffPane(`Version ${toVersion}`, diff.toTree, diff.newChanges, 'new');
+        panes.appendChild(leftPane);
+        panes.appendChild(rightPane);
+        syncScroll(leftPane.querySelector('.version-diff-tree'), rightPane.querySelector('.version-diff-tree'));
+
+        const buttonContainer = document.createElement('div');
+        buttonContainer.className = 'modal-buttons';
+
+        const closeBtn = document.createElement('button');
+        closeBtn.textContent = 'Close';
+        closeBtn.className = 'modal-btn modal-btn-confirm';
+
+        const close = () => {
+            if (overlay.parentNode) {
+                document.body.removeChild(overlay);
+            }
+            document.removeEventListener('keydown', handleKeydown);
+        };
+        const handleKeydown = (e) => {
+            if (e.key === 'Escape') {
+                close();
+            }
+        };
+        closeBtn.onclick = close;
+        document.addEventListener('keydown', handleKeydown);
+
+        buttonContainer.appendChild(closeBtn);
+
+        modal.appendChild(header);
+        modal.appendChild(panes);
+        modal.appendChild(buttonContainer);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        closeBtn.focus();
+    } catch (error) {
+        console.error(`Error showing diff v${fromVersion} → v${toVersion}:`, error);
+        showError(`Failed to compare versions: ${error.message}`);
+    }
+}
+
+/**
+ * Creates one side of the diff view
+ * @private
+ * @param {string} heading - Pane heading
+ * @param {Object[]} tree - Plain document nodes for this version
+ * @param {Map} changes - Per-node changes for this side
+ * @param {string} side - 'old' or 'new'
+ * @returns {HTMLElement} The pane element
+ */
+function createDiffPane(heading, tree, changes, side) {
+    const pane = document.createElement('div');
+    pane.className = `version-diff-pane version-diff-${side}`;
+
+    const title = document.createElement('h4');
+    title.className = 'version-diff-pane-title';
+    title.textContent = heading;
+
+    const treeContainer = document.createElement('div');
+    treeContainer.className = 'version-diff-tree';
+    treeContainer.appendChild(buildDiffList(tree || [], changes, side));
+
+    pane.appendChild(title);
+    pane.appendChild(treeContainer);
+    return pane;
+}
+
+/**
+ * Builds the nested list for one side of the diff
+ * @private
+ */
+function buildDiffList(nodes, changes, side) {
+    const list = document.createElement('ul');
+    list.className = 'version-diff-list';
+
+    nodes.forEach(node => {
+        const change = changes.get(node.id) || { status: 'matched', content: [] };
+        const item = document.createElement('li');
+        item.className = 'version-diff-node';
+
+        const row = document.createElement('div');
+        row.className = `version-diff-row ${getStatusClasses(change).join(' ')}`;
+
+        const number = document.createElement('span');
+        number.className = 'version-diff-number';
+        number.textContent = formatSectionNumber(node.id);
+        row.appendChild(number);
+
+        const name = document.createElement('span');
+        name.className = 'version-diff-name';
+        if (change.renamed) {
+            // Old name struck through on the left, new name marked on the right
+            const nameChange = document.createElement(side === 'old' ? 'del' : 'ins');
+            nameChange.textContent = side === 'old' ? change.oldName : change.newName;
+            name.appendChild(nameChange);
+        } else {
+            name.textContent = node.name;
+        }
+        row.appendChild(name);
+
+        const note = describeChange(change, side);
+        if (note) {
+            const badge = document.createElement('span');
+            badge.className = 'version-diff-badge';
+            badge.textContent = note;
+            row.appendChild(badge);
+        }
+
+        item.appendChild(row);
+
+        const paragraphs = buildParagraphList(change.content.length > 0 ? change.content : equalRows(node.content), side);
+        if (paragraphs) {
+            item.appendChild(paragraphs);
+        }
+
+        if (node.children && node.children.length > 0) {
+            item.appendChild(buildDiffList(node.children, changes, side));
+        }
+
+        list.appendChild(item);
+    });
+
+    return list;
+}
+
+/**
+ * Builds the content paragraphs of a node for one side of the diff
+ * @private
+ */
+function buildParagraphList(rows, side) {
+    const visibleRows = rows.filter(row => (side === 'old' ? row.oldText !== null : row.newText !== null));
+    if (visibleRows.length === 0) {
+        return null;
+    }
+
+    const list = document.createElement('ol');
+    list.className = 'version-diff-paragraphs';
+
+    visibleRows.forEach(row => {
+        const paragraph = document.createElement('li');
+        paragraph.className = `version-diff-paragraph diff-para-${row.type}`;
+
+        if (row.type === 'changed') {
+            row.words
+                .filter(token => token.type === 'equal' || token.type === (side === 'old' ? 'removed' : 'added'))
+                .forEach(token => {
+                    if (token.type === 'equal') {
+                        paragraph.appendChild(document.createTextNode(token.text));
+                    } else {
+                        const mark = document.createElement(token.type === 'removed' ? 'del' : 'ins');
+                        mark.textContent = token.text;
+                        paragraph.appendChild(mark);
+                    }
+                });
+        } else {
+            paragraph.textContent = side === 'old' ? row.oldText : row.newText;
+        }
+
+        list.appendChild(paragraph);
+    });
+
+    return list;
+}
+
+/**
+ * Returns the CSS classes for a node change
+ * @private
+ */
+function getStatusClasses(change) {
+    if (change.status === 'added' || change.status === 'removed') {
+        return [`diff-${change.status}`];
+    }
+
+    const classes = [];
+    if (change.moved) classes.push('diff-moved');
+    if (change.renamed) classes.push('diff-renamed');
+    if (change.contentChanged) classes.push('diff-modified');
+    return classes;
+}
+
+/**
+ * Returns a short badge text describing a node change
+ * @private
+ */
+function describeChange(change, side) {
+    if (change.status === 'added') return 'added';
+    if (change.status === 'removed') return 'removed';
+
+    const notes = [];
+    if (change.moved) {
+        notes.push(side === 'old'
+            ? `moved to ${formatSectionNumber(change.counterpartId)}`
+            : `moved from ${formatSectionNumber(change.counterpartId)}`);
+    }
+    if (change.renamed) {
+        notes.push(side === 'old' ? `renamed to "${change.newName}"` : `was "${change.oldName}"`);
+    }
+    if (change.contentChanged) {
+        notes.push('edited');
+    }
+    return notes.join(' · ');
+}
+
+/**
+ * Keeps two scroll containers scrolled to the same relative position
+ * @private
+ */
+function syncScroll(first, second) {
+    let syncing = false;
+    const follow = (source, target) => () => {
+        if (syncing) {
+            syncing = false;
+            return;
+        }
+        const maxSource = source.scrollHeight - source.clientHeight;
+        const ratio = maxSource > 0 ? source.scrollTop / maxSource : 0;
+        syncing = true;
+        target.scrollTop = ratio * (target.scrollHeight - target.clientHeight);
+    };
+    first.addEventListener('scroll', follow(first, second));
+    second.addEventListener('scroll', follow(second, first));
+}
+
+/**
+ * Flattens a tree into entries that remember their parent entry
+ * @private
+ */
+function flattenTree(nodes, parent = null, result = []) {
+    (nodes || []).forEach((node, index) => {
+        const entry = { node, parent, index };
+        result.push(entry);
+        if (node.children && node.children.length > 0) {
+            flattenTree(node.children, entry, result);
+        }
+    });
+    return result;
+}
+
+/**
+ * Finds matched nodes that changed parent or were reordered among their siblings
+ * @private
+ * @returns {Set} Old entries that moved
+ */
+function findMovedEntries(oldFlat, oldToNew) {
+    const moved = new Set();
+    const siblingGroups = new Map();
+
+    oldFlat.forEach(oldEntry => {
+        const newEntry = oldToNew.get(oldEntry);
+        if (!newEntry) {
+            return;
+        }
+
+        const mappedParent = oldEntry.parent ? oldToNew.get(oldEntry.parent) || null : null;
+        if (mappedParent !== newEntry.parent || (oldEntry.parent && !mappedParent)) {
+            moved.add(oldEntry);
+            return;
+        }
+
+        // Same parent on both sides - check the relative order later
+        const group = siblingGroups.get(oldEntry.parent) || [];
+        group.push(oldEntry);
+        siblingGroups.set(oldEntry.parent, group);
+    });
+
+    // Siblings outside the longest run that kept its order were moved
+    siblingGroups.forEach(group => {
+        const newIndexes = group.map(entry => oldToNew.get(entry).index);
+        const keep = longestIncreasingSubsequence(newIndexes);
+        group.forEach((entry, i) => {
+            if (!keep.has(i)) {
+                moved.add(entry);
+            }
+        });
+    });
+
+    return moved;
+}
+
+/**
+ * Returns the positions that form a longest increasing subsequence
+ * @param {Array<number|string|null>} values - Values to keep in order; null values never take part
+ * @returns {Set<number>} Indexes of the values in the subsequence
+ */
+export function longestIncreasingSubsequence(values) {
+    const lengths = values.map(() => 1);
+    const previous = values.map(() => -1);
+    let best = -1;
+
+    for (let i = 0; i < values.length; i++) {
+        if (values[i] === null) {
+            continue;
+        }
+        for (let j = 0; j < i; j++) {
+            if (values[j] !== null && values[j] < values[i] && lengths[j] + 1 > lengths[i]) {
+                lengths[i] = lengths[j] + 1;
+                previous[i] = j;
+            }
+        }
+        if (best === -1 || lengths[i] > lengths[best]) {
+            best = i;
+        }
+    }
+
+    const positions = new Set();
+    for (let i = best; i !== -1; i = previous[i]) {
+        positions.add(i);
+    }
+    return positions;
+}
+
+/**
+ * Aligns two sequences using a longest-common-subsequence table
+ * @param {Array} oldItems - Older sequence
+ * @param {Array} newItems - Newer sequence, compared with ===
+ * @returns {Object[]} Steps of {type: 'equal'|'removed'|'added', oldValue, newValue, oldIndex, newIndex}
+ */
+export function lcsAlign(oldItems, newItems) {
+    const rows = oldItems.length;
+    const cols = newItems.length;
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+
+    for (let i = rows - 1; i >= 0; i--) {
+        for (let j = cols - 1; j >= 0; j--) {
+            table[i][j] = oldItems[i] === newItems[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const steps = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+        if (oldItems[i] === newItems[j]) {
+            steps.push({ type: 'equal', oldValue: oldItems[i], newValue: newItems[j], oldIndex: i, newIndex: j });
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            steps.push({ type: 'removed', oldValue: oldItems[i], oldIndex: i });
+            i++;
+        } else {
+            steps.push({ type: 'added', newValue: newItems[j], newIndex: j });
+            j++;
+        }
+    }
+    for (; i < rows; i++) {
+        steps.push({ type: 'removed', oldValue: oldItems[i], oldIndex: i });
+    }
+    for (; j < cols; j++) {
+        steps.push({ type: 'added', newValue: newItems[j], newIndex: j });
+    }
+    return steps;
+}
+
+/**
+ * Splits text into word and whitespace tokens
+ * @private
+ */
+function tokenize(text) {
+    return String(text || '').split(/(\s+)/).filter(token => token.length > 0);
+}
+
+/**
+ * Wraps unchanged content as diff rows
+ * @private
+ */
+function equalRows(content) {
+    return (content || []).map(text => ({ type: 'equal', oldText: String(text), newText: String(text) }));
+}
+
+/**
+ * Formats a node ID like "1-2-3" as a section number "1.2.3"
+ * @private
+ */
+function formatSectionNumber(id) {
+    return String(id).replace(/-/g, '.');
+}
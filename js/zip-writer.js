@@ -0,0 +1,132 @@
+/**
+ * Zip Writer Module
+ * Builds uncompressed (stored) zip archives in the browser for DOCX and package exports
+ */
+
+const textEncoder = new TextEncoder();
+
+let crcTable = null;
+
+/**
+ * Creates a zip archive from a list of files
+ * @param {Object[]} files - Entries of the form { name, content } where content is a string or Uint8Array
+ * @param {Date} modified - Modification time stamped on every entry
+ * @returns {Uint8Array} The zip file bytes
+ */
+export function createZip(files, modified = new Date()) {
+    if (!Array.isArray(files) || files.length === 0) {
+        throw new Error('A zip archive needs at least one file');
+    }
+
+    const { time, date } = toDosDateTime(modified);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const nameBytes = textEncoder.encode(file.name);
+        const data = typeof file.content === 'string' ? textEncoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);          // version needed
+        local.setUint16(6, 0x0800, true);      // UTF-8 file names
+        local.setUint16(8, 0, true);           // stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, nameBytes.length, true);
+        local.setUint16(28, 0, true);
+
+        // Central directory entry
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, 20, true);        // version made by
+        central.setUint16(6, 20, true);        // version needed
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, nameBytes.length, true);
+        central.setUint32(42, offset, true);   // local header offset
+
+        localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+        centralParts.push(new Uint8Array(central.buffer), nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+    // End of central directory record
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, ...centralParts, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * Computes the CRC-32 checksum used by zip entries
+ * @private
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Converts a date to the MS-DOS time and date fields
+ * @private
+ * @param {Date} value - Date to convert
+ * @returns {{time: number, date: number}} Packed fields
+ */
+function toDosDateTime(value) {
+    const year = Math.max(value.getFullYear(), 1980);
+    return {
+        time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+}
+
+/**
+ * Joins byte arrays into one
+ * @private
+ * @param {Uint8Array[]} parts - Arrays to join
+ * @returns {Uint8Array} Combined bytes
+ */
+function concatBytes(parts) {
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const result = new Uint8Array(total);
+    let position = 0;
+    parts.forEach(part => {
+        result.set(part, position);
+        position += part.length;
+    });
+    return result;
+}
@@ -0,0 +1,206 @@
+/**
+ * Collaboration Relay
+ * A minimal WebSocket relay for collaborative editing. Browsers connect to
+ * ws://host:port/?room=<name>; every text message is forwarded unchanged to
+ * the other sockets in the same room. The relay keeps no document state:
+ * members exchange what they are missing themselves when they (re)connect.
+ *
+ * Usage: node relay/collab-relay.js [port]   (or PORT=8787 npm run relay)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 16 * 1024 * 1024;
+
+const OPCODES = {
+    CONTINUATION: 0x0,
+    TEXT: 0x1,
+    CLOSE: 0x8,
+    PING: 0x9,
+    PONG: 0xA
+};
+
+// room name -> Set of sockets
+const rooms = new Map();
+
+const server = http.createServer((request, response) => {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end(`DLMS collaboration relay - ${rooms.size} room(s) open\n`);
+});
+
+server.on('upgrade', (request, socket) => {
+    const key = request.headers['sec-websocket-key'];
+    if (!key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const room = new URL(request.url, 'http://relay').searchParams.get('room') || 'default';
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    joinRoom(room, socket);
+});
+
+/**
+ * Adds a socket to a room and forwards its messages to the other members
+ * @param {string} room - Room name
+ * @param {net.Socket} socket - Upgraded socket
+ */
+function joinRoom(room, socket) {
+    if (!rooms.has(room)) {
+        rooms.set(room, new Set());
+    }
+    const members = rooms.get(room);
+    members.add(socket);
+    console.log(`+ ${room} (${members.size} connected)`);
+
+    let buffered = Buffer.alloc(0);
+    let fragments = [];
+    let fragmentsSize = 0;
+
+    const leave = () => {
+        if (!members.delete(socket)) {
+            return;
+        }
+        if (members.size === 0) {
+            rooms.delete(room);
+        }
+        console.log(`- ${room} (${members.size} connected)`);
+    };
+
+    socket.on('data', chunk => {
+        buffered = Buffer.concat([buffered, chunk]);
+
+        let frame;
+        while ((frame = readFrame(buffered))) {
+            buffered = buffered.subarray(frame.length);
+
+            if (frame.opcode === OPCODES.CLOSE) {
+                socket.end(encodeFrame(OPCODES.CLOSE, Buffer.alloc(0)));
+                leave();
+                return;
+            }
+            if (frame.opcode === OPCODES.PING) {
+                socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+                continue;
+            }
+            if (frame.opcode !== OPCODES.TEXT && frame.opcode !== OPCODES.CONTINUATION) {
+                continue;
+            }
+
+            // A message sent in many small frames counts towards the limit as a whole
+            fragmentsSize += frame.payload.length;
+            if (fragmentsSize > MAX_MESSAGE_SIZE) {
+                socket.destroy();
+                leave();
+                return;
+            }
+            fragments.push(frame.payload);
+            if (!frame.final) {
+                continue;
+            }
+            const message = encodeFrame(OPCODES.TEXT, Buffer.concat(fragments));
+            fragments = [];
+            fragmentsSize = 0;
+            members.forEach(member => {
+                if (member !== socket && member.writable) {
+                    member.write(message);
+                }
+            });
+        }
+
+        if (buffered.length > MAX_MESSAGE_SIZE) {
+            socket.destroy();
+        }
+    });
+
+    socket.on('close', leave);
+    socket.on('error', leave);
+}
+
+/**
+ * Reads one frame from the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} { final, opcode, payload, length }, or null if the frame is incomplete
+ */
+function readFrame(buffer) {
+    if (buffer.length < 2) {
+        return null;
+    }
+
+    const final = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let payloadLength = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (payloadLength === 126) {
+        if (buffer.length < 4) {
+            return null;
+        }
+        payloadLength = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (payloadLength === 127) {
+        if (buffer.length < 10) {
+            return null;
+        }
+        payloadLength = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) {
+        offset += 4;
+    }
+    if (buffer.length < offset + payloadLength) {
+        return null;
+    }
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + payloadLength));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { final, opcode, payload, length: offset + payloadLength };
+}
+
+/**
+ * Encodes an unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Frame bytes
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+server.listen(PORT, () => {
+    console.log(`DLMS collaboration relay listening on ws://localhost:${PORT}`);
+});